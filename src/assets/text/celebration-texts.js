@@ -0,0 +1,49 @@
+// Texts for weddings and funerals (config/celebrations.js): the people's
+// parts of the Order of Celebrating Matrimony and the Order of Christian
+// Funerals. The _ES constants follow the editions approved for the
+// dioceses of the United States.
+'use strict';
+
+const RECEPTION_OF_CONSENT = `Priest: May the Lord in his kindness strengthen the consent
+you have declared before the Church,
+and graciously bring to fulfillment his blessing within you.
+What God joins together, let no one put asunder.
+All: Amen.`;
+
+const RECEPTION_OF_CONSENT_ES = `Sacerdote: Que el Señor, en su bondad,
+fortalezca este consentimiento que han manifestado ante la Iglesia
+y se digne llenarlos de su bendición.
+Lo que Dios ha unido, que no lo separe el hombre.
+Todos: Amén.`;
+
+// The acclamation after the Reception of the Consent.
+const CONSENT_ACCLAMATION = `Priest: Let us bless the Lord.
+All: Thanks be to God.`;
+
+const CONSENT_ACCLAMATION_ES = `Sacerdote: Bendigamos al Señor.
+Todos: Demos gracias a Dios.`;
+
+const IN_PARADISUM = `May the angels lead you into paradise;
+may the martyrs come to welcome you
+and take you to the holy city,
+the new and eternal Jerusalem.
+May choirs of angels welcome you
+and lead you to the bosom of Abraham;
+and where Lazarus is poor no longer
+may you find eternal rest.`;
+
+const IN_PARADISUM_ES = `Al paraíso te lleven los ángeles;
+a tu llegada te reciban los mártires
+y te introduzcan en la ciudad santa, Jerusalén.
+El coro de los ángeles te reciba,
+y junto con Lázaro, pobre en esta vida,
+tengas descanso eterno.`;
+
+module.exports = {
+  RECEPTION_OF_CONSENT,
+  RECEPTION_OF_CONSENT_ES,
+  CONSENT_ACCLAMATION,
+  CONSENT_ACCLAMATION_ES,
+  IN_PARADISUM,
+  IN_PARADISUM_ES
+};
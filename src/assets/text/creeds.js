@@ -84,4 +84,155 @@ All: I do.
 Priest: And may almighty God, the Father of our Lord Jesus Christ, who has given us new birth by water and the Holy Spirit and bestowed on us forgiveness of our sins, keep us by his grace, in Christ Jesus our Lord, for eternal life.
 All: Amen.`;
 
-module.exports = { APOSTLES_CREED, NICENE_CREED, RENEWAL_OF_BAPTISMAL_VOWS };
+// Spanish texts of the Misal Romano approved for the dioceses of the United
+// States, for bilingual and Spanish worship aids.
+const APOSTLES_CREED_ES = `Creo en Dios, Padre todopoderoso,
+Creador del cielo y de la tierra.
+Creo en Jesucristo, su único Hijo, nuestro Señor,
+que fue concebido por obra y gracia del Espíritu Santo,
+nació de santa María Virgen,
+padeció bajo el poder de Poncio Pilato,
+fue crucificado, muerto y sepultado,
+descendió a los infiernos,
+al tercer día resucitó de entre los muertos,
+subió a los cielos
+y está sentado a la derecha de Dios, Padre todopoderoso.
+Desde allí ha de venir a juzgar a vivos y muertos.
+
+Creo en el Espíritu Santo,
+la santa Iglesia católica,
+la comunión de los santos,
+el perdón de los pecados,
+la resurrección de la carne
+y la vida eterna. Amén.`;
+
+const NICENE_CREED_ES = `Creo en un solo Dios,
+Padre todopoderoso,
+Creador del cielo y de la tierra,
+de todo lo visible y lo invisible.
+
+Creo en un solo Señor, Jesucristo,
+Hijo único de Dios,
+nacido del Padre antes de todos los siglos:
+Dios de Dios, Luz de Luz,
+Dios verdadero de Dios verdadero,
+engendrado, no creado,
+de la misma naturaleza del Padre,
+por quien todo fue hecho;
+que por nosotros, los hombres,
+y por nuestra salvación bajó del cielo,
+
+\u2020 (En las palabras que siguen, hasta «y se hizo hombre», todos se inclinan.)
+
+y por obra del Espíritu Santo
+se encarnó de María, la Virgen,
+y se hizo hombre.
+
+Y por nuestra causa fue crucificado
+en tiempos de Poncio Pilato;
+padeció y fue sepultado,
+y resucitó al tercer día, según las Escrituras,
+y subió al cielo,
+y está sentado a la derecha del Padre;
+y de nuevo vendrá con gloria
+para juzgar a vivos y muertos,
+y su reino no tendrá fin.
+
+Creo en el Espíritu Santo, Señor y dador de vida,
+que procede del Padre y del Hijo,
+que con el Padre y el Hijo
+recibe una misma adoración y gloria,
+y que habló por los profetas.
+Creo en la Iglesia,
+que es una, santa, católica y apostólica.
+Confieso que hay un solo bautismo
+para el perdón de los pecados.
+Espero la resurrección de los muertos
+y la vida del mundo futuro. Amén.`;
+
+const RENEWAL_OF_BAPTISMAL_VOWS_ES = `Sacerdote: ¿Renuncian a Satanás?
+Todos: Sí, renuncio.
+
+Sacerdote: ¿Y a todas sus obras?
+Todos: Sí, renuncio.
+
+Sacerdote: ¿Y a todas sus seducciones?
+Todos: Sí, renuncio.
+
+Sacerdote: ¿Creen en Dios, Padre todopoderoso, Creador del cielo y de la tierra?
+Todos: Sí, creo.
+
+Sacerdote: ¿Creen en Jesucristo, su único Hijo, nuestro Señor, que nació de santa María Virgen, padeció, murió y fue sepultado, resucitó de entre los muertos y está sentado a la derecha del Padre?
+Todos: Sí, creo.
+
+Sacerdote: ¿Creen en el Espíritu Santo, en la santa Iglesia católica, en la comunión de los santos, en el perdón de los pecados, en la resurrección de los muertos y en la vida eterna?
+Todos: Sí, creo.
+
+Sacerdote: Que Dios todopoderoso, Padre de nuestro Señor Jesucristo, que nos ha regenerado por el agua y el Espíritu Santo y que nos ha concedido la remisión de los pecados, nos guarde en su gracia, en el mismo Jesucristo nuestro Señor, para la vida eterna.
+Todos: Amén.`;
+
+// Latin (Missale Romanum) for a Credo sung or said in Latin. The
+// baptismal promises are a dialogue with the priest and have no Latin
+// form here.
+const NICENE_CREED_LATIN = `Credo in unum Deum,
+Patrem omnipotentem,
+factorem caeli et terrae,
+visibilium omnium et invisibilium.
+
+Et in unum Dominum Iesum Christum,
+Filium Dei unigenitum,
+et ex Patre natum ante omnia saecula.
+Deum de Deo, lumen de lumine,
+Deum verum de Deo vero,
+genitum, non factum, consubstantialem Patri:
+per quem omnia facta sunt.
+Qui propter nos homines et propter nostram salutem
+descendit de caelis.
+
+\u2020 (Ad verba quae sequuntur, usque ad «factus est», omnes se inclinant.)
+
+Et incarnatus est de Spiritu Sancto
+ex Maria Virgine, et homo factus est.
+
+Crucifixus etiam pro nobis sub Pontio Pilato;
+passus et sepultus est,
+et resurrexit tertia die, secundum Scripturas,
+et ascendit in caelum, sedet ad dexteram Patris.
+Et iterum venturus est cum gloria,
+iudicare vivos et mortuos,
+cuius regni non erit finis.
+
+Et in Spiritum Sanctum, Dominum et vivificantem:
+qui ex Patre Filioque procedit.
+Qui cum Patre et Filio simul adoratur et conglorificatur:
+qui locutus est per prophetas.
+Et unam, sanctam, catholicam et apostolicam Ecclesiam.
+Confiteor unum baptisma in remissionem peccatorum.
+Et exspecto resurrectionem mortuorum,
+et vitam venturi saeculi. Amen.`;
+
+const APOSTLES_CREED_LATIN = `Credo in Deum Patrem omnipotentem,
+Creatorem caeli et terrae,
+et in Iesum Christum, Filium eius unicum, Dominum nostrum,
+qui conceptus est de Spiritu Sancto,
+natus ex Maria Virgine,
+passus sub Pontio Pilato,
+crucifixus, mortuus, et sepultus,
+descendit ad inferos,
+tertia die resurrexit a mortuis,
+ascendit ad caelos,
+sedet ad dexteram Dei Patris omnipotentis,
+inde venturus est iudicare vivos et mortuos.
+
+Credo in Spiritum Sanctum,
+sanctam Ecclesiam catholicam,
+sanctorum communionem,
+remissionem peccatorum,
+carnis resurrectionem,
+vitam aeternam. Amen.`;
+
+module.exports = {
+  APOSTLES_CREED, NICENE_CREED, RENEWAL_OF_BAPTISMAL_VOWS,
+  APOSTLES_CREED_ES, NICENE_CREED_ES, RENEWAL_OF_BAPTISMAL_VOWS_ES,
+  APOSTLES_CREED_LATIN, NICENE_CREED_LATIN
+};
@@ -0,0 +1,86 @@
+// Texts for the Holy Week liturgies (config/holy-week.js): the people's
+// parts of Palm Sunday, the Triduum and the Easter Vigil, from the Roman
+// Missal. The _ES constants follow the Misal Romano approved for the
+// dioceses of the United States.
+'use strict';
+
+const PALM_SUNDAY_ANTIPHON = `Hosanna to the Son of David;
+blessed is he who comes in the name of the Lord, the King of Israel.
+Hosanna in the highest.`;
+
+const PALM_SUNDAY_ANTIPHON_ES = `Hosanna al Hijo de David;
+bendito el que viene en nombre del Señor, el Rey de Israel.
+Hosanna en el cielo.`;
+
+const PROCESSION_INVITATION = `Deacon: Let us go forth in peace.
+All: In the name of Christ. Amen.`;
+
+const PROCESSION_INVITATION_ES = `Diácono: Avancemos en paz.
+Todos: En el nombre de Cristo. Amén.`;
+
+// The ten Solemn Intercessions of Good Friday; each closes with the
+// Priest's prayer and the people's Amen.
+const SOLEMN_INTERCESSIONS = `I. For Holy Church
+II. For the Pope
+III. For all orders and degrees of the faithful
+IV. For catechumens
+V. For the unity of Christians
+VI. For the Jewish people
+VII. For those who do not believe in Christ
+VIII. For those who do not believe in God
+IX. For those in public office
+X. For those in tribulation`;
+
+const SOLEMN_INTERCESSIONS_ES = `I. Por la santa Iglesia
+II. Por el Papa
+III. Por todos los ministros y por los fieles
+IV. Por los catecúmenos
+V. Por la unidad de los cristianos
+VI. Por el pueblo judío
+VII. Por los que no creen en Cristo
+VIII. Por los que no creen en Dios
+IX. Por los gobernantes
+X. Por los que sufren alguna tribulación`;
+
+// Sung three times, each time on a higher pitch.
+const SHOWING_OF_THE_CROSS = `Priest: Behold the wood of the Cross,
+on which hung the salvation of the world.
+All: Come, let us adore.`;
+
+const SHOWING_OF_THE_CROSS_ES = `Sacerdote: Miren el árbol de la Cruz,
+donde estuvo clavada la salvación del mundo.
+Todos: Vengan y adoremos.`;
+
+// Sung three times as the paschal candle is carried into the church.
+const LIGHT_OF_CHRIST = `Deacon: The Light of Christ.
+All: Thanks be to God.`;
+
+const LIGHT_OF_CHRIST_ES = `Diácono: Luz de Cristo.
+Todos: Demos gracias a Dios.`;
+
+const BLESSING_OF_WATER_ACCLAMATION = 'All: Springs of water, bless the Lord; praise and exalt him above all for ever.';
+const BLESSING_OF_WATER_ACCLAMATION_ES = 'Todos: Fuentes del Señor, bendigan al Señor; ensálcenlo con himnos por los siglos.';
+
+// The Easter dismissal, with its double Alleluia.
+const EASTER_DISMISSAL = `Deacon: Go forth, the Mass is ended, alleluia, alleluia.
+All: Thanks be to God, alleluia, alleluia.`;
+
+const EASTER_DISMISSAL_ES = `Diácono: Pueden ir en paz, aleluya, aleluya.
+Todos: Demos gracias a Dios, aleluya, aleluya.`;
+
+module.exports = {
+  PALM_SUNDAY_ANTIPHON,
+  PALM_SUNDAY_ANTIPHON_ES,
+  PROCESSION_INVITATION,
+  PROCESSION_INVITATION_ES,
+  SOLEMN_INTERCESSIONS,
+  SOLEMN_INTERCESSIONS_ES,
+  SHOWING_OF_THE_CROSS,
+  SHOWING_OF_THE_CROSS_ES,
+  LIGHT_OF_CHRIST,
+  LIGHT_OF_CHRIST_ES,
+  BLESSING_OF_WATER_ACCLAMATION,
+  BLESSING_OF_WATER_ACCLAMATION_ES,
+  EASTER_DISMISSAL,
+  EASTER_DISMISSAL_ES
+};
@@ -0,0 +1,240 @@
+// Section, heading and rubric labels in Spanish, keyed by the English label
+// the outline prints. A label with no entry prints in English in every
+// language (names of musical settings, parish blurbs and the like).
+'use strict';
+
+const { RUBRICS, RUBRICS_CLASSIC, RUBRICS_ES } = require('./mass-texts');
+
+const LABELS_ES = {
+  // Sections
+  'The Introductory Rites': 'Ritos Iniciales',
+  'The Liturgy of the Word': 'Liturgia de la Palabra',
+  'The Liturgy of the Eucharist': 'Liturgia Eucarística',
+  'The Communion Rite': 'Rito de la Comunión',
+  'The Concluding Rites': 'Rito de Conclusión',
+
+  // Headings and music slots
+  'Organ Prelude': 'Preludio',
+  'Processional Hymn': 'Canto de Entrada',
+  'Entrance Antiphon': 'Antífona de Entrada',
+  'Invocation': 'Invocación',
+  'Penitential Act': 'Acto Penitencial',
+  'Lord, Have Mercy': 'Señor, ten piedad',
+  'Lord Have Mercy': 'Señor, ten piedad',
+  'Gloria': 'Gloria',
+  'Glory to God': 'Gloria',
+  'Collect': 'Oración Colecta',
+  'First Reading': 'Primera Lectura',
+  'Responsorial Psalm': 'Salmo Responsorial',
+  'Second Reading': 'Segunda Lectura',
+  'Gospel Acclamation': 'Aclamación antes del Evangelio',
+  'Gospel Alleluia': 'Aleluya',
+  'Gospel': 'Evangelio',
+  'Homily': 'Homilía',
+  "The Apostles' Creed": 'Símbolo de los Apóstoles',
+  'The Nicene Creed': 'Símbolo Niceno-Constantinopolitano',
+  'Renewal of Baptismal Vows': 'Renovación de las Promesas Bautismales',
+  'Prayer of the Faithful': 'Oración Universal',
+  'Offertory': 'Ofertorio',
+  'Offertory Hymn': 'Canto de Ofertorio',
+  'Invitation to Prayer': 'Invitación a la Oración',
+  'Prayer over the Offerings': 'Oración sobre las Ofrendas',
+  'Holy, Holy, Holy': 'Santo',
+  'Mystery of Faith': 'Misterio de la Fe',
+  'Great Amen': 'Gran Amén',
+  "The Lord's Prayer": 'Padre Nuestro',
+  'Sign of Peace': 'Rito de la Paz',
+  'Lamb of God': 'Cordero de Dios',
+  'Communion Hymn': 'Canto de Comunión',
+  'Choral Anthem': 'Himno Coral',
+  'Prayer after Communion': 'Oración después de la Comunión',
+  'Hymn of Thanksgiving': 'Canto de Acción de Gracias',
+  'Blessing & Dismissal': 'Bendición y Despedida',
+  'Blessing and Dismissal': 'Bendición y Despedida',
+  'Organ Postlude': 'Postludio',
+  'Announcements': 'Avisos',
+
+  // Children's Liturgy of the Word
+  "Children's Liturgy of the Word": 'Liturgia de la Palabra para Niños',
+  "Children return from Children's Liturgy of the Word": 'Los niños regresan de la Liturgia de la Palabra para Niños',
+  'Led by': 'Dirigida por',
+  'Children are dismissed after the Opening Prayer and will rejoin during the Offertory.':
+    'Los niños salen después de la Oración Colecta y regresan durante el Ofertorio.',
+
+  // Rite inserts (config/rite-inserts.js): headings, music slots, rubrics
+  'Blessing and Sprinkling of Water': 'Bendición y Aspersión del Agua',
+  'Song during the Sprinkling': 'Canto durante la Aspersión',
+  'The Priest blesses the water, and the people are sprinkled with it.':
+    'El sacerdote bendice el agua y asperja con ella al pueblo.',
+  'Celebration of Baptism': 'Celebración del Bautismo',
+  'Acclamation after the Baptism': 'Aclamación después del Bautismo',
+  'The parents and godparents renounce sin and profess the faith of the Church, answering each question: "I do."':
+    'Los padres y padrinos renuncian al pecado y profesan la fe de la Iglesia, respondiendo a cada pregunta.',
+  'The children are baptized.': 'Los niños son bautizados.',
+  'Anointing with Chrism, Clothing with the White Garment and Presentation of the Lighted Candle.':
+    'Unción con el santo crisma, imposición de la vestidura blanca y entrega del cirio encendido.',
+  'Scrutiny': 'Escrutinio',
+  'Intercessions for the Elect': 'Preces por los Elegidos',
+  'Exorcism': 'Exorcismo',
+  'Song after the Exorcism': 'Canto después del Exorcismo',
+  'The elect come forward with their godparents. All pray for them in silence.':
+    'Los elegidos se acercan con sus padrinos. Todos oran por ellos en silencio.',
+  'The celebrant lays hands on each of the elect and prays over them.':
+    'El celebrante impone las manos sobre cada uno de los elegidos y ora por ellos.',
+  'The elect are dismissed.': 'Se despide a los elegidos.',
+  'Presentation of the First Communicants': 'Presentación de los Niños de Primera Comunión',
+  'Song of Thanksgiving': 'Canto de Acción de Gracias',
+  'The children receiving Holy Communion for the first time are called by name and stand with their families.':
+    'Los niños que reciben la Sagrada Comunión por primera vez son llamados por su nombre y se ponen de pie con sus familias.',
+  'Renewal of Baptismal Promises': 'Renovación de las Promesas Bautismales',
+  'The candidates renounce sin and profess the faith of the Church, answering each question: "I do."':
+    'Los confirmandos renuncian al pecado y profesan la fe de la Iglesia, respondiendo a cada pregunta.',
+  'The Laying on of Hands': 'Imposición de las Manos',
+  'The Bishop extends his hands over the candidates and prays for the gift of the Holy Spirit.':
+    'El obispo extiende las manos sobre los confirmandos y pide el don del Espíritu Santo.',
+  'The Anointing with Chrism': 'Crismación',
+  'Song during the Anointing': 'Canto durante la Crismación',
+  'Blessing of Throats': 'Bendición de las Gargantas',
+  'The Priest holds two crossed candles at the throat of each person and says:':
+    'El sacerdote coloca dos velas cruzadas en la garganta de cada persona y dice:',
+  'Blessing of Anniversary Couples': 'Bendición de los Matrimonios en su Aniversario',
+  'Song of Blessing': 'Canto de Bendición',
+  'The couples celebrating an anniversary of their marriage come forward, renew their commitment to each other and receive a blessing.':
+    'Los matrimonios que celebran un aniversario se acercan, renuevan su compromiso mutuo y reciben una bendición.',
+
+  // Holy Week (config/holy-week.js): sections, headings, music slots, rubrics
+  'The Commemoration of the Lord’s Entrance into Jerusalem': 'Conmemoración de la Entrada del Señor en Jerusalén',
+  'The faithful gather, holding branches.': 'Los fieles se reúnen con ramos en las manos.',
+  'Antiphon': 'Antífona',
+  'Blessing of Branches': 'Bendición de los Ramos',
+  'The Priest blesses the branches and sprinkles them with holy water.':
+    'El sacerdote bendice los ramos y los rocía con agua bendita.',
+  'Procession': 'Procesión',
+  'Hymn for the Procession': 'Canto para la Procesión',
+  'The Passion of the Lord': 'La Pasión del Señor',
+  'The Washing of Feet': 'El Lavatorio de los Pies',
+  'The Priest washes the feet of those chosen, as the Lord washed the feet of his disciples.':
+    'El sacerdote lava los pies de los elegidos, como el Señor lavó los pies de sus discípulos.',
+  'Song during the Washing of Feet': 'Canto durante el Lavatorio de los Pies',
+  'The Transfer of the Most Holy Eucharist': 'Traslado del Santísimo Sacramento',
+  'The Blessed Sacrament is carried in procession to the place of repose.':
+    'El Santísimo Sacramento es llevado en procesión al lugar de la reserva.',
+  'Pange Lingua': 'Pange Lingua',
+  'Tantum Ergo': 'Tantum Ergo',
+  'After a time of silent adoration, all depart in silence.':
+    'Después de un tiempo de adoración en silencio, todos se retiran en silencio.',
+  'The Celebration of the Passion of the Lord': 'Celebración de la Pasión del Señor',
+  'The Priest and the Deacon enter in silence and prostrate themselves before the altar.':
+    'El sacerdote y el diácono entran en silencio y se postran ante el altar.',
+  'Prayer': 'Oración',
+  'The Solemn Intercessions': 'Oración Universal',
+  'The Deacon announces each intention and all pray in silence; the Priest prays and all respond: Amen.':
+    'El diácono anuncia cada intención y todos oran en silencio; el sacerdote dice la oración y todos responden: Amén.',
+  'The Adoration of the Holy Cross': 'Adoración de la Santa Cruz',
+  'The Showing of the Holy Cross': 'Presentación de la Santa Cruz',
+  'All come forward to venerate the Cross.': 'Todos se acercan a venerar la Cruz.',
+  'Song during the Adoration of the Cross': 'Canto durante la Adoración de la Cruz',
+  'Holy Communion': 'Sagrada Comunión',
+  'Prayer over the People': 'Oración sobre el Pueblo',
+  'All depart in silence.': 'Todos se retiran en silencio.',
+  'The Solemn Beginning of the Vigil or Lucernarium': 'Comienzo Solemne de la Vigilia o Lucernario',
+  'The Blessing of the Fire and Preparation of the Candle': 'Bendición del Fuego y Preparación del Cirio',
+  'The faithful gather around a fire outside the church. The Priest blesses the fire and prepares the paschal candle.':
+    'Los fieles se reúnen alrededor del fuego fuera de la iglesia. El sacerdote bendice el fuego y prepara el cirio pascual.',
+  'The paschal candle is carried into the darkened church, and the people light their candles from it.':
+    'El cirio pascual es llevado a la iglesia a oscuras, y el pueblo enciende sus velas de él.',
+  'The Easter Proclamation (Exsultet)': 'Pregón Pascual (Exsultet)',
+  'Third Reading': 'Tercera Lectura',
+  'Fourth Reading': 'Cuarta Lectura',
+  'Fifth Reading': 'Quinta Lectura',
+  'Sixth Reading': 'Sexta Lectura',
+  'Seventh Reading': 'Séptima Lectura',
+  'Epistle': 'Epístola',
+  'Baptismal Liturgy': 'Liturgia Bautismal',
+  'The elect are called forward with their godparents.': 'Los elegidos son llamados a acercarse con sus padrinos.',
+  'Litany of the Saints': 'Letanía de los Santos',
+  'Blessing of Baptismal Water': 'Bendición del Agua Bautismal',
+  'The elect are baptized and confirmed.': 'Los elegidos son bautizados y confirmados.',
+  'The Renewal of Baptismal Promises': 'Renovación de las Promesas Bautismales',
+  'The people are sprinkled with the blessed water.': 'El pueblo es rociado con el agua bendita.',
+
+  // Sequences
+  'Sequence': 'Secuencia',
+
+  // Weddings and funerals (config/celebrations.js): cover titles,
+  // participants, sections, headings, music slots, rubrics
+  'The Celebration of Marriage': 'Celebración del Matrimonio',
+  'Mass of Christian Burial': 'Misa Exequial',
+  'In Loving Memory of': 'En memoria de',
+  'Participants': 'Participantes',
+  'Celebrant': 'Celebrante',
+  'Universal Prayer': 'Oración Universal',
+  'Witnesses': 'Testigos',
+  'Pallbearers': 'Portadores del Féretro',
+  'The Celebration of Matrimony': 'Celebración del Matrimonio',
+  'Questions before the Consent': 'Escrutinio',
+  'The Priest questions the bride and bridegroom about their freedom of choice, faithfulness to each other, and the acceptance and upbringing of children.':
+    'El sacerdote pregunta a los novios sobre su libertad, su fidelidad mutua y la aceptación y educación de los hijos.',
+  'Consent': 'Consentimiento',
+  'The bride and bridegroom join their right hands and declare their consent before God and the Church.':
+    'Los novios se dan la mano derecha y manifiestan su consentimiento ante Dios y la Iglesia.',
+  'Reception of the Consent': 'Aceptación del Consentimiento',
+  'Blessing and Giving of Rings': 'Bendición y Entrega de los Anillos',
+  'The Priest blesses the rings, and the bride and bridegroom place them on each other’s ring finger.':
+    'El sacerdote bendice los anillos, y los esposos se los colocan mutuamente.',
+  'Hymn or Canticle of Praise': 'Himno o Cántico de Alabanza',
+  'Nuptial Blessing': 'Bendición Nupcial',
+  'The bride and bridegroom kneel, and the Priest invokes God’s blessing upon them.':
+    'Los esposos se arrodillan, y el sacerdote invoca sobre ellos la bendición de Dios.',
+  'Reception of the Body': 'Recibimiento del Cuerpo',
+  'The Priest greets the family and friends at the door of the church.':
+    'El sacerdote saluda a la familia y a los amigos a la puerta de la iglesia.',
+  'Sprinkling with Holy Water': 'Aspersión con Agua Bendita',
+  'The coffin is sprinkled with holy water, in remembrance of Baptism.':
+    'El féretro es rociado con agua bendita, en recuerdo del Bautismo.',
+  'Placing of the Pall': 'Imposición del Paño Mortuorio',
+  'The pall, a reminder of the baptismal garment, is placed on the coffin.':
+    'Se coloca sobre el féretro el paño mortuorio, recuerdo de la vestidura bautismal.',
+  'The Final Commendation': 'Última Encomendación',
+  'After a brief silence, the coffin may be sprinkled with holy water and incensed.':
+    'Después de un breve silencio, el féretro puede ser rociado con agua bendita e incensado.',
+  'Song of Farewell': 'Canto de Despedida',
+  'Prayer of Commendation': 'Oración de Encomendación',
+  'Procession to the Place of Committal': 'Procesión al Lugar de la Sepultura',
+  'In Paradisum': 'In Paradisum',
+
+  // The Lectionary year on the cover (showLectionaryYear)
+  'Year A': 'Ciclo A',
+  'Year B': 'Ciclo B',
+  'Year C': 'Ciclo C',
+
+  // Filler pages
+  'Parish Life': 'Vida Parroquial',
+  'Connect': 'Conéctese',
+  'Nursery': 'Guardería',
+  'Request Prayer': 'Pida Oración',
+  'Restrooms': 'Baños',
+  'Notes': 'Notas',
+
+  // Posture directions, in both designs' wording
+  [RUBRICS.stand]: RUBRICS_ES.stand,
+  [RUBRICS.sit]: RUBRICS_ES.sit,
+  [RUBRICS.kneel]: RUBRICS_ES.kneel,
+  [RUBRICS_CLASSIC.stand]: RUBRICS_ES.stand,
+  [RUBRICS_CLASSIC.sit]: RUBRICS_ES.sit,
+  [RUBRICS_CLASSIC.kneel]: RUBRICS_ES.kneel,
+  [RUBRICS_CLASSIC.kneelOrSit]: RUBRICS_ES.kneelOrSit
+};
+
+// A label in the draft's language: English, Spanish, or for a bilingual
+// booklet both, English first ("Gospel / Evangelio"). Identical pairs
+// ("Gloria") print once.
+function localizeLabel(text, language) {
+  if (!text || !language || language === 'english') return text;
+  const es = LABELS_ES[text];
+  if (!es) return text;
+  if (language === 'spanish') return es;
+  return es === text ? text : `${text} / ${es}`;
+}
+
+module.exports = { LABELS_ES, localizeLabel };
@@ -1,4 +1,8 @@
-// Hardcoded Mass ordinary texts
+// Hardcoded Mass ordinary texts. The people's parts come in English and in
+// the Spanish of the Misal Romano approved for the dioceses of the United
+// States (the _ES constants), for Spanish and bilingual booklets. The
+// Ordinary parts also come in the Latin of the Missale Romanum (the _LATIN
+// constants).
 'use strict';
 
 const CONFITEOR = `I confess to almighty God
@@ -13,11 +17,125 @@ all the Angels and Saints,
 and you, my brothers and sisters,
 to pray for me to the Lord our God.`;
 
+const CONFITEOR_ES = `Yo confieso ante Dios todopoderoso
+y ante ustedes, hermanos,
+que he pecado mucho
+de pensamiento, palabra, obra y omisión.
+Por mi culpa, por mi culpa,
+por mi gran culpa.
+Por eso ruego a santa María, siempre Virgen,
+a los ángeles, a los santos
+y a ustedes, hermanos,
+que intercedan por mí ante Dios, nuestro Señor.`;
+
+const KYRIE = `Lord, have mercy.
+Christ, have mercy.
+Lord, have mercy.`;
+
+const KYRIE_ES = `Señor, ten piedad.
+Cristo, ten piedad.
+Señor, ten piedad.`;
+
+const KYRIE_LATIN = `Kyrie, eleison.
+Christe, eleison.
+Kyrie, eleison.`;
+
+const GLORIA = `Glory to God in the highest,
+and on earth peace to people of good will.
+We praise you,
+we bless you,
+we adore you,
+we glorify you,
+we give you thanks for your great glory,
+Lord God, heavenly King,
+O God, almighty Father.
+
+Lord Jesus Christ, Only Begotten Son,
+Lord God, Lamb of God, Son of the Father,
+you take away the sins of the world,
+have mercy on us;
+you take away the sins of the world,
+receive our prayer;
+you are seated at the right hand of the Father,
+have mercy on us.
+
+For you alone are the Holy One,
+you alone are the Lord,
+you alone are the Most High,
+Jesus Christ,
+with the Holy Spirit,
+in the glory of God the Father.
+Amen.`;
+
+const GLORIA_ES = `Gloria a Dios en el cielo,
+y en la tierra paz a los hombres que ama el Señor.
+Por tu inmensa gloria te alabamos,
+te bendecimos,
+te adoramos,
+te glorificamos,
+te damos gracias,
+Señor Dios, Rey celestial,
+Dios Padre todopoderoso.
+
+Señor, Hijo único, Jesucristo,
+Señor Dios, Cordero de Dios, Hijo del Padre;
+tú que quitas el pecado del mundo,
+ten piedad de nosotros;
+tú que quitas el pecado del mundo,
+atiende nuestra súplica;
+tú que estás sentado a la derecha del Padre,
+ten piedad de nosotros;
+
+porque sólo tú eres Santo,
+sólo tú Señor,
+sólo tú Altísimo, Jesucristo,
+con el Espíritu Santo
+en la gloria de Dios Padre.
+Amén.`;
+
+const GLORIA_LATIN = `Gloria in excelsis Deo
+et in terra pax hominibus bonae voluntatis.
+Laudamus te,
+benedicimus te,
+adoramus te,
+glorificamus te,
+gratias agimus tibi propter magnam gloriam tuam,
+Domine Deus, Rex caelestis,
+Deus Pater omnipotens.
+
+Domine Fili unigenite, Iesu Christe,
+Domine Deus, Agnus Dei, Filius Patris,
+qui tollis peccata mundi, miserere nobis;
+qui tollis peccata mundi, suscipe deprecationem nostram.
+Qui sedes ad dexteram Patris, miserere nobis.
+
+Quoniam tu solus Sanctus,
+tu solus Dominus,
+tu solus Altissimus, Iesu Christe,
+cum Sancto Spiritu:
+in gloria Dei Patris.
+Amen.`;
+
+// The Gloria's opening line, for drafts that print only the incipit.
+const GLORIA_INCIPIT = 'Glory to God in the highest, and on earth peace to people of good will.';
+const GLORIA_INCIPIT_ES = 'Gloria a Dios en el cielo, y en la tierra paz a los hombres que ama el Señor.';
+const GLORIA_INCIPIT_LATIN = 'Gloria in excelsis Deo et in terra pax hominibus bonae voluntatis.';
+
+// The people's response to the Universal Prayer's intentions, when the
+// draft doesn't give its own.
+const UNIVERSAL_PRAYER_RESPONSE = 'Lord, hear our prayer.';
+const UNIVERSAL_PRAYER_RESPONSE_ES = 'Te rogamos, óyenos.';
+
 const INVITATION_TO_PRAYER = {
   priest: 'Pray, brethren, that my sacrifice and yours may be acceptable to God, the almighty Father.',
   all: 'May the Lord accept the sacrifice at your hands for the praise and glory of his name, for our good and the good of all his holy Church.'
 };
 
+const INVITATION_TO_PRAYER_ES = {
+  priest: 'Oren, hermanos, para que este sacrificio, mío y de ustedes, sea agradable a Dios, Padre todopoderoso.',
+  all: 'El Señor reciba de tus manos este sacrificio, para alabanza y gloria de su nombre, para nuestro bien y el de toda su santa Iglesia.'
+};
+
 const HOLY_HOLY_HOLY_ENGLISH = `Holy, Holy, Holy Lord God of hosts.
 Heaven and earth are full of your glory.
 Hosanna in the highest.
@@ -31,11 +149,18 @@ Hosanna in excelsis.
 Benedictus qui venit in nomine Domini.
 Hosanna in excelsis.`;
 
+const HOLY_HOLY_HOLY_SPANISH = `Santo, Santo, Santo es el Señor, Dios del Universo.
+Llenos están el cielo y la tierra de tu gloria.
+Hosanna en el cielo.
+Bendito el que viene en nombre del Señor.
+Hosanna en el cielo.`;
+
 // Back-compat alias (older tests / code expect HOLY_HOLY_HOLY).
 const HOLY_HOLY_HOLY = HOLY_HOLY_HOLY_ENGLISH;
 
 function getHolyHolyHolyText(language) {
-  return language === 'latin' ? HOLY_HOLY_HOLY_LATIN : HOLY_HOLY_HOLY_ENGLISH;
+  if (language === 'latin') return HOLY_HOLY_HOLY_LATIN;
+  return language === 'spanish' ? HOLY_HOLY_HOLY_SPANISH : HOLY_HOLY_HOLY_ENGLISH;
 }
 
 const MYSTERY_OF_FAITH_OPTIONS = {
@@ -44,6 +169,12 @@ const MYSTERY_OF_FAITH_OPTIONS = {
   C: 'Save us, Savior of the world, for by your Cross and Resurrection you have set us free.'
 };
 
+const MYSTERY_OF_FAITH_OPTIONS_ES = {
+  A: 'Anunciamos tu muerte, proclamamos tu resurrección. ¡Ven, Señor Jesús!',
+  B: 'Cada vez que comemos de este pan y bebemos de este cáliz, anunciamos tu muerte, Señor, hasta que vuelvas.',
+  C: 'Salvador del mundo, sálvanos, que nos has liberado por tu cruz y resurrección.'
+};
+
 const LORDS_PRAYER = `Our Father, who art in heaven,
 hallowed be thy name;
 thy kingdom come,
@@ -55,13 +186,47 @@ as we forgive those who trespass against us;
 and lead us not into temptation,
 but deliver us from evil.`;
 
+const LORDS_PRAYER_ES = `Padre nuestro, que estás en el cielo,
+santificado sea tu Nombre;
+venga a nosotros tu reino;
+hágase tu voluntad
+en la tierra como en el cielo.
+Danos hoy nuestro pan de cada día;
+perdona nuestras ofensas,
+como también nosotros perdonamos
+a los que nos ofenden;
+no nos dejes caer en la tentación,
+y líbranos del mal.`;
+
+const PATER_NOSTER = `Pater noster, qui es in caelis,
+sanctificetur nomen tuum;
+adveniat regnum tuum;
+fiat voluntas tua,
+sicut in caelo, et in terra.
+Panem nostrum cotidianum da nobis hodie;
+et dimitte nobis debita nostra,
+sicut et nos dimittimus debitoribus nostris;
+et ne nos inducas in tentationem;
+sed libera nos a malo.`;
+
 const AGNUS_DEI_TEXT = `Lamb of God, you take away the sins of the world, have mercy on us.
 Lamb of God, you take away the sins of the world, have mercy on us.
 Lamb of God, you take away the sins of the world, grant us peace.`;
 
+const AGNUS_DEI_TEXT_ES = `Cordero de Dios, que quitas el pecado del mundo, ten piedad de nosotros.
+Cordero de Dios, que quitas el pecado del mundo, ten piedad de nosotros.
+Cordero de Dios, que quitas el pecado del mundo, danos la paz.`;
+
+const AGNUS_DEI_LATIN = `Agnus Dei, qui tollis peccata mundi: miserere nobis.
+Agnus Dei, qui tollis peccata mundi: miserere nobis.
+Agnus Dei, qui tollis peccata mundi: dona nobis pacem.`;
+
 const GOSPEL_ACCLAMATION_LENTEN = 'Praise to you, Lord Jesus Christ, King of endless glory!';
 const GOSPEL_ACCLAMATION_LENTEN_ALT = 'Glory and praise to you, Lord Jesus Christ!';
 const GOSPEL_ACCLAMATION_STANDARD = 'Alleluia, alleluia!';
+const GOSPEL_ACCLAMATION_LENTEN_ES = '¡Alabanza a ti, oh Cristo, rey de eterna gloria!';
+const GOSPEL_ACCLAMATION_LENTEN_ALT_ES = '¡Honor y gloria a ti, Señor Jesús!';
+const GOSPEL_ACCLAMATION_STANDARD_ES = '¡Aleluya, aleluya!';
 
 // Posture directions. Per the director of liturgy: no leading cross/symbol
 // and no trailing punctuation — just the bare direction.
@@ -81,19 +246,51 @@ const RUBRICS_CLASSIC = {
   kneelOrSit: 'Please kneel or be seated'
 };
 
+// Spanish posture directions: the short forms Spanish worship aids print,
+// so a bilingual direction still fits on its heading line.
+const RUBRICS_ES = {
+  stand: 'De pie',
+  sit: 'Sentados',
+  kneel: 'De rodillas',
+  kneelOrSit: 'De rodillas o sentados'
+};
+
 module.exports = {
   CONFITEOR,
+  CONFITEOR_ES,
+  KYRIE,
+  KYRIE_ES,
+  KYRIE_LATIN,
+  GLORIA,
+  GLORIA_ES,
+  GLORIA_LATIN,
+  GLORIA_INCIPIT,
+  GLORIA_INCIPIT_ES,
+  GLORIA_INCIPIT_LATIN,
+  UNIVERSAL_PRAYER_RESPONSE,
+  UNIVERSAL_PRAYER_RESPONSE_ES,
   INVITATION_TO_PRAYER,
+  INVITATION_TO_PRAYER_ES,
   HOLY_HOLY_HOLY,
   HOLY_HOLY_HOLY_ENGLISH,
   HOLY_HOLY_HOLY_LATIN,
+  HOLY_HOLY_HOLY_SPANISH,
   getHolyHolyHolyText,
   MYSTERY_OF_FAITH_OPTIONS,
+  MYSTERY_OF_FAITH_OPTIONS_ES,
   LORDS_PRAYER,
+  LORDS_PRAYER_ES,
+  PATER_NOSTER,
   AGNUS_DEI_TEXT,
+  AGNUS_DEI_TEXT_ES,
+  AGNUS_DEI_LATIN,
   GOSPEL_ACCLAMATION_LENTEN,
   GOSPEL_ACCLAMATION_LENTEN_ALT,
   GOSPEL_ACCLAMATION_STANDARD,
+  GOSPEL_ACCLAMATION_LENTEN_ES,
+  GOSPEL_ACCLAMATION_LENTEN_ALT_ES,
+  GOSPEL_ACCLAMATION_STANDARD_ES,
   RUBRICS,
-  RUBRICS_CLASSIC
+  RUBRICS_CLASSIC,
+  RUBRICS_ES
 };
@@ -0,0 +1,67 @@
+// Texts for the rite inserts (config/rite-inserts.js): the people's parts
+// of sacraments and blessings celebrated within Mass, from the Roman
+// Missal, the Order of Baptism of Children, the Order of Confirmation,
+// the Order of Christian Initiation of Adults and the Book of Blessings.
+// The _ES constants follow the editions approved for the dioceses of the
+// United States.
+'use strict';
+
+const SPRINKLING_CONCLUSION = `Priest: May almighty God cleanse us of our sins,
+and through the celebration of this Eucharist
+make us worthy to share at the table of his Kingdom.
+All: Amen.`;
+
+const SPRINKLING_CONCLUSION_ES = `Sacerdote: Dios todopoderoso nos purifique del pecado
+y, por la celebración de esta Eucaristía,
+nos haga dignos de participar en la mesa de su Reino.
+Todos: Amén.`;
+
+// The assent that closes the renunciation and profession of faith at
+// Baptism and Confirmation.
+const PROFESSION_ASSENT = `Celebrant: This is our faith.
+This is the faith of the Church.
+We are proud to profess it in Christ Jesus our Lord.
+All: Amen.`;
+
+const PROFESSION_ASSENT_ES = `Celebrante: Ésta es nuestra fe.
+Ésta es la fe de la Iglesia,
+que nos gloriamos de profesar en Cristo Jesús, nuestro Señor.
+Todos: Amén.`;
+
+const CHRISMATION = `Bishop: N., be sealed with the Gift of the Holy Spirit.
+Newly confirmed: Amen.
+Bishop: Peace be with you.
+Newly confirmed: And with your spirit.`;
+
+const CHRISMATION_ES = `Obispo: N., recibe por esta señal el don del Espíritu Santo.
+Confirmado: Amén.
+Obispo: La paz sea contigo.
+Confirmado: Y con tu espíritu.`;
+
+const SCRUTINY_RESPONSE = 'R. Lord, hear our prayer.';
+const SCRUTINY_RESPONSE_ES = 'R. Te rogamos, óyenos.';
+
+const BLESSING_OF_THROATS = `Through the intercession of Saint Blaise, bishop and martyr,
+may God deliver you from every disease of the throat
+and from every other illness:
+In the name of the Father, and of the Son, and of the Holy Spirit.
+All: Amen.`;
+
+const BLESSING_OF_THROATS_ES = `Por intercesión de san Blas, obispo y mártir,
+Dios te libre de los males de garganta
+y de cualquier otra enfermedad.
+En el nombre del Padre, y del Hijo, y del Espíritu Santo.
+Todos: Amén.`;
+
+module.exports = {
+  SPRINKLING_CONCLUSION,
+  SPRINKLING_CONCLUSION_ES,
+  PROFESSION_ASSENT,
+  PROFESSION_ASSENT_ES,
+  CHRISMATION,
+  CHRISMATION_ES,
+  SCRUTINY_RESPONSE,
+  SCRUTINY_RESPONSE_ES,
+  BLESSING_OF_THROATS,
+  BLESSING_OF_THROATS_ES
+};
@@ -0,0 +1,164 @@
+// The Sequences (config/sequences.js), from the Lectionary for Mass. The
+// _ES constants follow the Leccionario approved for the dioceses of the
+// United States. Lauda Sion is the shorter form the Lectionary allows,
+// beginning at "Lo! the angel's food is given".
+'use strict';
+
+const VICTIMAE_PASCHALI = `Christians, to the Paschal Victim
+Offer your thankful praises!
+A Lamb the sheep redeems;
+Christ, who only is sinless,
+Reconciles sinners to the Father.
+Death and life have contended in that combat stupendous:
+The Prince of life, who died, reigns immortal.
+Speak, Mary, declaring
+What you saw, wayfaring.
+“The tomb of Christ, who is living,
+The glory of Jesus’ resurrection;
+Bright angels attesting,
+The shroud and napkin resting.
+Yes, Christ my hope is arisen;
+To Galilee he goes before you.”
+Christ indeed from death is risen, our new life obtaining.
+Have mercy, victor King, ever reigning!
+Amen. Alleluia.`;
+
+const VICTIMAE_PASCHALI_ES = `Ofrezcan los cristianos
+ofrendas de alabanza
+a gloria de la Víctima
+propicia de la Pascua.
+Cordero sin pecado
+que a las ovejas salva,
+a Dios y a los culpables
+unió con nueva alianza.
+Lucharon vida y muerte
+en singular batalla,
+y, muerto el que es la Vida,
+triunfante se levanta.
+“¿Qué has visto de camino,
+María, en la mañana?”
+“A mi Señor glorioso,
+la tumba abandonada,
+los ángeles testigos,
+sudarios y mortaja.
+¡Resucitó de veras
+mi amor y mi esperanza!
+Vengan a Galilea,
+allí el Señor aguarda;
+allí verán los suyos
+la gloria de la Pascua.”
+Primicia de los muertos,
+sabemos por tu gracia
+que estás resucitado;
+la muerte en ti no manda.
+Rey vencedor, apiádate
+de la miseria humana
+y da a tus fieles parte
+en tu victoria santa.`;
+
+const VENI_SANCTE_SPIRITUS = `Come, Holy Spirit, come!
+And from your celestial home
+Shed a ray of light divine!
+Come, Father of the poor!
+Come, source of all our store!
+Come, within our bosoms shine.
+You, of comforters the best;
+You, the soul’s most welcome guest;
+Sweet refreshment here below;
+In our labor, rest most sweet;
+Grateful coolness in the heat;
+Solace in the midst of woe.
+O most blessed Light divine,
+Shine within these hearts of yours,
+And our inmost being fill!
+Where you are not, we have naught,
+Nothing good in deed or thought,
+Nothing free from taint of ill.
+Heal our wounds, our strength renew;
+On our dryness pour your dew;
+Wash the stains of guilt away:
+Bend the stubborn heart and will;
+Melt the frozen, warm the chill;
+Guide the steps that go astray.
+On the faithful, who adore
+And confess you, evermore
+In your sevenfold gift descend;
+Give them virtue’s sure reward;
+Give them your salvation, Lord;
+Give them joys that never end. Amen. Alleluia.`;
+
+const VENI_SANCTE_SPIRITUS_ES = `Ven, Dios Espíritu Santo,
+y envíanos desde el cielo
+tu luz, para iluminarnos.
+Ven ya, padre de los pobres,
+luz que penetra en las almas,
+dador de todos los dones.
+Fuente de todo consuelo,
+amable huésped del alma,
+paz en las horas de duelo.
+Eres pausa en el trabajo;
+brisa, en un clima de fuego;
+consuelo, en medio del llanto.
+Ven, luz santificadora,
+y entra hasta el fondo del alma
+de todos los que te adoran.
+Sin tu inspiración divina
+los hombres nada podemos
+y el pecado nos domina.
+Lava nuestras inmundicias,
+fecunda nuestros desiertos
+y cura nuestras heridas.
+Doblega nuestra soberbia,
+calienta nuestra frialdad,
+endereza nuestras sendas.
+Concede a todos tus fieles,
+que en ti confían y esperan,
+tus sagrados siete dones.
+Danos virtudes y méritos,
+danos una buena muerte
+y contigo el gozo eterno.`;
+
+const LAUDA_SION = `Lo! the angel’s food is given
+To the pilgrim who has striven;
+See the children’s bread from heaven,
+Which on dogs may not be spent.
+Truth the ancient types fulfilling,
+Isaac bound, a victim willing,
+Paschal lamb, its lifeblood spilling,
+Manna to the fathers sent.
+Very bread, good shepherd, tend us,
+Jesu, of your love befriend us,
+You refresh us, you defend us,
+Your eternal goodness send us
+In the land of life to see.
+You who all things can and know,
+Who on earth such food bestow,
+Grant us with your saints, though lowest,
+Where the heav’nly feast you show,
+Fellow heirs and guests to be. Amen. Alleluia.`;
+
+const LAUDA_SION_ES = `El pan que del cielo baja
+es comida de viajeros.
+Es un pan para los hijos.
+¡No hay que tirarlo a los perros!
+Isaac, el inocente,
+es figura de este pan,
+con el cordero de Pascua
+y el misterioso maná.
+Ten compasión de nosotros,
+buen pastor, pan verdadero.
+Apaciéntanos y cuídanos
+y condúcenos al cielo.
+Todo lo puedes y sabes,
+pastor de ovejas, divino.
+Concédenos en el cielo
+gozar la herencia contigo. Amén.`;
+
+module.exports = {
+  VICTIMAE_PASCHALI,
+  VICTIMAE_PASCHALI_ES,
+  VENI_SANCTE_SPIRITUS,
+  VENI_SANCTE_SPIRITUS_ES,
+  LAUDA_SION,
+  LAUDA_SION_ES
+};
@@ -4,10 +4,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const { validateInput, detectOverflows } = require('./validator');
-const { generatePdf, buildFilename } = require('./pdf-generator');
+const { validateInput } = require('./validator');
+const { generatePdf, generateImposedPdf, generateMassEditions, layoutBooklet, buildFilename } = require('./pdf-generator');
 const { renderBookletHtml } = require('./template-renderer');
 const store = require('./store/file-store');
+const themeRegistry = require('./store/theme-registry');
+const { calendarOptions } = require('./config/proper-calendar');
 
 const args = process.argv.slice(2);
 
@@ -21,17 +23,36 @@ Usage:
 Options:
   --output, -o <path>   Output directory (default: ./data/exports)
   --html                Also generate HTML preview
+  --impose              Printer spreads for saddle-stitch (11x17 sheets for
+                        tabloid, 8.5x11 for half-letter) instead of reader order
+  --creep <inches>      Creep compensation per sheet for --impose (e.g. 0.01)
+  --per-mass            One booklet per Mass (only that Mass's music and
+                        notation), written as <name>__<mass>.pdf files
+  --pages <n>           Booklet length: 8 (default), 12, 16, or auto (as many
+                        as the content needs, rounded up to a multiple of 4);
+                        overrides the input's pageCount
+  --auto-fit            When content runs long, also narrow music, drop the
+                        hymn paste boxes and set psalm/Creed in two columns
+                        (text stays at or above the parish minimum font size)
+  --large-print         Large-print edition: letter pages, one column,
+                        16-18pt text, no cover art, as many pages as needed;
+                        written as <name>__large-print.pdf
   --help, -h            Show this help
 
 Examples:
   worship-aid sample/second-sunday-lent.json
   worship-aid input.json --output ./build
   worship-aid input.json --html
+  worship-aid input.json --impose --creep 0.01
+  worship-aid input.json --per-mass
+  worship-aid input.json --auto-fit
+  worship-aid input.json --pages 12
+  worship-aid input.json --large-print
 `);
 }
 
 // Options that consume the following argument as their value.
-const OPTIONS_WITH_VALUE = new Set(['--output', '-o']);
+const OPTIONS_WITH_VALUE = new Set(['--output', '-o', '--creep', '--pages']);
 
 // Locate the positional input file, skipping option flags AND their values
 // (e.g. `worship-aid -o ./build input.json` must not treat "./build" as the
@@ -65,6 +86,16 @@ async function main() {
   }
 
   const generateHtml = args.includes('--html');
+  const impose = args.includes('--impose');
+  const perMass = args.includes('--per-mass');
+  const autoFit = args.includes('--auto-fit');
+  const largePrint = args.includes('--large-print');
+  if (largePrint && (impose || perMass)) {
+    console.error('Error: --large-print can\'t be combined with --impose or --per-mass.');
+    process.exit(1);
+  }
+  const creepIdx = args.indexOf('--creep');
+  const creepIn = creepIdx !== -1 ? parseFloat(args[creepIdx + 1]) || 0 : 0;
   let outputDir = store.getExportsDir();
   const outputIdx = args.indexOf('--output') !== -1 ? args.indexOf('--output') : args.indexOf('-o');
   if (outputIdx !== -1 && args[outputIdx + 1]) {
@@ -79,6 +110,11 @@ async function main() {
     console.error(`Error reading input file: ${err.message}`);
     process.exit(1);
   }
+  const pagesIdx = args.indexOf('--pages');
+  if (pagesIdx !== -1) {
+    const p = args[pagesIdx + 1];
+    data.pageCount = p === 'auto' ? 'auto' : Number(p);
+  }
 
   const validation = validateInput(data);
   if (!validation.valid) {
@@ -87,21 +123,18 @@ async function main() {
     process.exit(1);
   }
 
-  // Overflow warnings
-  const overflows = detectOverflows(data);
-  if (overflows.length > 0) {
-    console.log(`\nOverflow warnings (${overflows.length}):`);
-    for (const o of overflows) console.log(`  Page ${o.page}: ${o.message}`);
-  }
-
   fs.mkdirSync(outputDir, { recursive: true });
 
-  const filename = buildFilename(data);
+  const filename = impose ? buildFilename(data).replace(/\.pdf$/, '__spreads.pdf')
+    : largePrint ? buildFilename(data).replace(/\.pdf$/, '__large-print.pdf')
+    : buildFilename(data);
   const pdfPath = path.join(outputDir, filename);
 
   // loadSettings is async — without await the renderers would silently see
   // a Promise and fall back to default parish settings.
   const settings = await store.loadSettings();
+  // The parish's proper calendar ranks and colors the date as the server does.
+  data.calendar = calendarOptions(settings);
 
   console.log('Generating PDF...');
   const { resolveNotationImages } = require('./notation-resolver');
@@ -109,13 +142,59 @@ async function main() {
   if (notation.missing.length) {
     console.warn('Notation images missing for: ' + notation.missing.join(', '));
   }
-  const result = await generatePdf(data, pdfPath, { parishSettings: settings, notationImages: notation.images });
-  console.log(`PDF created: ${result.outputPath}`);
+  // A parish theme's design id (and its uploaded fonts) only resolves
+  // through the registry.
+  const resolved = await themeRegistry.resolveDesign(data.design || 'reimagined');
+  if (!resolved) {
+    console.error(`Error: Unknown design "${data.design}".`);
+    process.exit(1);
+  }
+  const pdfOptions = {
+    parishSettings: settings,
+    theme: resolved.theme,
+    customFonts: resolved.customFonts,
+    notationImages: notation.images,
+    creepIn,
+    autoFit,
+    largePrint
+  };
+
+  // Overflow warnings from a dry run of the real paginator
+  const layout = layoutBooklet(data, pdfOptions);
+  const overflows = layout.overflows;
+  console.log(`Layout: ${layout.pagesNeeded} of ${layout.targetPages} pages needed at ${Math.round(layout.textScale * 100)}% text scale`);
+  if (overflows.length > 0) {
+    console.log(`\nOverflow warnings (${overflows.length}):`);
+    for (const o of overflows) console.log(`  Page ${o.page}: ${o.message}`);
+  }
+  let result;
+  if (perMass) {
+    const { resolveMassNotationImages } = require('./notation-resolver');
+    const massNotation = await resolveMassNotationImages(data);
+    if (massNotation.missing.length) {
+      console.warn('Per-Mass notation images missing for: ' + massNotation.missing.join(', '));
+    }
+    const out = await generateMassEditions(data, outputDir, {
+      ...pdfOptions,
+      massNotationImages: massNotation.images,
+      imposition: impose ? 'saddle-stitch' : 'reader'
+    });
+    for (const e of out.editions) console.log(`PDF created (${e.mass.label}): ${e.outputPath}`);
+    result = { outputPath: out.editions.map(e => e.outputPath).join(', '), warnings: out.warnings };
+  } else {
+    result = await (impose ? generateImposedPdf : generatePdf)(data, pdfPath, pdfOptions);
+    console.log(`PDF created: ${result.outputPath}`);
+    if (result.imposed) {
+      console.log(`  Printer spreads: ${result.bookletPageCount} booklet pages on ${result.sheetCount} sheet(s)`);
+    }
+  }
 
   if (generateHtml) {
     console.log('Generating HTML preview...');
-    const { html, warnings: htmlWarnings } = renderBookletHtml(data, { parishSettings: settings });
-    const htmlFilename = filename.replace('.pdf', '.html');
+    // The preview is of the booklet; large print has no HTML form.
+    const htmlLayout = largePrint ? layoutBooklet(data, { ...pdfOptions, largePrint: false }) : layout;
+    const { html, warnings: htmlWarnings } = renderBookletHtml(data, { parishSettings: settings, layout: htmlLayout });
+    const htmlFilename = (largePrint ? buildFilename(data) : filename).replace('.pdf', '.html');
     const htmlPath = path.join(outputDir, htmlFilename);
     fs.writeFileSync(htmlPath, html, 'utf8');
     console.log(`HTML created: ${htmlPath}`);
@@ -128,7 +207,10 @@ async function main() {
     `Worship Aid Generator — Build Log`,
     `Date: ${new Date().toISOString()}`,
     `Input: ${inputFile}`,
-    `Output: ${pdfPath}`,
+    `Output: ${result.outputPath}`,
+    '',
+    `Layout: ${layout.pagesNeeded} of ${layout.targetPages} pages needed at ${Math.round(layout.textScale * 100)}% text scale`,
+    ...layout.pages.filter(p => !p.cover).map(p => `  Page ${p.page}: ${Math.round(p.remaining)}pt free`),
     '',
     `Overflows (${overflows.length}):`,
     ...overflows.map(o => `  Page ${o.page}: ${o.message}`),
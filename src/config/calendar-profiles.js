@@ -0,0 +1,69 @@
+// Calendar profiles: the calendars of the bishops' conferences the tool
+// knows, chosen in parish settings (settings.calendarProfile) and passed to
+// the calendar engine (liturgical-calendar.js) as opts.profile. Each:
+//   label     — as the Settings page names it
+//   epiphany  — 'sunday' (the Sunday between Jan 2 and Jan 8) or 'january6'
+//   ascension — 'sunday' (the Seventh Sunday of Easter) or 'thursday'
+//               (Easter + 39); a province that keeps the Thursday where the
+//               conference moves it passes opts.ascensionOnThursday
+//   allSouls  — 'sunday' to keep All Souls on a Sunday, 'monday' to move it
+//               to Monday, November 3
+//   toSunday  — the days (month * 100 + day) whose celebrations move to the
+//               Sunday when they fall on a Saturday or a Monday, and
+//               'epiphany' for a Jan 6 Epiphany that does
+//   holyDays  — the holy days of obligation besides the Sundays: days as
+//               above, 'epiphany' and 'ascension'
+//   lapses    — the holy days whose obligation lapses on a Saturday or a
+//               Monday
+//   saints    — the national calendar: the days it changes in the General
+//               Roman Calendar (config/proper-of-saints.js)
+'use strict';
+
+const { UNITED_STATES, CANADA, ENGLAND_AND_WALES, AUSTRALIA } = require('./proper-of-saints');
+
+const CALENDAR_PROFILES = {
+  us: {
+    label: 'United States (USCCB)',
+    epiphany: 'sunday',
+    ascension: 'sunday',
+    allSouls: 'sunday',
+    toSunday: [],
+    holyDays: [101, 'ascension', 815, 1101, 1208, 1225],
+    lapses: [101, 815, 1101],
+    saints: UNITED_STATES
+  },
+  canada: {
+    label: 'Canada (CCCB)',
+    epiphany: 'sunday',
+    ascension: 'sunday',
+    allSouls: 'sunday',
+    toSunday: [],
+    holyDays: [101, 1225],
+    lapses: [],
+    saints: CANADA
+  },
+  englandWales: {
+    label: 'England and Wales',
+    epiphany: 'january6',
+    ascension: 'thursday',
+    allSouls: 'monday',
+    toSunday: ['epiphany', 629, 815, 1101],
+    holyDays: ['epiphany', 'ascension', 629, 815, 1101, 1225],
+    lapses: [],
+    saints: ENGLAND_AND_WALES
+  },
+  australia: {
+    label: 'Australia (ACBC)',
+    epiphany: 'sunday',
+    ascension: 'sunday',
+    allSouls: 'sunday',
+    toSunday: [],
+    holyDays: [815, 1225],
+    lapses: [],
+    saints: AUSTRALIA
+  }
+};
+
+const DEFAULT_CALENDAR_PROFILE = 'us';
+
+module.exports = { CALENDAR_PROFILES, DEFAULT_CALENDAR_PROFILE };
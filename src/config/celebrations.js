@@ -0,0 +1,260 @@
+// Weddings and funerals: booklets for a celebration other than the Sunday
+// Mass, chosen by data.celebrationType ('sunday', the default, for the
+// Sunday Mass). The family's answers live in data.celebration:
+//   names      — the couple, or the deceased (one name)
+//   born, died — the deceased's dates (YYYY-MM-DD), on the funeral cover
+//   time       — the time of the celebration, on the cover
+//   ministers  — { celebrant, firstReader, secondReader, intentionsReader,
+//                  witnesses, pallbearers }, listed at the head of the
+//                  Order of Worship
+//   readings   — { first, psalm, second, gospel }: citations chosen from
+//                  the rite's options (RITUAL_READINGS), standing in for
+//                  the draft's own when those are left empty
+//   music      — { slot: { title, composer } } for the rite's own slots
+// The photo is the 'celebrationPhoto' entry of data.notationImages, an
+// upload resolved and embedded like the notation.
+//
+// Each celebration's rites are inserts in the rite-insert format
+// (config/rite-inserts.js), plus two more anchors:
+//   beforeEntrance   — after the Prelude, before the Entrance
+//   afterLordsPrayer — after the Lord's Prayer
+// A wedding outside Mass (noMass) has an outline of its own
+// (celebrationOfMatrimony in mass-outline.js). seasonal overrides the
+// season's defaults, as a Holy Week liturgy's does, and color the day's
+// liturgical color: white for a wedding, violet for a funeral.
+'use strict';
+
+const {
+  RECEPTION_OF_CONSENT, RECEPTION_OF_CONSENT_ES, CONSENT_ACCLAMATION, CONSENT_ACCLAMATION_ES,
+  IN_PARADISUM, IN_PARADISUM_ES
+} = require('../assets/text/celebration-texts');
+
+const PHOTO_SLOT = 'celebrationPhoto';
+
+const CELEBRATION_OF_MATRIMONY = {
+  anchor: 'afterHomily',
+  omits: ['creed'],
+  parts: [
+    [
+      { section: 'The Celebration of Matrimony' },
+      { heading: 'Questions before the Consent', posture: 'stand' },
+      { rubric: 'The Priest questions the bride and bridegroom about their freedom of choice, faithfulness to each other, and the acceptance and upbringing of children.' }
+    ],
+    [
+      { heading: 'Consent' },
+      { rubric: 'The bride and bridegroom join their right hands and declare their consent before God and the Church.' }
+    ],
+    [
+      { heading: 'Reception of the Consent' },
+      { text: RECEPTION_OF_CONSENT, es: RECEPTION_OF_CONSENT_ES },
+      { text: CONSENT_ACCLAMATION, es: CONSENT_ACCLAMATION_ES, bold: true }
+    ],
+    [
+      { heading: 'Blessing and Giving of Rings' },
+      { rubric: 'The Priest blesses the rings, and the bride and bridegroom place them on each other’s ring finger.' }
+    ],
+    [{ music: 'songOfPraise', label: 'Hymn or Canticle of Praise' }]
+  ]
+};
+
+const NUPTIAL_BLESSING = {
+  anchor: 'afterLordsPrayer',
+  omits: [],
+  parts: [
+    [
+      { heading: 'Nuptial Blessing' },
+      { rubric: 'The bride and bridegroom kneel, and the Priest invokes God’s blessing upon them.' }
+    ]
+  ]
+};
+
+const CELEBRATIONS = {
+  weddingMass: {
+    name: 'Wedding within Mass',
+    title: 'The Celebration of Marriage',
+    rite: 'wedding',
+    color: 'white',
+    seasonal: { gloria: true, entranceType: 'processional', includePostlude: true, adventWreath: false },
+    inserts: [CELEBRATION_OF_MATRIMONY, NUPTIAL_BLESSING]
+  },
+  wedding: {
+    name: 'Wedding outside Mass',
+    title: 'The Celebration of Marriage',
+    rite: 'wedding',
+    noMass: true,
+    color: 'white',
+    seasonal: { gloria: false, entranceType: 'processional', includePostlude: true, adventWreath: false },
+    inserts: [CELEBRATION_OF_MATRIMONY, NUPTIAL_BLESSING]
+  },
+  funeral: {
+    name: 'Funeral Mass',
+    title: 'Mass of Christian Burial',
+    rite: 'funeral',
+    color: 'violet',
+    seasonal: { gloria: false, entranceType: 'processional', includePostlude: false, adventWreath: false },
+    inserts: [
+      {
+        anchor: 'beforeEntrance',
+        omits: ['penitentialAct', 'kyrie', 'creed'],
+        parts: [
+          [
+            { heading: 'Reception of the Body', posture: 'stand' },
+            { rubric: 'The Priest greets the family and friends at the door of the church.' }
+          ],
+          [
+            { heading: 'Sprinkling with Holy Water' },
+            { rubric: 'The coffin is sprinkled with holy water, in remembrance of Baptism.' }
+          ],
+          [
+            { heading: 'Placing of the Pall' },
+            { rubric: 'The pall, a reminder of the baptismal garment, is placed on the coffin.' }
+          ]
+        ]
+      },
+      {
+        anchor: 'concluding',
+        omits: [],
+        parts: [
+          [
+            { section: 'The Final Commendation' },
+            { heading: 'Invitation to Prayer' },
+            { rubric: 'After a brief silence, the coffin may be sprinkled with holy water and incensed.' }
+          ],
+          [{ music: 'songOfFarewell', label: 'Song of Farewell' }],
+          [{ heading: 'Prayer of Commendation' }],
+          [
+            { heading: 'Procession to the Place of Committal' },
+            { music: 'inParadisum', label: 'In Paradisum' },
+            { text: IN_PARADISUM, es: IN_PARADISUM_ES }
+          ]
+        ]
+      }
+    ]
+  }
+};
+
+// The ministers listed at the head of each rite's Order of Worship:
+// field -> label, in print order.
+const MINISTER_ROLES = {
+  wedding: {
+    celebrant: 'Celebrant',
+    firstReader: 'First Reading',
+    secondReader: 'Second Reading',
+    intentionsReader: 'Universal Prayer',
+    witnesses: 'Witnesses'
+  },
+  funeral: {
+    celebrant: 'Celebrant',
+    firstReader: 'First Reading',
+    secondReader: 'Second Reading',
+    intentionsReader: 'Universal Prayer',
+    pallbearers: 'Pallbearers'
+  }
+};
+
+// The readings each rite offers, from the Lectionary for Mass: Ritual
+// Masses for the Celebration of Marriage (801–805) and Masses for the Dead
+// (1011–1016). A psalm option carries its refrain.
+const RITUAL_READINGS = {
+  wedding: {
+    first: [
+      'Gn 1:26-28, 31a', 'Gn 2:18-24', 'Gn 24:48-51, 58-67', 'Tb 7:6-14', 'Tb 8:4b-8',
+      'Prv 31:10-13, 19-20, 30-31', 'Sg 2:8-10, 14, 16a; 8:6-7a', 'Sir 26:1-4, 13-16', 'Jer 31:31-32a, 33-34a'
+    ],
+    psalm: [
+      { citation: 'Ps 33:12 and 18, 20-21, 22', refrain: 'The earth is full of the goodness of the Lord.' },
+      { citation: 'Ps 34:2-3, 4-5, 6-7, 8-9', refrain: 'Taste and see the goodness of the Lord.' },
+      { citation: 'Ps 103:1-2, 8 and 13, 17-18a', refrain: 'The Lord is kind and merciful.' },
+      { citation: 'Ps 112:1bc-2, 3-4, 5-7a, 7bc-8, 9', refrain: 'Blessed the man who greatly delights in the Lord’s commands.' },
+      { citation: 'Ps 128:1-2, 3, 4-5ab', refrain: 'Blessed are those who fear the Lord.' },
+      { citation: 'Ps 145:8-9, 10 and 15, 17-18', refrain: 'The Lord is compassionate toward all his works.' },
+      { citation: 'Ps 148:1-2, 3-4, 9-10, 11-13a, 13c-14a', refrain: 'Let all praise the name of the Lord.' }
+    ],
+    second: [
+      'Rom 8:31b-35, 37-39', 'Rom 12:1-2, 9-18', 'Rom 15:1b-3a, 5-7, 13', '1 Cor 6:13c-15a, 17-20',
+      '1 Cor 12:31–13:8a', 'Eph 4:1-6', 'Eph 5:2a, 21-33', 'Phil 4:4-9', 'Col 3:12-17', 'Heb 13:1-4a, 5-6b',
+      '1 Pt 3:1-9', '1 Jn 3:18-24', '1 Jn 4:7-12', 'Rv 19:1, 5-9a'
+    ],
+    gospel: [
+      'Mt 5:1-12a', 'Mt 5:13-16', 'Mt 7:21, 24-29', 'Mt 19:3-6', 'Mt 22:35-40', 'Mk 10:6-9',
+      'Jn 2:1-11', 'Jn 15:9-12', 'Jn 15:12-16', 'Jn 17:20-26'
+    ]
+  },
+  funeral: {
+    first: [
+      '2 Mc 12:43-46', 'Jb 19:1, 23-27a', 'Wis 3:1-9', 'Wis 4:7-14', 'Is 25:6a, 7-9', 'Lam 3:17-26',
+      'Dn 12:1-3', 'Acts 10:34-43', 'Rv 14:13', 'Rv 20:11–21:1', 'Rv 21:1-5a, 6b-7'
+    ],
+    psalm: [
+      { citation: 'Ps 23:1-3, 4, 5, 6', refrain: 'The Lord is my shepherd; there is nothing I shall want.' },
+      { citation: 'Ps 25:6 and 7b, 17-18, 20-21', refrain: 'To you, O Lord, I lift my soul.' },
+      { citation: 'Ps 27:1, 4, 7 and 8b and 9a, 13-14', refrain: 'The Lord is my light and my salvation.' },
+      { citation: 'Ps 42:2, 3, 5cdef; 43:3, 4, 5', refrain: 'My soul is thirsting for the living God: when shall I see him face to face?' },
+      { citation: 'Ps 63:2, 3-4, 5-6, 8-9', refrain: 'My soul is thirsting for you, O Lord my God.' },
+      { citation: 'Ps 103:8 and 10, 13-14, 15-16, 17-18', refrain: 'The Lord is kind and merciful.' },
+      { citation: 'Ps 116:5, 6, 10-11, 15-16ac', refrain: 'I will walk in the presence of the Lord in the land of the living.' },
+      { citation: 'Ps 122:1-2, 4-5, 6-7, 8-9', refrain: 'I rejoiced when I heard them say: let us go to the house of the Lord.' },
+      { citation: 'Ps 130:1-2, 3-4, 5-6, 7-8', refrain: 'Out of the depths, I cry to you, Lord.' },
+      { citation: 'Ps 143:1-2, 5-6, 7ab and 8ab, 10', refrain: 'O Lord, hear my prayer.' }
+    ],
+    second: [
+      'Rom 5:5-11', 'Rom 5:17-21', 'Rom 6:3-9', 'Rom 8:14-23', 'Rom 8:31b-35, 37-39', 'Rom 14:7-9, 10c-12',
+      '1 Cor 15:20-28', '1 Cor 15:51-57', '2 Cor 4:14–5:1', '2 Cor 5:1, 6-10', 'Phil 3:20-21',
+      '1 Thes 4:13-18', '2 Tm 2:8-13', '1 Jn 3:1-2', '1 Jn 3:14-16'
+    ],
+    gospel: [
+      'Mt 5:1-12a', 'Mt 11:25-30', 'Mt 25:1-13', 'Mt 25:31-46', 'Lk 7:11-17', 'Lk 12:35-40',
+      'Lk 23:33, 39-43', 'Lk 23:44-46, 50, 52-53; 24:1-6a', 'Lk 24:13-35', 'Jn 5:24-29', 'Jn 6:37-40',
+      'Jn 6:51-58', 'Jn 11:17-27', 'Jn 11:32-45', 'Jn 12:23-28', 'Jn 14:1-6', 'Jn 17:24-26', 'Jn 19:17-18, 25-39'
+    ]
+  }
+};
+
+// Every music slot the celebrations define: slot -> label.
+const CELEBRATION_MUSIC_SLOTS = {};
+for (const celebration of Object.values(CELEBRATIONS)) {
+  for (const insert of celebration.inserts) {
+    for (const item of insert.parts.flat()) if (item.music) CELEBRATION_MUSIC_SLOTS[item.music] = item.label;
+  }
+}
+
+// The draft's celebration, or null for the Sunday Mass: the type with the
+// family's answers, its inserts carrying the chosen music.
+function resolveCelebration(data) {
+  const id = data && data.celebrationType;
+  if (!CELEBRATIONS[id]) return null;
+  const details = data.celebration || {};
+  const music = details.music || {};
+  const celebration = CELEBRATIONS[id];
+  return {
+    ...details,
+    id,
+    ...celebration,
+    names: (details.names || []).map(n => String(n).trim()).filter(Boolean),
+    ministers: details.ministers || {},
+    inserts: celebration.inserts.map(insert => ({ id, ...insert, music }))
+  };
+}
+
+// The draft's readings with the celebration's chosen citations (and the
+// chosen psalm's refrain) standing in for any left empty.
+function celebrationReadings(data) {
+  const r = (data && data.readings) || {};
+  const celebration = resolveCelebration(data);
+  if (!celebration) return r;
+  const chosen = (data.celebration || {}).readings || {};
+  const psalm = RITUAL_READINGS[celebration.rite].psalm.find(p => p.citation === chosen.psalm);
+  return {
+    ...r,
+    firstReadingCitation: r.firstReadingCitation || chosen.first,
+    psalmCitation: r.psalmCitation || chosen.psalm,
+    psalmRefrain: r.psalmRefrain || (psalm && psalm.refrain),
+    secondReadingCitation: r.secondReadingCitation || chosen.second,
+    gospelCitation: r.gospelCitation || chosen.gospel
+  };
+}
+
+module.exports = {
+  CELEBRATIONS, CELEBRATION_MUSIC_SLOTS, MINISTER_ROLES, RITUAL_READINGS, PHOTO_SLOT,
+  resolveCelebration, celebrationReadings
+};
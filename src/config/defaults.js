@@ -46,8 +46,18 @@ Music reprinted under OneLicense #A-702171. All rights reserved.`,
   headerFont: 'Cinzel',
   requirePastorApproval: false,
 
-  // Default Sanctus (Holy, Holy, Holy) language: 'english' or 'latin'
-  defaultSanctusLanguage: 'english'
+  // The bishops' conference calendar the parish follows
+  // (config/calendar-profiles.js).
+  calendarProfile: 'us',
+
+  // Default language of each Ordinary part: 'english' or 'latin'. A draft's
+  // own choice (seasonalSettings.kyrieLanguage, …) wins over these.
+  defaultKyrieLanguage: 'english',
+  defaultGloriaLanguage: 'english',
+  defaultCreedLanguage: 'english',
+  defaultSanctusLanguage: 'english',
+  defaultLordsPrayerLanguage: 'english',
+  defaultLambOfGodLanguage: 'english'
 };
 
 module.exports = { DEFAULT_PARISH_SETTINGS };
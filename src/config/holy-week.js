@@ -0,0 +1,229 @@
+// Holy Week liturgies: Palm Sunday, Holy Thursday, Good Friday and the
+// Easter Vigil. The calendar picks the liturgy from the date
+// (detectHolyWeek); data.holyWeek.liturgy overrides it, 'none' keeping the
+// Sunday Mass.
+//
+// Each liturgy's own rites are inserts in the rite-insert format
+// (config/rite-inserts.js), attached at anchors in the Order of Mass, plus
+// two more anchors only Holy Week uses:
+//   introductory — in place of the Introductory Rites up to the Gloria
+//   concluding   — in place of the Concluding Rites
+// and two more part items:
+//   { section }             a section title
+//   { reading, heading }    a reading from data.readings (<reading>Citation
+//                           and <reading>Text), alone in its part
+// The music for the liturgy's slots is data.holyWeek.music.
+//
+// Flags the outline reads:
+//   seasonal — season defaults this day overrides (applySeasonDefaults)
+//   passion  — the Gospel is the Passion, read in parts
+//   vigil    — the Old Testament readings (data.readings.vigilReadings)
+//              come before the Gloria, and the Epistle after the Collect
+//   alleluia — the Alleluia returns at the Gospel Acclamation
+//   dismissal — [English, Spanish] dismissal printed under its heading
+//   noMass   — a liturgy of its own (celebrationOfThePassion in
+//              mass-outline.js), not the Order of Mass
+'use strict';
+
+const {
+  PALM_SUNDAY_ANTIPHON, PALM_SUNDAY_ANTIPHON_ES, PROCESSION_INVITATION, PROCESSION_INVITATION_ES,
+  SOLEMN_INTERCESSIONS, SOLEMN_INTERCESSIONS_ES, SHOWING_OF_THE_CROSS, SHOWING_OF_THE_CROSS_ES,
+  LIGHT_OF_CHRIST, LIGHT_OF_CHRIST_ES, BLESSING_OF_WATER_ACCLAMATION, BLESSING_OF_WATER_ACCLAMATION_ES,
+  EASTER_DISMISSAL, EASTER_DISMISSAL_ES
+} = require('../assets/text/holy-week-texts');
+const { RENEWAL_OF_BAPTISMAL_VOWS, RENEWAL_OF_BAPTISMAL_VOWS_ES } = require('../assets/text/creeds');
+const { parseDate, detectHolyWeek } = require('../liturgical-calendar');
+const { resolveCelebration } = require('./celebrations');
+
+const HOLY_WEEK = {
+  palmSunday: {
+    name: 'Palm Sunday of the Passion of the Lord',
+    passion: true,
+    inserts: [
+      {
+        anchor: 'introductory',
+        omits: [],
+        parts: [
+          [
+            { section: 'The Commemoration of the Lord’s Entrance into Jerusalem' },
+            { rubric: 'The faithful gather, holding branches.' },
+            { music: 'palmAntiphon', label: 'Antiphon' },
+            { text: PALM_SUNDAY_ANTIPHON, es: PALM_SUNDAY_ANTIPHON_ES }
+          ],
+          [
+            { heading: 'Blessing of Branches' },
+            { rubric: 'The Priest blesses the branches and sprinkles them with holy water.' }
+          ],
+          [{ reading: 'processionGospel', heading: 'Gospel' }],
+          [
+            { heading: 'Procession', posture: 'stand' },
+            { text: PROCESSION_INVITATION, es: PROCESSION_INVITATION_ES },
+            { music: 'palmProcession', label: 'Hymn for the Procession' }
+          ]
+        ]
+      }
+    ]
+  },
+  holyThursday: {
+    name: 'Holy Thursday — Mass of the Lord’s Supper',
+    seasonal: { gloria: true, includePostlude: false },
+    inserts: [
+      {
+        anchor: 'afterHomily',
+        omits: ['creed'],
+        parts: [
+          [
+            { heading: 'The Washing of Feet' },
+            { rubric: 'The Priest washes the feet of those chosen, as the Lord washed the feet of his disciples.' },
+            { music: 'washingOfFeet', label: 'Song during the Washing of Feet' }
+          ]
+        ]
+      },
+      {
+        anchor: 'concluding',
+        omits: [],
+        parts: [
+          [
+            { section: 'The Transfer of the Most Holy Eucharist' },
+            { rubric: 'The Blessed Sacrament is carried in procession to the place of repose.' },
+            { music: 'pangeLingua', label: 'Pange Lingua' }
+          ],
+          [
+            { music: 'tantumErgo', label: 'Tantum Ergo' },
+            { rubric: 'After a time of silent adoration, all depart in silence.' }
+          ]
+        ]
+      }
+    ]
+  },
+  goodFriday: {
+    name: 'Good Friday of the Passion of the Lord',
+    passion: true,
+    noMass: true,
+    inserts: [
+      {
+        anchor: 'introductory',
+        omits: [],
+        parts: [
+          [
+            { section: 'The Celebration of the Passion of the Lord' },
+            { rubric: 'The Priest and the Deacon enter in silence and prostrate themselves before the altar.' },
+            { posture: 'kneel' }
+          ]
+        ]
+      },
+      {
+        anchor: 'afterHomily',
+        omits: ['creed'],
+        parts: [
+          [
+            { section: 'The Solemn Intercessions' },
+            { posture: 'stand' },
+            { rubric: 'The Deacon announces each intention and all pray in silence; the Priest prays and all respond: Amen.' },
+            { text: SOLEMN_INTERCESSIONS, es: SOLEMN_INTERCESSIONS_ES }
+          ],
+          [
+            { section: 'The Adoration of the Holy Cross' },
+            { heading: 'The Showing of the Holy Cross' },
+            { text: SHOWING_OF_THE_CROSS, es: SHOWING_OF_THE_CROSS_ES }
+          ],
+          [
+            { rubric: 'All come forward to venerate the Cross.' },
+            { music: 'adorationOfTheCross', label: 'Song during the Adoration of the Cross' }
+          ]
+        ]
+      },
+      {
+        anchor: 'concluding',
+        omits: [],
+        parts: [
+          [
+            { heading: 'Prayer over the People' },
+            { rubric: 'All depart in silence.' }
+          ]
+        ]
+      }
+    ]
+  },
+  easterVigil: {
+    name: 'The Easter Vigil in the Holy Night',
+    seasonal: { gloria: true, includePostlude: true },
+    vigil: true,
+    alleluia: true,
+    dismissal: [EASTER_DISMISSAL, EASTER_DISMISSAL_ES],
+    inserts: [
+      {
+        anchor: 'introductory',
+        omits: [],
+        parts: [
+          [
+            { section: 'The Solemn Beginning of the Vigil or Lucernarium' },
+            { heading: 'The Blessing of the Fire and Preparation of the Candle' },
+            { rubric: 'The faithful gather around a fire outside the church. The Priest blesses the fire and prepares the paschal candle.' }
+          ],
+          [
+            { heading: 'Procession' },
+            { rubric: 'The paschal candle is carried into the darkened church, and the people light their candles from it.' },
+            { text: LIGHT_OF_CHRIST, es: LIGHT_OF_CHRIST_ES, bold: true }
+          ],
+          [
+            { posture: 'stand' },
+            { music: 'exsultet', label: 'The Easter Proclamation (Exsultet)' }
+          ]
+        ]
+      },
+      {
+        anchor: 'afterHomily',
+        omits: ['creed'],
+        parts: [
+          [
+            { section: 'Baptismal Liturgy' },
+            { rubric: 'The elect are called forward with their godparents.' },
+            { music: 'litanyOfSaints', label: 'Litany of the Saints' }
+          ],
+          [
+            { heading: 'Blessing of Baptismal Water' },
+            { text: BLESSING_OF_WATER_ACCLAMATION, es: BLESSING_OF_WATER_ACCLAMATION_ES, bold: true }
+          ],
+          [{ rubric: 'The elect are baptized and confirmed.' }],
+          [
+            { heading: 'The Renewal of Baptismal Promises', posture: 'stand' },
+            { text: RENEWAL_OF_BAPTISMAL_VOWS, es: RENEWAL_OF_BAPTISMAL_VOWS_ES }
+          ],
+          [
+            { rubric: 'The people are sprinkled with the blessed water.' },
+            { music: 'vigilSprinkling', label: 'Song during the Sprinkling' }
+          ]
+        ]
+      }
+    ]
+  }
+};
+
+// Every music slot the Holy Week liturgies define: slot -> label.
+const HOLY_WEEK_MUSIC_SLOTS = {};
+for (const liturgy of Object.values(HOLY_WEEK)) {
+  for (const insert of liturgy.inserts) {
+    for (const item of insert.parts.flat()) if (item.music) HOLY_WEEK_MUSIC_SLOTS[item.music] = item.label;
+  }
+}
+
+// The draft's Holy Week liturgy, or null: data.holyWeek.liturgy when set
+// ('none' for the Sunday Mass), else the one the calendar gives the date.
+// Its inserts carry the draft's music, like resolved rite inserts. A
+// wedding or funeral (config/celebrations.js) keeps its own rite.
+function resolveHolyWeek(data) {
+  if (resolveCelebration(data)) return null;
+  const hw = (data && data.holyWeek) || {};
+  let id = hw.liturgy;
+  if (!id) {
+    const date = parseDate(data && data.liturgicalDate);
+    id = date ? detectHolyWeek(date) : null;
+  }
+  if (!HOLY_WEEK[id]) return null;
+  const music = hw.music || {};
+  const liturgy = HOLY_WEEK[id];
+  return { id, ...liturgy, inserts: liturgy.inserts.map(insert => ({ id, ...insert, music })) };
+}
+
+module.exports = { HOLY_WEEK, HOLY_WEEK_MUSIC_SLOTS, resolveHolyWeek };
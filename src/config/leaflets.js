@@ -0,0 +1,106 @@
+// Leaflets: the short format for holy days and weekday (school) Masses, in
+// place of the 8-page Sunday booklet, chosen by data.format ('booklet', the
+// default, or 'leaflet'). A leaflet runs 2 or 4 pages (data.pageCount), has
+// no cover — a title with the date and the Mass time opens page 1 — and
+// prints the music of one Mass. Its music areas are left out unless the
+// draft reserves them (reserveHymnSpace). Its options live in data.leaflet:
+//   massTime — the one Mass it is for ("Wed 8:15 AM"), parsed like a line
+//              of the parish's massTimes; the first Mass when empty
+//   rank     — the day's rank (RANK_RULES), when not the one the calendar
+//              gives the date (detectRank, with the parish's proper
+//              calendar from data.calendar)
+//   creed    — true or false to print or leave out the Creed whatever the
+//              rank says
+//
+// The rank sets the reduced structure: the Creed only on solemnities and
+// Sundays, no second reading on feasts and weekdays unless the readings
+// say otherwise, seasonal overrides for the music, as a Holy Week
+// liturgy's do, and the page count when the draft gives none — 2 pages
+// for a memorial or a weekday, with no Gloria or Creed to print.
+'use strict';
+
+const { parseDate, detectRank } = require('../liturgical-calendar');
+
+const LEAFLET_PAGE_COUNTS = [2, 4];
+
+const RANK_RULES = {
+  solemnity: {
+    label: 'Solemnity',
+    pageCount: 4,
+    creed: true,
+    secondReading: true,
+    seasonal: { gloria: true, entranceType: 'processional', includePostlude: true }
+  },
+  sunday: {
+    label: 'Sunday',
+    pageCount: 4,
+    creed: true,
+    secondReading: true,
+    seasonal: {}
+  },
+  feast: {
+    label: 'Feast',
+    pageCount: 4,
+    creed: false,
+    secondReading: false,
+    seasonal: { gloria: true, entranceType: 'processional', includePostlude: false }
+  },
+  // All Souls: the readings are chosen from the Masses for the Dead, often
+  // with a second reading, and there is no Gloria.
+  commemoration: {
+    label: 'Commemoration of the Faithful Departed',
+    pageCount: 4,
+    creed: false,
+    secondReading: true,
+    seasonal: { gloria: false, entranceType: 'antiphon', includePostlude: false }
+  },
+  memorial: {
+    label: 'Memorial',
+    pageCount: 2,
+    creed: false,
+    secondReading: false,
+    seasonal: { gloria: false, entranceType: 'antiphon', includePostlude: false }
+  },
+  optionalMemorial: {
+    label: 'Optional Memorial',
+    pageCount: 2,
+    creed: false,
+    secondReading: false,
+    seasonal: { gloria: false, entranceType: 'antiphon', includePostlude: false }
+  },
+  weekday: {
+    label: 'Weekday',
+    pageCount: 2,
+    creed: false,
+    secondReading: false,
+    seasonal: { gloria: false, entranceType: 'antiphon', includePostlude: false }
+  }
+};
+
+// The leaflet the draft prints, or null for a booklet:
+// { pageCount, rank, creed, secondReading, seasonal, massTime }.
+function resolveLeaflet(data) {
+  if (!data || data.format !== 'leaflet') return null;
+  const options = data.leaflet || {};
+  const date = parseDate(data.liturgicalDate);
+  const rank = RANK_RULES[options.rank] ? options.rank : (date ? detectRank(date, data.calendar) : 'weekday');
+  const rule = RANK_RULES[rank];
+  return {
+    pageCount: LEAFLET_PAGE_COUNTS.includes(Number(data.pageCount)) ? Number(data.pageCount) : rule.pageCount,
+    rank,
+    creed: typeof options.creed === 'boolean' ? options.creed : rule.creed,
+    secondReading: rule.secondReading,
+    seasonal: rule.seasonal,
+    massTime: String(options.massTime || '').trim()
+  };
+}
+
+// The readings with the rank's second-reading default, when the draft
+// doesn't say (fetched readings always do).
+function leafletReadings(data, readings) {
+  const leaflet = resolveLeaflet(data);
+  if (!leaflet || readings.noSecondReading !== undefined) return readings;
+  return { ...readings, noSecondReading: !leaflet.secondReading };
+}
+
+module.exports = { LEAFLET_PAGE_COUNTS, RANK_RULES, resolveLeaflet, leafletReadings };
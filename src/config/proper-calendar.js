@@ -0,0 +1,94 @@
+// The parish's proper calendar: the celebrations it keeps besides the
+// General Roman Calendar — its patronal feast, the anniversary of its
+// church's dedication, the cathedral's — in settings.properCalendar. The
+// calendar engine (liturgical-calendar.js) ranks them with the rest, one
+// step below the general calendar's celebrations of the same rank. Each
+// entry:
+//   name            — as the booklet names the day
+//   date            — 'MM-DD', or
+//   rule            — { month: 1-12, weekday: 0 (Sunday)-6, week: 1-4 or
+//                     'last' }: "the last Sunday of October"
+//   rank            — 'solemnity', 'feast', 'memorial' or 'optionalMemorial'
+//   color           — its liturgical color (LITURGICAL_COLORS); white when
+//                     not given
+//   displacesSunday — true to keep it on a Sunday in Ordinary Time or of
+//                     Christmas, false to yield to the Sunday (a solemnity
+//                     then moves to the next free day). A solemnity
+//                     displaces the Sunday unless it says otherwise.
+'use strict';
+
+const { LITURGICAL_COLORS } = require('./themes');
+const { CALENDAR_PROFILES, DEFAULT_CALENDAR_PROFILE } = require('./calendar-profiles');
+
+const PROPER_RANKS = ['solemnity', 'feast', 'memorial', 'optionalMemorial'];
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// The entries as stored: trimmed, with displacesSunday filled in. Throws on
+// the first invalid entry, naming it.
+function normalizeProperCalendar(entries) {
+  if (entries === undefined || entries === null) return [];
+  if (!Array.isArray(entries)) throw new Error('The proper calendar must be a list of celebrations.');
+  return entries.map((entry, i) => {
+    const e = entry || {};
+    const name = String(e.name || '').trim();
+    const which = `Proper calendar entry ${i + 1}${name ? ` ("${name}")` : ''}`;
+    if (!name) throw new Error(`${which} needs a name.`);
+    if (!PROPER_RANKS.includes(e.rank)) throw new Error(`${which}: rank must be one of ${PROPER_RANKS.join(', ')}.`);
+    if (e.color !== undefined && e.color !== '' && !LITURGICAL_COLORS[e.color]) {
+      throw new Error(`${which}: color must be one of ${Object.keys(LITURGICAL_COLORS).join(', ')}.`);
+    }
+    if (e.displacesSunday !== undefined && typeof e.displacesSunday !== 'boolean') {
+      throw new Error(`${which}: displacesSunday must be true or false.`);
+    }
+    const out = {
+      name,
+      rank: e.rank,
+      color: e.color || 'white',
+      displacesSunday: e.displacesSunday !== undefined ? e.displacesSunday : e.rank === 'solemnity'
+    };
+    if (e.date !== undefined && e.rule !== undefined) throw new Error(`${which} has both a date and a rule — give one.`);
+    if (e.date !== undefined) {
+      const m = /^(\d{2})-(\d{2})$/.exec(String(e.date));
+      if (!m || Number(m[1]) < 1 || Number(m[1]) > 12 || Number(m[2]) < 1 || Number(m[2]) > DAYS_IN_MONTH[Number(m[1]) - 1]) {
+        throw new Error(`${which}: date must be MM-DD.`);
+      }
+      out.date = m[0];
+    } else if (e.rule !== undefined) {
+      const { month, weekday, week } = e.rule || {};
+      if (!Number.isInteger(month) || month < 1 || month > 12
+        || !Number.isInteger(weekday) || weekday < 0 || weekday > 6
+        || !(week === 'last' || (Number.isInteger(week) && week >= 1 && week <= 4))) {
+        throw new Error(`${which}: rule must be { month: 1-12, weekday: 0-6, week: 1-4 or "last" }.`);
+      }
+      out.rule = { month, weekday, week };
+    } else {
+      throw new Error(`${which} needs a date (MM-DD) or a rule.`);
+    }
+    return out;
+  });
+}
+
+// The calendar profile a settings save asks for (config/calendar-profiles.js);
+// throws on one the tool doesn't know.
+function checkCalendarProfile(id) {
+  if (!CALENDAR_PROFILES[id]) {
+    throw new Error(`Unknown calendar profile "${id}" — one of ${Object.keys(CALENDAR_PROFILES).join(', ')}.`);
+  }
+  return id;
+}
+
+// The calendar engine's options for the parish (opts of getLiturgicalInfo
+// and the rest): { profile, properCalendar }. Stored settings were checked
+// on save; a list that no longer checks out is left out, and an unknown
+// profile falls back to the default, rather than failing a render.
+function calendarOptions(settings) {
+  const s = settings || {};
+  const profile = CALENDAR_PROFILES[s.calendarProfile] ? s.calendarProfile : DEFAULT_CALENDAR_PROFILE;
+  try {
+    return { profile, properCalendar: normalizeProperCalendar(s.properCalendar) };
+  } catch (e) {
+    return { profile, properCalendar: [] };
+  }
+}
+
+module.exports = { PROPER_RANKS, normalizeProperCalendar, checkCalendarProfile, calendarOptions };
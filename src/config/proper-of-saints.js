@@ -0,0 +1,374 @@
+// The Proper of Saints: the fixed-date celebrations of the General Roman
+// Calendar, keyed by month * 100 + day, and the days the national calendars
+// of the United States, Canada, England and Wales and Australia change
+// (chosen by the parish's calendar profile, config/calendar-profiles.js).
+// The calendar engine
+// (liturgical-calendar.js) ranks them against the day's season, suppressing
+// or transferring them by the Table of Liturgical Days.
+//
+// Each entry: { name, rank } with rank one of
+//   'solemnity', 'feast', 'memorial', 'optionalMemorial' or 'commemoration'
+//   (All Souls, ranked with the solemnities)
+// and lord: true on a feast of the Lord, which outranks a Sunday in
+// Ordinary Time. The engine gives martyrs, apostles and evangelists red
+// and the rest white (saintColor); color names it where the title doesn't
+// tell. Christmas and its octave, the Epiphany, the Baptism of the
+// Lord, the Holy Family and the celebrations of the Easter cycle belong to
+// the Proper of Time, computed by the engine.
+'use strict';
+
+const GENERAL_CALENDAR = {
+  101: [{ name: 'Solemnity of Mary, Mother of God', rank: 'solemnity' }],
+  102: [{ name: 'Sts. Basil the Great and Gregory Nazianzen, Bishops and Doctors of the Church', rank: 'memorial' }],
+  103: [{ name: 'The Most Holy Name of Jesus', rank: 'optionalMemorial' }],
+  107: [{ name: 'St. Raymond of Penyafort, Priest', rank: 'optionalMemorial' }],
+  113: [{ name: 'St. Hilary, Bishop and Doctor of the Church', rank: 'optionalMemorial' }],
+  117: [{ name: 'St. Anthony, Abbot', rank: 'memorial' }],
+  120: [
+    { name: 'St. Fabian, Pope and Martyr', rank: 'optionalMemorial' },
+    { name: 'St. Sebastian, Martyr', rank: 'optionalMemorial' }
+  ],
+  121: [{ name: 'St. Agnes, Virgin and Martyr', rank: 'memorial' }],
+  122: [{ name: 'St. Vincent, Deacon and Martyr', rank: 'optionalMemorial' }],
+  124: [{ name: 'St. Francis de Sales, Bishop and Doctor of the Church', rank: 'memorial' }],
+  125: [{ name: 'The Conversion of St. Paul the Apostle', rank: 'feast', color: 'white' }],
+  126: [{ name: 'Sts. Timothy and Titus, Bishops', rank: 'memorial' }],
+  127: [{ name: 'St. Angela Merici, Virgin', rank: 'optionalMemorial' }],
+  128: [{ name: 'St. Thomas Aquinas, Priest and Doctor of the Church', rank: 'memorial' }],
+  131: [{ name: 'St. John Bosco, Priest', rank: 'memorial' }],
+
+  202: [{ name: 'The Presentation of the Lord', rank: 'feast', lord: true }],
+  203: [
+    { name: 'St. Blaise, Bishop and Martyr', rank: 'optionalMemorial' },
+    { name: 'St. Ansgar, Bishop', rank: 'optionalMemorial' }
+  ],
+  205: [{ name: 'St. Agatha, Virgin and Martyr', rank: 'memorial' }],
+  206: [{ name: 'St. Paul Miki and Companions, Martyrs', rank: 'memorial' }],
+  208: [
+    { name: 'St. Jerome Emiliani', rank: 'optionalMemorial' },
+    { name: 'St. Josephine Bakhita, Virgin', rank: 'optionalMemorial' }
+  ],
+  210: [{ name: 'St. Scholastica, Virgin', rank: 'memorial' }],
+  211: [{ name: 'Our Lady of Lourdes', rank: 'optionalMemorial' }],
+  214: [{ name: 'Sts. Cyril, Monk, and Methodius, Bishop', rank: 'memorial' }],
+  217: [{ name: 'The Seven Holy Founders of the Servite Order', rank: 'optionalMemorial' }],
+  221: [{ name: 'St. Peter Damian, Bishop and Doctor of the Church', rank: 'optionalMemorial' }],
+  222: [{ name: 'The Chair of St. Peter', rank: 'feast' }],
+  223: [{ name: 'St. Polycarp, Bishop and Martyr', rank: 'memorial' }],
+  227: [{ name: 'St. Gregory of Narek, Abbot and Doctor of the Church', rank: 'optionalMemorial' }],
+
+  304: [{ name: 'St. Casimir', rank: 'optionalMemorial' }],
+  307: [{ name: 'Sts. Perpetua and Felicity, Martyrs', rank: 'memorial' }],
+  308: [{ name: 'St. John of God, Religious', rank: 'optionalMemorial' }],
+  309: [{ name: 'St. Frances of Rome, Religious', rank: 'optionalMemorial' }],
+  317: [{ name: 'St. Patrick, Bishop', rank: 'optionalMemorial' }],
+  318: [{ name: 'St. Cyril of Jerusalem, Bishop and Doctor of the Church', rank: 'optionalMemorial' }],
+  319: [{ name: 'St. Joseph, Husband of the Blessed Virgin Mary', rank: 'solemnity' }],
+  323: [{ name: 'St. Turibius of Mogrovejo, Bishop', rank: 'optionalMemorial' }],
+  325: [{ name: 'The Annunciation of the Lord', rank: 'solemnity' }],
+
+  402: [{ name: 'St. Francis of Paola, Hermit', rank: 'optionalMemorial' }],
+  404: [{ name: 'St. Isidore, Bishop and Doctor of the Church', rank: 'optionalMemorial' }],
+  405: [{ name: 'St. Vincent Ferrer, Priest', rank: 'optionalMemorial' }],
+  407: [{ name: 'St. John Baptist de la Salle, Priest', rank: 'memorial' }],
+  411: [{ name: 'St. Stanislaus, Bishop and Martyr', rank: 'memorial' }],
+  413: [{ name: 'St. Martin I, Pope and Martyr', rank: 'optionalMemorial' }],
+  421: [{ name: 'St. Anselm, Bishop and Doctor of the Church', rank: 'optionalMemorial' }],
+  423: [
+    { name: 'St. George, Martyr', rank: 'optionalMemorial' },
+    { name: 'St. Adalbert, Bishop and Martyr', rank: 'optionalMemorial' }
+  ],
+  424: [{ name: 'St. Fidelis of Sigmaringen, Priest and Martyr', rank: 'optionalMemorial' }],
+  425: [{ name: 'St. Mark, Evangelist', rank: 'feast' }],
+  428: [
+    { name: 'St. Peter Chanel, Priest and Martyr', rank: 'optionalMemorial' },
+    { name: 'St. Louis Grignion de Montfort, Priest', rank: 'optionalMemorial' }
+  ],
+  429: [{ name: 'St. Catherine of Siena, Virgin and Doctor of the Church', rank: 'memorial' }],
+  430: [{ name: 'St. Pius V, Pope', rank: 'optionalMemorial' }],
+
+  501: [{ name: 'St. Joseph the Worker', rank: 'optionalMemorial' }],
+  502: [{ name: 'St. Athanasius, Bishop and Doctor of the Church', rank: 'memorial' }],
+  503: [{ name: 'Sts. Philip and James, Apostles', rank: 'feast' }],
+  510: [{ name: 'St. John of Avila, Priest and Doctor of the Church', rank: 'optionalMemorial' }],
+  512: [
+    { name: 'Sts. Nereus and Achilleus, Martyrs', rank: 'optionalMemorial' },
+    { name: 'St. Pancras, Martyr', rank: 'optionalMemorial' }
+  ],
+  513: [{ name: 'Our Lady of Fatima', rank: 'optionalMemorial' }],
+  514: [{ name: 'St. Matthias, Apostle', rank: 'feast' }],
+  518: [{ name: 'St. John I, Pope and Martyr', rank: 'optionalMemorial' }],
+  520: [{ name: 'St. Bernardine of Siena, Priest', rank: 'optionalMemorial' }],
+  521: [{ name: 'St. Christopher Magallanes, Priest, and Companions, Martyrs', rank: 'optionalMemorial' }],
+  522: [{ name: 'St. Rita of Cascia, Religious', rank: 'optionalMemorial' }],
+  525: [
+    { name: 'St. Bede the Venerable, Priest and Doctor of the Church', rank: 'optionalMemorial' },
+    { name: 'St. Gregory VII, Pope', rank: 'optionalMemorial' },
+    { name: 'St. Mary Magdalene de’ Pazzi, Virgin', rank: 'optionalMemorial' }
+  ],
+  526: [{ name: 'St. Philip Neri, Priest', rank: 'memorial' }],
+  527: [{ name: 'St. Augustine of Canterbury, Bishop', rank: 'optionalMemorial' }],
+  529: [{ name: 'St. Paul VI, Pope', rank: 'optionalMemorial' }],
+  531: [{ name: 'The Visitation of the Blessed Virgin Mary', rank: 'feast' }],
+
+  601: [{ name: 'St. Justin, Martyr', rank: 'memorial' }],
+  602: [{ name: 'Sts. Marcellinus and Peter, Martyrs', rank: 'optionalMemorial' }],
+  603: [{ name: 'St. Charles Lwanga and Companions, Martyrs', rank: 'memorial' }],
+  605: [{ name: 'St. Boniface, Bishop and Martyr', rank: 'memorial' }],
+  606: [{ name: 'St. Norbert, Bishop', rank: 'optionalMemorial' }],
+  609: [{ name: 'St. Ephrem, Deacon and Doctor of the Church', rank: 'optionalMemorial' }],
+  611: [{ name: 'St. Barnabas, Apostle', rank: 'memorial' }],
+  613: [{ name: 'St. Anthony of Padua, Priest and Doctor of the Church', rank: 'memorial' }],
+  619: [{ name: 'St. Romuald, Abbot', rank: 'optionalMemorial' }],
+  621: [{ name: 'St. Aloysius Gonzaga, Religious', rank: 'memorial' }],
+  622: [
+    { name: 'St. Paulinus of Nola, Bishop', rank: 'optionalMemorial' },
+    { name: 'Sts. John Fisher, Bishop, and Thomas More, Martyrs', rank: 'optionalMemorial' }
+  ],
+  624: [{ name: 'The Nativity of St. John the Baptist', rank: 'solemnity' }],
+  627: [{ name: 'St. Cyril of Alexandria, Bishop and Doctor of the Church', rank: 'optionalMemorial' }],
+  628: [{ name: 'St. Irenaeus, Bishop, Martyr and Doctor of the Church', rank: 'memorial' }],
+  629: [{ name: 'Sts. Peter and Paul, Apostles', rank: 'solemnity' }],
+  630: [{ name: 'The First Martyrs of the Holy Roman Church', rank: 'optionalMemorial' }],
+
+  703: [{ name: 'St. Thomas, Apostle', rank: 'feast' }],
+  704: [{ name: 'St. Elizabeth of Portugal', rank: 'optionalMemorial' }],
+  705: [{ name: 'St. Anthony Zaccaria, Priest', rank: 'optionalMemorial' }],
+  706: [{ name: 'St. Maria Goretti, Virgin and Martyr', rank: 'optionalMemorial' }],
+  709: [{ name: 'St. Augustine Zhao Rong, Priest, and Companions, Martyrs', rank: 'optionalMemorial' }],
+  711: [{ name: 'St. Benedict, Abbot', rank: 'memorial' }],
+  713: [{ name: 'St. Henry', rank: 'optionalMemorial' }],
+  714: [{ name: 'St. Camillus de Lellis, Priest', rank: 'optionalMemorial' }],
+  715: [{ name: 'St. Bonaventure, Bishop and Doctor of the Church', rank: 'memorial' }],
+  716: [{ name: 'Our Lady of Mount Carmel', rank: 'optionalMemorial' }],
+  720: [{ name: 'St. Apollinaris, Bishop and Martyr', rank: 'optionalMemorial' }],
+  721: [{ name: 'St. Lawrence of Brindisi, Priest and Doctor of the Church', rank: 'optionalMemorial' }],
+  722: [{ name: 'St. Mary Magdalene', rank: 'feast' }],
+  723: [{ name: 'St. Bridget, Religious', rank: 'optionalMemorial' }],
+  724: [{ name: 'St. Sharbel Makhluf, Priest', rank: 'optionalMemorial' }],
+  725: [{ name: 'St. James, Apostle', rank: 'feast' }],
+  726: [{ name: 'Sts. Joachim and Anne, Parents of the Blessed Virgin Mary', rank: 'memorial' }],
+  729: [{ name: 'Sts. Martha, Mary and Lazarus', rank: 'memorial' }],
+  730: [{ name: 'St. Peter Chrysologus, Bishop and Doctor of the Church', rank: 'optionalMemorial' }],
+  731: [{ name: 'St. Ignatius of Loyola, Priest', rank: 'memorial' }],
+
+  801: [{ name: 'St. Alphonsus Liguori, Bishop and Doctor of the Church', rank: 'memorial' }],
+  802: [
+    { name: 'St. Eusebius of Vercelli, Bishop', rank: 'optionalMemorial' },
+    { name: 'St. Peter Julian Eymard, Priest', rank: 'optionalMemorial' }
+  ],
+  804: [{ name: 'St. John Vianney, Priest', rank: 'memorial' }],
+  805: [{ name: 'The Dedication of the Basilica of St. Mary Major', rank: 'optionalMemorial' }],
+  806: [{ name: 'The Transfiguration of the Lord', rank: 'feast', lord: true }],
+  807: [
+    { name: 'Sts. Sixtus II, Pope, and Companions, Martyrs', rank: 'optionalMemorial' },
+    { name: 'St. Cajetan, Priest', rank: 'optionalMemorial' }
+  ],
+  808: [{ name: 'St. Dominic, Priest', rank: 'memorial' }],
+  809: [{ name: 'St. Teresa Benedicta of the Cross, Virgin and Martyr', rank: 'optionalMemorial' }],
+  810: [{ name: 'St. Lawrence, Deacon and Martyr', rank: 'feast' }],
+  811: [{ name: 'St. Clare, Virgin', rank: 'memorial' }],
+  812: [{ name: 'St. Jane Frances de Chantal, Religious', rank: 'optionalMemorial' }],
+  813: [{ name: 'Sts. Pontian, Pope, and Hippolytus, Priest, Martyrs', rank: 'optionalMemorial' }],
+  814: [{ name: 'St. Maximilian Kolbe, Priest and Martyr', rank: 'memorial' }],
+  815: [{ name: 'The Assumption of the Blessed Virgin Mary', rank: 'solemnity' }],
+  816: [{ name: 'St. Stephen of Hungary', rank: 'optionalMemorial' }],
+  819: [{ name: 'St. John Eudes, Priest', rank: 'optionalMemorial' }],
+  820: [{ name: 'St. Bernard, Abbot and Doctor of the Church', rank: 'memorial' }],
+  821: [{ name: 'St. Pius X, Pope', rank: 'memorial' }],
+  822: [{ name: 'The Queenship of the Blessed Virgin Mary', rank: 'memorial' }],
+  823: [{ name: 'St. Rose of Lima, Virgin', rank: 'optionalMemorial' }],
+  824: [{ name: 'St. Bartholomew, Apostle', rank: 'feast' }],
+  825: [
+    { name: 'St. Louis', rank: 'optionalMemorial' },
+    { name: 'St. Joseph Calasanz, Priest', rank: 'optionalMemorial' }
+  ],
+  827: [{ name: 'St. Monica', rank: 'memorial' }],
+  828: [{ name: 'St. Augustine, Bishop and Doctor of the Church', rank: 'memorial' }],
+  829: [{ name: 'The Passion of St. John the Baptist', rank: 'memorial', color: 'red' }],
+
+  903: [{ name: 'St. Gregory the Great, Pope and Doctor of the Church', rank: 'memorial' }],
+  908: [{ name: 'The Nativity of the Blessed Virgin Mary', rank: 'feast' }],
+  909: [{ name: 'St. Peter Claver, Priest', rank: 'optionalMemorial' }],
+  912: [{ name: 'The Most Holy Name of Mary', rank: 'optionalMemorial' }],
+  913: [{ name: 'St. John Chrysostom, Bishop and Doctor of the Church', rank: 'memorial' }],
+  914: [{ name: 'The Exaltation of the Holy Cross', rank: 'feast', lord: true, color: 'red' }],
+  915: [{ name: 'Our Lady of Sorrows', rank: 'memorial' }],
+  916: [{ name: 'Sts. Cornelius, Pope, and Cyprian, Bishop, Martyrs', rank: 'memorial' }],
+  917: [
+    { name: 'St. Robert Bellarmine, Bishop and Doctor of the Church', rank: 'optionalMemorial' },
+    { name: 'St. Hildegard of Bingen, Virgin and Doctor of the Church', rank: 'optionalMemorial' }
+  ],
+  919: [{ name: 'St. Januarius, Bishop and Martyr', rank: 'optionalMemorial' }],
+  920: [{ name: 'Sts. Andrew Kim Tae-gon, Priest, and Paul Chong Ha-sang, and Companions, Martyrs', rank: 'memorial' }],
+  921: [{ name: 'St. Matthew, Apostle and Evangelist', rank: 'feast' }],
+  923: [{ name: 'St. Pius of Pietrelcina, Priest', rank: 'memorial' }],
+  926: [{ name: 'Sts. Cosmas and Damian, Martyrs', rank: 'optionalMemorial' }],
+  927: [{ name: 'St. Vincent de Paul, Priest', rank: 'memorial' }],
+  928: [
+    { name: 'St. Wenceslaus, Martyr', rank: 'optionalMemorial' },
+    { name: 'St. Lawrence Ruiz and Companions, Martyrs', rank: 'optionalMemorial' }
+  ],
+  929: [{ name: 'Sts. Michael, Gabriel and Raphael, Archangels', rank: 'feast' }],
+  930: [{ name: 'St. Jerome, Priest and Doctor of the Church', rank: 'memorial' }],
+
+  1001: [{ name: 'St. Thérèse of the Child Jesus, Virgin and Doctor of the Church', rank: 'memorial' }],
+  1002: [{ name: 'The Holy Guardian Angels', rank: 'memorial' }],
+  1004: [{ name: 'St. Francis of Assisi', rank: 'memorial' }],
+  1005: [{ name: 'St. Faustina Kowalska, Virgin', rank: 'optionalMemorial' }],
+  1006: [{ name: 'St. Bruno, Priest', rank: 'optionalMemorial' }],
+  1007: [{ name: 'Our Lady of the Rosary', rank: 'memorial' }],
+  1009: [
+    { name: 'St. Denis, Bishop, and Companions, Martyrs', rank: 'optionalMemorial' },
+    { name: 'St. John Leonardi, Priest', rank: 'optionalMemorial' }
+  ],
+  1011: [{ name: 'St. John XXIII, Pope', rank: 'optionalMemorial' }],
+  1014: [{ name: 'St. Callistus I, Pope and Martyr', rank: 'optionalMemorial' }],
+  1015: [{ name: 'St. Teresa of Jesus, Virgin and Doctor of the Church', rank: 'memorial' }],
+  1016: [
+    { name: 'St. Hedwig, Religious', rank: 'optionalMemorial' },
+    { name: 'St. Margaret Mary Alacoque, Virgin', rank: 'optionalMemorial' }
+  ],
+  1017: [{ name: 'St. Ignatius of Antioch, Bishop and Martyr', rank: 'memorial' }],
+  1018: [{ name: 'St. Luke, Evangelist', rank: 'feast' }],
+  1019: [
+    { name: 'Sts. John de Brébeuf and Isaac Jogues, Priests, and Companions, Martyrs', rank: 'optionalMemorial' },
+    { name: 'St. Paul of the Cross, Priest', rank: 'optionalMemorial' }
+  ],
+  1022: [{ name: 'St. John Paul II, Pope', rank: 'optionalMemorial' }],
+  1023: [{ name: 'St. John of Capistrano, Priest', rank: 'optionalMemorial' }],
+  1024: [{ name: 'St. Anthony Mary Claret, Bishop', rank: 'optionalMemorial' }],
+  1028: [{ name: 'Sts. Simon and Jude, Apostles', rank: 'feast' }],
+
+  1101: [{ name: 'All Saints', rank: 'solemnity' }],
+  1102: [{ name: 'The Commemoration of All the Faithful Departed', rank: 'commemoration' }],
+  1103: [{ name: 'St. Martin de Porres, Religious', rank: 'optionalMemorial' }],
+  1104: [{ name: 'St. Charles Borromeo, Bishop', rank: 'memorial' }],
+  1109: [{ name: 'The Dedication of the Lateran Basilica', rank: 'feast', lord: true }],
+  1110: [{ name: 'St. Leo the Great, Pope and Doctor of the Church', rank: 'memorial' }],
+  1111: [{ name: 'St. Martin of Tours, Bishop', rank: 'memorial' }],
+  1112: [{ name: 'St. Josaphat, Bishop and Martyr', rank: 'memorial' }],
+  1115: [{ name: 'St. Albert the Great, Bishop and Doctor of the Church', rank: 'optionalMemorial' }],
+  1116: [
+    { name: 'St. Margaret of Scotland', rank: 'optionalMemorial' },
+    { name: 'St. Gertrude, Virgin', rank: 'optionalMemorial' }
+  ],
+  1117: [{ name: 'St. Elizabeth of Hungary, Religious', rank: 'memorial' }],
+  1118: [{ name: 'The Dedication of the Basilicas of Sts. Peter and Paul, Apostles', rank: 'optionalMemorial', color: 'white' }],
+  1121: [{ name: 'The Presentation of the Blessed Virgin Mary', rank: 'memorial' }],
+  1122: [{ name: 'St. Cecilia, Virgin and Martyr', rank: 'memorial' }],
+  1123: [
+    { name: 'St. Clement I, Pope and Martyr', rank: 'optionalMemorial' },
+    { name: 'St. Columban, Abbot', rank: 'optionalMemorial' }
+  ],
+  1124: [{ name: 'St. Andrew Dung-Lac, Priest, and Companions, Martyrs', rank: 'memorial' }],
+  1125: [{ name: 'St. Catherine of Alexandria, Virgin and Martyr', rank: 'optionalMemorial' }],
+  1130: [{ name: 'St. Andrew, Apostle', rank: 'feast' }],
+
+  1203: [{ name: 'St. Francis Xavier, Priest', rank: 'memorial' }],
+  1204: [{ name: 'St. John Damascene, Priest and Doctor of the Church', rank: 'optionalMemorial' }],
+  1206: [{ name: 'St. Nicholas, Bishop', rank: 'optionalMemorial' }],
+  1207: [{ name: 'St. Ambrose, Bishop and Doctor of the Church', rank: 'memorial' }],
+  1208: [{ name: 'The Immaculate Conception of the Blessed Virgin Mary', rank: 'solemnity' }],
+  1209: [{ name: 'St. Juan Diego Cuauhtlatoatzin', rank: 'optionalMemorial' }],
+  1210: [{ name: 'Our Lady of Loreto', rank: 'optionalMemorial' }],
+  1211: [{ name: 'St. Damasus I, Pope', rank: 'optionalMemorial' }],
+  1212: [{ name: 'Our Lady of Guadalupe', rank: 'optionalMemorial' }],
+  1213: [{ name: 'St. Lucy, Virgin and Martyr', rank: 'memorial' }],
+  1214: [{ name: 'St. John of the Cross, Priest and Doctor of the Church', rank: 'memorial' }],
+  1221: [{ name: 'St. Peter Canisius, Priest and Doctor of the Church', rank: 'optionalMemorial' }],
+  1223: [{ name: 'St. John of Kanty, Priest', rank: 'optionalMemorial' }],
+  1226: [{ name: 'St. Stephen, the First Martyr', rank: 'feast' }],
+  1227: [{ name: 'St. John, Apostle and Evangelist', rank: 'feast', color: 'white' }],
+  1228: [{ name: 'The Holy Innocents', rank: 'feast', color: 'red' }],
+  1229: [{ name: 'St. Thomas Becket, Bishop and Martyr', rank: 'optionalMemorial' }],
+  1231: [{ name: 'St. Sylvester I, Pope', rank: 'optionalMemorial' }]
+};
+
+// The days the calendar for the dioceses of the United States changes: each
+// replaces the general calendar's list for that day.
+const UNITED_STATES = {
+  104: [{ name: 'St. Elizabeth Ann Seton, Religious', rank: 'memorial' }],
+  105: [{ name: 'St. John Neumann, Bishop', rank: 'memorial' }],
+  106: [{ name: 'St. André Bessette, Religious', rank: 'optionalMemorial' }],
+  // Jan 22 is the Day of Prayer for the Legal Protection of Unborn Children.
+  122: [],
+  123: [
+    { name: 'St. Vincent, Deacon and Martyr', rank: 'optionalMemorial' },
+    { name: 'St. Marianne Cope, Virgin', rank: 'optionalMemorial' }
+  ],
+  303: [{ name: 'St. Katharine Drexel, Virgin', rank: 'optionalMemorial' }],
+  510: [
+    { name: 'St. Damien de Veuster, Priest', rank: 'optionalMemorial' },
+    { name: 'St. John of Avila, Priest and Doctor of the Church', rank: 'optionalMemorial' }
+  ],
+  515: [{ name: 'St. Isidore', rank: 'optionalMemorial' }],
+  701: [{ name: 'St. Junípero Serra, Priest', rank: 'optionalMemorial' }],
+  704: [{ name: 'Independence Day', rank: 'optionalMemorial' }],
+  705: [
+    { name: 'St. Anthony Zaccaria, Priest', rank: 'optionalMemorial' },
+    { name: 'St. Elizabeth of Portugal', rank: 'optionalMemorial' }
+  ],
+  714: [{ name: 'St. Kateri Tekakwitha, Virgin', rank: 'memorial' }],
+  718: [{ name: 'St. Camillus de Lellis, Priest', rank: 'optionalMemorial' }],
+  905: [{ name: 'St. Teresa of Calcutta, Virgin', rank: 'optionalMemorial' }],
+  909: [{ name: 'St. Peter Claver, Priest', rank: 'memorial' }],
+  1005: [
+    { name: 'St. Faustina Kowalska, Virgin', rank: 'optionalMemorial' },
+    { name: 'Blessed Francis Xavier Seelos, Priest', rank: 'optionalMemorial' }
+  ],
+  1006: [
+    { name: 'St. Bruno, Priest', rank: 'optionalMemorial' },
+    { name: 'Blessed Marie Rose Durocher, Virgin', rank: 'optionalMemorial' }
+  ],
+  1019: [{ name: 'Sts. John de Brébeuf and Isaac Jogues, Priests, and Companions, Martyrs', rank: 'memorial' }],
+  1020: [{ name: 'St. Paul of the Cross, Priest', rank: 'optionalMemorial' }],
+  1113: [{ name: 'St. Frances Xavier Cabrini, Virgin', rank: 'memorial' }],
+  1118: [
+    { name: 'The Dedication of the Basilicas of Sts. Peter and Paul, Apostles', rank: 'optionalMemorial', color: 'white' },
+    { name: 'St. Rose Philippine Duchesne, Virgin', rank: 'optionalMemorial' }
+  ],
+  1123: [
+    { name: 'St. Clement I, Pope and Martyr', rank: 'optionalMemorial' },
+    { name: 'St. Columban, Abbot', rank: 'optionalMemorial' },
+    { name: 'Blessed Miguel Agustín Pro, Priest and Martyr', rank: 'optionalMemorial' }
+  ],
+  1212: [{ name: 'Our Lady of Guadalupe', rank: 'feast' }]
+};
+
+// The days the calendar for Canada changes.
+const CANADA = {
+  107: [{ name: 'St. André Bessette, Religious', rank: 'memorial' }],
+  112: [{ name: 'St. Marguerite Bourgeoys, Virgin', rank: 'memorial' }],
+  417: [{ name: 'St. Kateri Tekakwitha, Virgin', rank: 'memorial' }],
+  430: [
+    { name: 'St. Marie of the Incarnation, Religious', rank: 'memorial' },
+    { name: 'St. Pius V, Pope', rank: 'optionalMemorial' }
+  ],
+  506: [{ name: 'St. François de Laval, Bishop', rank: 'memorial' }],
+  926: [{ name: 'Sts. John de Brébeuf, Isaac Jogues, Priests, and Companions, Martyrs, Secondary Patrons of Canada', rank: 'feast' }],
+  1016: [{ name: 'St. Marguerite d’Youville, Religious', rank: 'memorial' }],
+  1019: [{ name: 'St. Paul of the Cross, Priest', rank: 'optionalMemorial' }]
+};
+
+// The days the calendar for England and Wales changes.
+const ENGLAND_AND_WALES = {
+  301: [{ name: 'St. David, Bishop, Patron of Wales', rank: 'feast' }],
+  317: [{ name: 'St. Patrick, Bishop, Patron of Ireland', rank: 'feast' }],
+  423: [{ name: 'St. George, Martyr, Patron of England', rank: 'feast' }],
+  504: [{ name: 'The English Martyrs', rank: 'feast' }],
+  527: [{ name: 'St. Augustine of Canterbury, Bishop', rank: 'feast' }],
+  622: [{ name: 'Sts. John Fisher, Bishop, and Thomas More, Martyrs', rank: 'feast' }]
+};
+
+// The days the calendar for Australia changes.
+const AUSTRALIA = {
+  428: [
+    { name: 'St. Peter Chanel, Priest and Martyr', rank: 'memorial' },
+    { name: 'St. Louis Grignion de Montfort, Priest', rank: 'optionalMemorial' }
+  ],
+  524: [{ name: 'Our Lady Help of Christians, Principal Patron of Australia', rank: 'solemnity' }],
+  808: [{ name: 'St. Mary of the Cross MacKillop, Virgin', rank: 'solemnity' }]
+};
+
+module.exports = { GENERAL_CALENDAR, UNITED_STATES, CANADA, ENGLAND_AND_WALES, AUSTRALIA };
@@ -0,0 +1,159 @@
+// Rite inserts: sacraments and blessings celebrated within Mass, each
+// attached at a named anchor in the Order of Mass (mass-outline.js). A
+// draft lists the inserts it uses in data.riteInserts, in order, with the
+// music chosen for each insert's slots.
+//
+// Anchors:
+//   penitentialAct  — in place of the Penitential Act
+//   afterHomily     — after the Homily, before the Creed
+//   beforeDismissal — just before the Blessing & Dismissal
+//
+// An insert is a list of parts, each printed as one block. Part items:
+//   { heading, posture? }   sub-heading; posture ('stand' | 'sit' |
+//                           'kneel') rides right-justified on its line
+//   { posture }             a standalone posture direction
+//   { rubric }              a direction in the insert's own words, set
+//                           like the posture directions
+//   { text, es?, bold? }    a spoken text; es is its Spanish
+//   { music, label }        a music slot: the title line, and the notation
+//                           image or paste box (slot names share
+//                           data.notationImages with the Mass's own slots)
+// omits names the Mass parts the rite takes the place of ('kyrie',
+// 'creed').
+'use strict';
+
+const {
+  SPRINKLING_CONCLUSION, SPRINKLING_CONCLUSION_ES, PROFESSION_ASSENT, PROFESSION_ASSENT_ES,
+  CHRISMATION, CHRISMATION_ES, SCRUTINY_RESPONSE, SCRUTINY_RESPONSE_ES,
+  BLESSING_OF_THROATS, BLESSING_OF_THROATS_ES
+} = require('../assets/text/rite-texts');
+
+const RITE_ANCHORS = ['penitentialAct', 'afterHomily', 'beforeDismissal'];
+
+const RITE_INSERTS = {
+  sprinkling: {
+    name: 'Rite of Blessing and Sprinkling of Water',
+    note: 'Especially on the Sundays of Easter Time',
+    anchor: 'penitentialAct',
+    omits: ['kyrie'],
+    parts: [
+      [
+        { heading: 'Blessing and Sprinkling of Water' },
+        { rubric: 'The Priest blesses the water, and the people are sprinkled with it.' },
+        { music: 'sprinkling', label: 'Song during the Sprinkling' }
+      ],
+      [{ text: SPRINKLING_CONCLUSION, es: SPRINKLING_CONCLUSION_ES }]
+    ]
+  },
+  baptism: {
+    name: 'Baptism of Children within Mass',
+    anchor: 'afterHomily',
+    omits: ['creed'],
+    parts: [
+      [
+        { heading: 'Celebration of Baptism', posture: 'stand' },
+        { rubric: 'The parents and godparents renounce sin and profess the faith of the Church, answering each question: "I do."' },
+        { text: PROFESSION_ASSENT, es: PROFESSION_ASSENT_ES }
+      ],
+      [
+        { rubric: 'The children are baptized.' },
+        { music: 'baptismAcclamation', label: 'Acclamation after the Baptism' }
+      ],
+      [{ rubric: 'Anointing with Chrism, Clothing with the White Garment and Presentation of the Lighted Candle.' }]
+    ]
+  },
+  scrutiny: {
+    name: 'Scrutiny of the Elect',
+    note: 'Third, Fourth and Fifth Sundays of Lent',
+    anchor: 'afterHomily',
+    omits: [],
+    parts: [
+      [
+        { heading: 'Scrutiny', posture: 'stand' },
+        { rubric: 'The elect come forward with their godparents. All pray for them in silence.' },
+        { heading: 'Intercessions for the Elect' },
+        { text: SCRUTINY_RESPONSE, es: SCRUTINY_RESPONSE_ES, bold: true }
+      ],
+      [
+        { heading: 'Exorcism' },
+        { rubric: 'The celebrant lays hands on each of the elect and prays over them.' },
+        { music: 'scrutinySong', label: 'Song after the Exorcism' }
+      ],
+      [{ rubric: 'The elect are dismissed.' }]
+    ]
+  },
+  firstCommunion: {
+    name: 'First Holy Communion',
+    anchor: 'afterHomily',
+    omits: [],
+    parts: [
+      [
+        { heading: 'Presentation of the First Communicants' },
+        { rubric: 'The children receiving Holy Communion for the first time are called by name and stand with their families.' },
+        { music: 'firstCommunionSong', label: 'Song of Thanksgiving' }
+      ]
+    ]
+  },
+  confirmation: {
+    name: 'Confirmation within Mass',
+    anchor: 'afterHomily',
+    omits: ['creed'],
+    parts: [
+      [
+        { heading: 'Renewal of Baptismal Promises', posture: 'stand' },
+        { rubric: 'The candidates renounce sin and profess the faith of the Church, answering each question: "I do."' },
+        { text: PROFESSION_ASSENT, es: PROFESSION_ASSENT_ES }
+      ],
+      [
+        { heading: 'The Laying on of Hands' },
+        { rubric: 'The Bishop extends his hands over the candidates and prays for the gift of the Holy Spirit.' }
+      ],
+      [
+        { heading: 'The Anointing with Chrism' },
+        { text: CHRISMATION, es: CHRISMATION_ES },
+        { music: 'confirmationSong', label: 'Song during the Anointing' }
+      ]
+    ]
+  },
+  blessingOfThroats: {
+    name: 'Blessing of Throats',
+    note: 'Memorial of Saint Blaise, February 3',
+    anchor: 'beforeDismissal',
+    omits: [],
+    parts: [
+      [
+        { heading: 'Blessing of Throats' },
+        { rubric: 'The Priest holds two crossed candles at the throat of each person and says:' },
+        { text: BLESSING_OF_THROATS, es: BLESSING_OF_THROATS_ES }
+      ]
+    ]
+  },
+  anniversaryBlessing: {
+    name: 'Blessing of Married Couples on an Anniversary',
+    anchor: 'beforeDismissal',
+    omits: [],
+    parts: [
+      [
+        { heading: 'Blessing of Anniversary Couples' },
+        { rubric: 'The couples celebrating an anniversary of their marriage come forward, renew their commitment to each other and receive a blessing.' },
+        { music: 'anniversarySong', label: 'Song of Blessing' }
+      ]
+    ]
+  }
+};
+
+// Every music slot the library defines: slot -> label.
+const RITE_MUSIC_SLOTS = {};
+for (const rite of Object.values(RITE_INSERTS)) {
+  for (const item of rite.parts.flat()) if (item.music) RITE_MUSIC_SLOTS[item.music] = item.label;
+}
+
+// The draft's inserts (data.riteInserts), in the order chosen, each with
+// its library entry and the draft's music. Unknown ids are skipped.
+function resolveRiteInserts(data) {
+  return ((data && data.riteInserts) || [])
+    .filter(entry => entry && RITE_INSERTS[entry.id])
+    .map(entry => ({ id: entry.id, ...RITE_INSERTS[entry.id], music: entry.music || {} }));
+}
+
+module.exports = { RITE_INSERTS, RITE_ANCHORS, RITE_MUSIC_SLOTS, resolveRiteInserts };
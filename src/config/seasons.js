@@ -7,6 +7,10 @@
 //   - Two Lenten Gospel Acclamation options available
 'use strict';
 
+const { HOLY_WEEK, resolveHolyWeek } = require('./holy-week');
+const { CELEBRATIONS, resolveCelebration } = require('./celebrations');
+const { RANK_RULES, resolveLeaflet } = require('./leaflets');
+
 const SEASONS = ['ordinary', 'advent', 'christmas', 'lent', 'easter'];
 
 const SEASON_RULES = {
@@ -87,13 +91,26 @@ const LENTEN_ACCLAMATION_OPTIONS = [
   'Glory and praise to you, Lord Jesus Christ!'
 ];
 
-function getSeasonDefaults(season) {
-  return SEASON_RULES[season] || SEASON_RULES.ordinary;
+// A Holy Week liturgy (config/holy-week.js) overrides some of its season's
+// rules: the Gloria on Holy Thursday and at the Easter Vigil, for one. A
+// wedding or funeral (config/celebrations.js) overrides them the same way:
+// no Gloria at a funeral, no Advent wreath at a wedding. A leaflet's rank
+// (config/leaflets.js) comes first: the Gloria on a solemnity in Lent, none
+// on a weekday.
+function getSeasonDefaults(season, holyWeek, celebration, rank) {
+  const rules = SEASON_RULES[season] || SEASON_RULES.ordinary;
+  const hw = HOLY_WEEK[holyWeek];
+  const cel = CELEBRATIONS[celebration];
+  const rankRule = RANK_RULES[rank];
+  return { ...rules, ...(rankRule && rankRule.seasonal), ...(hw && hw.seasonal), ...(cel && cel.seasonal) };
 }
 
 function applySeasonDefaults(data) {
   if (!data.liturgicalSeason) return data;
-  const defaults = getSeasonDefaults(data.liturgicalSeason);
+  const hw = resolveHolyWeek(data);
+  const celebration = resolveCelebration(data);
+  const leaflet = resolveLeaflet(data);
+  const defaults = getSeasonDefaults(data.liturgicalSeason, hw && hw.id, celebration && celebration.id, leaflet && leaflet.rank);
   const merged = { ...data };
 
   // Clone seasonalSettings so we never mutate the caller's object.
@@ -107,10 +124,11 @@ function applySeasonDefaults(data) {
   if (!ss.creedType) ss.creedType = defaults.creedType;
   if (!ss.entranceType) ss.entranceType = defaults.entranceType;
   if (!ss.holyHolySetting) ss.holyHolySetting = defaults.holyHolySetting;
-  // NB: `holyHolyLanguage` is intentionally NOT defaulted here — the renderer
-  // resolves the fallback chain (per-aid override > parish default > English)
-  // so that a parish-wide Latin preference can take effect when the aid
-  // didn't pick a language explicitly.
+  // NB: the Ordinary languages (`holyHolyLanguage`, `kyrieLanguage`, …) are
+  // intentionally NOT defaulted here — the renderer resolves the fallback
+  // chain (per-aid override > parish default > English) so that a
+  // parish-wide Latin preference can take effect when the aid didn't pick a
+  // language explicitly.
   if (!ss.mysteryOfFaithSetting) ss.mysteryOfFaithSetting = defaults.mysteryOfFaithSetting;
   if (!ss.lambOfGodSetting) ss.lambOfGodSetting = defaults.lambOfGodSetting;
   if (!ss.penitentialAct) ss.penitentialAct = defaults.penitentialAct;
@@ -0,0 +1,36 @@
+// Sequences: the hymns sung before the Gospel Acclamation on Easter
+// Sunday, Pentecost and Corpus Christi. The calendar names the day's
+// Sequence (detectSequence); it prints on those days and, through the
+// Easter octave, only when the draft asks for it.
+//
+// data.sequence.include overrides the default either way. The setting
+// sung (sequenceSetting / sequenceComposer) lives in the per-Mass music
+// blocks like the Kyrie's, and the notation image, when one is attached to
+// the 'sequence' slot, prints in place of the text.
+'use strict';
+
+const {
+  VICTIMAE_PASCHALI, VICTIMAE_PASCHALI_ES, VENI_SANCTE_SPIRITUS, VENI_SANCTE_SPIRITUS_ES,
+  LAUDA_SION, LAUDA_SION_ES
+} = require('../assets/text/sequences');
+const { parseDate, detectSequence } = require('../liturgical-calendar');
+
+const SEQUENCES = {
+  easter: { name: 'Victimae Paschali Laudes', text: VICTIMAE_PASCHALI, es: VICTIMAE_PASCHALI_ES },
+  pentecost: { name: 'Veni Sancte Spiritus', text: VENI_SANCTE_SPIRITUS, es: VENI_SANCTE_SPIRITUS_ES },
+  corpusChristi: { name: 'Lauda Sion', text: LAUDA_SION, es: LAUDA_SION_ES }
+};
+
+// The Sequence the draft prints, or null: the date's, when it is required
+// or data.sequence.include asks for an optional one, unless include is
+// false.
+function resolveSequence(data) {
+  const date = parseDate(data && data.liturgicalDate);
+  const day = date ? detectSequence(date) : null;
+  if (!day) return null;
+  const include = ((data && data.sequence) || {}).include;
+  if (include === false || (day.optional && include !== true)) return null;
+  return { id: day.id, ...SEQUENCES[day.id] };
+}
+
+module.exports = { SEQUENCES, resolveSequence };
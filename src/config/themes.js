@@ -0,0 +1,188 @@
+// Output design themes. Two are built in — "reimagined" (the app's original
+// look) and "classic" (the parish's in-house Book-Antiqua/Garamond aid) —
+// and a parish can add its own through the theme registry
+// (store/theme-registry.js): a clone of another theme with its fonts,
+// colors and layout flags edited.
+//
+// A theme only changes typography and a few layout choices. Its `base`
+// names the built-in whose structure it keeps: the cover page, the section
+// naming and the Order of Mass outline (mass-outline.js).
+'use strict';
+
+// Registered PDF font names a theme role may use (see FONT_FILES and
+// FONT_FILES_CLASSIC in pdf-generator.js). Uploaded fonts
+// (store/font-library.js) are usable too, under their `custom-…` ids.
+const FONT_NAMES = [
+  'Sans', 'Sans-Bold', 'Sans-Italic', 'Sans-BoldItalic',
+  'Serif', 'Serif-Bold', 'Serif-Italic', 'Serif-BoldItalic',
+  'Display', 'Display-SemiBold', 'Display-Italic', 'Script-Italic'
+];
+const FONT_ROLES = ['body', 'bold', 'italic', 'boldItalic', 'section', 'sectionAside', 'script'];
+const COLOR_ROLES = ['section', 'subLabel', 'subInline', 'rubric', 'body', 'muted', 'rule', 'coverName', 'feast'];
+const BASES = ['reimagined', 'classic'];
+
+// Editable numeric fields and the range each is clamped to (points).
+const SIZE_RANGES = {
+  sectionSize: [8, 24],
+  subSize: [6, 14],
+  rubricSize: [6, 12]
+};
+const FLAGS = ['smallCaps', 'sectionRule', 'subUpper', 'subDash', 'twoColumn', 'wreathBox', 'liturgicalAccent'];
+
+// The liturgical colors (detectLiturgicalColor in liturgical-calendar.js) as
+// the ink a theme with liturgicalAccent draws its accents in. White prints
+// as the gold of white vestments' trim.
+const LITURGICAL_COLORS = {
+  violet: '#5B3D8F',
+  rose: '#C4587E',
+  white: '#B8922A',
+  red: '#9B1B1B',
+  green: '#2E6B3A'
+};
+
+const THEMES = {
+  reimagined: {
+    base: 'reimagined',
+    name: 'Reimagined',
+    // Logical role -> registered font name.
+    fonts: {
+      body: 'Sans', bold: 'Sans-Bold', italic: 'Sans-Italic', boldItalic: 'Sans-BoldItalic',
+      section: 'Sans-Bold', sectionAside: 'Sans-Bold', script: 'Sans-Italic'
+    },
+    colors: {
+      section: '#1A2E4A', subLabel: '#6B1A1A', subInline: '#1C1C1C',
+      rubric: '#8B0000', body: '#1C1C1C', muted: '#555555', rule: '#B8922A',
+      coverName: '#B8922A', feast: '#1A2E4A'
+    },
+    smallCaps: false,      // section headers are letter-spaced ALL CAPS + a gold rule
+    sectionRule: true,
+    sectionSize: 11,
+    subUpper: true,        // sub-headings render uppercase
+    subDash: false,        // ...with the inline text after a space, not an em-dash
+    subSize: 8,
+    rubricSize: 7.5,       // standalone posture-direction lines
+    twoColumn: false,      // psalm verses & creed stack full-width
+    // Scripture citations on a heading line: bold dark gray, not the
+    // italic of a music title.
+    citation: { font: 'bold', color: '#333333' },
+    wreathBox: true,       // Advent wreath line in a tinted violet box
+    liturgicalAccent: true // section rules, cover accents and the wreath box in the day's color
+  },
+  classic: {
+    base: 'classic',
+    name: 'Classic Design',
+    fonts: {
+      body: 'Serif', bold: 'Serif-Bold', italic: 'Serif-Italic', boldItalic: 'Serif-BoldItalic',
+      section: 'Display', sectionAside: 'Display-Italic', script: 'Script-Italic'
+    },
+    colors: {
+      section: '#111111', subLabel: '#111111', subInline: '#222222',
+      rubric: '#222222', body: '#1A1A1A', muted: '#333333', rule: '#000000',
+      coverName: '#111111', feast: '#111111'
+    },
+    smallCaps: true,       // centered EB Garamond small-caps headers, no rule
+    sectionRule: false,
+    sectionSize: 15,
+    subUpper: false,       // title-case bold labels
+    subDash: true,         // "Processional Hymn — Title" with an em-dash
+    subSize: 9,
+    rubricSize: 8.5,       // standalone posture-direction lines
+    twoColumn: true,       // psalm verses & creed in two columns
+    citation: null,        // citations are italic like every inline title
+    wreathBox: false,      // Advent wreath as a bold centered line
+    liturgicalAccent: false // black and white, like the parish's own aid
+  }
+};
+
+function resolveTheme(design) {
+  return THEMES[design] || THEMES.reimagined;
+}
+
+const HEX = /^#[0-9a-f]{6}$/i;
+
+// The theme with its accents in a liturgical color ('violet', 'rose',
+// 'white', 'red' or 'green'): the section rules and the cover's parish
+// name take the color, and accent names it — with wreathTint, the pale
+// fill of the Advent-wreath box — for the cover rule, the cover's info
+// titles and the wreath box. A theme without liturgicalAccent, or no
+// color, leaves accent null and the fixed palette in place.
+function accentTheme(theme, color) {
+  const accent = theme.liturgicalAccent ? LITURGICAL_COLORS[color] : null;
+  if (!accent) return { ...theme, accent: null, wreathTint: null };
+  const tint = accent.slice(1).match(/../g)
+    .map(h => Math.round(parseInt(h, 16) + (255 - parseInt(h, 16)) * 0.9).toString(16).padStart(2, '0')).join('');
+  return {
+    ...theme,
+    colors: { ...theme.colors, rule: accent, coverName: accent },
+    accent,
+    wreathTint: '#' + tint.toUpperCase()
+  };
+}
+
+// Apply an edit to a theme. Returns { theme, errors }: the merged theme
+// (unknown keys dropped, sizes clamped) and a message per rejected field.
+// patch may carry name, fonts, colors, the FLAGS, the SIZE_RANGES fields
+// and citation ({ font: role, color } or null). uploadedFonts lists the
+// uploaded font ids a role may name besides FONT_NAMES.
+function applyThemePatch(theme, patch, uploadedFonts = []) {
+  const errors = [];
+  const out = {
+    ...theme,
+    fonts: { ...theme.fonts },
+    colors: { ...theme.colors },
+    citation: theme.citation ? { ...theme.citation } : null
+  };
+  const p = patch || {};
+  if (p.name !== undefined) {
+    const name = String(p.name || '').trim().slice(0, 60);
+    if (!name) errors.push('name must not be empty');
+    else out.name = name;
+  }
+  for (const [role, font] of Object.entries(p.fonts || {})) {
+    if (!FONT_ROLES.includes(role)) errors.push(`unknown font role "${role}"`);
+    else if (!FONT_NAMES.includes(font) && !uploadedFonts.includes(font)) {
+      errors.push(`fonts.${role}: "${font}" is not one of ${[...FONT_NAMES, ...uploadedFonts].join(', ')}`);
+    }
+    else out.fonts[role] = font;
+  }
+  for (const [role, color] of Object.entries(p.colors || {})) {
+    if (!COLOR_ROLES.includes(role)) errors.push(`unknown color role "${role}"`);
+    else if (!HEX.test(String(color))) errors.push(`colors.${role} must be a #RRGGBB color`);
+    else out.colors[role] = String(color).toUpperCase();
+  }
+  for (const flag of FLAGS) {
+    if (p[flag] === undefined) continue;
+    if (typeof p[flag] !== 'boolean') errors.push(`${flag} must be true or false`);
+    else out[flag] = p[flag];
+  }
+  for (const [field, [min, max]] of Object.entries(SIZE_RANGES)) {
+    if (p[field] === undefined) continue;
+    const n = Number(p[field]);
+    if (!Number.isFinite(n)) errors.push(`${field} must be a number`);
+    else out[field] = Math.min(max, Math.max(min, Math.round(n * 10) / 10));
+  }
+  if (p.citation !== undefined) {
+    if (p.citation === null) {
+      out.citation = null;
+    } else if (!FONT_ROLES.includes(p.citation.font) || !HEX.test(String(p.citation.color))) {
+      errors.push('citation must be null or { font: <font role>, color: "#RRGGBB" }');
+    } else {
+      out.citation = { font: p.citation.font, color: String(p.citation.color).toUpperCase() };
+    }
+  }
+  return { theme: out, errors };
+}
+
+module.exports = {
+  THEMES,
+  BASES,
+  FONT_NAMES,
+  FONT_ROLES,
+  COLOR_ROLES,
+  FLAGS,
+  SIZE_RANGES,
+  LITURGICAL_COLORS,
+  resolveTheme,
+  accentTheme,
+  applyThemePatch
+};
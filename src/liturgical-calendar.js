@@ -1,14 +1,22 @@
-// Liturgical calendar — derives feast/Sunday name and season from a YYYY-MM-DD
-// date.  Coverage is the General Roman Calendar in the United States: Sundays
-// across all seasons, the major feast days that displace Sunday, the moveable
-// feasts of the Easter cycle, and the patronal solemnities the parish marks
-// (Ash Wednesday, Holy Week, Sacred Heart, Christ the King, etc.).
+// Liturgical calendar — derives feast/Sunday name, rank and season from a
+// YYYY-MM-DD date.  Coverage is the General Roman Calendar as a bishops'
+// conference keeps it (opts.profile, config/calendar-profiles.js; the
+// United States by default): the Proper of Time (Sundays across all
+// seasons, the movable feasts of the Easter cycle, Christmas and its
+// octave) and the Proper of Saints with the national calendar
+// (config/proper-of-saints.js), ranked against each other by the Table of
+// Liturgical Days — a memorial yields to a Sunday, an impeded solemnity is
+// transferred. A parish's own celebrations (config/proper-calendar.js) come
+// in as opts.properCalendar.
 //
 // The function aims to give the music staff a sensible default in the
-// "Feast / Sunday Name" field.  Anything missing from the calendar simply
+// "Feast / Sunday Name" field.  A weekday with no celebration of its own
 // returns the day-of-week + month/day so the user can edit it.
 'use strict';
 
+const { GENERAL_CALENDAR } = require('./config/proper-of-saints');
+const { CALENDAR_PROFILES, DEFAULT_CALENDAR_PROFILE } = require('./config/calendar-profiles');
+
 function dateOnly(y, m, d) { return new Date(Date.UTC(y, m, d)); }
 function addDays(d, n) { return new Date(d.getTime() + n * 86400000); }
 function sameDay(a, b) {
@@ -53,22 +61,50 @@ function firstSundayOfAdvent(year) {
   return addDays(sundayBeforeChristmas, -21);
 }
 
-// Sunday of Epiphany — the Sunday between Jan 2 and Jan 8 (US calendar).
-function epiphany(year) {
+// The calendar profile of opts.profile — a key of CALENDAR_PROFILES or a
+// profile of its own — the United States' when none is given. A key it
+// doesn't know throws rather than quietly giving the United States' feasts.
+function profileOf(opts = {}) {
+  if (opts.profile && typeof opts.profile === 'object') return opts.profile;
+  if (!opts.profile) return CALENDAR_PROFILES[DEFAULT_CALENDAR_PROFILE];
+  if (!CALENDAR_PROFILES[opts.profile]) {
+    throw new Error(`Unknown calendar profile "${opts.profile}" — one of ${Object.keys(CALENDAR_PROFILES).join(', ')}.`);
+  }
+  return CALENDAR_PROFILES[opts.profile];
+}
+
+// Epiphany — Jan 6, or where the conference moves it, the Sunday between
+// Jan 2 and Jan 8. A Jan 6 Epiphany the profile moves to the Sunday
+// (toSunday) goes to Jan 5 from a Monday, Jan 7 from a Saturday.
+function epiphany(year, profile = profileOf()) {
+  if (profile.epiphany === 'january6') {
+    const jan6 = dateOnly(year, 0, 6);
+    const weekday = jan6.getUTCDay();
+    if (!profile.toSunday.includes('epiphany')) return jan6;
+    if (weekday === 1) return addDays(jan6, -1);
+    if (weekday === 6) return addDays(jan6, 1);
+    return jan6;
+  }
   const jan2 = dateOnly(year, 0, 2);
   let d = jan2;
   while (d.getUTCDay() !== 0) d = addDays(d, 1);
   return d;
 }
 
-// Baptism of the Lord (US calendar): normally the Sunday after Epiphany, but
-// when Epiphany falls on Jan 7 or Jan 8 the Baptism of the Lord is celebrated
-// the following MONDAY (so Ordinary Time still begins that week).
-function baptismOfTheLord(year) {
-  const epi = epiphany(year);
+// Baptism of the Lord: normally the Sunday after Epiphany, but when a
+// Sunday Epiphany falls on Jan 7 or Jan 8 the Baptism of the Lord is
+// celebrated the following MONDAY (so Ordinary Time still begins that week).
+function baptismOfTheLord(year, profile = profileOf()) {
+  const epi = epiphany(year, profile);
   const epiDay = epi.getUTCDate();
-  if (epiDay === 7 || epiDay === 8) return addDays(epi, 1); // following Monday
-  return addDays(epi, 7); // following Sunday
+  if (epi.getUTCDay() === 0 && (epiDay === 7 || epiDay === 8)) return addDays(epi, 1); // following Monday
+  return addDays(epi, 7 - epi.getUTCDay()); // following Sunday
+}
+
+// Days after Easter to the Ascension: the Thursday (39) or the Seventh
+// Sunday of Easter (42).
+function ascensionDay(opts = {}) {
+  return opts.ascensionOnThursday || profileOf(opts).ascension === 'thursday' ? 39 : 42;
 }
 
 function ordinal(n) {
@@ -77,72 +113,39 @@ function ordinal(n) {
   return n + (s[(v - 20) % 10] || s[v] || s[0]);
 }
 
-// Fixed solemnities/feasts that the parish prints. NOTE: Jan 6 deliberately
-// has no Epiphany entry — the US calendar transfers Epiphany to the Sunday
-// between Jan 2 and Jan 8 (see epiphany() above).
-const FIXED_FEAST_MAP = {
-   101: 'Solemnity of Mary, Mother of God',
-   202: 'The Presentation of the Lord',
-   222: 'The Chair of St. Peter',
-   319: 'St. Joseph, Husband of the Blessed Virgin Mary',
-   325: 'The Annunciation of the Lord',
-   624: 'The Nativity of St. John the Baptist',
-   629: 'Sts. Peter and Paul, Apostles',
-   806: 'The Transfiguration of the Lord',
-   815: 'The Assumption of the Blessed Virgin Mary',
-   914: 'The Exaltation of the Holy Cross',
-  1101: 'All Saints',
-  1102: 'The Commemoration of All the Faithful Departed',
-  1212: 'Our Lady of Guadalupe',
-  1224: 'Christmas Eve',
-  1225: 'The Nativity of the Lord (Christmas)',
-  1226: 'St. Stephen, the First Martyr',
-  1228: 'The Holy Innocents',
-  1231: 'The Seventh Day of the Octave of Christmas'
-};
+// The Proper of Saints with a profile's national calendar
+// (config/proper-of-saints.js).
+const _properOfSaints = new WeakMap();
+function properOfSaints(profile) {
+  if (!_properOfSaints.has(profile)) _properOfSaints.set(profile, { ...GENERAL_CALENDAR, ...profile.saints });
+  return _properOfSaints.get(profile);
+}
 
-// Fixed entries that genuinely displace a Sunday (solemnities that outrank a
-// Sunday in Ordinary Time, plus feasts of the Lord which displace OT Sundays
-// per the Table of Liturgical Days). Everything else yields to the
-// Sunday-cycle name (Advent/Christmas/Lent/Easter Sundays, Holy Family, the
-// movable solemnities) when the date falls on a Sunday.
-const SUNDAY_DISPLACING_FIXED = new Set([
-   101, // Mary, Mother of God
-   202, // Presentation of the Lord (feast of the Lord — displaces OT Sunday)
-   624, // Nativity of St. John the Baptist
-   629, // Sts. Peter and Paul
-   806, // Transfiguration (feast of the Lord)
-   815, // Assumption
-   914, // Exaltation of the Holy Cross (feast of the Lord)
-  1101, // All Saints
-  1102, // All Souls (celebrated on Sunday per US practice)
-  1225  // Christmas
-]);
+// Precedence from the Table of Liturgical Days (Universal Norms 59): the
+// lower number wins. The Proper of Time's days are ranked in temporalDay().
+const SANCTORAL_PRECEDENCE = {
+  solemnity: 3,
+  commemoration: 3,
+  feast: 7,
+  memorial: 10,
+  optionalMemorial: 12
+};
+const FEAST_OF_THE_LORD = 5;
+// The proper calendar's celebrations rank a step below the general
+// calendar's: proper solemnities 4, feasts 8, memorials 11. One that yields
+// to the Sunday ranks just below a Sunday in Ordinary Time.
+const PROPER_PRECEDENCE = {
+  solemnity: 4,
+  feast: 8,
+  memorial: 11,
+  optionalMemorial: 12
+};
+const YIELDS_TO_SUNDAY = 7;
 
 function fixedFeastKey(date) {
   return (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
 }
 
-// Fixed solemnities that displace Sunday or that the parish prints.
-function fixedFeast(date) {
-  const key = fixedFeastKey(date);
-  // Immaculate Conception (Dec 8) — but when Dec 8 falls on a Sunday (a
-  // Sunday of Advent always outranks it), the solemnity transfers to
-  // Monday, Dec 9.
-  if (key === 1208) {
-    return date.getUTCDay() !== 0
-      ? 'The Immaculate Conception of the Blessed Virgin Mary'
-      : null;
-  }
-  if (key === 1209) {
-    // Dec 9 is a Monday exactly when Dec 8 was a Sunday → transferred feast.
-    return date.getUTCDay() === 1
-      ? 'The Immaculate Conception of the Blessed Virgin Mary'
-      : null;
-  }
-  return FIXED_FEAST_MAP[key] || null;
-}
-
 // Sundays of Advent / Lent / Easter — by week index from a reference Sunday.
 function nthSundayOfRange(date, firstSunday, season) {
   if (date.getUTCDay() !== 0) return null;
@@ -179,14 +182,14 @@ function paschalDate(easter, offset) { return addDays(easter, offset); }
 // Returns a season from a date — tightened version of the rule already in
 // server.js.  Treats Ash Wednesday → Holy Saturday as Lent, Easter Sunday →
 // Pentecost as Easter, etc.
-function detectSeason(date) {
+function detectSeason(date, opts = {}) {
   const year = date.getUTCFullYear();
   const easter = computeEaster(year);
   const ashWed = addDays(easter, -46);
   const pentecost = addDays(easter, 49);
   const adventStart = firstSundayOfAdvent(year);
   const dec25 = dateOnly(year, 11, 25);
-  const baptism = baptismOfTheLord(year);
+  const baptism = baptismOfTheLord(year, profileOf(opts));
 
   if (date >= ashWed && date < easter) return 'lent';
   if (date >= easter && date <= pentecost) return 'easter';
@@ -196,138 +199,391 @@ function detectSeason(date) {
   return 'ordinary';
 }
 
-// Feast/Sunday name. Strategy:
-//   1. On weekdays, a known fixed feast wins. On SUNDAYS the Sunday-cycle
-//      name (Advent/Christmas/Lent/Easter Sundays, Holy Family, the movable
-//      solemnities) wins over fixed-date entries UNLESS the fixed feast is a
-//      solemnity/feast of the Lord that genuinely displaces that Sunday
-//      (see SUNDAY_DISPLACING_FIXED).
-//   2. If the date is in a movable cycle (Ash Wed, Palm Sun, Triduum, etc.),
-//      return that title.
-//   3. Otherwise label by season (Advent/Lent/Easter Sundays) or by Ordinary
-//      Time week number, falling back to the fixed feast (if any) and then
-//      a plain weekday label.
+// The day in the Proper of Time: { name, rank, precedence }, with no name
+// for a weekday that has none of its own. The rank is 'solemnity', 'feast',
+// 'sunday' or 'weekday'. The days in the octaves of Christmas and Easter are
+// ranked 'feast' (the Gloria, no Creed), and Christmas Eve 'solemnity' for
+// its Vigil Mass.
 //
-// opts.ascensionOnThursday: provinces that keep Ascension on Thursday
-// (Easter + 39) can pass true; the DEFAULT follows most US provinces, which
-// transfer Ascension to the Seventh Sunday of Easter (Easter + 42).
-function detectFeastName(date, opts = {}) {
-  const isSunday = date.getUTCDay() === 0;
-  const fixed = fixedFeast(date);
-  if (fixed && (!isSunday || SUNDAY_DISPLACING_FIXED.has(fixedFeastKey(date)))) {
-    return fixed;
-  }
-
+// The profile places the Epiphany and the Ascension (ascensionDay); a
+// Sunday between Jan 2 and a Jan 6 Epiphany is the Second Sunday after
+// Christmas.
+function temporalDay(date, opts = {}) {
+  const profile = profileOf(opts);
   const year = date.getUTCFullYear();
   const easter = computeEaster(year);
+  const days = diffDays(date, easter);
+  const isSunday = date.getUTCDay() === 0;
+  const month = date.getUTCMonth();
+  const dom = date.getUTCDate();
+  const weekday = date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+  const day = (name, rank, precedence) => ({ name, rank, precedence });
+
+  // The Paschal Triduum, Holy Week and the Easter octave
+  if (days === -3) return day('Holy Thursday — Mass of the Lord’s Supper', 'weekday', 1);
+  if (days === -2) return day('Good Friday of the Passion of the Lord', 'weekday', 1);
+  if (days === -1) return day('Holy Saturday — Easter Vigil', 'weekday', 1);
+  if (days === 0) return day('Easter Sunday of the Resurrection of the Lord', 'solemnity', 1);
+  if (days === -46) return day('Ash Wednesday', 'weekday', 2);
+  if (days === -7) return day('Palm Sunday of the Passion of the Lord', 'sunday', 2);
+  if (days > -7 && days < -3) return day(weekday + ' of Holy Week', 'weekday', 2);
+  if (days > 0 && days < 7) return day(weekday + ' within the Octave of Easter', 'feast', 2);
+  if (days === 7) return day('Second Sunday of Easter (Sunday of Divine Mercy)', 'sunday', 2);
 
-  // Movable around Easter
-  const ashWed       = addDays(easter, -46);
-  const palmSunday   = addDays(easter, -7);
-  const holyThursday = addDays(easter, -3);
-  const goodFriday   = addDays(easter, -2);
-  const holySaturday = addDays(easter, -1);
-  const divineMercy  = addDays(easter,  7);
-  const ascensionThu = addDays(easter, 39);   // Thursday of 6th week of Easter
-  const ascensionSun = addDays(easter, 42);   // US default: transferred Sunday
-  const ascension    = opts.ascensionOnThursday ? ascensionThu : ascensionSun;
-  const pentecost    = addDays(easter, 49);
-  const trinity      = addDays(easter, 56);
-  const corpusChristi = addDays(easter, 63);  // US: Sun after Trinity
-  const sacredHeart  = addDays(easter, 68);   // Friday after Corpus Christi week
-
-  if (sameDay(date, ashWed))         return 'Ash Wednesday';
-  if (sameDay(date, palmSunday))     return 'Palm Sunday of the Passion of the Lord';
-  if (sameDay(date, holyThursday))   return 'Holy Thursday — Mass of the Lord’s Supper';
-  if (sameDay(date, goodFriday))     return 'Good Friday of the Passion of the Lord';
-  if (sameDay(date, holySaturday))   return 'Holy Saturday — Easter Vigil';
-  if (sameDay(date, easter))         return 'Easter Sunday of the Resurrection of the Lord';
-  if (sameDay(date, divineMercy))    return 'Second Sunday of Easter (Sunday of Divine Mercy)';
-  if (sameDay(date, ascension))      return 'The Ascension of the Lord';
-  if (sameDay(date, pentecost))      return 'Pentecost Sunday';
-  if (sameDay(date, trinity))        return 'The Most Holy Trinity';
-  if (sameDay(date, corpusChristi))  return 'The Most Holy Body and Blood of Christ (Corpus Christi)';
-  if (sameDay(date, sacredHeart))    return 'The Most Sacred Heart of Jesus';
-  if (sameDay(date, christTheKing(year))) return 'Our Lord Jesus Christ, King of the Universe';
-  if (sameDay(date, holyFamily(year)))    return 'The Holy Family of Jesus, Mary and Joseph';
-  if (sameDay(date, epiphany(year))) return 'The Epiphany of the Lord';
-  if (sameDay(date, baptismOfTheLord(year))) return 'The Baptism of the Lord';
-
-  // Sundays of Advent
+  // The movable solemnities and feasts of the Lord
+  if (days === ascensionDay(opts)) return day('The Ascension of the Lord', 'solemnity', 2);
+  if (days === 49) return day('Pentecost Sunday', 'solemnity', 2);
+  if (days === 56) return day('The Most Holy Trinity', 'solemnity', 3);
+  if (days === 63) return day('The Most Holy Body and Blood of Christ (Corpus Christi)', 'solemnity', 3);
+  if (days === 68) return day('The Most Sacred Heart of Jesus', 'solemnity', 3);
+  if (sameDay(date, christTheKing(year))) return day('Our Lord Jesus Christ, King of the Universe', 'solemnity', 3);
+  if (month === 11 && dom === 25) return day('The Nativity of the Lord (Christmas)', 'solemnity', 2);
+  if (sameDay(date, epiphany(year, profile))) return day('The Epiphany of the Lord', 'solemnity', 2);
+  if (sameDay(date, holyFamily(year))) return day('The Holy Family of Jesus, Mary and Joseph', 'feast', FEAST_OF_THE_LORD);
+  if (sameDay(date, baptismOfTheLord(year, profile))) return day('The Baptism of the Lord', 'feast', FEAST_OF_THE_LORD);
+
+  const ashWed = addDays(easter, -46);
+  const palmSunday = addDays(easter, -7);
+  const pentecost = addDays(easter, 49);
   const advent1 = firstSundayOfAdvent(year);
-  if (date >= advent1 && date < dateOnly(year, 11, 25)) {
-    const named = nthSundayOfRange(date, advent1, 'advent');
-    if (named) return named;
-  }
 
-  // Sundays of Lent (Ash Wed → Palm Sun)
-  if (date >= ashWed && date < palmSunday) {
-    // First Sunday of Lent = Sunday after Ash Wed
-    let firstSundayLent = addDays(ashWed, 7 - ashWed.getUTCDay());
-    if (firstSundayLent.getUTCDay() !== 0) {
-      // ensure Sunday
-      while (firstSundayLent.getUTCDay() !== 0) firstSundayLent = addDays(firstSundayLent, 1);
+  if (isSunday) {
+    if (month === 0 && dom >= 2 && date < epiphany(year, profile)) return day('Second Sunday after Christmas', 'sunday', 6);
+
+    // Sundays of Advent
+    if (date >= advent1 && date < dateOnly(year, 11, 25)) {
+      const named = nthSundayOfRange(date, advent1, 'advent');
+      if (named) return day(named, 'sunday', 2);
     }
-    const named = nthSundayOfRange(date, firstSundayLent, 'lent');
-    if (named) return named;
-  }
 
-  // Sundays of Easter season (Easter Sunday → Pentecost). Easter Sunday is
-  // already labeled above; this catches the 2nd-7th Sundays.
-  if (date > easter && date <= pentecost) {
-    const named = nthSundayOfRange(date, easter, 'easter');
-    if (named) return named;
-    // Sunday between Ascension and Pentecost
-    if (date.getUTCDay() === 0 && date > ascensionThu && date < pentecost) {
-      return 'Seventh Sunday of Easter';
+    // Sundays of Lent (Ash Wed → Palm Sun): the first is the Sunday after
+    // Ash Wednesday.
+    if (date > ashWed && date < palmSunday) {
+      const named = nthSundayOfRange(date, addDays(ashWed, 4), 'lent');
+      if (named) return day(named, 'sunday', 2);
     }
-  }
 
-  // Sundays in Ordinary Time
-  if (date.getUTCDay() === 0) {
-    // OT week 1 starts the day after Baptism of the Lord; the *Sunday* of
-    // the n-th week of OT (the way the Lectionary numbers it) is the n-th
-    // Sunday after Baptism — except the OT cycle is interrupted by Lent and
-    // Easter, then resumes the Monday after Pentecost using the week count
-    // that makes the *34th* Sunday land on Christ the King.
-    const baptism = baptismOfTheLord(year);
+    // Sundays of Easter: the 3rd-6th, then the 7th between the Ascension
+    // and Pentecost.
+    if (date > easter && date < pentecost) {
+      return day(nthSundayOfRange(date, easter, 'easter') || 'Seventh Sunday of Easter', 'sunday', 2);
+    }
 
+    // Sundays in Ordinary Time. OT week 1 starts the day after Baptism of
+    // the Lord; the *Sunday* of the n-th week of OT (the way the Lectionary
+    // numbers it) is the n-th Sunday after Baptism — except the OT cycle is
+    // interrupted by Lent and Easter, then resumes the Monday after
+    // Pentecost using the week count that makes the *34th* Sunday land on
+    // Christ the King.
+    const baptism = baptismOfTheLord(year, profile);
     if (date > baptism && date < ashWed) {
       // 2nd Sunday of OT is the Sunday after Baptism (OT week 1 has no Sunday).
-      const weeks = Math.round(diffDays(date, baptism) / 7);
-      const n = weeks + 1; // baptism+7 days = 2nd Sunday OT
-      if (n >= 2 && n <= 9) return ordinal(n) + ' Sunday in Ordinary Time';
+      const n = Math.round(diffDays(date, baptism) / 7) + 1;
+      if (n >= 2 && n <= 9) return day(ordinal(n) + ' Sunday in Ordinary Time', 'sunday', 6);
     }
-
     const ctk = christTheKing(year);
     if (date > pentecost && date <= ctk) {
-      // Christ the King is OT week 34; count backwards to figure out which
-      // Sunday this is.
-      const weeksToCtk = Math.round(diffDays(ctk, date) / 7);
-      const n = 34 - weeksToCtk;
-      if (n >= 1 && n <= 34) return ordinal(n) + ' Sunday in Ordinary Time';
+      const n = 34 - Math.round(diffDays(ctk, date) / 7);
+      if (n >= 1 && n <= 34) return day(ordinal(n) + ' Sunday in Ordinary Time', 'sunday', 6);
+    }
+    return day(null, 'sunday', 6);
+  }
+
+  // Weekdays: those of Lent, of Advent from Dec 17 and of the Christmas
+  // octave are privileged (precedence 9) over the memorials.
+  if (month === 11 && dom === 24) return day('Christmas Eve', 'solemnity', 9);
+  if (month === 11 && dom > 25) return day('The ' + OCTAVE_DAYS[dom - 26] + ' Day of the Octave of Christmas', 'feast', 9);
+  if (date > ashWed && date < palmSunday) return day(null, 'weekday', 9);
+  if (month === 11 && dom >= 17) return day(null, 'weekday', 9);
+  return day(null, 'weekday', 13);
+}
+
+const OCTAVE_DAYS = ['Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh'];
+
+// The date a proper-calendar entry falls on in a year: its 'MM-DD', or by
+// its rule, the nth or last weekday of a month.
+function properDate(entry, year) {
+  if (entry.date) {
+    const [month, day] = entry.date.split('-').map(Number);
+    return dateOnly(year, month - 1, day);
+  }
+  const { month, weekday, week } = entry.rule;
+  if (week === 'last') {
+    const last = dateOnly(year, month, 0);
+    return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = dateOnly(year, month - 1, 1);
+  return addDays(first, (weekday - first.getUTCDay() + 7) % 7 + (week - 1) * 7);
+}
+
+// The days of the Proper of Saints (month * 100 + day) whose celebrations
+// are kept on a date, with the date each comes from: its own, less a day the
+// profile moves to the Sunday (toSunday) or All Souls moved off a Sunday,
+// and on a Sunday or the Monday after, the days moved onto it.
+function fixedDaysOn(date, profile) {
+  const weekday = date.getUTCDay();
+  const key = fixedFeastKey(date);
+  const out = [];
+  const moved = (d, to) => out.push({ key: fixedFeastKey(d), from: isoDate(d), to });
+  if (!(profile.toSunday.includes(key) && (weekday === 6 || weekday === 1))
+    && !(key === 1102 && weekday === 0 && profile.allSouls === 'monday')) {
+    out.push({ key });
+  }
+  if (weekday === 0) {
+    for (const d of [addDays(date, -1), addDays(date, 1)]) {
+      if (profile.toSunday.includes(fixedFeastKey(d))) moved(d);
     }
   }
+  if (key === 1103 && weekday === 1 && profile.allSouls === 'monday') moved(addDays(date, -1));
+  return out;
+}
+
+// The Proper of Saints' celebrations on a date, with the national calendar
+// of the profile, the movable memorials of Mary after Pentecost and the
+// parish's own (opts.properCalendar) first: { name, rank, precedence,
+// color }, proper: true on the parish's and transferredFrom on one the
+// profile moves. On a privileged weekday a memorial is only optional
+// (Universal Norms 14); on a Sunday a proper celebration outranks the
+// Sunday in Ordinary Time or yields to it as its displacesSunday says.
+function sanctoralDay(date, privileged, opts = {}) {
+  const year = date.getUTCFullYear();
+  const days = diffDays(date, computeEaster(year));
+  const saints = properOfSaints(profileOf(opts));
+  const list = fixedDaysOn(date, profileOf(opts))
+    .flatMap(({ key, from }) => (saints[key] || []).map(c => (from ? { ...c, transferredFrom: from } : c)));
+  if (days === 50) list.push({ name: 'The Blessed Virgin Mary, Mother of the Church', rank: 'memorial' });
+  if (days === 69) list.push({ name: 'The Immaculate Heart of the Blessed Virgin Mary', rank: 'memorial' });
+  const demote = rank => (privileged && rank === 'memorial' ? 'optionalMemorial' : rank);
+  const proper = (opts.properCalendar || []).filter(e => sameDay(properDate(e, year), date)).map(e => {
+    const rank = demote(e.rank);
+    let precedence = PROPER_PRECEDENCE[rank];
+    if (date.getUTCDay() === 0) {
+      precedence = e.displacesSunday ? Math.min(precedence, FEAST_OF_THE_LORD) : Math.max(precedence, YIELDS_TO_SUNDAY);
+    }
+    return { name: e.name, rank, precedence, color: e.color || 'white', proper: true };
+  });
+  return [...proper, ...list.map(c => {
+    const rank = demote(c.rank);
+    const kept = { name: c.name, rank, precedence: c.lord ? FEAST_OF_THE_LORD : SANCTORAL_PRECEDENCE[rank], color: saintColor(c) };
+    return c.transferredFrom ? { ...kept, transferredFrom: c.transferredFrom } : kept;
+  })];
+}
 
-  // A fixed feast that was suppressed on a Sunday but where no Sunday-cycle
-  // name matched — fall back to the fixed name rather than the bare weekday.
-  if (fixed) return fixed;
+// The vestment color of a saint's day: red for the martyrs, the apostles
+// and the evangelists, violet for All Souls, white for the rest — unless
+// the entry names its own (config/proper-of-saints.js).
+function saintColor(c) {
+  if (c.color) return c.color;
+  if (c.rank === 'commemoration') return 'violet';
+  return /\b(Martyrs?|Apostles?|Evangelist)\b/.test(c.name) ? 'red' : 'white';
+}
+
+function isoDate(date) { return date.toISOString().slice(0, 10); }
+
+// Solemnities impeded on their own day — by a day of higher precedence, or
+// by a solemnity of the Lord — move (Universal Norms 60): out of Holy Week
+// or the Easter octave to the Monday after the Second Sunday of Easter (St
+// Joseph back to the Saturday before Palm Sunday), otherwise to the next
+// day free of anything ranked above the feasts of saints. A proper
+// solemnity that yields to a Sunday moves the same way. For a year:
+// { into: ISO date → [celebration with transferredFrom], away: "ISO date
+// name" → the date it moves to }.
+const _transfers = new Map();
+function transfersFor(year, opts = {}) {
+  const profile = profileOf(opts);
+  const cacheKey = [
+    year,
+    opts.ascensionOnThursday ? 'thursday' : '',
+    typeof opts.profile === 'object' ? JSON.stringify(profile) : opts.profile || DEFAULT_CALENDAR_PROFILE,
+    JSON.stringify(opts.properCalendar || [])
+  ].join(':');
+  if (_transfers.has(cacheKey)) return _transfers.get(cacheKey);
+  const into = new Map();
+  const away = new Map();
+  const easter = computeEaster(year);
+  const taken = d => into.has(isoDate(d)) || temporalDay(d, opts).precedence <= 8
+    || sanctoralDay(d, false, opts).some(c => c.precedence <= 8);
+  const calendar = properOfSaints(profile);
+  const dates = new Set([
+    ...Object.keys(calendar).map(Number)
+      .filter(key => calendar[key].some(c => c.rank === 'solemnity'))
+      .map(key => isoDate(dateOnly(year, Math.floor(key / 100) - 1, key % 100))),
+    ...(opts.properCalendar || []).filter(e => e.rank === 'solemnity').map(e => isoDate(properDate(e, year)))
+  ]);
+  for (const iso of [...dates].sort()) {
+    const date = parseDate(iso);
+    const saints = sanctoralDay(date, false, opts);
+    for (const c of saints) {
+      if (c.rank !== 'solemnity') continue;
+      const impeded = temporalDay(date, opts).precedence <= c.precedence
+        || saints.some(other => other.precedence < c.precedence);
+      if (!impeded) continue;
+      const days = diffDays(date, easter);
+      let to;
+      if (days >= -7 && days <= 7) {
+        to = fixedFeastKey(date) === 319 && !c.proper && days < 0 ? addDays(easter, -8) : addDays(easter, 8);
+      } else {
+        to = addDays(date, 1);
+        while (taken(to)) to = addDays(to, 1);
+      }
+      away.set(iso + ' ' + c.name, isoDate(to));
+      const precedence = c.proper ? PROPER_PRECEDENCE.solemnity : SANCTORAL_PRECEDENCE.solemnity;
+      into.set(isoDate(to), [...(into.get(isoDate(to)) || []),
+        { name: c.name, rank: c.rank, precedence, color: c.color, transferredFrom: iso }]);
+    }
+  }
+  const result = { into, away };
+  _transfers.set(cacheKey, result);
+  return result;
+}
 
-  // Generic fallback: return weekday name + season
+// The celebrations of a date by precedence:
+//   celebration  — the one kept: { name, rank, precedence }, plus
+//                  transferredFrom for a solemnity moved to this date
+//   suppressed   — [{ name, rank }] it outranks, with transferredTo on a
+//                  solemnity that moves away; the weekday itself isn't listed
+//   alternatives — names of the optional memorials that may be kept in its
+//                  place (on a weekday, or a memorial made optional)
+// On equal precedence the Proper of Time keeps the day, then a transferred
+// solemnity, then the first of the day's saints.
+function celebrationsOn(date, opts = {}) {
+  const temporal = temporalDay(date, opts);
+  const { into, away } = transfersFor(date.getUTCFullYear(), opts);
+  const suppressed = [];
+  const candidates = [temporal, ...(into.get(isoDate(date)) || [])];
+  for (const c of sanctoralDay(date, temporal.precedence === 9, opts)) {
+    const movedTo = c.rank === 'solemnity' && away.get(isoDate(date) + ' ' + c.name);
+    if (movedTo) suppressed.push({ name: c.name, rank: c.rank, transferredTo: movedTo });
+    else candidates.push(c);
+  }
+  candidates.sort((a, b) => a.precedence - b.precedence);
+  let [celebration, ...rest] = candidates;
+  // Two memorials on one day are both optional that year.
+  if (celebration.rank === 'memorial' && rest.some(c => c.rank === 'memorial')) {
+    const optional = c => (c.rank === 'memorial' ? { ...c, rank: 'optionalMemorial', precedence: SANCTORAL_PRECEDENCE.optionalMemorial } : c);
+    celebration = optional(celebration);
+    rest = rest.map(optional);
+  }
+  const optionalAllowed = celebration.precedence === 9 || celebration.precedence >= SANCTORAL_PRECEDENCE.optionalMemorial;
+  const alternatives = [];
+  for (const c of rest) {
+    if (c === temporal && c.precedence >= 9) continue;
+    if (c.rank === 'optionalMemorial' && optionalAllowed) alternatives.push(c.name);
+    else suppressed.push({ name: c.name, rank: c.rank });
+  }
+  return { celebration, suppressed, alternatives };
+}
+
+// Feast/Sunday name: the celebration kept on the date (celebrationsOn),
+// falling back to the day-of-week + month/day for a weekday with none.
+function detectFeastName(date, opts = {}) {
+  const { celebration } = celebrationsOn(date, opts);
+  if (celebration.name) return celebration.name;
   const weekday = date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
   const monthDay = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' });
   return weekday + ', ' + monthDay;
 }
 
-// Convenience: return both the season + the feast name for a given date.
-// opts is passed through to detectFeastName (e.g. { ascensionOnThursday: true }).
+// The rank of the celebration detectFeastName names for a date:
+// 'solemnity', 'feast', 'memorial', 'optionalMemorial', 'commemoration'
+// (All Souls), 'sunday' or 'weekday'. Drives the leaflet's reduced
+// structure (config/leaflets.js).
+function detectRank(date, opts = {}) {
+  return celebrationsOn(date, opts).celebration.rank;
+}
+
+// The Holy Week liturgy celebrated on a date, or null: 'palmSunday',
+// 'holyThursday', 'goodFriday' or 'easterVigil' (Holy Saturday). Keys into
+// HOLY_WEEK (config/holy-week.js).
+function detectHolyWeek(date) {
+  const easter = computeEaster(date.getUTCFullYear());
+  const days = diffDays(easter, date);
+  return { 7: 'palmSunday', 3: 'holyThursday', 2: 'goodFriday', 1: 'easterVigil' }[days] || null;
+}
+
+// The Sequence sung before the Gospel Acclamation on a date, or null:
+// { id, optional } with id 'easter', 'pentecost' or 'corpusChristi' (keys
+// into SEQUENCES, config/sequences.js). The Easter Sequence is also
+// optional through the Easter octave, up to the Second Sunday of Easter.
+function detectSequence(date) {
+  const easter = computeEaster(date.getUTCFullYear());
+  const days = diffDays(date, easter);
+  if (days === 0) return { id: 'easter', optional: false };
+  if (days > 0 && days <= 7) return { id: 'easter', optional: true };
+  if (days === 49) return { id: 'pentecost', optional: false };
+  if (days === 63) return { id: 'corpusChristi', optional: false };
+  return null;
+}
+
+// The liturgical color of a date: 'violet', 'rose', 'white', 'red' or
+// 'green'. A saint's day kept in place of the weekday takes its own color
+// (saintColor); otherwise the Proper of Time's — red on Palm Sunday, Good
+// Friday and Pentecost, rose on Gaudete and Laetare Sundays, white on
+// Holy Thursday, the Easter Vigil and the solemnities of the Lord, and the
+// season's color the rest of the year.
+function detectLiturgicalColor(date, opts = {}) {
+  const { celebration } = celebrationsOn(date, opts);
+  if (celebration.color) return celebration.color;
+  const easter = computeEaster(date.getUTCFullYear());
+  const days = diffDays(date, easter);
+  if (days === -7 || days === -2 || days === 49) return 'red';
+  if (days === -3 || days === -1) return 'white';
+  if (days === -21 || sameDay(date, addDays(firstSundayOfAdvent(date.getUTCFullYear()), 14))) return 'rose';
+  if (celebration.rank === 'solemnity') return 'white';
+  return { advent: 'violet', lent: 'violet', christmas: 'white', easter: 'white', ordinary: 'green' }[detectSeason(date, opts)];
+}
+
+// Whether a date is a holy day of obligation in the profile, besides the
+// Sundays: one of its holyDays kept on the date — moved there, for one it
+// moves to the Sunday — unless the obligation lapses on a Saturday or a
+// Monday.
+function isHolyDayOfObligation(date, opts = {}) {
+  const profile = profileOf(opts);
+  const year = date.getUTCFullYear();
+  if (profile.holyDays.includes('ascension') && diffDays(date, computeEaster(year)) === ascensionDay(opts)) return true;
+  if (profile.holyDays.includes('epiphany') && sameDay(date, epiphany(year, profile))) return true;
+  const weekday = date.getUTCDay();
+  return fixedDaysOn(date, profile).some(({ key }) => profile.holyDays.includes(key)
+    && !(profile.lapses.includes(key) && (weekday === 6 || weekday === 1)));
+}
+
+// The Lectionary cycles for a date: { sunday: 'A' | 'B' | 'C', weekday:
+// 'I' | 'II' }. Both turn over with the liturgical year on the First Sunday
+// of Advent: Year A in years divisible by 3 (Advent 2025 begins Year A of
+// 2026), Year I for an odd year.
+function detectLectionaryCycle(date) {
+  const year = date.getUTCFullYear();
+  const liturgicalYear = date >= firstSundayOfAdvent(year) ? year + 1 : year;
+  return {
+    sunday: ['C', 'A', 'B'][liturgicalYear % 3],
+    weekday: liturgicalYear % 2 ? 'I' : 'II'
+  };
+}
+
+// Convenience: return the season, the feast name and its rank (with the
+// celebrations it suppresses, the optional memorials that may replace it and
+// the date a transferred solemnity comes from), the liturgical color, the
+// Lectionary cycles, whether it is a holy day of obligation, the Holy Week
+// liturgy and the Sequence for a given date.
+// opts — { profile, properCalendar, ascensionOnThursday } — is the parish's
+// (config/proper-calendar.js calendarOptions).
 function getLiturgicalInfo(yyyyMmDd, opts = {}) {
   const date = parseDate(yyyyMmDd);
   if (!date) return null;
+  const { celebration, suppressed, alternatives } = celebrationsOn(date, opts);
   return {
     date: yyyyMmDd,
-    liturgicalSeason: detectSeason(date),
-    feastName: detectFeastName(date, opts)
+    liturgicalSeason: detectSeason(date, opts),
+    feastName: detectFeastName(date, opts),
+    rank: celebration.rank,
+    transferredFrom: celebration.transferredFrom || null,
+    suppressed,
+    alternatives,
+    color: detectLiturgicalColor(date, opts),
+    lectionaryCycle: detectLectionaryCycle(date),
+    holyDayOfObligation: isHolyDayOfObligation(date, opts),
+    holyWeek: detectHolyWeek(date),
+    sequence: detectSequence(date)
   };
 }
 
@@ -335,6 +591,13 @@ module.exports = {
   parseDate,
   detectSeason,
   detectFeastName,
+  detectRank,
+  celebrationsOn,
+  detectLiturgicalColor,
+  detectLectionaryCycle,
+  isHolyDayOfObligation,
+  detectHolyWeek,
+  detectSequence,
   getLiturgicalInfo,
   // exposed for tests
   _internal: {
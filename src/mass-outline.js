@@ -0,0 +1,979 @@
+// The Order of Mass as ONE block model, consumed by both renderers. The PDF
+// generator measures and paginates these blocks (see renderContentFlow) and
+// the HTML preview draws the very same blocks on the pages the PDF put them
+// on — so a change to the liturgy is made here, once, and the preview can
+// never disagree with the printed page breaks.
+//
+// A block is { items, keepNext?, anchorBottom? } — the unit the paginator
+// never splits. keepNext: the block must not be the last thing on its page
+// (a heading or transition travels with the block it introduces).
+// anchorBottom: the block sits at the foot of the final page. Granularity:
+//   * a heading travels with the first piece of its content;
+//   * a hymn line and its notation image/paste box are ONE block;
+//   * long prose (readings, gospel) splits into per-paragraph blocks so it
+//     can flow across pages without orphaning its heading.
+//
+// Items are plain data, one drawing primitive each:
+//   section         { text }                        section title
+//   heading         { text, inline?, cite?, right? } sub-heading line; cite
+//                                                     styles inline as a citation
+//   music           { text, pieces, right? }         music slot heading
+//   rubric          { text, align }                  standalone posture line
+//   text            { text, role, size?, bold?, italic?, align?, indent?,
+//                     gap?, muted? }                 body text paragraph
+//   columns         { text, role, size, gap? }       balanced two columns
+//   parallel        { text, alt, role, size?, bold?, gap?, lang?, altLang? }
+//                                                    side-by-side columns:
+//                                                    English | Spanish, or
+//                                                    Latin | translation
+//   hanging         { label, text, size }            "Verse:" + hung text
+//   hymnSpace       { slot }                         hymn notation / paste box
+//   notation        { slot, label }                  ordinary notation / box
+//   childrenLiturgy { lines: [{ text, font, size }] } dismissal box
+//   adventWreath, rule, copyright, parishFooter, ruledLines
+//   space           { pt }                           vertical space (base pt)
+// Sizes and spacing are base units — each renderer applies the booklet's
+// layout scale and text scale.
+//
+// Language (d.language): 'english' (the default), 'spanish' or 'bilingual'.
+// Labels (sections, headings, music slots, rubrics) go through
+// localizeLabel; the people's parts come from the _ES texts. A bilingual
+// booklet sets each people's part as parallel columns or, with
+// d.bilingualLayout 'alternating', English then Spanish in italics.
+// Each Ordinary part (ORDINARY_PARTS) can instead be set in Latin, in any
+// booklet language, optionally with its translation in a parallel column.
+//
+// Holy Week (config/holy-week.js) reshapes the Order of Mass through the
+// rite-insert anchors; Good Friday, with no Mass, has an outline of its own
+// (celebrationOfThePassion). Weddings and funerals (config/celebrations.js)
+// do the same, with a wedding outside Mass in celebrationOfMatrimony.
+// A leaflet (config/leaflets.js) keeps the Order of Mass, reduced for the
+// day's rank: no Creed below a solemnity or Sunday (in two columns when it
+// prints), and none of the Prelude, Offertory, Choral Anthem or Postlude
+// headings when nothing is chosen for them.
+'use strict';
+
+const {
+  APOSTLES_CREED, NICENE_CREED, RENEWAL_OF_BAPTISMAL_VOWS, APOSTLES_CREED_ES, NICENE_CREED_ES, RENEWAL_OF_BAPTISMAL_VOWS_ES,
+  APOSTLES_CREED_LATIN, NICENE_CREED_LATIN
+} = require('./assets/text/creeds');
+const {
+  CONFITEOR, CONFITEOR_ES, KYRIE, KYRIE_ES, KYRIE_LATIN, GLORIA, GLORIA_ES, GLORIA_LATIN,
+  GLORIA_INCIPIT, GLORIA_INCIPIT_ES, GLORIA_INCIPIT_LATIN,
+  INVITATION_TO_PRAYER, INVITATION_TO_PRAYER_ES, UNIVERSAL_PRAYER_RESPONSE, UNIVERSAL_PRAYER_RESPONSE_ES,
+  RUBRICS, RUBRICS_CLASSIC, GOSPEL_ACCLAMATION_LENTEN, GOSPEL_ACCLAMATION_LENTEN_ALT, GOSPEL_ACCLAMATION_STANDARD,
+  GOSPEL_ACCLAMATION_LENTEN_ES, GOSPEL_ACCLAMATION_LENTEN_ALT_ES, GOSPEL_ACCLAMATION_STANDARD_ES,
+  HOLY_HOLY_HOLY_ENGLISH, HOLY_HOLY_HOLY_SPANISH, HOLY_HOLY_HOLY_LATIN, MYSTERY_OF_FAITH_OPTIONS, MYSTERY_OF_FAITH_OPTIONS_ES,
+  LORDS_PRAYER, LORDS_PRAYER_ES, PATER_NOSTER, AGNUS_DEI_TEXT, AGNUS_DEI_TEXT_ES, AGNUS_DEI_LATIN
+} = require('./assets/text/mass-texts');
+const { localizeLabel } = require('./assets/text/labels');
+const { resolveRiteInserts } = require('./config/rite-inserts');
+const { resolveHolyWeek } = require('./config/holy-week');
+const { resolveSequence } = require('./config/sequences');
+const { MINISTER_ROLES, resolveCelebration, celebrationReadings } = require('./config/celebrations');
+const { resolveLeaflet, leafletReadings } = require('./config/leaflets');
+const { formatMusicSlot } = require('./music-formatter');
+const { resolveChildrenLiturgyTimes } = require('./render-shared');
+const { DEFAULT_PARISH_SETTINGS } = require('./config/defaults');
+
+const CREED_HEADINGS = {
+  apostles:       "The Apostles' Creed",
+  baptismal_vows: 'Renewal of Baptismal Vows',
+  nicene:         'The Nicene Creed'
+};
+const CREED_TEXTS = {
+  apostles:       APOSTLES_CREED,
+  baptismal_vows: RENEWAL_OF_BAPTISMAL_VOWS,
+  nicene:         NICENE_CREED
+};
+const CREED_TEXTS_ES = {
+  apostles:       APOSTLES_CREED_ES,
+  baptismal_vows: RENEWAL_OF_BAPTISMAL_VOWS_ES,
+  nicene:         NICENE_CREED_ES
+};
+// The baptismal promises have no Latin form: they print in the booklet's
+// language even when the Creed is set to Latin.
+const CREED_TEXTS_LATIN = {
+  apostles: APOSTLES_CREED_LATIN,
+  nicene:   NICENE_CREED_LATIN
+};
+const CREED_HEADINGS_LATIN = {
+  apostles: 'Symbolum Apostolorum',
+  nicene:   'Credo'
+};
+
+// The Ordinary parts that can be set in Latin: the per-aid language field
+// (seasonalSettings), the parish default it falls back to, and the texts
+// { en, es, la } printed when no music carries the part. The Creed's texts
+// depend on creedType (see creed()).
+const ORDINARY_PARTS = {
+  kyrie:       { field: 'kyrieLanguage',       parishDefault: 'defaultKyrieLanguage',       texts: { en: KYRIE, es: KYRIE_ES, la: KYRIE_LATIN } },
+  gloria:      { field: 'gloriaLanguage',      parishDefault: 'defaultGloriaLanguage',      texts: { en: GLORIA, es: GLORIA_ES, la: GLORIA_LATIN } },
+  creed:       { field: 'creedLanguage',       parishDefault: 'defaultCreedLanguage' },
+  sanctus:     { field: 'holyHolyLanguage',    parishDefault: 'defaultSanctusLanguage',     texts: { en: HOLY_HOLY_HOLY_ENGLISH, es: HOLY_HOLY_HOLY_SPANISH, la: HOLY_HOLY_HOLY_LATIN } },
+  lordsPrayer: { field: 'lordsPrayerLanguage', parishDefault: 'defaultLordsPrayerLanguage', texts: { en: LORDS_PRAYER, es: LORDS_PRAYER_ES, la: PATER_NOSTER } },
+  lambOfGod:   { field: 'lambOfGodLanguage',   parishDefault: 'defaultLambOfGodLanguage',   texts: { en: AGNUS_DEI_TEXT, es: AGNUS_DEI_TEXT_ES, la: AGNUS_DEI_LATIN } }
+};
+
+// The Gloria's opening line, for seasonalSettings.gloriaText 'incipit'.
+const GLORIA_INCIPITS = { en: GLORIA_INCIPIT, es: GLORIA_INCIPIT_ES, la: GLORIA_INCIPIT_LATIN };
+
+// An Ordinary part's language, resolved like the Sanctus always was:
+// per-aid override > parish default > English.
+function ordinaryLanguage(part, ss, parishSettings) {
+  const spec = ORDINARY_PARTS[part];
+  if (!spec) return 'english';
+  return (ss || {})[spec.field] || (parishSettings || {})[spec.parishDefault] || 'english';
+}
+
+function paragraphs(text) {
+  return String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+}
+
+// Each psalm verse ends with "R." to cue the people back to the response
+// (director); the "R." is only added when the verse doesn't carry one.
+function psalmStrophes(text) {
+  return paragraphs(text).map(responseCue);
+}
+
+function responseCue(text) {
+  return /(?:^|\s)R\.?\s*$/.test(text) ? text : `${text} R.`;
+}
+
+// A presidential prayer's text under its heading (d.prayers), when the
+// draft gives one.
+function prayerText(text) {
+  return text && text.trim() ? { type: 'text', role: 'prayer', text: text.trim() } : null;
+}
+
+// The Prayer of the Faithful: the people's response under the heading,
+// then each intention as its own block ending with the "R." cue, like the
+// psalm strophes; the heading keeps with the first. Without intentions only
+// the heading prints.
+function universalPrayer(o, p) {
+  const intentions = (p.intentions || []).map(t => String(t).trim()).filter(Boolean);
+  const response = { type: 'text', role: 'refrain', bold: true, size: 9 };
+  o.b([
+    { type: 'heading', text: 'Prayer of the Faithful' },
+    intentions.length > 0 && (p.response
+      ? { ...response, text: `R. ${p.response}` }
+      : o.people(`R. ${UNIVERSAL_PRAYER_RESPONSE}`, `R. ${UNIVERSAL_PRAYER_RESPONSE_ES}`, response))
+  ], { keepNext: intentions.length > 0 });
+  for (const t of intentions) o.b([{ type: 'text', role: 'prayer', text: responseCue(t), indent: 10, gap: 5 }]);
+}
+
+// The Children's Liturgy of the Word dismissal box: times, leader, music
+// and a note, each line with its font role and base size. L localizes the
+// fixed wording.
+function childrenLiturgy(d, L) {
+  const lines = [{ text: `${L("Children's Liturgy of the Word")} — ${resolveChildrenLiturgyTimes(d).join(' & ')}`, font: 'bold', size: 8 }];
+  if (d.childrenLiturgyLeader) lines.push({ text: `${L('Led by')} ${d.childrenLiturgyLeader}`, font: 'body', size: 7.5 });
+  if (d.childrenLiturgyMusic) {
+    lines.push({ text: `${d.childrenLiturgyMusic}${d.childrenLiturgyMusicComposer ? ', ' + d.childrenLiturgyMusicComposer : ''}`, font: 'italic', size: 7.5 });
+  }
+  lines.push({
+    text: d.childrenLiturgyNotes || L('Children are dismissed after the Opening Prayer and will rejoin during the Offertory.'),
+    font: 'italic', size: 7
+  });
+  return { type: 'childrenLiturgy', lines };
+}
+
+// The rite inserts (config/rite-inserts.js) and Holy Week rites attached
+// at anchor, each part one block; a reading part flows like any reading.
+// rubric builds a direction in the design's alignment; RUB is the design's
+// posture wording.
+function riteInserts(o, ctx, rites, anchor, rubric, RUB) {
+  for (const rite of rites.filter(r => r.anchor === anchor)) {
+    for (const part of rite.parts) {
+      if (part[0].reading) {
+        const r = o.d.readings || {};
+        o.reading(part[0].heading, r[`${part[0].reading}Citation`], r[`${part[0].reading}Text`], 9);
+      } else {
+        o.b(part.map(item => riteItem(o, ctx, rite, item, rubric, RUB)));
+      }
+    }
+  }
+}
+
+// True when an insert takes the place of a Mass part ('kyrie', 'creed'),
+// or, for 'penitentialAct', is anchored in its place.
+function riteReplaces(rites, part) {
+  return rites.some(r => r.omits.includes(part) || r.anchor === part);
+}
+
+function riteItem(o, ctx, rite, item, rubric, RUB) {
+  if (item.section) return { type: 'section', text: item.section };
+  if (item.heading) return { type: 'heading', text: item.heading, right: item.posture ? RUB[item.posture] : undefined };
+  if (item.posture) return rubric(RUB[item.posture]);
+  if (item.rubric) return rubric(item.rubric);
+  if (item.music) {
+    const { title, composer } = rite.music[item.music] || {};
+    return [
+      { type: 'music', text: item.label, pieces: title ? [{ title, composer: composer || '', timeLabel: '' }] : [] },
+      ctx.hasMusic(item.music) && { type: 'notation', slot: item.music, label: `${item.label} — music notation` }
+    ];
+  }
+  const text = { type: 'text', role: 'prayer', ...(item.bold ? { bold: true } : {}) };
+  return item.es ? o.people(item.text, item.es, text) : { ...text, text: item.text };
+}
+
+// Music slots a leaflet prints only when something is chosen for them.
+const LEAFLET_OPTIONAL_SLOTS = ['organPrelude', 'offertoryAnthem', 'choralAnthemConcluding', 'organPostlude'];
+
+// Label fields b() localizes on every item.
+const LABEL_FIELDS = { section: ['text'], heading: ['text', 'right'], music: ['text', 'right'], rubric: ['text'], hanging: ['label'] };
+
+// Builder shared by both designs: b() appends a block (falsy items are
+// dropped so optional lines can be written inline, nested arrays from
+// people() are flattened, and labels are localized), music() resolves a
+// slot's pieces (null for a leaflet's empty LEAFLET_OPTIONAL_SLOTS), reading() splits a reading into heading + paragraphs,
+// people() sets a people's part in the draft's language, and L()
+// localizes a label built inside a longer string. latin(), ordinary() and
+// serviceMusic() set the Ordinary parts (ORDINARY_PARTS).
+function outlineBuilder(d, ctx) {
+  const blocks = [];
+  const ss = d.seasonalSettings || {};
+  const language = d.language || 'english';
+  const L = text => localizeLabel(text, language);
+  const localize = item => {
+    const fields = LABEL_FIELDS[item.type];
+    if (!fields || language === 'english') return item;
+    const out = { ...item };
+    for (const f of fields) if (out[f]) out[f] = L(out[f]);
+    return out;
+  };
+  // A block left with nothing to print (a leaflet's dropped music slot) is
+  // not added.
+  const b = (items, opts) => {
+    const kept = items.flat().filter(Boolean).map(localize);
+    if (kept.length) blocks.push({ items: kept, ...(opts || {}) });
+  };
+  const leaflet = !!resolveLeaflet(d);
+  const music = (text, titleField, composerField, right) => {
+    const pieces = formatMusicSlot(d, titleField, composerField);
+    if (leaflet && !pieces.length && LEAFLET_OPTIONAL_SLOTS.includes(titleField)) return null;
+    return { type: 'music', text, pieces, ...(right ? { right } : {}) };
+  };
+  // A people's part: item is the English text item ({ type, role, size,
+  // ... }); en/es are its two texts. Bilingual columns become parallel
+  // columns of their own, or one column each when alternating.
+  const people = (en, es, item) => {
+    if (language === 'spanish') return { ...item, text: es };
+    if (language !== 'bilingual') return { ...item, text: en };
+    const one = item.type === 'columns' ? { ...item, type: 'text' } : item;
+    if (d.bilingualLayout === 'alternating') return [{ ...one, text: en }, { ...one, text: es, italic: true }];
+    return parallel(one, en, es, { altLang: 'es' });
+  };
+  const latin = part => ordinaryLanguage(part, ss, ctx.parishSettings) === 'latin';
+  // An Ordinary part's text: Latin in every booklet language when the part
+  // is set in Latin — with the translation in a parallel column when
+  // ss.latinTranslation is on — otherwise the people's part.
+  const ordinary = (part, texts, item) => {
+    if (!latin(part)) return people(texts.en, texts.es, item);
+    if (!ss.latinTranslation) return { ...item, text: texts.la };
+    return language === 'spanish'
+      ? parallel(item, texts.la, texts.es, { lang: 'la', altLang: 'es' })
+      : parallel(item, texts.la, texts.en, { lang: 'la' });
+  };
+  // A sung part prints its notation (image or paste box) when the slot has
+  // music. Without music, a part in Latin — or any part in a Spanish or
+  // bilingual booklet — prints its text, since the assembly can't be
+  // assumed to know it by heart; an English booklet keeps the slot.
+  const serviceMusic = (part, slot, label, texts) => {
+    if (ctx.hasMusic(slot) || (language === 'english' && !latin(part))) return { type: 'notation', slot, label };
+    return ordinary(part, texts, { type: 'text', role: 'prayer' });
+  };
+  // Heading (with the scripture citation inline on the same line) + first
+  // paragraph stay together; the remaining paragraphs flow as their own
+  // blocks.
+  const reading = (heading, citation, text, size, right) => {
+    const paras = paragraphs(text);
+    b([
+      { type: 'heading', text: heading, inline: citation || undefined, cite: true, right },
+      paras[0] && { type: 'text', role: 'reading', text: paras[0], size }
+    ]);
+    for (const p of paras.slice(1)) b([{ type: 'text', role: 'reading', text: p, size }]);
+  };
+  return { d, blocks, b, music, reading, people, L, language, latin, ordinary, serviceMusic };
+}
+
+// A parallel item from a text item's role and styling: text on the left,
+// alt on the right. langs: { lang?, altLang? } — the columns' languages
+// when they differ from the document's.
+function parallel(item, text, alt, langs) {
+  return {
+    type: 'parallel', role: item.role, text, alt, ...langs,
+    ...(item.size ? { size: item.size } : {}), ...(item.bold ? { bold: true } : {}), ...(item.gap !== undefined ? { gap: item.gap } : {})
+  };
+}
+
+// ctx: { design, parishSettings, hasMusic(slot), hasImage(slot), twoColumn, announcementsPage }
+//   hasMusic     — the slot prints music (image or paste box) instead of text
+//   hasImage     — the slot has an uploaded notation image
+//   twoColumn    — auto-fit set the psalm verses and Creed in two columns
+//   announcementsPage — the announcements moved to their own filler page
+function buildMassOutline(d, ctx) {
+  const hw = resolveHolyWeek(d);
+  if (hw && hw.noMass) return celebrationOfThePassion(d, ctx);
+  const celebration = resolveCelebration(d);
+  if (celebration && celebration.noMass) return celebrationOfMatrimony(d, ctx);
+  return massOutline(d, ctx);
+}
+
+// hw: the Holy Week liturgy, or an empty object on other days;
+// celebration: the wedding or funeral, or null for the Sunday Mass. Their
+// rites go ahead of the draft's own inserts, and the readings the family
+// chose stand in for any the draft leaves empty. A leaflet prints the Creed
+// as its rank says, and drops the second reading on weekdays and feasts
+// unless the readings have one.
+function seasonFlags(d) {
+  const ss = d.seasonalSettings || {};
+  const isLenten = d.liturgicalSeason === 'lent';
+  const hw = resolveHolyWeek(d) || {};
+  const celebration = resolveCelebration(d);
+  const leaflet = resolveLeaflet(d);
+  return {
+    ss,
+    r: leafletReadings(d, celebrationReadings(d)),
+    p: d.prayers || {},
+    hw,
+    celebration,
+    rites: [...(celebration ? celebration.inserts : []), ...(hw.inserts || []), ...resolveRiteInserts(d)],
+    showCreed: !leaflet || leaflet.creed,
+    isLenten,
+    showGloria: ss.gloria !== undefined ? ss.gloria : (d.liturgicalSeason !== 'lent' && d.liturgicalSeason !== 'advent'),
+    includePostlude: ss.includePostlude !== undefined ? ss.includePostlude : !isLenten,
+    showAdventWreath: ss.adventWreath !== undefined ? ss.adventWreath : d.liturgicalSeason === 'advent',
+    creedType: ss.creedType || 'nicene',
+    rubricAlign: ss.rubricAlignment || 'center'
+  };
+}
+
+// [English, Spanish] Gospel Acclamation for the season; the Alleluia
+// returns at the Easter Vigil.
+function acclamationTexts(d, ss, hw) {
+  if (d.liturgicalSeason !== 'lent' || hw.alleluia) return [GOSPEL_ACCLAMATION_STANDARD, GOSPEL_ACCLAMATION_STANDARD_ES];
+  return ss.lentenAcclamation === 'alternate'
+    ? [GOSPEL_ACCLAMATION_LENTEN_ALT, GOSPEL_ACCLAMATION_LENTEN_ALT_ES]
+    : [GOSPEL_ACCLAMATION_LENTEN, GOSPEL_ACCLAMATION_LENTEN_ES];
+}
+
+// The Sequence (config/sequences.js), sung before the Gospel Acclamation:
+// the setting on its heading line, or the Sequence's name when no setting
+// is given, then its text — or the notation, once an image is attached.
+function sequence(o, ctx) {
+  const seq = resolveSequence(o.d);
+  if (!seq) return;
+  const setting = o.music('Sequence', 'sequenceSetting', 'sequenceComposer');
+  o.b([
+    setting.pieces.length ? setting : { type: 'heading', text: 'Sequence', inline: seq.name },
+    ctx.hasImage('sequence')
+      ? { type: 'notation', slot: 'sequence', label: 'Sequence — music notation' }
+      : o.people(seq.text, seq.es, { type: 'text', role: 'prayer', size: 9 })
+  ]);
+}
+
+// The participants the family named for a wedding or funeral
+// (MINISTER_ROLES), each on a heading line with the name inline, under one
+// title at the head of the Order of Worship.
+function participants(o, celebration) {
+  if (!celebration) return;
+  const roles = MINISTER_ROLES[celebration.rite];
+  const named = Object.keys(roles).filter(field => String(celebration.ministers[field] || '').trim());
+  if (!named.length) return;
+  o.b([
+    { type: 'section', text: 'Participants' },
+    ...named.map(field => ({ type: 'heading', text: roles[field], inline: String(celebration.ministers[field]).trim() }))
+  ]);
+}
+
+// The Passion, read in parts (Palm Sunday, Good Friday): each speaker's
+// line — N. narrator, ✠ Christ, C. crowd, S. / V. other voices — is its
+// own paragraph, and the assembly's part (C.) is bold. Text without the
+// markers reads as plain paragraphs.
+const PASSION_SPEAKER = /^(?:[NCSV]\.|✠|\+)\s/;
+
+function passionParts(text) {
+  const parts = [];
+  for (const line of String(text || '').split('\n')) {
+    const t = line.trim();
+    if (PASSION_SPEAKER.test(t) || !parts.length) parts.push({ speaker: t.charAt(0), lines: [] });
+    parts[parts.length - 1].lines.push(line);
+  }
+  return parts.flatMap(part => paragraphs(part.lines.join('\n')).map(text => ({ text, bold: part.speaker === 'C' })));
+}
+
+function passion(o, r, size, right) {
+  const parts = passionParts(r.gospelText);
+  const item = part => ({ type: 'text', role: 'reading', text: part.text, size, ...(part.bold ? { bold: true } : {}) });
+  o.b([
+    { type: 'heading', text: 'The Passion of the Lord', inline: r.gospelCitation || undefined, cite: true, right },
+    parts[0] && item(parts[0])
+  ]);
+  for (const part of parts.slice(1)) o.b([item(part)]);
+}
+
+// The Easter Vigil's Old Testament readings, each with its psalm
+// (data.readings.vigilReadings; the draft's First Reading and Psalm when
+// none are listed), under the Liturgy of the Word title. columns sets the
+// psalm strophes in two columns.
+const VIGIL_READING_HEADINGS = ['First Reading', 'Second Reading', 'Third Reading', 'Fourth Reading', 'Fifth Reading', 'Sixth Reading', 'Seventh Reading'];
+
+function vigilReadings(o, ctx, r, sit, columns) {
+  const listed = (r.vigilReadings || []).filter(v => v && (v.citation || v.text));
+  const readings = listed.length ? listed : [{
+    citation: r.firstReadingCitation, text: r.firstReadingText,
+    psalmCitation: r.psalmCitation, psalmRefrain: r.psalmRefrain, psalmVerses: r.psalmVerses
+  }];
+  o.b([sit, { type: 'section', text: 'The Liturgy of the Word' }], { keepNext: true });
+  readings.slice(0, VIGIL_READING_HEADINGS.length).forEach((v, i) => {
+    o.reading(VIGIL_READING_HEADINGS[i], v.citation, v.text, 9);
+    if (!v.psalmCitation && !v.psalmRefrain && !v.psalmVerses) return;
+    const verses = psalmStrophes(v.psalmVerses);
+    o.b([
+      { type: 'heading', text: 'Responsorial Psalm', inline: v.psalmCitation || undefined, cite: true },
+      v.psalmRefrain && { type: 'text', role: 'refrain', text: `R. ${v.psalmRefrain}`, bold: true, size: 9 },
+      columns && verses.length > 0 && { type: 'columns', role: 'verse', text: verses.join('\n'), size: 8.5 }
+    ]);
+    if (!columns) for (const verse of verses) o.b([{ type: 'text', role: 'verse', text: verse, size: 8.5, indent: 10, gap: 7 }]);
+  });
+}
+
+// The Collect, then the readings before the Gospel Acclamation: the First
+// Reading — the Epistle at the Easter Vigil, under no new title, after its
+// Old Testament readings (vigilReadings) — the Responsorial Psalm, the
+// Second Reading and the Sequence. flags is seasonFlags(d); rubric and RUB
+// the design's rubric item and posture wording; columns sets the psalm
+// strophes in two columns.
+//
+// The Collect heading must not strand at the foot of a page away from the
+// "Please be seated" and "The Liturgy of the Word" title that follow it
+// (director): keepNext chains it (and the Children's Liturgy dismissal,
+// when present) to the section opening, without welding the reading's
+// first paragraph into one giant unsplittable block.
+function collectAndReadings(o, ctx, flags, rubric, RUB, columns) {
+  const { r, p, hw } = flags;
+  const [heading, citation, text] = hw.vigil
+    ? ['Epistle', r.secondReadingCitation, r.secondReadingText]
+    : ['First Reading', r.firstReadingCitation, r.firstReadingText];
+  const paras = paragraphs(text);
+  o.b([{ type: 'heading', text: 'Collect' }, prayerText(p.collect)], { keepNext: true });
+  // Children leave after the Opening Prayer and return at the Offertory,
+  // so the dismissal box separates the Collect from the readings.
+  if (o.d.childrenLiturgyEnabled) o.b([childrenLiturgy(o.d, o.L)], { keepNext: true });
+  o.b([
+    rubric(RUB.sit),
+    !hw.vigil && { type: 'section', text: 'The Liturgy of the Word' },
+    { type: 'heading', text: heading, inline: citation || undefined, cite: true },
+    paras[0] && { type: 'text', role: 'reading', text: paras[0], size: 9 }
+  ]);
+  for (const para of paras.slice(1)) o.b([{ type: 'text', role: 'reading', text: para, size: 9 }]);
+  if (hw.vigil) return;
+
+  // Responsorial Psalm has no piece "title" — only the scripture reference
+  // goes on the heading line (director). Music (uploaded refrain notation or
+  // a paste area) replaces the text refrain — the notation carries the words.
+  const verses = psalmStrophes(r.psalmVerses);
+  o.b([
+    { type: 'heading', text: 'Responsorial Psalm', inline: r.psalmCitation || undefined, cite: true },
+    ctx.hasMusic('psalmRefrain')
+      ? { type: 'notation', slot: 'psalmRefrain', label: 'Responsorial Psalm refrain — music notation' }
+      : (r.psalmRefrain && { type: 'text', role: 'refrain', text: `R. ${r.psalmRefrain}`, bold: true, size: 9 }),
+    columns && verses.length > 0 && { type: 'columns', role: 'verse', text: verses.join('\n'), size: 8.5 }
+  ]);
+  if (!columns) for (const verse of verses) o.b([{ type: 'text', role: 'verse', text: verse, size: 8.5, indent: 10, gap: 7 }]);
+
+  if (!r.noSecondReading && r.secondReadingCitation) {
+    o.reading('Second Reading', r.secondReadingCitation, r.secondReadingText, 9);
+  }
+  sequence(o, ctx);
+}
+
+// The Creed heading and text for creedType, `o` the outline builder. The
+// text is columns or one column; the baptismal promises are a dialogue and
+// never run in columns, and have no Latin form.
+function creed(o, creedType, right, columns) {
+  const type = CREED_TEXTS[creedType] ? creedType : 'nicene';
+  const item = columns && type !== 'baptismal_vows'
+    ? { type: 'columns', role: 'creed', size: 9, gap: 10 }
+    : { type: 'text', role: 'creed' };
+  const texts = { en: CREED_TEXTS[type], es: CREED_TEXTS_ES[type], la: CREED_TEXTS_LATIN[type] };
+  const latin = !!texts.la && o.latin('creed');
+  return [
+    { type: 'heading', text: latin ? CREED_HEADINGS_LATIN[type] : CREED_HEADINGS[type], right },
+    latin ? o.ordinary('creed', texts, item) : o.people(texts.en, texts.es, item)
+  ];
+}
+
+// Sanctus heading + text (the text prints whenever no music carries it).
+function sanctus(o, ctx, ss) {
+  return [
+    { type: 'heading', text: o.latin('sanctus') ? 'Sanctus' : 'Holy, Holy, Holy', inline: ss.holyHolySetting || 'Mass of St. Theresa' },
+    ctx.hasMusic('sanctus')
+      ? { type: 'notation', slot: 'sanctus', label: 'Holy, Holy, Holy — music notation' }
+      : o.ordinary('sanctus', ORDINARY_PARTS.sanctus.texts, { type: 'text', role: 'prayer' })
+  ];
+}
+
+// Gloria heading + music or text, per seasonalSettings.gloriaText:
+// 'notation' (default) the image or paste box, or the full text when no
+// area is reserved; 'full' / 'incipit' that text, unless an image is
+// attached. englishHeading: the design's wording.
+function gloria(o, ctx, ss, englishHeading) {
+  const mode = ss.gloriaText || 'notation';
+  const music = mode === 'notation' ? ctx.hasMusic('gloria') : ctx.hasImage('gloria');
+  return [
+    { type: 'heading', text: o.latin('gloria') ? 'Gloria' : englishHeading, inline: ss.gloriaSetting || undefined },
+    music
+      ? { type: 'notation', slot: 'gloria', label: 'Gloria — music notation' }
+      : o.ordinary('gloria', mode === 'incipit' ? GLORIA_INCIPITS : ORDINARY_PARTS.gloria.texts, { type: 'text', role: 'prayer' })
+  ];
+}
+
+// The Lord's Prayer heading. Its text is dropped as unnecessary (director)
+// — except in Latin, where the Pater Noster prints for the assembly.
+function lordsPrayer(o) {
+  if (!o.latin('lordsPrayer')) return [{ type: 'heading', text: "The Lord's Prayer" }];
+  return [{ type: 'heading', text: 'Pater Noster' }, o.ordinary('lordsPrayer', ORDINARY_PARTS.lordsPrayer.texts, { type: 'text', role: 'prayer' })];
+}
+
+// What sets the two designs' Masses apart; massOutline builds the one
+// order of the Mass from it. The classic design is the parish's in-house
+// aid: its posture wording (RUBRICS_CLASSIC, beside RUBRICS in
+// mass-texts.js) and section names, the psalm and Creed always in two
+// columns, and a QR footer.
+//   RUB, labels        — posture wording; the Kyrie, Gloria, Offertory and
+//                        Blessing headings
+//   confiteorSize, gospelSize — type sizes of the Confiteor and the Gospel
+//   twoColumn          — the psalm strophes and the Creed always in columns
+//   preludeAboveTitle  — the Organ Prelude line above the Introductory Rites
+//                        title
+//   invocation         — an Invocation heading before the Penitential Act
+//   alleluiaHeading    — "Gospel Alleluia" outside Lent
+//   hangingVerse       — the acclamation verse after a "Verse:" label
+//   announcementsAfterPrayer — the announcements follow the Universal Prayer
+//                        instead of the Concluding Rites
+//   invitationDialogue — the Invitation to Prayer prints its dialogue
+//   offeringsHeading   — the Prayer over the Offerings heading prints even
+//                        with no prayer under it
+//   kneelAfterSanctus  — the Sanctus block ends "Please kneel or be seated"
+//                        instead of "Please kneel" opening the Mystery of Faith
+//   greatAmen          — the setting inline on the Great Amen heading
+//   choralWhenChosen   — the Choral Anthem prints only when a piece is
+//                        scheduled
+//   parishFooter       — the QR/licensing footer ends the booklet instead of
+//                        the copyright block
+const MASS_DESIGNS = {
+  reimagined: {
+    RUB: RUBRICS,
+    labels: { kyrie: 'Lord, Have Mercy', gloria: 'Gloria', offertory: 'Offertory', blessing: 'Blessing & Dismissal' },
+    confiteorSize: 8,
+    gospelSize: 9.5,
+    twoColumn: false,
+    invitationDialogue: true
+  },
+  classic: {
+    RUB: RUBRICS_CLASSIC,
+    labels: { kyrie: 'Lord Have Mercy', gloria: 'Glory to God', offertory: 'Offertory Hymn', blessing: 'Blessing and Dismissal' },
+    confiteorSize: 9,
+    gospelSize: 9,
+    twoColumn: true,
+    preludeAboveTitle: true,
+    invocation: true,
+    alleluiaHeading: true,
+    hangingVerse: true,
+    announcementsAfterPrayer: true,
+    offeringsHeading: true,
+    kneelAfterSanctus: true,
+    greatAmen: 'chant',
+    choralWhenChosen: true,
+    parishFooter: true
+  }
+};
+
+// The MASS_DESIGNS entry for ctx.design.
+function massDesign(ctx) {
+  return ctx.design === 'classic' ? MASS_DESIGNS.classic : MASS_DESIGNS.reimagined;
+}
+
+function massOutline(d, ctx) {
+  const flags = seasonFlags(d);
+  const { ss, r, p, hw, celebration, rites, isLenten, showGloria, includePostlude, showAdventWreath, showCreed, creedType, rubricAlign } = flags;
+  const design = massDesign(ctx);
+  const { RUB, labels } = design;
+  const o = outlineBuilder(d, ctx);
+  const { blocks, b, music, reading, people, L, serviceMusic } = o;
+  const rubric = text => ({ type: 'rubric', text, align: rubricAlign });
+  // Auto-fit may set the psalm verses and the Creed in two columns; the
+  // classic design always does.
+  const columns = design.twoColumn || ctx.twoColumn;
+
+  participants(o, celebration);
+
+  // --- The Introductory Rites ---
+  // Palm Sunday's procession and the Easter Vigil's Lucernarium take the
+  // place of the whole entrance.
+  if (riteReplaces(rites, 'introductory')) {
+    riteInserts(o, ctx, rites, 'introductory', rubric, RUB);
+  } else {
+    // The in-house layout puts the prelude line ABOVE the section title, so
+    // the title ends this block; keepNext guarantees it can never strand at
+    // a page bottom away from the Processional Hymn it introduces.
+    const prelude = music('Organ Prelude', 'organPrelude', 'organPreludeComposer');
+    if (design.preludeAboveTitle) b([prelude, { type: 'space', pt: 2 }, { type: 'section', text: 'The Introductory Rites' }], { keepNext: true });
+    else b([{ type: 'section', text: 'The Introductory Rites' }, prelude]);
+    // A funeral's Reception of the Body comes before the Entrance.
+    riteInserts(o, ctx, rites, 'beforeEntrance', rubric, RUB);
+
+    // "Please stand" rides on the entrance heading line, right-justified
+    // (director: same line as the heading and the hymn title).
+    const entranceType = ss.entranceType || 'processional';
+    b([
+      music(entranceType === 'processional' ? 'Processional Hymn' : 'Entrance Antiphon',
+        'processionalOrEntrance', 'processionalOrEntranceComposer', RUB.stand),
+      entranceType === 'processional' && { type: 'hymnSpace', slot: 'processional' }
+    ]);
+
+    if (showAdventWreath) b([{ type: 'adventWreath' }]);
+
+    if (design.invocation) b([{ type: 'heading', text: 'Invocation' }]);
+
+    // A rite insert anchored at the Penitential Act (the Sprinkling) takes
+    // its place, and the Kyrie's when it omits it.
+    if (riteReplaces(rites, 'penitentialAct')) {
+      riteInserts(o, ctx, rites, 'penitentialAct', rubric, RUB);
+    } else if ((ss.penitentialAct || 'confiteor') === 'confiteor') {
+      b([{ type: 'heading', text: 'Penitential Act' }, people(CONFITEOR, CONFITEOR_ES, { type: 'text', role: 'prayer', size: design.confiteorSize, gap: 3 })]);
+    }
+
+    if (!riteReplaces(rites, 'kyrie')) {
+      b([
+        music(o.latin('kyrie') ? 'Kyrie' : labels.kyrie, 'kyrieSetting', 'kyrieComposer'),
+        serviceMusic('kyrie', 'kyrie', 'Kyrie — music notation', ORDINARY_PARTS.kyrie.texts)
+      ]);
+    }
+  }
+
+  // The Easter Vigil keeps its Old Testament readings before the Gloria.
+  if (hw.vigil) vigilReadings(o, ctx, r, rubric(RUB.sit), columns);
+
+  if (showGloria) b(gloria(o, ctx, ss, labels.gloria));
+
+  // --- The Collect + The Liturgy of the Word ---
+  collectAndReadings(o, ctx, flags, rubric, RUB, columns);
+
+  // Stand for the Gospel Acclamation — direction right-justified on the
+  // heading line, with the acclamation's reference inline (director). Music
+  // replaces the sung acclamation text; the cantor's verse keeps printing.
+  // Where the heading says "Gospel Alleluia", the word is suppressed
+  // throughout Lent (until the Easter Vigil).
+  const alleluia = design.alleluiaHeading && !(isLenten && !hw.alleluia);
+  const verse = r.gospelAcclamationVerse;
+  b([
+    { type: 'heading', text: alleluia ? 'Gospel Alleluia' : 'Gospel Acclamation', inline: r.gospelAcclamationReference || undefined, cite: true, right: RUB.stand },
+    ctx.hasMusic('gospelAcclamation')
+      ? { type: 'notation', slot: 'gospelAcclamation', label: 'Gospel Acclamation — music notation' }
+      : people(...acclamationTexts(d, ss, hw), { type: 'text', role: 'refrain', bold: true, size: 9 }),
+    verse && (design.hangingVerse
+      ? { type: 'hanging', label: 'Verse:', text: verse, size: 9 }
+      : { type: 'text', role: 'acclamationVerse', text: verse, italic: true, size: 8.5 })
+  ]);
+
+  // --- Gospel, Homily, Creed --- (already standing for the Gospel)
+  if (hw.passion) passion(o, r, design.gospelSize);
+  else reading('Gospel', r.gospelCitation, r.gospelText, design.gospelSize);
+
+  // Homily: "Please be seated" right-justified on the heading line. The
+  // congregation then stands for the Creed (direction on the Creed line).
+  b([{ type: 'heading', text: 'Homily', right: RUB.sit }]);
+
+  // Sacraments celebrated after the Homily (Baptism, Confirmation, the
+  // Scrutinies); Baptism and Confirmation take the Creed's place.
+  riteInserts(o, ctx, rites, 'afterHomily', rubric, RUB);
+  if (showCreed && !riteReplaces(rites, 'creed')) b(creed(o, creedType, RUB.stand, columns || ss.twoColumnCreed || !!resolveLeaflet(d)));
+
+  // Prayer of the Faithful — the heading, and the intentions when the
+  // draft gives them (the "The intentions are read…" line was dropped as
+  // unnecessary per the director).
+  universalPrayer(o, p);
+
+  if (design.announcementsAfterPrayer && d.announcements && !ctx.announcementsPage) {
+    b([
+      { type: 'heading', text: 'Announcements', right: RUB.sit },
+      { type: 'text', role: 'announcements', text: d.announcements, size: 8.5 }
+    ]);
+  }
+
+  // --- The Liturgy of the Eucharist ---
+  // "Please be seated" sits before this section title (director).
+  b([
+    rubric(RUB.sit),
+    { type: 'section', text: 'The Liturgy of the Eucharist' },
+    music(labels.offertory, 'offertoryAnthem', 'offertoryAnthemComposer'),
+    d.childrenLiturgyEnabled && rubric(`${L("Children return from Children's Liturgy of the Word")} (${resolveChildrenLiturgyTimes(d).join(' & ')})`)
+  ]);
+
+  // Stand for the Invitation to Prayer — direction right-justified on the
+  // heading line (director).
+  b([
+    { type: 'heading', text: 'Invitation to Prayer', right: RUB.stand },
+    design.invitationDialogue && people(`Priest: ${INVITATION_TO_PRAYER.priest}`, `Sacerdote: ${INVITATION_TO_PRAYER_ES.priest}`, { type: 'text', role: 'prayer' }),
+    design.invitationDialogue && people(`All: ${INVITATION_TO_PRAYER.all}`, `Todos: ${INVITATION_TO_PRAYER_ES.all}`, { type: 'text', role: 'prayer', bold: true })
+  ]);
+
+  // The reimagined design has no Prayer over the Offerings heading unless
+  // the draft prints the prayer.
+  if (design.offeringsHeading || prayerText(p.prayerOverOfferings)) {
+    b([{ type: 'heading', text: 'Prayer over the Offerings' }, prayerText(p.prayerOverOfferings)]);
+  }
+
+  // Sanctus language: per-aid override > parish default > English. The
+  // setting name rides inline on the heading.
+  b([...sanctus(o, ctx, ss), design.kneelAfterSanctus && rubric(RUB.kneelOrSit)]);
+
+  b([
+    !design.kneelAfterSanctus && rubric(RUB.kneel),
+    { type: 'heading', text: 'Mystery of Faith', inline: ss.mysteryOfFaithSetting || 'Mass of St. Theresa' },
+    serviceMusic('mysteryOfFaith', 'mysteryOfFaith', 'Mystery of Faith — music notation', { en: MYSTERY_OF_FAITH_OPTIONS.A, es: MYSTERY_OF_FAITH_OPTIONS_ES.A })
+  ]);
+
+  // Great Amen, then "Please stand" between it and the Communion Rite title.
+  b([{ type: 'heading', text: 'Great Amen', inline: design.greatAmen }]);
+
+  // --- The Communion Rite ---
+  // "Please stand" appears below "Great Amen" and above this section title
+  // (director). The Lord's Prayer text is dropped (unnecessary) unless it
+  // is prayed in Latin (see lordsPrayer).
+  b([rubric(RUB.stand), { type: 'section', text: 'The Communion Rite' }, ...lordsPrayer(o)]);
+
+  // A wedding's Nuptial Blessing follows the Lord's Prayer.
+  riteInserts(o, ctx, rites, 'afterLordsPrayer', rubric, RUB);
+
+  b([{ type: 'heading', text: 'Sign of Peace' }]);
+
+  // "Please kneel" belongs with the Lamb of God (the congregation kneels
+  // after the Agnus Dei); it stays in this block so it can't strand alone at
+  // the top of the next page, and it is centered (director).
+  b([
+    { type: 'heading', text: o.latin('lambOfGod') ? 'Agnus Dei' : 'Lamb of God', inline: ss.lambOfGodSetting || 'Mass of St. Theresa' },
+    serviceMusic('lambOfGod', 'lambOfGod', 'Lamb of God — music notation', ORDINARY_PARTS.lambOfGod.texts),
+    rubric(RUB.kneel)
+  ]);
+
+  b([music('Communion Hymn', 'communionHymn', 'communionHymnComposer'), { type: 'hymnSpace', slot: 'communion' }]);
+
+  // The classic aid omits the Choral Anthem's heading when no piece is
+  // scheduled.
+  const choral = music('Choral Anthem', 'choralAnthemConcluding', 'choralAnthemConcludingComposer');
+  if (!design.choralWhenChosen || (choral && choral.pieces.length)) b([choral]);
+
+  // Prayer after Communion — the congregation stands for the priest's
+  // closing prayer of the Communion Rite. "Please stand" sits below the
+  // Choral Anthem and above this heading (director); it is NOT repeated at
+  // the Blessing, where the people are already standing.
+  b([rubric(RUB.stand), { type: 'heading', text: 'Prayer after Communion' }, prayerText(p.prayerAfterCommunion)]);
+
+  // --- The Concluding Rites ---
+  // Holy Thursday ends with the Transfer of the Eucharist instead.
+  if (riteReplaces(rites, 'concluding')) {
+    riteInserts(o, ctx, rites, 'concluding', rubric, RUB);
+  } else {
+    b([
+      { type: 'section', text: 'The Concluding Rites' },
+      music('Hymn of Thanksgiving', 'hymnOfThanksgiving', 'hymnOfThanksgivingComposer'),
+      { type: 'hymnSpace', slot: 'thanksgiving' }
+    ]);
+
+    // Blessings given at the end of Mass (throats, anniversaries).
+    riteInserts(o, ctx, rites, 'beforeDismissal', rubric, RUB);
+
+    // Blessing & Dismissal — heading only (the Priest/Deacon dialogue was
+    // dropped as unnecessary per the director), except for the Easter
+    // double Alleluia.
+    b([{ type: 'heading', text: labels.blessing }, hw.dismissal && people(...hw.dismissal, { type: 'text', role: 'prayer', bold: true })]);
+
+    if (includePostlude) b([music('Organ Postlude', 'organPostlude', 'organPostludeComposer')]);
+  }
+
+  if (!design.announcementsAfterPrayer) announcements(o, ctx);
+
+  // Special notes and the parish's standing closing message (formerly the
+  // back cover), then the footer.
+  closingBlocks(d, ctx, b);
+  footer(o, design);
+
+  return blocks;
+}
+
+// The announcements after the liturgy, unless they moved to a filler page.
+function announcements(o, ctx) {
+  if (!o.d.announcements || ctx.announcementsPage) return;
+  o.b([
+    { type: 'rule' },
+    { type: 'heading', text: 'Announcements' },
+    { type: 'text', role: 'announcements', text: o.d.announcements, size: 7.5 }
+  ]);
+}
+
+function closingBlocks(d, ctx, b) {
+  if (d.specialNotes) {
+    b([{ type: 'space', pt: 4 }, { type: 'text', role: 'notes', text: d.specialNotes, italic: true, size: 8.5, align: 'center', muted: true }]);
+  }
+  if (ctx.parishSettings.closingMessage) {
+    b([{ type: 'space', pt: 2 }, { type: 'text', role: 'closing', text: ctx.parishSettings.closingMessage, size: 8, align: 'center', muted: true }]);
+  }
+}
+
+// The booklet's last block: the full copyright block, or the classic QR/
+// licensing footer — anchored to the foot of the final page, like the
+// parish's in-house aid, not floated mid-booklet after the last content
+// block.
+function footer(o, design) {
+  if (design.parishFooter) o.b([{ type: 'parishFooter' }], { anchorBottom: true });
+  else o.b([{ type: 'copyright' }]);
+}
+
+// The Liturgy of the Word outside Mass (Good Friday, a wedding outside
+// Mass): the readings and psalm under the section title, through the
+// Gospel Acclamation. flags: the outline's { ss, r, hw }; RUB the design's
+// posture wording.
+function readingsOutsideMass(o, ctx, flags, RUB, rubric) {
+  const { ss, r, hw } = flags;
+  const paras = paragraphs(r.firstReadingText);
+  o.b([
+    rubric(RUB.sit),
+    { type: 'section', text: 'The Liturgy of the Word' },
+    { type: 'heading', text: 'First Reading', inline: r.firstReadingCitation || undefined, cite: true },
+    paras[0] && { type: 'text', role: 'reading', text: paras[0], size: 9 }
+  ]);
+  for (const para of paras.slice(1)) o.b([{ type: 'text', role: 'reading', text: para, size: 9 }]);
+
+  o.b([
+    { type: 'heading', text: 'Responsorial Psalm', inline: r.psalmCitation || undefined, cite: true },
+    ctx.hasMusic('psalmRefrain')
+      ? { type: 'notation', slot: 'psalmRefrain', label: 'Responsorial Psalm refrain — music notation' }
+      : (r.psalmRefrain && { type: 'text', role: 'refrain', text: `R. ${r.psalmRefrain}`, bold: true, size: 9 }),
+    r.psalmVerses && { type: 'columns', role: 'verse', text: psalmStrophes(r.psalmVerses).join('\n'), size: 8.5 }
+  ]);
+
+  if (!r.noSecondReading && r.secondReadingCitation) {
+    o.reading('Second Reading', r.secondReadingCitation, r.secondReadingText, 9);
+  }
+
+  o.b([
+    { type: 'heading', text: 'Gospel Acclamation', inline: r.gospelAcclamationReference || undefined, cite: true, right: RUB.stand },
+    ctx.hasMusic('gospelAcclamation')
+      ? { type: 'notation', slot: 'gospelAcclamation', label: 'Gospel Acclamation — music notation' }
+      : o.people(...acclamationTexts(o.d, ss, hw), { type: 'text', role: 'refrain', bold: true, size: 9 }),
+    r.gospelAcclamationVerse && { type: 'text', role: 'acclamationVerse', text: r.gospelAcclamationVerse, italic: true, size: 8.5 }
+  ]);
+}
+
+// Good Friday: the Celebration of the Passion of the Lord, with no Mass —
+// the Liturgy of the Word with the Passion, the Solemn Intercessions and
+// the Adoration of the Cross (config/holy-week.js), and Holy Communion
+// from the reserved Sacrament. Both designs share it, each with its own
+// posture wording and closing.
+function celebrationOfThePassion(d, ctx) {
+  const { ss, r, p, hw, rites, rubricAlign } = seasonFlags(d);
+  const o = outlineBuilder(d, ctx);
+  const { blocks, b, music } = o;
+  const design = massDesign(ctx);
+  const { RUB } = design;
+  const rubric = text => ({ type: 'rubric', text, align: rubricAlign });
+
+  riteInserts(o, ctx, rites, 'introductory', rubric, RUB);
+  b([{ type: 'heading', text: 'Prayer' }, prayerText(p.collect)], { keepNext: true });
+
+  readingsOutsideMass(o, ctx, { ss, r, hw }, RUB, rubric);
+  passion(o, r, 9);
+  b([{ type: 'heading', text: 'Homily', right: RUB.sit }]);
+
+  // The Solemn Intercessions and the Adoration of the Holy Cross.
+  riteInserts(o, ctx, rites, 'afterHomily', rubric, RUB);
+
+  b([rubric(RUB.stand), { type: 'section', text: 'Holy Communion' }, ...lordsPrayer(o)]);
+  b([music('Communion Hymn', 'communionHymn', 'communionHymnComposer'), { type: 'hymnSpace', slot: 'communion' }]);
+  b([rubric(RUB.stand), { type: 'heading', text: 'Prayer after Communion' }, prayerText(p.prayerAfterCommunion)]);
+
+  // The Prayer over the People, and all depart in silence.
+  riteInserts(o, ctx, rites, 'concluding', rubric, RUB);
+
+  announcements(o, ctx);
+  closingBlocks(d, ctx, b);
+  footer(o, design);
+  return blocks;
+}
+
+// A wedding outside Mass: the Introductory Rites and the Liturgy of the
+// Word, the Celebration of Matrimony (config/celebrations.js) and the
+// Universal Prayer, then the Lord's Prayer with the Nuptial Blessing and
+// the Blessing. Both designs share it, like celebrationOfThePassion.
+function celebrationOfMatrimony(d, ctx) {
+  const { ss, r, p, hw, celebration, rites, includePostlude, rubricAlign } = seasonFlags(d);
+  const o = outlineBuilder(d, ctx);
+  const { blocks, b, music, reading } = o;
+  const design = massDesign(ctx);
+  const { RUB } = design;
+  const rubric = text => ({ type: 'rubric', text, align: rubricAlign });
+
+  participants(o, celebration);
+  b([{ type: 'section', text: 'The Introductory Rites' }, music('Organ Prelude', 'organPrelude', 'organPreludeComposer')]);
+  const entranceType = ss.entranceType || 'processional';
+  b([
+    music(entranceType === 'processional' ? 'Processional Hymn' : 'Entrance Antiphon',
+      'processionalOrEntrance', 'processionalOrEntranceComposer', RUB.stand),
+    entranceType === 'processional' && { type: 'hymnSpace', slot: 'processional' }
+  ]);
+  b([{ type: 'heading', text: 'Collect' }, prayerText(p.collect)], { keepNext: true });
+
+  readingsOutsideMass(o, ctx, { ss, r, hw }, RUB, rubric);
+  reading('Gospel', r.gospelCitation, r.gospelText, 9);
+  b([{ type: 'heading', text: 'Homily', right: RUB.sit }]);
+
+  // The Questions, the Consent and the Rings.
+  riteInserts(o, ctx, rites, 'afterHomily', rubric, RUB);
+  universalPrayer(o, p);
+
+  b([rubric(RUB.stand), ...lordsPrayer(o)]);
+  riteInserts(o, ctx, rites, 'afterLordsPrayer', rubric, RUB);
+
+  b([
+    { type: 'section', text: 'The Concluding Rites' },
+    { type: 'heading', text: design.labels.blessing }
+  ]);
+  b([music('Hymn of Thanksgiving', 'hymnOfThanksgiving', 'hymnOfThanksgivingComposer'), { type: 'hymnSpace', slot: 'thanksgiving' }]);
+  if (includePostlude) b([music('Organ Postlude', 'organPostlude', 'organPostludeComposer')]);
+
+  announcements(o, ctx);
+  closingBlocks(d, ctx, b);
+  footer(o, design);
+  return blocks;
+}
+
+// Items for a filler page (spare pages before the booklet's target count):
+// the announcements when they moved off the liturgy pages, the parish-life
+// blurbs, or a ruled notes page.
+function fillerPageItems(kind, d, parishSettings) {
+  const L = text => localizeLabel(text, d.language);
+  if (kind === 'announcements') {
+    return [{ type: 'section', text: L('Announcements') }, { type: 'text', role: 'announcements', text: d.announcements, size: 9 }];
+  }
+  if (kind === 'parish') {
+    const ps = parishSettings || {};
+    const D = DEFAULT_PARISH_SETTINGS;
+    const items = [{ type: 'section', text: L('Parish Life') }];
+    for (const [label, text] of [
+      ['Connect', ps.connectBlurb || D.connectBlurb],
+      ['Nursery', ps.nurseryBlurb || D.nurseryBlurb],
+      ['Request Prayer', ps.prayerBlurb || D.prayerBlurb],
+      ['Restrooms', ps.restroomsBlurb || D.restroomsBlurb]
+    ]) {
+      items.push({ type: 'heading', text: L(label) }, { type: 'text', role: 'prayer', text });
+    }
+    return items;
+  }
+  return [{ type: 'section', text: L('Notes') }, { type: 'ruledLines' }];
+}
+
+module.exports = { buildMassOutline, fillerPageItems, psalmStrophes, ordinaryLanguage };
@@ -2,14 +2,93 @@
 // Formats per-mass-time music selections for display
 'use strict';
 
+const { resolveLeaflet } = require('./config/leaflets');
+
+// The original hard-coded schedule. Still the fallback when the parish's
+// massTimes setting yields nothing parseable, and the schedule every draft
+// saved before Masses became configurable was written against.
 const MASS_TIMES = ['Sat 5:00 PM', 'Sun 9:00 AM', 'Sun 11:00 AM'];
 const MASS_TIME_KEYS = ['musicSat5pm', 'musicSun9am', 'musicSun11am'];
+const DEFAULT_MASSES = [
+  { key: 'sat5pm',  label: 'Sat 5:00 PM' },
+  { key: 'sun9am',  label: 'Sun 9:00 AM' },
+  { key: 'sun11am', label: 'Sun 11:00 AM' }
+];
+
+const DAY_RE = /\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?/i;
+const TIME_RE = /\b(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?\s*m\b\.?/i;
+
+// Per-Mass music block field for a Mass key: 'sat5pm' → 'musicSat5pm'.
+function musicBlockKey(massKey) {
+  return 'music' + massKey.charAt(0).toUpperCase() + massKey.slice(1);
+}
 
 /**
- * Given a music field name, extracts that field from all three MusicBlocks
+ * Parses the parish's free-text massTimes setting (one Mass per line, the
+ * same lines that print on the cover) into the Mass list the music blocks
+ * are keyed by:
+ *
+ *   "Sat Vigil — 5:00 PM"        → { key: 'sat5pm',  label: 'Sat 5:00 PM' }
+ *   "Sunday — 1:00 PM (Spanish)" → { key: 'sun1pm',  label: 'Sun 1:00 PM Spanish', note: 'Spanish' }
+ *
+ * Lines without a recognizable time are skipped. Keys are stable for a given
+ * day + time, so the default schedule maps onto the legacy musicSat5pm /
+ * musicSun9am / musicSun11am blocks. Returns [] when nothing parses.
+ */
+function parseMassSchedule(massTimes) {
+  const masses = [];
+  const seen = new Set();
+  for (const line of String(massTimes || '').split('\n')) {
+    const time = line.match(TIME_RE);
+    if (!time) continue;
+    const day = line.match(DAY_RE);
+    const hour = String(Number(time[1]));
+    const minutes = time[2] || '00';
+    const ampm = time[3].toUpperCase() + 'M';
+    const dayName = day ? day[1].charAt(0).toUpperCase() + day[1].slice(1).toLowerCase() : '';
+    const note = line
+      .replace(time[0], ' ')
+      .replace(day ? day[0] : '', ' ')
+      .replace(/\bvigil\b/i, ' ')
+      .replace(/[()[\]—–,:;-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    let key = (dayName.toLowerCase() + hour + (minutes === '00' ? '' : minutes) + ampm.toLowerCase());
+    // Two Masses at the same day + time (e.g. church and chapel) still need
+    // distinct blocks.
+    for (let n = 2; seen.has(key); n++) key = key.replace(/_\d+$/, '') + '_' + n;
+    seen.add(key);
+    const label = [dayName, `${hour}:${minutes} ${ampm}`, note].filter(Boolean).join(' ');
+    masses.push(note ? { key, label, note } : { key, label });
+  }
+  return masses;
+}
+
+/**
+ * The Mass list a booklet is rendered against: the draft's own snapshot
+ * (stamped when it was saved, so changing the parish schedule later never
+ * orphans its music) > the parish's massTimes setting > the default three.
+ * A leaflet (config/leaflets.js) is for one Mass: its massTime when that
+ * parses, else the first of the list.
+ */
+function resolveMasses(data, parishSettings) {
+  let masses = DEFAULT_MASSES;
+  if (data && Array.isArray(data.masses) && data.masses.length) {
+    masses = data.masses;
+  } else {
+    const parsed = parseMassSchedule(parishSettings && parishSettings.massTimes);
+    if (parsed.length) masses = parsed;
+  }
+  const leaflet = resolveLeaflet(data);
+  if (!leaflet) return masses;
+  return [parseMassSchedule(leaflet.massTime)[0] || masses[0]];
+}
+
+/**
+ * Given a music field name, extracts that field from every Mass's MusicBlock
  * and returns formatted display string(s) per PRD §5.4:
  *
- * - If all three have the SAME title → single line, no time qualifier
+ * - If every Mass has the SAME title → single line, no time qualifier
  *   Format: "*Title*, Composer"
  *
  * - If different → grouped by unique selection with times in parentheses
@@ -21,17 +100,23 @@ const MASS_TIME_KEYS = ['musicSat5pm', 'musicSun9am', 'musicSun11am'];
  * "Title (Hymnal #N), Composer".  Pass the field-name pair via opts.hymnalField
  * and opts.hymnNumberField, or convention is `${titleField}Hymnal` and
  * `${titleField}HymnNumber` and we derive them automatically.
+ *
+ * The Mass list comes from opts.masses, else resolveMasses(data).
  */
 function formatMusicSlot(data, titleField, composerField, opts = {}) {
   const hymnalField = opts.hymnalField || titleField + 'Hymnal';
   const hymnNumberField = opts.hymnNumberField || titleField + 'HymnNumber';
-  const entries = MASS_TIME_KEYS.map((key, i) => ({
-    time: MASS_TIMES[i],
-    title: (data[key] && data[key][titleField]) || '',
-    composer: (data[key] && data[key][composerField]) || '',
-    hymnal: (data[key] && data[key][hymnalField]) || '',
-    hymnNumber: (data[key] && data[key][hymnNumberField]) || ''
-  })).filter(e => e.title);
+  const masses = opts.masses || resolveMasses(data);
+  const entries = masses.map(mass => {
+    const block = data[musicBlockKey(mass.key)] || {};
+    return {
+      time: mass.label,
+      title: block[titleField] || '',
+      composer: block[composerField] || '',
+      hymnal: block[hymnalField] || '',
+      hymnNumber: block[hymnNumberField] || ''
+    };
+  }).filter(e => e.title);
 
   if (entries.length === 0) return [];
 
@@ -50,7 +135,7 @@ function formatMusicSlot(data, titleField, composerField, opts = {}) {
   // If only one group AND every Mass has the slot filled, omit the time
   // qualifier. A hymn entered for only a subset of Masses must keep its
   // time label — printing it bare would imply it is sung at all Masses.
-  if (groupList.length === 1 && entries.length === MASS_TIME_KEYS.length) {
+  if (groupList.length === 1 && entries.length === masses.length) {
     const g = groupList[0];
     return [{ title: g.title, composer: g.composer, hymnal: g.hymnal, hymnNumber: g.hymnNumber, timeLabel: '' }];
   }
@@ -108,4 +193,8 @@ function escHtml(str) {
   return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
-module.exports = { formatMusicSlot, renderMusicLineHtml, renderMusicLineText, formatTimeLabel, MASS_TIMES, MASS_TIME_KEYS };
+module.exports = {
+  formatMusicSlot, renderMusicLineHtml, renderMusicLineText, formatTimeLabel,
+  parseMassSchedule, resolveMasses, musicBlockKey,
+  MASS_TIMES, MASS_TIME_KEYS, DEFAULT_MASSES
+};
@@ -5,6 +5,9 @@
 // Slots may also point at library attachments (same record shape):
 //   local:   /uploads/attachments/<filename>      (file on disk under data/)
 //   netlify: /api/uploads/attachments/<filename>  (base64 record in Blobs KV)
+// and a wedding or funeral photo at a cover upload (config/celebrations.js):
+//   local:   /uploads/covers/<filename>
+//   netlify: /api/uploads/covers/<filename>
 'use strict';
 
 const fs = require('fs');
@@ -13,20 +16,25 @@ const kv = require('./store/kv');
 
 const NOTATION_DIR = path.join(kv.DATA_DIR, 'uploads', 'notation');
 const ATTACHMENTS_DIR = path.join(kv.DATA_DIR, 'uploads', 'attachments');
+const COVERS_DIR = path.join(kv.DATA_DIR, 'uploads', 'covers');
 
 function filenameFromUrl(url) {
   const base = path.basename(String(url || '').split('?')[0]);
   return kv.isSafeKey(base) ? base : null;
 }
 
-// Picks the storage location for a slot URL. Attachment URLs carry an
-// explicit '/uploads/attachments/' path segment; everything else (including
-// bare filenames) defaults to the notation store.
+// Picks the storage location for a slot URL. Attachment and cover URLs
+// carry an explicit '/uploads/attachments/' or '/uploads/covers/' path
+// segment; everything else (including bare filenames) defaults to the
+// notation store.
 function sourceForUrl(url) {
   const clean = String(url || '').split('?')[0];
   if (clean.includes('/uploads/attachments/')) {
     return { namespace: 'uploads-attachments', dir: ATTACHMENTS_DIR };
   }
+  if (clean.includes('/uploads/covers/')) {
+    return { namespace: 'uploads-covers', dir: COVERS_DIR };
+  }
   return { namespace: 'uploads-notation', dir: NOTATION_DIR };
 }
 
@@ -64,6 +72,19 @@ async function resolveNotationImages(data) {
   return out;
 }
 
+// Per-Mass edition overrides (data.massNotationImages) resolved the same way:
+// { images: { massKey: { slot: Buffer } }, missing: ['sun1pm/communion'] }.
+async function resolveMassNotationImages(data) {
+  const out = { images: {}, missing: [] };
+  const byMass = (data && data.massNotationImages) || {};
+  for (const [massKey, map] of Object.entries(byMass)) {
+    const resolved = await resolveNotationImages({ notationImages: map });
+    out.images[massKey] = resolved.images;
+    out.missing.push(...resolved.missing.map(slot => `${massKey}/${slot}`));
+  }
+  return out;
+}
+
 // Existence-only check (no byte loading) — which slots reference notation
 // files that no longer exist in storage. The preview route uses this to
 // fall back to the paste box exactly like the PDF does, instead of
@@ -76,7 +97,7 @@ async function findMissingNotationSlots(data) {
   // On Netlify, list each namespace once instead of fetching every blob.
   const netlifyKeys = {};
   if (kv.IS_NETLIFY) {
-    for (const ns of ['uploads-notation', 'uploads-attachments']) {
+    for (const ns of ['uploads-notation', 'uploads-attachments', 'uploads-covers']) {
       try { netlifyKeys[ns] = new Set(await kv.listKeys(ns)); }
       catch (e) { return []; } // storage unreachable — leave the draft alone
     }
@@ -93,4 +114,4 @@ async function findMissingNotationSlots(data) {
   return missing;
 }
 
-module.exports = { resolveNotationImages, findMissingNotationSlots, filenameFromUrl, NOTATION_DIR, ATTACHMENTS_DIR };
+module.exports = { resolveNotationImages, resolveMassNotationImages, findMissingNotationSlots, filenameFromUrl, NOTATION_DIR, ATTACHMENTS_DIR };
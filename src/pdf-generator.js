@@ -3,21 +3,50 @@
 //   - half-letter:  5.5" x 8.5"  (printed 8.5x11 folded saddle-stitch)
 //   - tabloid:      8.5" x 11"   (printed 11x17 folded saddle-stitch)
 // Both use 1" margins and scale fonts/spacing proportionally so layouts
-// stay visually consistent. Imposition for saddle-stitch is left to the
-// printer driver (Acrobat / PDF reader booklet print mode).
+// stay visually consistent. The default export is in reader order (one
+// booklet page per PDF page); generateImposedPdf() lays the same pages out
+// as printer spreads for saddle-stitch — two booklet pages per landscape
+// sheet side, paired for folding, with optional creep compensation.
 'use strict';
 
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
-const { APOSTLES_CREED, NICENE_CREED, RENEWAL_OF_BAPTISMAL_VOWS } = require('./assets/text/creeds');
-const { CONFITEOR, INVITATION_TO_PRAYER, RUBRICS, RUBRICS_CLASSIC, GOSPEL_ACCLAMATION_LENTEN, GOSPEL_ACCLAMATION_LENTEN_ALT, GOSPEL_ACCLAMATION_STANDARD, getHolyHolyHolyText } = require('./assets/text/mass-texts');
 const { getDefaultCopyrightFull } = require('./assets/text/copyright');
-const { formatMusicSlot, renderMusicLineText } = require('./music-formatter');
+const { renderMusicLineText, resolveMasses, musicBlockKey } = require('./music-formatter');
 const { applySeasonDefaults } = require('./config/seasons');
-const { detectOverflows } = require('./validator');
+const { DEFAULT_PARISH_SETTINGS } = require('./config/defaults');
 const { getImageDimensions } = require('./image-utils');
-const { getQRCode, SMALLCAPS_CONNECTORS, classicGreeting, classicCoverBlocks, resolveChildrenLiturgyTimes } = require('./render-shared');
+const { getQRCode, SMALLCAPS_CONNECTORS, classicGreeting, classicCoverBlocks, resolveChildrenLiturgyTimes, coverMassTimes, liturgicalColor, lectionaryYear, celebrationCover, titleLines } = require('./render-shared');
+const { PHOTO_SLOT } = require('./config/celebrations');
+const { LEAFLET_PAGE_COUNTS, resolveLeaflet } = require('./config/leaflets');
+const { buildMassOutline, fillerPageItems } = require('./mass-outline');
+const { resolveTheme, accentTheme } = require('./config/themes');
+
+// Tagged-PDF structure type for each outline item type (see _renderItem).
+// Screen readers announce the rite headings and sub-headings as headings
+// and read everything else as paragraphs; uploaded notation is a Figure
+// with alt text. Decorative rules, writing lines and blank paste boxes are
+// marked as artifacts so they are skipped.
+const STRUCT_TAGS = {
+  section: 'H1',
+  title: 'H1',
+  heading: 'H2',
+  music: 'H2',
+  rubric: 'P',
+  text: 'P',
+  columns: 'P',
+  parallel: 'P',
+  hanging: 'P',
+  adventWreath: 'P',
+  childrenLiturgy: 'P',
+  copyright: 'P',
+  parishFooter: 'P',
+  rule: 'Artifact',
+  ruledLines: 'Artifact'
+};
+const PDF_LANG = 'en-US';
+const PDF_LANG_ES = 'es-US';
 
 // 72pt = 1 inch
 const PT = 72;
@@ -35,6 +64,42 @@ const NOTATION_WIDTHS_IN = {
   mysteryOfFaith: NOTATION_WIDTH_IN, lambOfGod: NOTATION_WIDTH_IN,
   gospelAcclamation: NOTATION_WIDTH_IN
 };
+// Narrowest width auto-fit may set music to — the bottom of the director's
+// 5"–5.5" range.
+const NOTATION_MIN_WIDTH_IN = 5;
+
+// Booklet lengths a draft can choose (data.pageCount); 'auto' takes as many
+// pages as the content needs at full size, rounded up to a multiple of 4.
+const PAGE_COUNTS = [8, 12, 16];
+
+// Global shrink floor for text and notation (the page-count guarantee).
+const MIN_TEXT_SCALE = 0.75;
+// Base body size before the layout scale and textScale (see bodyText).
+const BODY_SIZE_PT = 9;
+
+// Auto-fit adjustments, in the order they are tried after text shrink
+// (which is bounded by the parish's minFontSizePt). Each is a flag on
+// this._fit that the block builders and renderers consult; applies() skips
+// steps that would change nothing for this booklet.
+const AUTO_FIT_STEPS = [
+  {
+    key: 'narrowNotation',
+    note: `notation narrowed to ${NOTATION_MIN_WIDTH_IN}in`,
+    applies: g => Object.keys(g.notationImages).some(slot => slot !== PHOTO_SLOT && (NOTATION_WIDTHS_IN[slot] || NOTATION_WIDTH_IN) > NOTATION_MIN_WIDTH_IN)
+  },
+  {
+    key: 'dropHymnSpace',
+    note: 'reserved hymn music boxes dropped',
+    applies: g => g.data.reserveHymnSpace !== false &&
+      ['processional', 'communion', 'thanksgiving'].some(slot => !g.notationImages[slot])
+  },
+  {
+    key: 'twoColumn',
+    note: 'psalm verses and Creed set in two columns',
+    applies: g => !g.theme.twoColumn &&
+      (!!g.r.psalmVerses || (!g.ss.twoColumnCreed && g.ss.creedType !== 'baptismal_vows'))
+  }
+];
 
 // Embedded TrueType fonts — Liberation Sans covers the full Latin Unicode
 // range (curly quotes, em/en dashes, accented chars, currency symbols)
@@ -157,6 +222,38 @@ const LAYOUTS = {
   }
 };
 
+// Large-print edition (options.largePrint): letter paper, one column, at
+// twice the half-letter scale: the 9pt body prints at 18pt, and nothing is
+// set below LARGE_PRINT_MIN_SIZE. Not a booklet trim — the pages run as
+// long as the content needs.
+const LARGE_PRINT_LAYOUT = {
+  pageWidth:  8.5 * PT,
+  pageHeight: 11.0 * PT,
+  margin:     0.75 * PT,
+  scale:      2.0
+};
+// Smallest base size large print sets body text at (16pt printed) — the
+// announcements and other secondary text come up to it.
+const LARGE_PRINT_MIN_SIZE = 8;
+
+// One outline item for large print (a list, for flatMap): two-column text
+// runs as one column, parallel columns (bilingual, or Latin beside its
+// translation) alternate left text then right, and no body text is smaller than LARGE_PRINT_MIN_SIZE.
+function largePrintItem(item) {
+  if (item.type === 'columns') {
+    return { type: 'text', role: item.role, text: item.text, size: Math.max(item.size || 9, LARGE_PRINT_MIN_SIZE) };
+  }
+  if (item.type === 'parallel') {
+    const size = Math.max(item.size || 9, LARGE_PRINT_MIN_SIZE);
+    return [
+      { type: 'text', role: item.role, text: item.text, size, bold: item.bold },
+      { type: 'text', role: item.role, text: item.alt, size, bold: item.bold, italic: true, gap: item.gap }
+    ];
+  }
+  if (item.type === 'text') return { ...item, size: Math.max(item.size || 9, LARGE_PRINT_MIN_SIZE) };
+  return item;
+}
+
 const COLORS = {
   navy: '#1A2E4A',
   burgundy: '#6B1A1A',
@@ -170,55 +267,11 @@ const COLORS = {
 
 // Two output designs share the same flow engine, readings handling, and
 // notation pipeline; they differ only in typography, color, section naming,
-// and a few layout choices. The theme object below is consulted by the
-// shared drawing primitives so "reimagined" (the app's original look) stays
-// byte-for-byte identical while "classic" reproduces the parish's in-house
-// Book-Antiqua/Garamond worship aid.
-const THEMES = {
-  reimagined: {
-    // Logical role -> registered font name.
-    fonts: {
-      body: 'Sans', bold: 'Sans-Bold', italic: 'Sans-Italic', boldItalic: 'Sans-BoldItalic',
-      section: 'Sans-Bold', sectionAside: 'Sans-Bold', script: 'Sans-Italic'
-    },
-    colors: {
-      section: COLORS.navy, subLabel: COLORS.burgundy, subInline: COLORS.text,
-      rubric: '#8B0000', body: COLORS.text, muted: COLORS.muted, rule: COLORS.gold,
-      coverName: COLORS.gold, feast: COLORS.navy
-    },
-    smallCaps: false,      // section headers are letter-spaced ALL CAPS + a gold rule
-    sectionRule: true,
-    sectionSize: 11,
-    subUpper: true,        // sub-headings render uppercase
-    subDash: false,        // ...with the inline text after a space, not an em-dash
-    subSize: 8,
-    rubricSize: 7.5,       // standalone posture-direction lines
-    twoColumn: false       // psalm verses & creed stack full-width
-  },
-  classic: {
-    fonts: {
-      body: 'Serif', bold: 'Serif-Bold', italic: 'Serif-Italic', boldItalic: 'Serif-BoldItalic',
-      section: 'Display', sectionAside: 'Display-Italic', script: 'Script-Italic'
-    },
-    colors: {
-      section: '#111111', subLabel: '#111111', subInline: '#222222',
-      rubric: '#222222', body: '#1A1A1A', muted: '#333333', rule: '#000000',
-      coverName: '#111111', feast: '#111111'
-    },
-    smallCaps: true,       // centered EB Garamond small-caps headers, no rule
-    sectionRule: false,
-    sectionSize: 15,
-    subUpper: false,       // title-case bold labels
-    subDash: true,         // "Processional Hymn — Title" with an em-dash
-    subSize: 9,
-    rubricSize: 8.5,       // standalone posture-direction lines
-    twoColumn: true        // psalm verses & creed in two columns
-  }
-};
-
-function resolveTheme(design) {
-  return THEMES[design] || THEMES.reimagined;
-}
+// and a few layout choices. The theme object (config/themes.js — built in,
+// or a parish theme from the registry passed as options.theme) is consulted
+// by the shared drawing primitives so "reimagined" (the app's original
+// look) stays byte-for-byte identical while "classic" reproduces the
+// parish's in-house Book-Antiqua/Garamond worship aid.
 
 function formatDate(dateStr) {
   if (!dateStr) return '';
@@ -226,10 +279,41 @@ function formatDate(dateStr) {
   return d.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
 }
 
+// The cover's date line, with "Year B" after it when the draft prints the
+// Lectionary year.
+function coverDate(data) {
+  return [formatDate(data.liturgicalDate), lectionaryYear(data)].filter(Boolean).join(' · ');
+}
+
 function resolveLayout(bookletSize) {
   return LAYOUTS[bookletSize] || LAYOUTS['half-letter'];
 }
 
+// Saddle-stitch page pairing. A booklet of n pages (n a multiple of 4)
+// prints on n/4 sheets; each sheet side carries two booklet pages side by
+// side. Sheet 0 is the outermost (it carries the cover):
+//   front: [n - 2s, 1 + 2s]    back: [2 + 2s, n - 1 - 2s]
+// Returns one entry per physical sheet side, in print order.
+function saddleStitchSides(pageCount) {
+  const n = Math.ceil(pageCount / 4) * 4;
+  const sides = [];
+  for (let s = 0; s < n / 4; s++) {
+    sides.push({ sheet: s, side: 'front', left: n - 2 * s, right: 1 + 2 * s });
+    sides.push({ sheet: s, side: 'back', left: 2 + 2 * s, right: n - 1 - 2 * s });
+  }
+  return sides;
+}
+
+// Where a booklet page lands on the imposed output: the physical side index
+// (0-based PDF page) and which half of the landscape sheet it occupies.
+function imposedPlacement(pageNo, sides) {
+  for (let i = 0; i < sides.length; i++) {
+    if (sides[i].left === pageNo) return { sideIndex: i, half: 'left', sheet: sides[i].sheet };
+    if (sides[i].right === pageNo) return { sideIndex: i, half: 'right', sheet: sides[i].sheet };
+  }
+  return null;
+}
+
 class WorshipAidPdfGenerator {
   constructor(data, options = {}) {
     this.data = applySeasonDefaults(data);
@@ -238,6 +322,9 @@ class WorshipAidPdfGenerator {
     this.ss = this.data.seasonalSettings || {};
     this.r = this.data.readings || {};
     this.parishSettings = options.parishSettings || {};
+    // Pin the Mass list (draft snapshot > parish schedule) the per-Mass music
+    // blocks consolidate against — mirrors the HTML renderer.
+    this.data = { ...this.data, masses: resolveMasses(data, this.parishSettings) };
     // Per-slot notation images, pre-resolved to PNG/JPEG buffers by the
     // caller (the server loads them from disk or Netlify Blobs). Keys match
     // data.notationImages slots: processional, communion, thanksgiving,
@@ -246,12 +333,32 @@ class WorshipAidPdfGenerator {
     this.notationImages = options.notationImages || {};
 
     // Output design: caller option > per-aid field > reimagined (original).
+    // A parish theme's id only resolves through the registry, so the caller
+    // passes the loaded theme; its base picks the cover and outline.
     this.design = options.design || data.design || 'reimagined';
-    this.theme = resolveTheme(this.design);
+    this.theme = options.theme || resolveTheme(this.design);
+    // Uploaded fonts the theme's roles name, pre-loaded by the caller
+    // (store/font-library.js loadThemeFonts): { id: { buffer, family,
+    // weight, style, url } }. A role whose font didn't load falls back to
+    // the base theme's font for that role.
+    this.customFonts = options.customFonts || {};
+    const missingFonts = Object.entries(this.theme.fonts)
+      .filter(([, name]) => name.startsWith('custom-') && !this.customFonts[name]);
+    if (missingFonts.length) {
+      const baseFonts = resolveTheme(this.theme.base).fonts;
+      const fonts = { ...this.theme.fonts };
+      for (const [role] of missingFonts) fonts[role] = baseFonts[role];
+      this.theme = { ...this.theme, fonts };
+      this.warnings.push(`Uploaded font${missingFonts.length === 1 ? '' : 's'} ${[...new Set(missingFonts.map(([, name]) => `"${name}"`))].join(', ')} not found — using the ${this.theme.base} design's fonts instead.`);
+    }
+    // Accents in the day's liturgical color, when the theme takes them.
+    this.theme = accentTheme(this.theme, liturgicalColor(data));
 
     // Match the HTML renderer: caller option > per-aid field > tabloid.
-    this.bookletSize = options.bookletSize || data.bookletSize || 'tabloid';
-    const L = resolveLayout(this.bookletSize);
+    // Large print replaces the trim size with its own letter layout.
+    this.largePrint = !!options.largePrint;
+    this.bookletSize = this.largePrint ? 'large-print' : (options.bookletSize || data.bookletSize || 'tabloid');
+    const L = this.largePrint ? LARGE_PRINT_LAYOUT : resolveLayout(this.bookletSize);
     this.PAGE_WIDTH    = L.pageWidth;
     this.PAGE_HEIGHT   = L.pageHeight;
     this.MARGIN        = L.margin;
@@ -260,13 +367,39 @@ class WorshipAidPdfGenerator {
     this.CONTENT_WIDTH = this.PAGE_WIDTH - 2 * this.MARGIN;
     this.scale         = L.scale;
 
-    const overflows = detectOverflows(this.data);
-    overflows.forEach(o => this.warnings.push(o.message));
-
-    const isLenten = this.data.liturgicalSeason === 'lent';
-    const isAdvent = this.data.liturgicalSeason === 'advent';
-    this.includePostlude = this.ss.includePostlude !== undefined ? this.ss.includePostlude : !isLenten;
-    this.showAdventWreath = this.ss.adventWreath !== undefined ? this.ss.adventWreath : isAdvent;
+    // Printer-spread output (generateImposedPdf): the booklet page count is
+    // known up front from a reader-order pass, so every page can be drawn
+    // straight onto its half of the right sheet side. creepIn shifts pages on
+    // inner sheets toward the spine by that many inches per sheet, so the
+    // fore-edge margins stay even once the folded booklet is trimmed.
+    this.imposition = null;
+    if (options.imposition && options.imposition.pageCount && !this.largePrint) {
+      const sides = saddleStitchSides(options.imposition.pageCount);
+      this.imposition = {
+        sides,
+        pageCount: sides.length * 2,
+        sheetCount: sides.length / 2,
+        creep: Math.max(0, Number(options.imposition.creepIn) || 0) * PT
+      };
+    }
+    this._logicalPage = 1;
+
+    // Target booklet length: caller option > per-aid field > 8. 'auto' is
+    // resolved in renderContentFlow once the content has been measured. A
+    // leaflet (config/leaflets.js) runs its own 2 or 4 pages, with no cover.
+    this.leaflet = this.largePrint ? null : resolveLeaflet(this.data);
+    this.hasCover = !this.largePrint && !this.leaflet;
+    // A leaflet has no room for hymn paste areas unless the draft asks.
+    if (this.leaflet && this.data.reserveHymnSpace === undefined) this.data = { ...this.data, reserveHymnSpace: false };
+    const pageCount = options.pageCount || this.data.pageCount || 8;
+    if (this.leaflet) {
+      this.pageCountSetting = LEAFLET_PAGE_COUNTS.includes(Number(pageCount)) ? Number(pageCount) : this.leaflet.pageCount;
+    } else {
+      this.pageCountSetting = pageCount === 'auto' ? 'auto' : (PAGE_COUNTS.includes(Number(pageCount)) ? Number(pageCount) : 8);
+    }
+    this.targetPages = this.pageCountSetting === 'auto' ? 8 : this.pageCountSetting;
+    // Set when the announcements leave the liturgy pages for a filler page.
+    this._announcementsPage = false;
 
     // Page-level state used by tests and bounds tracking
     this._maxYReached = 0;
@@ -281,6 +414,18 @@ class WorshipAidPdfGenerator {
     this.textScale = 1;
     this._dryRun = false;
     this._clipWarnedPage = 0;
+    this._clipCount = 0;
+
+    // Auto-fit (options.autoFit): layout adjustments renderContentFlow may
+    // switch on, in AUTO_FIT_STEPS order, when shrinking text alone can't
+    // reach the page target.
+    this.autoFit = !!options.autoFit && !this.largePrint;
+    this._fit = { narrowNotation: false, dropHymnSpace: false, twoColumn: false };
+
+    // Page map recorded by renderContentFlow (see layout()): where every
+    // block landed and how much room each page has left.
+    this.pageMap = null;
+    this._labelCapture = null;
   }
 
   // Scale a base font/spacing value by the layout's scale factor.
@@ -356,51 +501,104 @@ class WorshipAidPdfGenerator {
     return blockH;
   }
 
-  generate(outputPath) {
-    return new Promise((resolve, reject) => {
-      const fontPaths = resolveFontPaths();
-      const doc = new PDFDocument({
-        size: [this.PAGE_WIDTH, this.PAGE_HEIGHT],
-        margins: { top: this.MARGIN_TOP, bottom: this.MARGIN_TOP, left: this.MARGIN_SIDE, right: this.MARGIN_SIDE },
-        bufferPages: true,
-        // Never load the default Helvetica at construction: its .afm metric
-        // files don't exist in serverless bundles. We register and select
-        // our embedded fonts explicitly before any text is written.
-        font: null,
-        info: {
-          Title: `Worship Aid — ${this.data.feastName}`,
-          Author: 'Worship Aid Generator',
-          Subject: this.data.feastName,
-          CreationDate: new Date()
-        }
-      });
+  // A fresh PDFKit document with the design's fonts registered. Imposed
+  // output uses landscape sheets two booklet pages wide.
+  _createDocument() {
+    const fontPaths = resolveFontPaths();
+    const sheetWidth = this.imposition ? this.PAGE_WIDTH * 2 : this.PAGE_WIDTH;
+    const doc = new PDFDocument({
+      size: [sheetWidth, this.PAGE_HEIGHT],
+      margins: { top: this.MARGIN_TOP, bottom: this.MARGIN_TOP, left: this.MARGIN_SIDE, right: this.MARGIN_SIDE },
+      bufferPages: true,
+      // Tagged for screen readers (PDF/UA-style structure tree, document
+      // language, title shown instead of the filename).
+      pdfVersion: '1.7',
+      tagged: true,
+      lang: this.data.language === 'spanish' ? PDF_LANG_ES : PDF_LANG,
+      displayTitle: true,
+      // Never load the default Helvetica at construction: its .afm metric
+      // files don't exist in serverless bundles. We register and select
+      // our embedded fonts explicitly before any text is written.
+      font: null,
+      // A draft still being filled in may have no feast name yet.
+      info: {
+        Title: this.data.feastName ? `Worship Aid — ${this.data.feastName}` : 'Worship Aid',
+        Author: 'Worship Aid Generator',
+        Subject: this.data.feastName || '',
+        CreationDate: new Date()
+      }
+    });
 
-      for (const [name, filePath] of Object.entries(fontPaths)) {
+    for (const [name, filePath] of Object.entries(fontPaths)) {
+      doc.registerFont(name, filePath);
+    }
+    // The classic cover, and any theme set in the classic faces, need those
+    // roles registered too.
+    if (this.theme.base === 'classic' || Object.values(this.theme.fonts).some(name => FONT_FILES_CLASSIC[name])) {
+      for (const [name, filePath] of Object.entries(resolveClassicFontPaths())) {
         doc.registerFont(name, filePath);
       }
-      // The classic design needs its serif roles registered too.
-      if (this.design === 'classic') {
-        for (const [name, filePath] of Object.entries(resolveClassicFontPaths())) {
-          doc.registerFont(name, filePath);
-        }
-      }
-      doc.font(this.design === 'classic' ? 'Serif' : 'Sans');
+    }
+    for (const [name, font] of Object.entries(this.customFonts)) {
+      doc.registerFont(name, font.buffer);
+    }
+    doc.font(this.theme.fonts.body);
+    this._structRoot = doc.struct('Document');
+    doc.addStructure(this._structRoot);
+    this._outlineRite = null;
+    this._prevItem = null;
+    if (this.imposition) {
+      // Every sheet side exists before drawing starts: booklet pages are
+      // placed out of order (page 2 shares a side with page n-1).
+      for (let i = 1; i < this.imposition.sides.length; i++) doc.addPage();
+    }
+    return doc;
+  }
+
+  // Draw the whole booklet (cover + content flow) into this.doc.
+  _renderDocument() {
+    this.y = this.MARGIN_TOP;
+    this._logicalPage = 1;
+    this._beginPage();
+    this.doc.outline.addItem(this.data.feastName || 'Cover');
+    if (this.hasCover) {
+      this._tagged('Sect', {}, () => {
+        const celebration = celebrationCover(this.data);
+        if (celebration) this.renderCelebrationCover(celebration);
+        else if (this.theme.base === 'classic') this.renderPage1CoverClassic();
+        else this.renderPage1Cover();
+      });
+    }
+    this.renderContentFlow();
+    this._endPage();
+    this._structRoot.end();
+    // Capture the final page's maxY for layout introspection.
+    this.pageEvents.push({ maxY: this._maxYReached });
+  }
 
+  // Booklet pages the reader-order output has — drives imposition. Runs the
+  // full render against a throwaway document that is never written out.
+  countPages() {
+    this.doc = this._createDocument();
+    this._renderDocument();
+    const count = this.pageEvents.length;
+    this.doc.end();
+    return count;
+  }
+
+  generate(outputPath) {
+    return new Promise((resolve, reject) => {
+      const doc = this._createDocument();
       const stream = fs.createWriteStream(outputPath);
       doc.pipe(stream);
       this.doc = doc;
-      this.y = this.MARGIN_TOP;
 
       try {
-        if (this.design === 'classic') this.renderPage1CoverClassic();
-        else this.renderPage1Cover();
-        this.renderContentFlow();
-        // Capture the final page's maxY for layout introspection.
-        this.pageEvents.push({ maxY: this._maxYReached });
+        this._renderDocument();
         const bufferedPageCount = doc.bufferedPageRange().count;
         doc.end();
         const pageMaxY = this.pageEvents.map(p => p.maxY);
-        stream.on('finish', () => resolve({
+        const result = {
           outputPath,
           warnings: this.warnings,
           bookletSize: this.bookletSize,
@@ -409,7 +607,18 @@ class WorshipAidPdfGenerator {
           margin: this.MARGIN,
           pageMaxY,
           pageCount: bufferedPageCount
-        }));
+        };
+        if (this.autoFit) result.autoFit = this.autoFitApplied;
+        if (this.imposition) {
+          Object.assign(result, {
+            imposed: true,
+            bookletPageCount: this.imposition.pageCount,
+            sheetCount: this.imposition.sheetCount,
+            sheetWidth: this.PAGE_WIDTH * 2,
+            sheetHeight: this.PAGE_HEIGHT
+          });
+        }
+        stream.on('finish', () => resolve(result));
         stream.on('error', reject);
       } catch (err) {
         reject(err);
@@ -417,6 +626,29 @@ class WorshipAidPdfGenerator {
     });
   }
 
+  // Imposed output: point drawing at this booklet page's half of its sheet
+  // side. All drawing code works in booklet-page coordinates; a translate +
+  // clip maps them onto the sheet (creep-shifted toward the spine on inner
+  // sheets) so nothing can spill onto the facing page. No-op in reader order.
+  _beginPage() {
+    if (!this.imposition) return;
+    const place = imposedPlacement(this._logicalPage, this.imposition.sides);
+    if (!place) return;
+    this.doc.switchToPage(place.sideIndex);
+    const shift = this.imposition.creep * place.sheet;
+    const offsetX = place.half === 'left' ? shift : this.PAGE_WIDTH - shift;
+    this.doc.save();
+    this.doc.rect(place.half === 'left' ? 0 : this.PAGE_WIDTH, 0, this.PAGE_WIDTH, this.PAGE_HEIGHT).clip();
+    this.doc.translate(offsetX, 0);
+    this._pageOpen = true;
+  }
+
+  _endPage() {
+    if (!this._pageOpen) return;
+    this.doc.restore();
+    this._pageOpen = false;
+  }
+
   // Track the lowest Y coordinate written on the current page so tests can
   // verify no content has run past the bottom margin.
   _trackY() {
@@ -429,7 +661,10 @@ class WorshipAidPdfGenerator {
   newPage() {
     this.pageEvents.push({ maxY: this._maxYReached });
     this._maxYReached = 0;
-    this.doc.addPage();
+    this._endPage();
+    this._logicalPage++;
+    if (this.imposition) this._beginPage();
+    else this.doc.addPage();
     this.y = this.MARGIN_TOP;
   }
 
@@ -448,20 +683,67 @@ class WorshipAidPdfGenerator {
   }
 
   pageNumber(num) {
-    this._footerText(String(num), this.PAGE_HEIGHT - this.MARGIN * 0.6, { x: 0, width: this.PAGE_WIDTH });
+    this._tagged('Artifact', { type: 'Pagination' }, () => {
+      this._footerText(String(num), this.PAGE_HEIGHT - this.MARGIN * 0.6, { x: 0, width: this.PAGE_WIDTH });
+    });
+  }
+
+  // Run draw() as one tagged unit: a structure element of `type` under the
+  // document root (options.alt for a Figure), or an artifact. Dry runs draw
+  // nothing, so they aren't tagged.
+  _tagged(type, options, draw) {
+    if (this._dryRun) return draw();
+    if (type === 'Artifact') {
+      this.doc.markContent('Artifact', options.type ? { type: options.type } : null);
+      draw();
+      this.doc.endMarkedContent();
+      return;
+    }
+    const el = this.doc.struct(type, options);
+    this._structRoot.add(el);
+    el.add(draw);
+    el.end();
+  }
+
+  // Alt text for a notation image: the music heading (or reading heading)
+  // just above it names the slot and the piece, else the item's own label.
+  _notationAlt(item) {
+    const prev = this._prevItem;
+    let what = item.label ? item.label.replace(/ — music notation$/, '') : item.slot;
+    let title = '';
+    if (prev && prev.type === 'music') {
+      what = prev.text;
+      title = (prev.pieces || []).map(renderMusicLineText).filter(Boolean).join('; ');
+    } else if (prev && prev.type === 'heading') {
+      what = prev.text;
+      title = prev.inline || '';
+    }
+    return `Music notation: ${what}${title ? ` — ${title}` : ''}`;
+  }
+
+  // Bookmarks: each rite (section header) at the top level, the readings
+  // and other sub-headings beneath the rite they belong to.
+  _bookmark(item) {
+    if (this._dryRun) return;
+    if (item.type === 'section') {
+      this._outlineRite = this.doc.outline.addItem(String(item.text).replace(/\s+/g, ' '));
+    } else if (item.type === 'heading') {
+      (this._outlineRite || this.doc.outline).addItem(String(item.text).replace(/\s+/g, ' '));
+    }
   }
 
   // Bottom edge of the writable area on the current page.
   _bottom() { return this.PAGE_HEIGHT - this.MARGIN; }
 
   // Warn (once per logical page) that content had to be truncated to keep
-  // the booklet at exactly 8 pages.
+  // the booklet at its target page count.
   _warnClipped() {
     if (this._dryRun) return;
+    this._clipCount++;
     const page = this.pageEvents.length + 1;
     if (this._clipWarnedPage === page) return;
     this._clipWarnedPage = page;
-    this.warnings.push(`Page ${page}: content was truncated to keep the booklet at 8 pages — shorten the text on this page.`);
+    this.warnings.push(`Page ${page}: content was truncated to keep the booklet at ${this.targetPages} pages — shorten the text on this page.`);
   }
 
   // Normalize text for the embedded Liberation Sans font.  The only common
@@ -504,7 +786,18 @@ class WorshipAidPdfGenerator {
     return h;
   }
 
+  // While a block is measured for the first time, the first heading it
+  // draws becomes its page-map label (the last one labels any heading-less
+  // blocks that follow it).
+  _noteLabel(text) {
+    if (!this._labelCapture || !text) return;
+    const t = String(text).trim();
+    if (!this._labelCapture.label) this._labelCapture.label = t;
+    this._labelCapture.last = t;
+  }
+
   sectionHeader(text) {
+    this._noteLabel(text);
     // Classic: a large centered small-caps Garamond title, no rule.
     if (this.theme.smallCaps) {
       this.y += this.s(2);
@@ -539,6 +832,7 @@ class WorshipAidPdfGenerator {
   //   right       — posture direction, right-justified on the heading line
   // All parts share the heading's font size so their baselines align.
   subHeading(text, opts = {}) {
+    this._noteLabel(text);
     const SIZE = this.s(this.theme.subSize);
     const boldFont = this._font('bold');
     const labelCS = this.theme.subUpper ? 0.8 : 0;   // reimagined letter-spaces its caps
@@ -607,9 +901,9 @@ class WorshipAidPdfGenerator {
   // the heading line with the redundant slot label dropped (director: "don't
   // restate what it is; only provide the title and composer"). When a slot
   // carries different pieces per Mass time, the heading stands alone and each
-  // piece is listed on its own line below (still label-free).
-  musicHeading(heading, titleField, composerField, opts = {}) {
-    const items = formatMusicSlot(this.data, titleField, composerField);
+  // piece is listed on its own line below (still label-free). items: the
+  // slot's formatMusicSlot() pieces.
+  musicHeading(heading, items, opts = {}) {
     if (items.length <= 1) {
       this.subHeading(heading, { inline: items[0] ? renderMusicLineText(items[0]) : undefined, right: opts.right });
     } else {
@@ -666,7 +960,14 @@ class WorshipAidPdfGenerator {
     this._dryRun = true;
     const y0 = this.y;
     this.y = this.MARGIN_TOP;
+    const capture = block.label === undefined;
+    if (capture) this._labelCapture = { label: '', last: '' };
     block.render();
+    if (capture) {
+      block.label = this._labelCapture.label;
+      block.lastHeading = this._labelCapture.last;
+      this._labelCapture = null;
+    }
     const h = this.y - this.MARGIN_TOP;
     this._dryRun = false;
     this.y = y0;
@@ -710,42 +1011,242 @@ class WorshipAidPdfGenerator {
   // that carries notation — per the director of liturgy it appears once, in
   // the full copyright block at the end of the document. The per-page flag
   // is still cleared so it can't leak across pages.
-  _finishContentPage(pageNo) {
+  _finishContentPage(pageNo, filler, items) {
     this._pageHasNotation = false;
+    this._recordPage(pageNo, filler, items);
     this.pageNumber(pageNo);
   }
 
-  renderContentFlow() {
-    const blocks = this.design === 'classic' ? this._buildContentBlocksClassic() : this._buildContentBlocks();
+  _recordPage(pageNo, filler, items) {
+    if (!this.pageMap) return;
+    const used = Math.max(0, this.y - this.MARGIN_TOP);
+    this.pageMap.pages.push({
+      page: pageNo,
+      ...(filler ? { filler, items } : {}),
+      usedHeight: Math.round(used * 10) / 10,
+      remaining: Math.round(Math.max(0, this._bottom() - this.y) * 10) / 10
+    });
+  }
+
+  // The flow blocks for this booklet: the shared Mass outline (see
+  // mass-outline.js — the HTML preview draws the same blocks), each given a
+  // render() that draws its items through the primitives.
+  _buildBlocks() {
+    let outline = buildMassOutline(this.data, {
+      design: this.theme.base,
+      parishSettings: this.parishSettings,
+      hasMusic: slot => this._slotHasMusic(slot),
+      hasImage: slot => !!this.notationImages[slot],
+      twoColumn: this._fit.twoColumn,
+      announcementsPage: this._announcementsPage
+    });
+    // Large print and leaflets: a title block opens page 1 in place of the
+    // cover. Large print sets each item one column, full size (see
+    // largePrintItem).
+    if (this.largePrint) outline = outline.map(block => ({ ...block, items: block.items.flatMap(largePrintItem) }));
+    if (!this.hasCover) outline = [{ id: 'title', label: 'Title', items: [{ type: 'title' }] }, ...outline];
+    return outline.map(block => ({ ...block, render: () => block.items.forEach(item => this._renderItem(item)) }));
+  }
+
+  // Draw one outline item at this.y, tagged (STRUCT_TAGS) and bookmarked.
+  // On the real render (not a dry run) the item records the height it took
+  // and, for music, the box it drew — the page map hands both to the HTML
+  // preview.
+  _renderItem(item) {
+    const y0 = this.y;
+    this._drawnMusic = null;
+    this._bookmark(item);
+    let tag = STRUCT_TAGS[item.type];
+    let options = {};
+    if (item.type === 'hymnSpace' || item.type === 'notation') {
+      // A blank paste box is decoration; an uploaded image is the music.
+      if (this.notationImages[item.slot]) {
+        tag = 'Figure';
+        options = { alt: this._notationAlt(item) };
+      } else {
+        tag = 'Artifact';
+      }
+    }
+    if (tag) this._tagged(tag, options, () => this._drawItem(item));
+    else this._drawItem(item);
+    this._prevItem = item;
+    if (!this._dryRun) {
+      item.height = Math.round((this.y - y0) * 10) / 10;
+      if (this._drawnMusic) item.drawn = this._drawnMusic;
+    }
+  }
 
-    // Global shrink: text and notation images scale together (floor 0.75)
-    // until the whole liturgy packs into the 7 content pages.
+  _drawItem(item) {
+    switch (item.type) {
+      case 'section': this.sectionHeader(item.text); break;
+      case 'title': this.titleBlock(); break;
+      case 'heading': {
+        const cite = item.cite && this.theme.citation;
+        this.subHeading(item.text, {
+          inline: item.inline,
+          right: item.right,
+          ...(cite ? { inlineFont: this._font(cite.font), inlineColor: cite.color } : {})
+        });
+        break;
+      }
+      case 'music': this.musicHeading(item.text, item.pieces, { right: item.right }); break;
+      case 'rubric': this.rubric(item.text, item.align); break;
+      case 'text':
+        this.bodyText(item.text, {
+          size: item.size, bold: item.bold, italic: item.italic, align: item.align, gap: item.gap,
+          color: item.muted ? this._color('muted') : undefined,
+          ...(item.indent ? { x: this.MARGIN_SIDE + this.s(item.indent), width: this.CONTENT_WIDTH - this.s(item.indent) } : {})
+        });
+        break;
+      case 'columns': this._twoColumnText(item.text, { size: item.size, gap: item.gap }); break;
+      case 'parallel': this._parallelText(item); break;
+      case 'hanging': this._hangingLabel(item.label, item.text, { size: item.size }); break;
+      case 'hymnSpace': this.hymnMusicSpace({ slot: item.slot }); break;
+      case 'notation': this.ordinaryMusicSpace(item.slot, item.label); break;
+      case 'adventWreath': this._adventWreath(); break;
+      case 'childrenLiturgy': this._childrenLiturgyBox(item.lines); break;
+      case 'rule': this._announcementsRule(); break;
+      case 'copyright': this._copyrightBlock(); break;
+      case 'parishFooter': this._classicFooterBlock(); break;
+      case 'ruledLines': this._ruledLines(); break;
+      case 'space': this.y += this.s(item.pt); break;
+      default: throw new Error(`Unknown outline item type "${item.type}"`);
+    }
+  }
+
+  // Content pages the target leaves: every page but the cover.
+  _contentPageTarget() {
+    return this.targetPages - (this.hasCover ? 1 : 0);
+  }
+
+  // Global shrink: text and notation images scale together, in 5% steps
+  // down to floor, until the whole liturgy packs into the content pages.
+  _fitScale(blocks, floor) {
     let scale = 1;
+    let pages;
     for (;;) {
       this.textScale = scale;
-      if (this._countPagesNeeded(blocks) <= 7 || scale <= 0.751) break;
-      scale = Math.max(0.75, scale - 0.05);
+      pages = this._countPagesNeeded(blocks);
+      if (pages <= this._contentPageTarget() || scale <= floor + 0.001) break;
+      scale = Math.max(floor, scale - 0.05);
     }
-    this.textScale = scale;
-    if (scale < 1) {
-      this.warnings.push(`Content was scaled to ${Math.round(scale * 100)}% to fit the 8-page booklet.`);
+    return { blocks, scale, pages };
+  }
+
+  // Smallest textScale that keeps body text at or above the parish's
+  // minimum font size (never below the hard MIN_TEXT_SCALE floor).
+  _minTextScale() {
+    const minPt = Number(this.parishSettings.minFontSizePt) || DEFAULT_PARISH_SETTINGS.minFontSizePt;
+    return Math.min(1, Math.max(MIN_TEXT_SCALE, minPt / (this.s(BODY_SIZE_PT))));
+  }
+
+  // Auto-fit: shrink text down to the parish minimum, then switch on the
+  // AUTO_FIT_STEPS one at a time — re-running the shrink after each, so
+  // text grows back as far as the freed space allows — until the content
+  // fits. As a last resort text goes below the parish minimum to the usual
+  // floor. Every adjustment applied is reported in the warnings.
+  _autoFitFlow() {
+    const floor = this._minTextScale();
+    let fit = this._fitScale(this._buildBlocks(), floor);
+    const applied = [];
+    for (const step of AUTO_FIT_STEPS) {
+      if (fit.pages <= this._contentPageTarget()) break;
+      if (!step.applies(this)) continue;
+      this._fit[step.key] = true;
+      applied.push(step);
+      fit = this._fitScale(this._buildBlocks(), floor);
+    }
+    const belowMinimum = fit.pages > this._contentPageTarget() && floor > MIN_TEXT_SCALE;
+    if (belowMinimum) fit = this._fitScale(fit.blocks, MIN_TEXT_SCALE);
+
+    if (fit.scale < 1) {
+      const pt = Math.round(this.s(BODY_SIZE_PT) * fit.scale * 10) / 10;
+      this.warnings.push(belowMinimum
+        ? `Auto-fit: text scaled to ${Math.round(fit.scale * 100)}% (${pt}pt body) — below the parish minimum of ${Math.round(floor * this.s(BODY_SIZE_PT) * 10) / 10}pt, as nothing else would fit.`
+        : `Auto-fit: text scaled to ${Math.round(fit.scale * 100)}% (${pt}pt body).`);
+    }
+    applied.forEach(step => this.warnings.push(`Auto-fit: ${step.note}.`));
+    this.autoFitApplied = [...(fit.scale < 1 ? ['textScale'] : []), ...applied.map(step => step.key)];
+    return fit;
+  }
+
+  // 'auto' page count: the cover plus the content pages at full size,
+  // rounded up to a multiple of 4 for saddle-stitching.
+  _resolveAutoPageCount() {
+    this.textScale = 1;
+    const contentPages = this._countPagesNeeded(this._buildBlocks());
+    this.targetPages = Math.max(4, Math.ceil((1 + contentPages) / 4) * 4);
+  }
+
+  _fitContent() {
+    // Large print never shrinks: it runs to the pages the content needs at
+    // full size, with no cover and no padding to a multiple of 4.
+    if (this.largePrint) {
+      this.textScale = 1;
+      const blocks = this._buildBlocks();
+      const pages = this._countPagesNeeded(blocks);
+      this.targetPages = pages;
+      return { blocks, scale: 1, pages };
+    }
+    if (this.pageCountSetting === 'auto') this._resolveAutoPageCount();
+    let fit;
+    if (this.autoFit) {
+      fit = this._autoFitFlow();
+    } else {
+      fit = this._fitScale(this._buildBlocks(), MIN_TEXT_SCALE);
+      if (fit.scale < 1) {
+        this.warnings.push(`Content was scaled to ${Math.round(fit.scale * 100)}% to fit the ${this.targetPages}-page ${this.leaflet ? 'leaflet' : 'booklet'}.`);
+      }
     }
+    // With two or more pages to spare, the announcements get a page of
+    // their own after the liturgy instead of squeezing in between.
+    if (fit.scale === 1 && this.data.announcements && this._contentPageTarget() - fit.pages >= 2 &&
+        this._measureBlock({ label: '', render: () => this._fillerPage('announcements') }) <= this._bottom() - this.MARGIN_TOP) {
+      this._announcementsPage = true;
+      fit = this._fitScale(this._buildBlocks(), 1);
+    }
+    return fit;
+  }
+
+  renderContentFlow() {
+    const { blocks, scale, pages: contentPages } = this._fitContent();
+    this.textScale = scale;
 
-    this.newPage();
-    let pageNo = 2;
+    // Blocks without a heading of their own (a reading's later paragraphs)
+    // are labeled as a continuation of the block before them.
+    let lastHeading = '';
+    blocks.forEach((bl, i) => {
+      bl.id = bl.id || `block-${i + 1}`;
+      if (!bl.label) bl.label = lastHeading ? `${lastHeading} (continued)` : bl.id;
+      else lastHeading = bl.lastHeading || bl.label;
+    });
+    this.pageMap = {
+      textScale: scale,
+      targetPages: this.targetPages,
+      // Pages the content would take at this scale with no page-count
+      // clamp: cover + content pages.
+      pagesNeeded: (this.hasCover ? 1 : 0) + contentPages + (this._announcementsPage ? 1 : 0),
+      pages: this.hasCover ? [{ page: 1, cover: true }] : [],
+      blocks: []
+    };
+
+    // Large print and leaflets have no cover: the content starts on page 1.
+    if (this.hasCover) this.newPage();
+    let pageNo = this.hasCover ? 2 : 1;
     const pageH = this._bottom() - this.MARGIN_TOP;
     const heights = blocks.map(bl => this._measureBlock(bl));
     for (let i = 0; i < blocks.length; i++) {
       const block = blocks[i];
 
       // A bottom-anchored block (the classic QR/licensing footer) renders at
-      // the foot of the FINAL page, like a back cover — padding any blank
-      // pages needed to get there. If content already reached page 8 it
-      // simply flows after it (the block's own clamps truncate with a
-      // warning rather than spilling).
+      // the foot of the FINAL page, like a back cover — filler pages make up
+      // any pages needed to get there. If content already reached the last
+      // page it simply flows after it (the block's own clamps truncate with
+      // a warning rather than spilling).
       if (block.anchorBottom) {
-        while (pageNo < 8) {
+        if (pageNo < this.targetPages) {
           this._finishContentPage(pageNo);
+          pageNo = this._renderFillerPages(pageNo, this.targetPages - 1);
           this.newPage();
           pageNo++;
         }
@@ -753,7 +1254,7 @@ class WorshipAidPdfGenerator {
         // measure/render floating-point drift can't trip the clip guard.
         const target = this._bottom() - heights[i] - 2;
         if (target > this.y) this.y = target;
-        block.render();
+        this._renderMapped(block, heights[i], pageNo);
         continue;
       }
 
@@ -762,24 +1263,135 @@ class WorshipAidPdfGenerator {
       // introduces instead of stranding at the page foot.
       const need = this._chainNeed(blocks, heights, i, pageH);
       const remaining = this._bottom() - this.y;
-      if (need > remaining + 1 && pageNo < 8 && this.y > this.MARGIN_TOP + 1) {
+      if (need > remaining + 1 && pageNo < this.targetPages && this.y > this.MARGIN_TOP + 1) {
         this._finishContentPage(pageNo);
         this.newPage();
         pageNo++;
       }
-      // On page 8 with no room left, the block's own clamps truncate it
-      // with a loud warning — never a ninth page, never a silent drop.
-      block.render();
+      // On the last page with no room left, the block's own clamps truncate
+      // it with a loud warning — never an extra page, never a silent drop.
+      this._renderMapped(block, heights[i], pageNo);
     }
     this._finishContentPage(pageNo);
 
-    // Saddle-stitch booklets print in multiples of 4 — pad to 8 pages.
-    while (pageNo < 8) {
+    // Saddle-stitch booklets print in multiples of 4 — fill out to the
+    // target page count.
+    this._renderFillerPages(pageNo, this.targetPages);
+    this.textScale = 1;
+  }
+
+  // Pages the content leaves over before the target count get parish
+  // content instead of printing blank: the announcements (when they moved
+  // off the liturgy pages), the parish-life blurbs — unless the cover
+  // already prints them — then notes pages.
+  // Renders pages pageNo+1 .. through; returns the last page number.
+  _renderFillerPages(pageNo, through) {
+    const kinds = [];
+    if (this._announcementsPage) kinds.push('announcements');
+    if (!this._coverPrintsParishLife()) kinds.push('parish');
+    while (pageNo < through) {
+      const kind = kinds.shift() || 'notes';
       this.newPage();
       pageNo++;
-      this.pageNumber(pageNo);
+      const items = this._fillerPage(kind);
+      this._finishContentPage(pageNo, kind, items);
     }
-    this.textScale = 1;
+    return pageNo;
+  }
+
+  // The reimagined cover's info grid carries the parish-life blurbs; the
+  // classic and celebration covers, and a leaflet with none, don't.
+  _coverPrintsParishLife() {
+    return this.hasCover && !celebrationCover(this.data) && this.theme.base !== 'classic';
+  }
+
+  // Draw one filler page's items; returns them for the page map.
+  _fillerPage(kind) {
+    const items = fillerPageItems(kind, this.data, this.parishSettings);
+    items.forEach(item => this._renderItem(item));
+    return items;
+  }
+
+  // Render one flow block and record where it landed in the page map. A block
+  // is never split across pages, so its page is the one it starts on; what
+  // can happen is truncation (clipped) when it runs past the bottom margin.
+  _renderMapped(block, height, pageNo) {
+    const top = this.y;
+    const clipsBefore = this._clipCount;
+    block.render();
+    this.pageMap.blocks.push({
+      id: block.id,
+      label: block.label,
+      startPage: pageNo,
+      top: Math.round(top * 10) / 10,
+      bottom: Math.round(Math.min(this.y, this._bottom()) * 10) / 10,
+      height: Math.round(height * 10) / 10,
+      clipped: this._clipCount > clipsBefore || top + height > this._bottom() + 1,
+      items: block.items
+    });
+  }
+
+  // Dry-run layout: render the booklet into a throwaway document with the
+  // real block model and return the page map — which page every block lands
+  // on, the room left on each page, the pages the content actually needs —
+  // plus layout-accurate overflows in detectOverflows' { page, severity,
+  // message } shape. Each block (and filler page) carries its outline items
+  // with the height each took and the size of any music drawn, which is
+  // what the HTML preview renders from.
+  layout() {
+    this.doc = this._createDocument();
+    this._renderDocument();
+    this.doc.end();
+    const map = this.pageMap;
+    const overflows = [];
+    const target = map.targetPages;
+    if (map.pagesNeeded > target) {
+      overflows.push({
+        page: target,
+        severity: 'error',
+        message: `The content needs ${map.pagesNeeded} pages even at ${Math.round(map.textScale * 100)}% scale — about ${map.pagesNeeded - target} page(s) more than the ${target}-page ${this.leaflet ? 'leaflet' : 'booklet'}. Shorten a reading, drop optional content, or choose a longer ${this.leaflet ? 'leaflet or a booklet' : 'booklet'}.`
+      });
+    }
+    // One entry per page, naming the blocks that got cut off there.
+    const clippedByPage = new Map();
+    for (const bl of map.blocks.filter(b => b.clipped)) {
+      if (!clippedByPage.has(bl.startPage)) clippedByPage.set(bl.startPage, []);
+      clippedByPage.get(bl.startPage).push(bl);
+    }
+    for (const [page, list] of clippedByPage) {
+      const what = list.length === 1
+        ? `"${list[0].label}" is`
+        : list.length === 2
+          ? `"${list[0].label}" and "${list[1].label}" are`
+          : `${list.length} blocks, "${list[0].label}" through "${list[list.length - 1].label}", are`;
+      overflows.push({
+        page,
+        severity: 'error',
+        blockIds: list.map(b => b.id),
+        message: `Page ${page} overflow: ${what} cut off at the bottom of the page.`
+      });
+    }
+    return {
+      design: this.design,
+      theme: this.theme,
+      // Uploaded faces for the preview's @font-face rules (no file bytes).
+      fontFaces: Object.fromEntries(Object.entries(this.customFonts).map(([name, f]) =>
+        [name, { family: f.family, weight: f.weight, style: f.style, url: f.url }])),
+      bookletSize: this.bookletSize,
+      pageWidth: this.PAGE_WIDTH,
+      pageHeight: this.PAGE_HEIGHT,
+      margin: this.MARGIN,
+      scale: this.scale,
+      pageCount: this.pageEvents.length,
+      targetPages: target,
+      pagesNeeded: map.pagesNeeded,
+      textScale: map.textScale,
+      autoFit: this.autoFitApplied || [],
+      pages: map.pages,
+      blocks: map.blocks,
+      overflows,
+      warnings: this.warnings
+    };
   }
 
   // True when this slot will render music (an uploaded image or a reserved
@@ -797,7 +1409,9 @@ class WorshipAidPdfGenerator {
   // Spec width for a slot's music image: inches on the tabloid page,
   // proportional on other trims, never wider than the content area.
   _notationTargetWidth(slot) {
-    const inches = NOTATION_WIDTHS_IN[slot] || NOTATION_WIDTH_IN;
+    if (this.largePrint) return this.CONTENT_WIDTH;
+    let inches = NOTATION_WIDTHS_IN[slot] || NOTATION_WIDTH_IN;
+    if (this._fit.narrowNotation) inches = Math.min(inches, NOTATION_MIN_WIDTH_IN);
     return Math.min(inches * PT * (this.PAGE_WIDTH / (8.5 * PT)), this.CONTENT_WIDTH);
   }
 
@@ -848,6 +1462,7 @@ class WorshipAidPdfGenerator {
     const drawX = this.MARGIN_SIDE + (this.CONTENT_WIDTH - drawW) / 2;
     try {
       this.doc.image(buf, drawX, this.y, { width: drawW, height: drawH });
+      this._drawnMusic = { kind: 'image', width: Math.round(drawW * 10) / 10, height: Math.round(drawH * 10) / 10 };
       this._pageHasNotation = true;
       this.y += drawH + this.s(4);
       this._trackY();
@@ -871,7 +1486,7 @@ class WorshipAidPdfGenerator {
     if (opts.slot && this.notationImages[opts.slot]) {
       if (this._notationImage(opts.slot, opts.height !== undefined ? opts.height : 160, { uncapped: true })) return;
     }
-    if (this.data.reserveHymnSpace === false) return;
+    if (this.data.reserveHymnSpace === false || this._fit.dropHymnSpace) return;
     const desired = this.s(opts.height !== undefined ? opts.height : 160) * this.textScale;
     const available = this._bottom() - this.y;
     const h = Math.min(desired, available);
@@ -892,6 +1507,7 @@ class WorshipAidPdfGenerator {
         this.MARGIN_SIDE, this.y + h / 2 - this.s(4),
         { width: this.CONTENT_WIDTH, align: 'center' });
     this.doc.font(this._font('body'));
+    this._drawnMusic = { kind: 'space', width: Math.round(this.CONTENT_WIDTH * 10) / 10, height: Math.round(h * 10) / 10 };
     // This page will carry licensed music once the parish pastes it in —
     // it needs the license line just like a page with embedded notation.
     this._pageHasNotation = true;
@@ -899,12 +1515,6 @@ class WorshipAidPdfGenerator {
     this._trackY();
   }
 
-  // Two-column layout for the Nicene/Apostles' Creed — delegates to the
-  // shared column helper so creed and psalm columns can never drift apart.
-  _renderCreedTwoColumn(text) {
-    this._twoColumnText(text, { size: 9, gap: 10 });
-  }
-
   // Small reserved area under a Mass ordinary part (Kyrie, Gloria, Holy Holy
   // Holy, Mystery of Faith, Lamb of God) or sung response (psalm refrain,
   // gospel acclamation) so the parish can paste the week's musical setting in
@@ -937,6 +1547,7 @@ class WorshipAidPdfGenerator {
         this.y + drawH / 2 - this.s(3),
         { width: this.CONTENT_WIDTH, align: 'center' });
     this.doc.font(this._font('body'));
+    this._drawnMusic = { kind: 'space', width: Math.round(this.CONTENT_WIDTH * 10) / 10, height: Math.round(drawH * 10) / 10 };
     this.y += drawH + this.s(4);
     this._trackY();
   }
@@ -978,6 +1589,26 @@ class WorshipAidPdfGenerator {
 
   // PAGE RENDERERS ============================================
 
+  // The title in place of the cover art (large print, a leaflet): parish,
+  // feast, and the date — with a leaflet's Mass time — at the head of
+  // page 1 (titleLines).
+  titleBlock() {
+    const opts = { width: this.CONTENT_WIDTH, align: 'center' };
+    const title = titleLines(this.data, this.parishSettings);
+    if (title.parish) {
+      this.doc.fontSize(this.s(9)).fillColor(this._color('coverName')).font(this._font('bold'));
+      this._textBlock(title.parish.toUpperCase(), this.MARGIN_SIDE, opts, this.s(2));
+    }
+    this.doc.fontSize(this.s(14)).fillColor(this._color('feast')).font(this._font('bold'));
+    this._textBlock(title.feast, this.MARGIN_SIDE, opts, this.s(2));
+    if (title.when) {
+      this.doc.fontSize(this.s(9)).fillColor(COLORS.muted).font(this._font('body'));
+      this._textBlock(title.when, this.MARGIN_SIDE, opts, this.s(2));
+    }
+    this.y += this.s(10);
+    this.doc.font(this._font('body'));
+  }
+
   renderPage1Cover() {
     const cx = this.PAGE_WIDTH / 2;
     const usableTop = this.MARGIN_TOP;
@@ -1003,7 +1634,7 @@ class WorshipAidPdfGenerator {
     // Parish name (if persistent branding is configured)
     let nameY = usableTop + this.s(95);
     if (this.parishSettings.parishName) {
-      this.doc.fontSize(this.s(11)).fillColor(COLORS.gold).font('Sans-Bold')
+      this.doc.fontSize(this.s(11)).fillColor(this._color('coverName')).font(this._font('bold'))
         .text(this.parishSettings.parishName.toUpperCase(), this.MARGIN_SIDE, nameY,
           { width: this.CONTENT_WIDTH, align: 'center', characterSpacing: 1.5 });
       nameY = this.doc.y + this.s(2);
@@ -1018,17 +1649,16 @@ class WorshipAidPdfGenerator {
 
     // Feast name
     this.y = nameY;
-    this.doc.fontSize(this.s(20)).fillColor(COLORS.navy).font('Sans-Bold')
+    this.doc.fontSize(this.s(20)).fillColor(this._color('feast')).font(this._font('bold'))
       .text(this.data.feastName, this.MARGIN_SIDE, this.y, { width: this.CONTENT_WIDTH, align: 'center' });
     this.y = this.doc.y + this.s(6);
 
     this.doc.fontSize(this.s(11)).fillColor(COLORS.muted).font('Sans')
-      .text(formatDate(this.data.liturgicalDate), this.MARGIN_SIDE, this.y, { width: this.CONTENT_WIDTH, align: 'center' });
+      .text(coverDate(this.data), this.MARGIN_SIDE, this.y, { width: this.CONTENT_WIDTH, align: 'center' });
     this.y = this.doc.y + this.s(3);
 
     // Mass times: parish setting (newline-separated), like the HTML cover.
-    const massTimesLines = String(this.parishSettings.massTimes || 'Sat 5:00 PM\nSun 9:00 AM\nSun 11:00 AM')
-      .split('\n').map(t => t.trim()).filter(Boolean);
+    const massTimesLines = coverMassTimes(this.data, this.parishSettings);
     this.doc.fontSize(this.s(9)).fillColor(COLORS.light)
       .text(massTimesLines.join(' • '), this.MARGIN_SIDE, this.y, { width: this.CONTENT_WIDTH, align: 'center' });
     this.y = this.doc.y + this.s(4);
@@ -1055,7 +1685,7 @@ class WorshipAidPdfGenerator {
     this.doc.save()
       .moveTo(this.MARGIN_SIDE + this.s(60), this.y)
       .lineTo(this.PAGE_WIDTH - this.MARGIN_SIDE - this.s(60), this.y)
-      .lineWidth(0.5).strokeColor(COLORS.gold).stroke().restore();
+      .lineWidth(0.5).strokeColor(this.theme.accent || COLORS.gold).stroke().restore();
     this.y += this.s(14);
 
     // Parish info blocks (2x2 grid)
@@ -1081,7 +1711,7 @@ class WorshipAidPdfGenerator {
       // Clamp each cell to the bottom margin so a long parish blurb can
       // never push the cover onto a second page.
       if (rowY > this._bottom() - this.s(14)) { this._warnClipped(); break; }
-      this.doc.fontSize(this.s(7)).fillColor(COLORS.gold).font('Sans-Bold')
+      this.doc.fontSize(this.s(7)).fillColor(this.theme.accent || COLORS.gold).font('Sans-Bold')
         .text(infos[i][0], x, rowY, { width: colW, characterSpacing: 1, lineBreak: false });
       const labelBottom = this.doc.y + this.s(1);
       const cellRemaining = this._bottom() - labelBottom;
@@ -1129,7 +1759,7 @@ class WorshipAidPdfGenerator {
     this.y += this.s(4);
     // Date — centered italic.
     this.doc.fontSize(this.s(13)).fillColor(this._color('feast')).font('Display-Italic')
-      .text(formatDate(this.data.liturgicalDate), this.MARGIN_SIDE, this.y,
+      .text(coverDate(this.data), this.MARGIN_SIDE, this.y,
         { width: this.CONTENT_WIDTH, align: 'center' });
     this.y = this.doc.y + this.s(14);
 
@@ -1189,6 +1819,82 @@ class WorshipAidPdfGenerator {
     this._trackY();
   }
 
+  // Wedding and funeral cover (config/celebrations.js), in either design's
+  // type: the parish, the rite's title, the family's photo (the parish
+  // logo or cross without one), the names, the deceased's dates and the
+  // day and time. cover: the lines from celebrationCover.
+  renderCelebrationCover(cover) {
+    const cx = this.PAGE_WIDTH / 2;
+    const opts = { width: this.CONTENT_WIDTH, align: 'center' };
+    const classic = this.theme.base === 'classic';
+    this.y = this.MARGIN_TOP + this.s(12);
+
+    if (this.parishSettings.parishName) {
+      this.doc.fontSize(this.s(9)).fillColor(this._color('coverName')).font(this._font('bold'))
+        .text(this.parishSettings.parishName.toUpperCase(), this.MARGIN_SIDE, this.y, { ...opts, characterSpacing: 1.5 });
+      this.y = this.doc.y + this.s(10);
+    }
+    if (classic) {
+      this._coverTitleClassic(cover.title, this.s(22));
+    } else {
+      this.doc.fontSize(this.s(18)).fillColor(this._color('feast')).font(this._font('bold'))
+        .text(cover.title, this.MARGIN_SIDE, this.y, opts);
+      this.y = this.doc.y;
+    }
+    this.y += this.s(14);
+
+    // The photo fills up to half the page; a missing or unreadable one
+    // falls back to the parish logo or the default cross.
+    const photo = this.notationImages[PHOTO_SLOT];
+    const photoH = (this._bottom() - this.MARGIN_TOP) * 0.5;
+    let drawn = false;
+    if (photo) {
+      try {
+        this.doc.image(photo, this.MARGIN_SIDE, this.y, { fit: [this.CONTENT_WIDTH, photoH], align: 'center', valign: 'center' });
+        this.y += photoH + this.s(14);
+        drawn = true;
+      } catch (e) {
+        this.warnings.push(`Cover photo could not be loaded: ${e.message}`);
+      }
+    }
+    if (!drawn) {
+      const logoPath = this._resolveLogoPath();
+      const logoH = this.s(90);
+      let logo = false;
+      if (logoPath) {
+        try {
+          this.doc.image(logoPath, cx - this.s(60), this.y, { fit: [this.s(120), logoH], align: 'center', valign: 'top' });
+          logo = true;
+        } catch (e) {
+          this.warnings.push(`Cover logo could not be loaded: ${e.message}`);
+        }
+      }
+      if (!logo) this._drawDefaultCross(cx, this.y + logoH / 2, { arm: this.s(36), color: this._color('feast') });
+      this.y += logoH + this.s(18);
+    }
+
+    if (cover.eyebrow) {
+      this.doc.fontSize(this.s(11)).fillColor(COLORS.muted).font(this._font('italic'))
+        .text(cover.eyebrow, this.MARGIN_SIDE, this.y, opts);
+      this.y = this.doc.y + this.s(4);
+    }
+    if (cover.names) {
+      this.doc.fontSize(this.s(22)).fillColor(this._color('feast')).font(this._font('script'))
+        .text(cover.names, this.MARGIN_SIDE, this.y, opts);
+      this.y = this.doc.y + this.s(4);
+    }
+    if (cover.lifeDates) {
+      this.doc.fontSize(this.s(10)).fillColor(COLORS.muted).font(this._font('body'))
+        .text(cover.lifeDates, this.MARGIN_SIDE, this.y, opts);
+      this.y = this.doc.y + this.s(4);
+    }
+    this.y += this.s(6);
+    this.doc.fontSize(this.s(11)).fillColor(this._color('body')).font(this._font('body'))
+      .text(cover.when, this.MARGIN_SIDE, this.y, opts);
+    this.y = Math.min(this.doc.y, this._bottom());
+    this._trackY();
+  }
+
   // Render a feast title as centered small-caps Garamond, wrapping words
   // across lines that fit the content width at the cap size.
   _coverTitleClassic(text, size) {
@@ -1236,344 +1942,68 @@ class WorshipAidPdfGenerator {
         { width: boxSize + this.s(12), align: 'center', characterSpacing: 0.5, lineBreak: false });
   }
 
-  // The ordered liturgy as atomic blocks for the flow paginator. Each
-  // block renders at this.y with the shared helpers (all dry-run aware).
-  // Granularity rules:
-  //   * a heading travels with the first piece of its content;
-  //   * a hymn line and its notation image/paste box are ONE block;
-  //   * long prose (readings, gospel) splits into per-paragraph blocks so
-  //     it can flow across pages without orphaning its heading.
-  _buildContentBlocks() {
-    const blocks = [];
-    // opts.keepNext: this block must not be the last thing on its page —
-    // the paginator keeps it with the following block (see renderContentFlow).
-    const b = (fn, opts) => blocks.push({ render: fn, ...(opts || {}) });
-
-    // Heading (with the scripture citation inline on the same line) + first
-    // paragraph stay together; the remaining paragraphs flow as their own
-    // blocks. opts.right places a posture direction on the heading line.
-    const reading = (heading, citation, text, opts = {}) => {
-      const paras = String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
-      b(() => {
-        this.subHeading(heading, { inline: citation || undefined, inlineFont: 'Sans-Bold', inlineColor: '#333333', right: opts.right });
-        if (paras[0]) this.bodyText(paras[0], opts);
-      });
-      for (const p of paras.slice(1)) b(() => this.bodyText(p, opts));
-    };
-
-    // --- The Introductory Rites ---
-    b(() => {
-      this.sectionHeader('The Introductory Rites');
-      this.musicHeading('Organ Prelude', 'organPrelude', 'organPreludeComposer');
-    });
-
-    const entranceType = this.ss.entranceType || 'processional';
-    b(() => {
-      // "Please stand" rides on the entrance heading line, right-justified
-      // (director: same line as the heading and the hymn title).
-      this.musicHeading(
-        entranceType === 'processional' ? 'Processional Hymn' : 'Entrance Antiphon',
-        'processionalOrEntrance', 'processionalOrEntranceComposer',
-        { right: RUBRICS.stand });
-      if (entranceType === 'processional') {
-        this.hymnMusicSpace({ slot: 'processional' });
-      }
-    });
-
-    if (this.showAdventWreath) {
-      b(() => {
-        this.y += this.s(3);
-        const boxH = this.s(18);
-        if (!this._dryRun) {
-          this.doc.save().rect(this.MARGIN_SIDE, this.y, this.CONTENT_WIDTH, boxH)
-            .fillColor('#f0eaf5').fill().restore();
-          this.doc.fontSize(this.s(9)).fillColor(COLORS.purple).font('Sans-Bold')
-            .text('Lighting of the Advent Wreath', this.MARGIN_SIDE, this.y + this.s(4),
-              { width: this.CONTENT_WIDTH, align: 'center', lineBreak: false });
-          this.doc.font('Sans');
-        }
-        this.y += boxH + this.s(4);
-        this._trackY();
-      });
-    }
-
-    if ((this.ss.penitentialAct || 'confiteor') === 'confiteor') {
-      b(() => {
-        this.subHeading('Penitential Act');
-        this.bodyText(CONFITEOR, { size: 8, gap: 3 });
-      });
-    }
-
-    b(() => {
-      this.musicHeading('Lord, Have Mercy', 'kyrieSetting', 'kyrieComposer');
-      this.ordinaryMusicSpace('kyrie', 'Kyrie — music notation');
-    });
-
-    const showGloria = this.ss.gloria !== undefined ? this.ss.gloria :
-      (this.data.liturgicalSeason !== 'lent' && this.data.liturgicalSeason !== 'advent');
-    if (showGloria) {
-      b(() => {
-        this.subHeading('Gloria', { inline: this.ss.gloriaSetting || undefined });
-        if (this._slotHasMusic('gloria')) {
-          this.ordinaryMusicSpace('gloria', 'Gloria — music notation');
-        } else {
-          this.bodyText('Glory to God in the highest, and on earth peace to people of good will.');
-        }
-      });
-    }
-
-    // --- The Collect + The Liturgy of the Word ---
-    // The Collect (opening prayer) closes the Introductory Rites; its heading
-    // follows the Gloria, then "Please be seated" sits between it and the
-    // "The Liturgy of the Word" title (director). The Collect heading must
-    // not strand at the foot of a page away from that transition: keepNext
-    // chains it (and the Children's Liturgy dismissal, when present) to the
-    // section opening, without welding the reading's first paragraph into
-    // one giant unsplittable block.
-    {
-      const paras = String(this.r.firstReadingText || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
-      const wordOpening = () => {
-        this.rubric(RUBRICS.sit);
-        this.sectionHeader('The Liturgy of the Word');
-        this.subHeading('First Reading', { inline: this.r.firstReadingCitation || undefined, inlineFont: 'Sans-Bold', inlineColor: '#333333' });
-        if (paras[0]) this.bodyText(paras[0], { size: 9 });
-      };
-      b(() => this.subHeading('Collect'), { keepNext: true });
-      if (this.data.childrenLiturgyEnabled) {
-        // Children leave after the Opening Prayer and return at the Offertory,
-        // so the dismissal box separates the Collect from the readings.
-        b(() => this._childrenLiturgyBox(), { keepNext: true });
-      }
-      b(wordOpening);
-      for (const p of paras.slice(1)) b(() => this.bodyText(p, { size: 9 }));
-    }
-
-    b(() => {
-      // Responsorial Psalm has no piece "title" — only the scripture
-      // reference goes on the heading line (director). The setting/composer
-      // line is dropped; the notation itself carries the music.
-      this.subHeading('Responsorial Psalm', { inline: this.r.psalmCitation || undefined, inlineFont: 'Sans-Bold', inlineColor: '#333333' });
-      // Music (uploaded refrain notation or a paste area) replaces the
-      // text refrain — the notation carries the words.
-      if (this._slotHasMusic('psalmRefrain')) {
-        this.ordinaryMusicSpace('psalmRefrain', 'Responsorial Psalm refrain — music notation');
-      } else if (this.r.psalmRefrain) {
-        this.bodyText(`R. ${this.r.psalmRefrain}`, { bold: true, size: 9 });
-      }
-    });
-    if (this.r.psalmVerses) {
-      // Each verse ends with "R." to cue the people back to the response,
-      // and a blank space separates the verses (director). The trailing "R."
-      // is only added when the verse doesn't already carry one.
-      for (const v of String(this.r.psalmVerses).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
-        const verse = /(?:^|\s)R\.?\s*$/.test(v) ? v : `${v} R.`;
-        b(() => this.bodyText(verse, { size: 8.5, x: this.MARGIN_SIDE + this.s(10), width: this.CONTENT_WIDTH - this.s(10), gap: 7 }));
-      }
+  // "Lighting of the Advent Wreath": a tinted box (reimagined) — violet, or
+  // rose on Gaudete Sunday — or a bold centered line (classic).
+  _adventWreath() {
+    this._noteLabel('Lighting of the Advent Wreath');
+    if (!this.theme.wreathBox) {
+      this.bodyText('Lighting of the Advent Wreath', { bold: true, align: 'center', size: 9.5, gap: 4 });
+      return;
     }
-
-    if (!this.r.noSecondReading && this.r.secondReadingCitation) {
-      reading('Second Reading', this.r.secondReadingCitation, this.r.secondReadingText, { size: 9 });
+    this.y += this.s(3);
+    const boxH = this.s(18);
+    if (!this._dryRun) {
+      this.doc.save().rect(this.MARGIN_SIDE, this.y, this.CONTENT_WIDTH, boxH)
+        .fillColor(this.theme.wreathTint || '#f0eaf5').fill().restore();
+      this.doc.fontSize(this.s(9)).fillColor(this.theme.accent || COLORS.purple).font(this._font('bold'))
+        .text('Lighting of the Advent Wreath', this.MARGIN_SIDE, this.y + this.s(4),
+          { width: this.CONTENT_WIDTH, align: 'center', lineBreak: false });
+      this.doc.font(this._font('body'));
     }
+    this.y += boxH + this.s(4);
+    this._trackY();
+  }
 
-    b(() => {
-      // Stand for the Gospel Acclamation — direction right-justified on the
-      // heading line, with the acclamation's reference inline (director).
-      this.subHeading('Gospel Acclamation', { inline: this.r.gospelAcclamationReference || undefined, inlineFont: 'Sans-Bold', inlineColor: '#333333', right: RUBRICS.stand });
-      const isLenten = this.data.liturgicalSeason === 'lent';
-      let acclamationText;
-      if (isLenten) {
-        acclamationText = (this.ss.lentenAcclamation === 'alternate') ? GOSPEL_ACCLAMATION_LENTEN_ALT : GOSPEL_ACCLAMATION_LENTEN;
-      } else {
-        acclamationText = GOSPEL_ACCLAMATION_STANDARD;
-      }
-      // Music (uploaded notation or a paste area) replaces the sung
-      // acclamation text; the cantor's verse keeps printing below.
-      if (this._slotHasMusic('gospelAcclamation')) {
-        this.ordinaryMusicSpace('gospelAcclamation', 'Gospel Acclamation — music notation');
-      } else {
-        this.bodyText(acclamationText, { bold: true, size: 9 });
-      }
-      if (this.r.gospelAcclamationVerse) this.bodyText(this.r.gospelAcclamationVerse, { italic: true, size: 8.5 });
-    });
-
-    // --- Gospel, Homily, Creed --- (already standing for the Gospel)
-    reading('Gospel', this.r.gospelCitation, this.r.gospelText, { size: 9.5 });
-
-    // Homily: "Please be seated" right-justified on the heading line. The
-    // congregation then stands for the Creed (direction on the Creed line).
-    b(() => this.subHeading('Homily', { right: RUBRICS.sit }));
-
-    {
-      const creedType = this.ss.creedType || 'nicene';
-      const creedHeading = {
-        apostles:       "The Apostles' Creed",
-        baptismal_vows: 'Renewal of Baptismal Vows',
-        nicene:         'The Nicene Creed'
-      }[creedType] || 'The Nicene Creed';
-      const creedText = {
-        apostles:       APOSTLES_CREED,
-        baptismal_vows: RENEWAL_OF_BAPTISMAL_VOWS,
-        nicene:         NICENE_CREED
-      }[creedType] || NICENE_CREED;
-      b(() => {
-        this.subHeading(creedHeading, { right: RUBRICS.stand });
-        if (this.ss.twoColumnCreed && creedType !== 'baptismal_vows') {
-          this._renderCreedTwoColumn(creedText);
-        } else {
-          this.bodyText(creedText);
-        }
-      });
+  // Thin gold rule setting the announcements off from the liturgy.
+  _announcementsRule() {
+    this.y += this.s(4);
+    if (!this._dryRun) {
+      this.doc.save()
+        .moveTo(this.MARGIN_SIDE, this.y)
+        .lineTo(this.PAGE_WIDTH - this.MARGIN_SIDE, this.y)
+        .lineWidth(0.5).strokeColor(COLORS.gold).stroke().restore();
     }
+    this.y += this.s(4);
+  }
 
-    // Prayer of the Faithful — heading only (the "The intentions are read…"
-    // line was dropped as unnecessary per the director).
-    b(() => this.subHeading('Prayer of the Faithful'));
-
-    // --- The Liturgy of the Eucharist ---
-    b(() => {
-      // "Please be seated" sits before this section title (director).
-      this.rubric(RUBRICS.sit);
-      this.sectionHeader('The Liturgy of the Eucharist');
-      this.musicHeading('Offertory', 'offertoryAnthem', 'offertoryAnthemComposer');
-      if (this.data.childrenLiturgyEnabled) {
-        this.rubric(`Children return from Children's Liturgy of the Word (${resolveChildrenLiturgyTimes(this.data).join(' & ')})`);
-      }
-    });
-
-    b(() => {
-      // Stand for the Invitation to Prayer — direction right-justified on the
-      // heading line (director).
-      this.subHeading('Invitation to Prayer', { right: RUBRICS.stand });
-      this.bodyText(`Priest: ${INVITATION_TO_PRAYER.priest}`);
-      this.bodyText(`All: ${INVITATION_TO_PRAYER.all}`, { bold: true });
-    });
+  // The full copyright/licensing block that closes the reimagined booklet.
+  _copyrightBlock() {
+    const copyrightFull = this.parishSettings.copyrightFull ||
+      getDefaultCopyrightFull(this.parishSettings.onelicenseNumber);
+    this.y += this.s(8);
+    this.doc.fontSize(this.s(6.5) * this.textScale).fillColor(COLORS.light).font(this._font('body'));
+    this._textBlock(copyrightFull, this.MARGIN_SIDE + this.s(10), {
+      width: this.CONTENT_WIDTH - this.s(20), align: 'center', lineGap: this.s(1.5) * this.textScale
+    }, 0);
+  }
 
-    b(() => {
-      // Sanctus language: per-aid override > parish default > English. The
-      // setting name rides inline on the heading.
-      const holyHolyLanguage = this.ss.holyHolyLanguage || this.parishSettings.defaultSanctusLanguage || 'english';
-      this.subHeading(holyHolyLanguage === 'latin' ? 'Sanctus' : 'Holy, Holy, Holy',
-        { inline: this.ss.holyHolySetting || 'Mass of St. Theresa' });
-      if (this._slotHasMusic('sanctus')) {
-        this.ordinaryMusicSpace('sanctus', 'Holy, Holy, Holy — music notation');
-      } else {
-        this.bodyText(getHolyHolyHolyText(holyHolyLanguage));
+  // Writing lines from here down to the bottom margin (the notes page).
+  _ruledLines() {
+    const step = this.s(22);
+    if (!this._dryRun) {
+      this.doc.save().lineWidth(0.4).strokeColor('#C9C9C9');
+      for (let y = this.y + step; y <= this._bottom(); y += step) {
+        this.doc.moveTo(this.MARGIN_SIDE, y).lineTo(this.PAGE_WIDTH - this.MARGIN_SIDE, y);
       }
-    });
-
-    b(() => {
-      this.rubric(RUBRICS.kneel);
-      this.subHeading('Mystery of Faith', { inline: this.ss.mysteryOfFaithSetting || 'Mass of St. Theresa' });
-      this.ordinaryMusicSpace('mysteryOfFaith', 'Mystery of Faith — music notation');
-    });
-
-    // Great Amen, then "Please stand" between it and the Communion Rite title.
-    b(() => this.subHeading('Great Amen'));
-
-    // --- The Communion Rite ---
-    b(() => {
-      // "Please stand" appears below "Great Amen" and above this section
-      // title (director). The Lord's Prayer text is dropped (unnecessary).
-      this.rubric(RUBRICS.stand);
-      this.sectionHeader('The Communion Rite');
-      this.subHeading("The Lord's Prayer");
-    });
-
-    b(() => this.subHeading('Sign of Peace'));
-
-    b(() => {
-      this.subHeading('Lamb of God', { inline: this.ss.lambOfGodSetting || 'Mass of St. Theresa' });
-      this.ordinaryMusicSpace('lambOfGod', 'Lamb of God — music notation');
-      // "Please kneel" belongs with the Lamb of God (the congregation kneels
-      // after the Agnus Dei); it stays in this block so it can't strand alone
-      // at the top of the next page, and it is centered (director).
-      this.rubric(RUBRICS.kneel);
-    });
-
-    b(() => {
-      this.musicHeading('Communion Hymn', 'communionHymn', 'communionHymnComposer');
-      this.hymnMusicSpace({ slot: 'communion' });
-    });
-
-    b(() => {
-      this.musicHeading('Choral Anthem', 'choralAnthemConcluding', 'choralAnthemConcludingComposer');
-    });
-
-    // Prayer after Communion — the congregation stands for the priest's
-    // closing prayer of the Communion Rite. "Please stand" sits below the
-    // Choral Anthem and above this heading (director); it is NOT repeated at
-    // the Blessing, where the people are already standing.
-    b(() => {
-      this.rubric(RUBRICS.stand);
-      this.subHeading('Prayer after Communion');
-    });
-
-    // --- The Concluding Rites ---
-    b(() => {
-      this.sectionHeader('The Concluding Rites');
-      this.musicHeading('Hymn of Thanksgiving', 'hymnOfThanksgiving', 'hymnOfThanksgivingComposer');
-      this.hymnMusicSpace({ slot: 'thanksgiving' });
-    });
-
-    // Blessing & Dismissal — heading only (the Priest/Deacon dialogue was
-    // dropped as unnecessary per the director). No "Please stand" here: the
-    // people already stood for the Prayer after Communion.
-    b(() => {
-      this.subHeading('Blessing & Dismissal');
-    });
-
-    if (this.includePostlude) {
-      b(() => {
-        this.musicHeading('Organ Postlude', 'organPostlude', 'organPostludeComposer');
-      });
+      this.doc.stroke().restore();
     }
-
-    if (this.data.announcements) {
-      b(() => {
-        this.y += this.s(4);
-        if (!this._dryRun) {
-          this.doc.save()
-            .moveTo(this.MARGIN_SIDE, this.y)
-            .lineTo(this.PAGE_WIDTH - this.MARGIN_SIDE, this.y)
-            .lineWidth(0.5).strokeColor(COLORS.gold).stroke().restore();
-        }
-        this.y += this.s(4);
-        this.subHeading('Announcements');
-        this.bodyText(this.data.announcements, { size: 7.5 });
-      });
-    }
-
-    // Special notes and the parish's standing closing message (formerly
-    // the back cover), then the full copyright block.
-    if (this.data.specialNotes) {
-      b(() => {
-        this.y += this.s(4);
-        this.bodyText(this.data.specialNotes, { italic: true, size: 8.5, align: 'center', color: COLORS.muted });
-      });
-    }
-    if (this.parishSettings.closingMessage) {
-      b(() => {
-        this.y += this.s(2);
-        this.bodyText(this.parishSettings.closingMessage, { size: 8, align: 'center', color: COLORS.muted });
-      });
-    }
-
-    b(() => {
-      const copyrightFull = this.parishSettings.copyrightFull ||
-        getDefaultCopyrightFull(this.parishSettings.onelicenseNumber);
-      this.y += this.s(8);
-      this.doc.fontSize(this.s(6.5) * this.textScale).fillColor(COLORS.light).font('Sans');
-      this._textBlock(copyrightFull, this.MARGIN_SIDE + this.s(10), {
-        width: this.CONTENT_WIDTH - this.s(20), align: 'center', lineGap: this.s(1.5) * this.textScale
-      }, 0);
-    });
-
-    return blocks;
+    this.y = Math.max(this.y, this._bottom());
   }
 
   // A bold hanging label ("Verse:", "R.") followed by wrapped body text —
   // used by the classic design where the reimagined layout uses inline runs.
   _hangingLabel(label, text, opts = {}) {
+    this._noteLabel(label);
     const size = opts.size || 9;
     const startY = this.y;
     this.doc.fontSize(this.s(size) * this.textScale).font(this._font('bold'));
@@ -1617,9 +2047,25 @@ class WorshipAidPdfGenerator {
     this._trackY();
   }
 
+  // Parallel columns: English (or Latin) on the left, the Spanish (or the
+  // translation) in italics on the right, each column as tall as its own
+  // text; the item ends below the taller of the two.
+  _parallelText(item) {
+    const gap = this.s(10);
+    const colW = (this.CONTENT_WIDTH - gap) / 2;
+    const opts = { size: item.size, bold: item.bold, gap: item.gap, width: colW };
+    const startY = this.y;
+    this.bodyText(item.text, opts);
+    const leftEnd = this.y;
+    this.y = startY;
+    this.bodyText(item.alt, { ...opts, italic: !item.bold, x: this.MARGIN_SIDE + colW + gap });
+    this.y = Math.max(leftEnd, this.y);
+  }
+
   // The Give / Join / Bulletin QR row plus social handles and the licensing
   // block that close the classic booklet's last page.
   _classicFooterBlock() {
+    this._noteLabel('Parish Information');
     const ps = this.parishSettings;
     const qrAvailable = !!getQRCode();
     const qrItems = [
@@ -1667,264 +2113,14 @@ class WorshipAidPdfGenerator {
     }, 0);
   }
 
-  // Classic design: the same liturgy as the reimagined flow, but with the
-  // parish's in-house section names, an Invocation / Prayer over the
-  // Offerings / Communion Antiphon, two-column psalm & creed, and a QR
-  // footer — all drawn through the shared theme-aware primitives.
-  _buildContentBlocksClassic() {
-    const blocks = [];
-    // opts.keepNext: this block must not be the last thing on its page —
-    // the paginator keeps it with the following block (see renderContentFlow).
-    // opts.anchorBottom: render at the foot of the final page.
-    const b = (fn, opts) => blocks.push({ render: fn, ...(opts || {}) });
-    // Classic posture wording lives beside RUBRICS in mass-texts.js.
-    const RUB = RUBRICS_CLASSIC;
-
-    const reading = (heading, citation, text, opts = {}) => {
-      const paras = String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
-      b(() => {
-        this.subHeading(heading, { inline: citation || undefined, right: opts.right });
-        if (paras[0]) this.bodyText(paras[0], opts);
-      });
-      for (const p of paras.slice(1)) b(() => this.bodyText(p, opts));
-    };
-
-    // --- The Introductory Rites ---
-    // The in-house layout puts the prelude line ABOVE the section title, so
-    // the title ends this block; keepNext guarantees it can never strand at
-    // a page bottom away from the Processional Hymn it introduces.
-    b(() => {
-      this.musicHeading('Organ Prelude', 'organPrelude', 'organPreludeComposer');
-      this.y += this.s(2);
-      this.sectionHeader('The Introductory Rites');
-    }, { keepNext: true });
-
-    const entranceType = this.ss.entranceType || 'processional';
-    b(() => {
-      this.musicHeading(
-        entranceType === 'processional' ? 'Processional Hymn' : 'Entrance Antiphon',
-        'processionalOrEntrance', 'processionalOrEntranceComposer', { right: RUB.stand });
-      if (entranceType === 'processional') this.hymnMusicSpace({ slot: 'processional' });
-    });
-
-    if (this.showAdventWreath) {
-      b(() => {
-        this.bodyText('Lighting of the Advent Wreath', { bold: true, align: 'center', size: 9.5, gap: 4 });
-      });
-    }
-
-    b(() => this.subHeading('Invocation'));
-
-    if ((this.ss.penitentialAct || 'confiteor') === 'confiteor') {
-      b(() => {
-        this.subHeading('Penitential Act');
-        this.bodyText(CONFITEOR, { size: 9, gap: 3 });
-      });
-    }
-
-    b(() => {
-      this.musicHeading('Lord Have Mercy', 'kyrieSetting', 'kyrieComposer');
-      this.ordinaryMusicSpace('kyrie', 'Kyrie — music notation');
-    });
-
-    const showGloria = this.ss.gloria !== undefined ? this.ss.gloria :
-      (this.data.liturgicalSeason !== 'lent' && this.data.liturgicalSeason !== 'advent');
-    if (showGloria) {
-      b(() => {
-        this.subHeading('Glory to God', { inline: this.ss.gloriaSetting || undefined });
-        if (this._slotHasMusic('gloria')) this.ordinaryMusicSpace('gloria', 'Gloria — music notation');
-        else this.bodyText('Glory to God in the highest, and on earth peace to people of good will.');
-      });
-    }
-
-    // Collect + "Please sit" + The Liturgy of the Word: the Collect heading
-    // must never strand at a page foot away from the transition it leads
-    // into. keepNext chains it to the section opening WITHOUT welding the
-    // first reading's opening paragraph into one giant unsplittable block —
-    // if the chain can't fit a page, the paginator degrades gracefully
-    // instead of clipping.
-    {
-      const paras = String(this.r.firstReadingText || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
-      const wordOpening = () => {
-        this.rubric(RUB.sit);
-        this.sectionHeader('The Liturgy of the Word');
-        this.subHeading('First Reading', { inline: this.r.firstReadingCitation || undefined });
-        if (paras[0]) this.bodyText(paras[0], { size: 9 });
-      };
-      b(() => this.subHeading('Collect'), { keepNext: true });
-      if (this.data.childrenLiturgyEnabled) {
-        b(() => this._childrenLiturgyBox(), { keepNext: true });
-      }
-      b(wordOpening);
-      for (const p of paras.slice(1)) b(() => this.bodyText(p, { size: 9 }));
-    }
-
-    // Responsorial Psalm — refrain (notation) + two-column strophes, each R.-capped.
-    b(() => {
-      this.subHeading('Responsorial Psalm', { inline: this.r.psalmCitation || undefined });
-      if (this._slotHasMusic('psalmRefrain')) {
-        this.ordinaryMusicSpace('psalmRefrain', 'Responsorial Psalm refrain — music notation');
-      } else if (this.r.psalmRefrain) {
-        this.bodyText(`R. ${this.r.psalmRefrain}`, { bold: true, size: 9 });
-      }
-      if (this.r.psalmVerses) {
-        const strophes = String(this.r.psalmVerses).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
-          .map(v => (/(?:^|\s)R\.?\s*$/.test(v) ? v : `${v} R.`));
-        this._twoColumnText(strophes.join('\n'), { size: 8.5 });
-      }
-    });
-
-    if (!this.r.noSecondReading && this.r.secondReadingCitation) {
-      reading('Second Reading', this.r.secondReadingCitation, this.r.secondReadingText, { size: 9 });
-    }
-
-    // Gospel Alleluia — citation on the heading, then a "Verse:" line. The
-    // word "Alleluia" is suppressed throughout Lent, and when no notation
-    // carries the sung response the acclamation TEXT must still print.
-    b(() => {
-      const isLenten = this.data.liturgicalSeason === 'lent';
-      this.subHeading(isLenten ? 'Gospel Acclamation' : 'Gospel Alleluia',
-        { inline: this.r.gospelAcclamationReference || undefined, right: RUB.stand });
-      if (this._slotHasMusic('gospelAcclamation')) {
-        this.ordinaryMusicSpace('gospelAcclamation', 'Gospel Acclamation — music notation');
-      } else {
-        const acclamationText = isLenten
-          ? (this.ss.lentenAcclamation === 'alternate' ? GOSPEL_ACCLAMATION_LENTEN_ALT : GOSPEL_ACCLAMATION_LENTEN)
-          : GOSPEL_ACCLAMATION_STANDARD;
-        this.bodyText(acclamationText, { bold: true, size: 9 });
-      }
-      if (this.r.gospelAcclamationVerse) this._hangingLabel('Verse:', this.r.gospelAcclamationVerse, { size: 9 });
-    });
-
-    reading('Gospel', this.r.gospelCitation, this.r.gospelText, { size: 9 });
-
-    b(() => this.subHeading('Homily', { right: RUB.sit }));
-
-    {
-      const creedType = this.ss.creedType || 'nicene';
-      const creedHeading = { apostles: "The Apostles' Creed", baptismal_vows: 'Renewal of Baptismal Vows', nicene: 'The Nicene Creed' }[creedType] || 'The Nicene Creed';
-      const creedText = { apostles: APOSTLES_CREED, baptismal_vows: RENEWAL_OF_BAPTISMAL_VOWS, nicene: NICENE_CREED }[creedType] || NICENE_CREED;
-      b(() => {
-        this.subHeading(creedHeading, { right: RUB.stand });
-        if (creedType !== 'baptismal_vows') this._renderCreedTwoColumn(creedText);
-        else this.bodyText(creedText);
-      });
-    }
-
-    b(() => this.subHeading('Prayer of the Faithful'));
-
-    if (this.data.announcements) {
-      b(() => {
-        this.subHeading('Announcements', { right: RUB.sit });
-        this.bodyText(this.data.announcements, { size: 8.5 });
-      });
-    }
-
-    // --- The Liturgy of the Eucharist ---
-    b(() => {
-      this.rubric(RUB.sit);
-      this.sectionHeader('The Liturgy of the Eucharist');
-      this.musicHeading('Offertory Hymn', 'offertoryAnthem', 'offertoryAnthemComposer');
-      if (this.data.childrenLiturgyEnabled) {
-        this.rubric(`Children return from Children's Liturgy of the Word (${resolveChildrenLiturgyTimes(this.data).join(' & ')})`);
-      }
-    });
-
-    b(() => this.subHeading('Invitation to Prayer', { right: RUB.stand }));
-    b(() => this.subHeading('Prayer over the Offerings'));
-
-    b(() => {
-      const holyHolyLanguage = this.ss.holyHolyLanguage || this.parishSettings.defaultSanctusLanguage || 'english';
-      this.subHeading(holyHolyLanguage === 'latin' ? 'Sanctus' : 'Holy, Holy, Holy',
-        { inline: this.ss.holyHolySetting || 'Mass of St. Theresa' });
-      if (this._slotHasMusic('sanctus')) this.ordinaryMusicSpace('sanctus', 'Holy, Holy, Holy — music notation');
-      else this.bodyText(getHolyHolyHolyText(holyHolyLanguage));
-      this.rubric(RUB.kneelOrSit);
-    });
-
-    b(() => {
-      this.subHeading('Mystery of Faith', { inline: this.ss.mysteryOfFaithSetting || 'Mass of St. Theresa' });
-      this.ordinaryMusicSpace('mysteryOfFaith', 'Mystery of Faith — music notation');
-    });
-
-    b(() => this.subHeading('Great Amen', { inline: 'chant' }));
-
-    // --- The Communion Rite ---
-    b(() => {
-      this.rubric(RUB.stand);
-      this.sectionHeader('The Communion Rite');
-      this.subHeading("The Lord's Prayer");
-    });
-
-    b(() => this.subHeading('Sign of Peace'));
-
-    b(() => {
-      this.subHeading('Lamb of God', { inline: this.ss.lambOfGodSetting || 'Mass of St. Theresa' });
-      this.ordinaryMusicSpace('lambOfGod', 'Lamb of God — music notation');
-      this.rubric(RUB.kneel);
-    });
-
-    b(() => {
-      this.musicHeading('Communion Hymn', 'communionHymn', 'communionHymnComposer');
-      this.hymnMusicSpace({ slot: 'communion' });
-    });
-
-    // Choral Anthem only prints when a piece is actually scheduled — the
-    // classic aid omits the empty heading.
-    if (formatMusicSlot(this.data, 'choralAnthemConcluding', 'choralAnthemConcludingComposer').length) {
-      b(() => this.musicHeading('Choral Anthem', 'choralAnthemConcluding', 'choralAnthemConcludingComposer'));
-    }
-
-    b(() => {
-      this.rubric(RUB.stand);
-      this.subHeading('Prayer after Communion');
-    });
-
-    // --- The Concluding Rites ---
-    b(() => {
-      this.sectionHeader('The Concluding Rites');
-      this.musicHeading('Hymn of Thanksgiving', 'hymnOfThanksgiving', 'hymnOfThanksgivingComposer');
-      this.hymnMusicSpace({ slot: 'thanksgiving' });
-    });
-
-    b(() => this.subHeading('Blessing and Dismissal'));
-
-    if (this.includePostlude) {
-      b(() => this.musicHeading('Organ Postlude', 'organPostlude', 'organPostludeComposer'));
-    }
-
-    if (this.data.specialNotes) {
-      b(() => { this.y += this.s(4); this.bodyText(this.data.specialNotes, { italic: true, size: 8.5, align: 'center', color: this._color('muted') }); });
-    }
-    if (this.parishSettings.closingMessage) {
-      b(() => { this.y += this.s(2); this.bodyText(this.parishSettings.closingMessage, { size: 8, align: 'center', color: this._color('muted') }); });
-    }
-
-    // The QR/licensing footer is anchored to the foot of the final page,
-    // like the parish's in-house aid — not floated mid-booklet after the
-    // last content block.
-    b(() => this._classicFooterBlock(), { anchorBottom: true });
-
-    return blocks;
-  }
-
-  // Tinted info box for the Children's Liturgy dismissal. Dry-run aware.
-  _childrenLiturgyBox() {
+  // Tinted info box for the Children's Liturgy dismissal (the outline's
+  // lines, each with its font role and base size). Dry-run aware.
+  _childrenLiturgyBox(lines) {
+    this._noteLabel("Children's Liturgy of the Word");
     this.y += this.s(4);
-    const _clTimes = resolveChildrenLiturgyTimes(this.data);
     const innerX = this.MARGIN_SIDE + this.s(4);
     const innerW = this.CONTENT_WIDTH - this.s(8);
-    const clLines = [
-      [`Children's Liturgy of the Word — ${_clTimes.join(' & ')}`, this._font('bold'), 8]
-    ];
-    if (this.data.childrenLiturgyLeader)
-      clLines.push([`Led by ${this.data.childrenLiturgyLeader}`, this._font('body'), 7.5]);
-    if (this.data.childrenLiturgyMusic) {
-      clLines.push([`${this.data.childrenLiturgyMusic}${this.data.childrenLiturgyMusicComposer ? ', ' + this.data.childrenLiturgyMusicComposer : ''}`, this._font('italic'), 7.5]);
-    }
-    const notes = this.data.childrenLiturgyNotes ||
-      'Children are dismissed after the Opening Prayer and will rejoin during the Offertory.';
-    clLines.push([notes, this._font('italic'), 7]);
+    const clLines = lines.map(line => [line.text, this._font(line.font), line.size]);
     let contentH = 0;
     for (const [text, font, size] of clLines) {
       this.doc.font(font).fontSize(this.s(size) * this.textScale);
@@ -1962,9 +2158,84 @@ async function generatePdf(data, outputPath, options = {}) {
   return generator.generate(outputPath);
 }
 
-// Backwards-compat alias.
+// Printer-spread (saddle-stitch) output: 11x17 sheets for the tabloid
+// booklet, 8.5x11 sheets for half-letter. A reader-order pass counts the
+// booklet pages, the count is padded to a multiple of four, and the pages
+// are then drawn onto their paired sheet halves. options.creepIn (inches
+// per sheet, default 0) compensates for paper thickness at the fold.
 async function generateImposedPdf(data, outputPath, options = {}) {
-  return generatePdf(data, outputPath, options);
+  const pageCount = new WorshipAidPdfGenerator(data, options).countPages();
+  const generator = new WorshipAidPdfGenerator(data, {
+    ...options,
+    imposition: { pageCount, creepIn: options.creepIn }
+  });
+  return generator.generate(outputPath);
+}
+
+// The draft narrowed to ONE Mass: only that Mass's music block and anthems,
+// its per-Mass notation overrides (data.massNotationImages[key], where an
+// empty URL drops the slot's image for that Mass), and Children's Liturgy
+// only if it runs at that Mass. Everything else — readings, texts, settings
+// — is shared with every other edition.
+function massEditionData(data, mass, masses) {
+  const edition = { ...data, masses: [mass], massEdition: mass };
+  for (const m of masses) {
+    if (m.key !== mass.key) delete edition[musicBlockKey(m.key)];
+  }
+  if (data.anthems) {
+    const sungHere = rows => (rows || []).filter(r => (r.masses || []).includes(mass.key));
+    edition.anthems = { offertory: sungHere(data.anthems.offertory), choral: sungHere(data.anthems.choral) };
+  }
+  const overrides = (data.massNotationImages || {})[mass.key];
+  if (overrides) {
+    const merged = { ...(data.notationImages || {}), ...overrides };
+    for (const slot of Object.keys(merged)) if (!merged[slot]) delete merged[slot];
+    edition.notationImages = merged;
+  }
+  // Children's Liturgy times are the Masses' labels; free-text times that
+  // match no Mass can't be attributed, so they stay on every edition.
+  if (data.childrenLiturgyEnabled) {
+    const labels = new Set(masses.map(m => m.label));
+    const times = resolveChildrenLiturgyTimes(data);
+    if (times.some(t => labels.has(t))) {
+      edition.childrenLiturgyEnabled = times.includes(mass.label);
+      edition.childrenLiturgyMassTimes = [mass.label];
+    }
+  }
+  return edition;
+}
+
+// One booklet per Mass (see massEditionData), written to outputDir as
+// <base>__<massKey>.pdf. options.massNotationImages carries the pre-resolved
+// per-Mass override buffers ({ massKey: { slot: Buffer } }) on top of the
+// shared options.notationImages; options.imposition 'saddle-stitch' imposes
+// every edition. Returns { editions: [{ mass, filename, outputPath, ... }],
+// warnings } with each warning prefixed by its Mass.
+async function generateMassEditions(data, outputDir, options = {}) {
+  const masses = resolveMasses(data, options.parishSettings);
+  const imposed = options.imposition === 'saddle-stitch';
+  const base = buildFilename(data).replace(/\.pdf$/, '') + (imposed ? '__spreads' : '');
+  const editions = [];
+  const warnings = [];
+  for (const mass of masses) {
+    const editionData = massEditionData(data, mass, masses);
+    const slots = editionData.notationImages || {};
+    const images = { ...(options.notationImages || {}), ...((options.massNotationImages || {})[mass.key] || {}) };
+    for (const slot of Object.keys(images)) if (!slots[slot]) delete images[slot];
+    const filename = `${base}__${mass.key}.pdf`;
+    const result = await (imposed ? generateImposedPdf : generatePdf)(editionData, path.join(outputDir, filename), {
+      ...options,
+      notationImages: images
+    });
+    editions.push({ ...result, mass, filename });
+    warnings.push(...result.warnings.map(w => `${mass.label}: ${w}`));
+  }
+  return { editions, warnings };
+}
+
+// Page map for a booklet without writing a PDF — see layout().
+function layoutBooklet(data, options = {}) {
+  return new WorshipAidPdfGenerator(data, options).layout();
 }
 
 function buildFilename(data) {
@@ -1976,7 +2247,15 @@ function buildFilename(data) {
 module.exports = {
   generatePdf,
   generateImposedPdf,
+  generateMassEditions,
+  massEditionData,
+  layoutBooklet,
   buildFilename,
   WorshipAidPdfGenerator,
-  LAYOUTS
+  LAYOUTS,
+  LARGE_PRINT_LAYOUT,
+  COLORS,
+  PAGE_COUNTS,
+  resolveTheme,
+  saddleStitchSides
 };
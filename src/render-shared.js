@@ -6,6 +6,11 @@
 'use strict';
 
 const { DEFAULT_PARISH_SETTINGS } = require('./config/defaults');
+const { resolveCelebration } = require('./config/celebrations');
+const { resolveLeaflet } = require('./config/leaflets');
+const { resolveMasses } = require('./music-formatter');
+const { localizeLabel } = require('./assets/text/labels');
+const { parseDate, detectLectionaryCycle, detectLiturgicalColor } = require('./liturgical-calendar');
 
 // Lazy loader for the optional `qrcode` dependency (classic design's
 // Give/Join/Bulletin codes). When the dep is missing the QR row is simply
@@ -62,11 +67,90 @@ function resolveChildrenLiturgyTimes(data) {
   return d.childrenLiturgyMassTime ? [d.childrenLiturgyMassTime] : ['Sun 9:00 AM'];
 }
 
+// The cover's Mass-times line: every line of the parish's massTimes setting,
+// or just the one Mass a per-Mass edition was printed for.
+function coverMassTimes(data, parishSettings) {
+  if (data && data.massEdition) return [data.massEdition.label];
+  const ps = parishSettings || {};
+  return String(ps.massTimes || 'Sat 5:00 PM\nSun 9:00 AM\nSun 11:00 AM')
+    .split('\n').map(t => t.trim()).filter(Boolean);
+}
+
+// "June 6, 2026", optionally with the weekday, for a YYYY-MM-DD date.
+function longDate(dateStr, weekday) {
+  if (!dateStr) return '';
+  const d = new Date(dateStr + 'T00:00:00');
+  if (isNaN(d)) return '';
+  return d.toLocaleDateString('en-US', { ...(weekday ? { weekday: 'long' } : {}), year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// The liturgical color the booklet's accents take (config/themes.js
+// accentTheme): the draft's own choice, else a wedding's or funeral's,
+// else the date's (with the parish's proper calendar, data.calendar); null
+// with no date.
+function liturgicalColor(data) {
+  if (!data) return null;
+  if (data.liturgicalColor) return data.liturgicalColor;
+  const celebration = resolveCelebration(data);
+  if (celebration) return celebration.color;
+  const date = parseDate(data.liturgicalDate);
+  return date ? detectLiturgicalColor(date, data.calendar) : null;
+}
+
+// "Year B" (the Sunday Lectionary cycle) for the cover's date line when the
+// draft asks for it, else ''. The cycle comes from the date; a draft with
+// no date falls back to the one stored when it was saved.
+function lectionaryYear(data) {
+  if (!data || !data.showLectionaryYear) return '';
+  const date = parseDate(data.liturgicalDate);
+  const cycle = date ? detectLectionaryCycle(date) : data.lectionaryCycle;
+  if (!cycle || !cycle.sunday) return '';
+  return localizeLabel(`Year ${cycle.sunday}`, data.language);
+}
+
+// The lines of a wedding or funeral cover (config/celebrations.js), or null
+// for the Sunday Mass: the rite's title in the booklet's language, the
+// funeral's "In Loving Memory of", the names, the deceased's dates, and
+// the day and time of the celebration.
+function celebrationCover(data) {
+  const celebration = resolveCelebration(data);
+  if (!celebration) return null;
+  const L = text => localizeLabel(text, data.language);
+  const lifeDates = [longDate(celebration.born), longDate(celebration.died)].filter(Boolean);
+  return {
+    title: L(celebration.title),
+    eyebrow: celebration.rite === 'funeral' ? L('In Loving Memory of') : '',
+    names: celebration.names.join(' & '),
+    lifeDates: lifeDates.length === 2 ? lifeDates.join(' – ') : '',
+    when: [longDate(data.liturgicalDate, true), celebration.time].filter(Boolean).join(' · ')
+  };
+}
+
+// The title that opens page 1 of an edition with no cover — large print,
+// or a leaflet (config/leaflets.js): the parish, the feast, and the day,
+// with a leaflet's one Mass time ("8:15 AM School Mass" from the Mass
+// "Wed 8:15 AM School Mass").
+function titleLines(data, parishSettings) {
+  const ps = parishSettings || {};
+  const mass = resolveLeaflet(data) ? resolveMasses(data, ps)[0] : null;
+  const time = mass ? mass.label.replace(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+/, '') : '';
+  return {
+    parish: ps.parishName || '',
+    feast: data.feastName || 'Worship Aid',
+    when: [longDate(data.liturgicalDate, true), time].filter(Boolean).join(' · ')
+  };
+}
+
 module.exports = {
   getQRCode,
   SMALLCAPS_CONNECTORS,
   shortParishName,
   classicGreeting,
   classicCoverBlocks,
-  resolveChildrenLiturgyTimes
+  resolveChildrenLiturgyTimes,
+  coverMassTimes,
+  liturgicalColor,
+  lectionaryYear,
+  celebrationCover,
+  titleLines
 };
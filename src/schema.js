@@ -2,6 +2,15 @@
 // Updated with worksheet fields: advent wreath, postlude toggle, acclamation choice, image paths
 'use strict';
 
+const { RITE_INSERTS } = require('./config/rite-inserts');
+const { HOLY_WEEK } = require('./config/holy-week');
+const { CELEBRATIONS } = require('./config/celebrations');
+const { LEAFLET_PAGE_COUNTS, RANK_RULES } = require('./config/leaflets');
+const { LITURGICAL_COLORS } = require('./config/themes');
+
+// Mass keys as produced by parseMassSchedule: day + time, e.g. 'sun1pm'.
+const MASS_KEY_PATTERN = '^[a-z0-9_]+$';
+
 const musicBlockSchema = {
   type: 'object',
   properties: {
@@ -14,6 +23,10 @@ const musicBlockSchema = {
     processionalOrEntranceHymnNumber: { type: 'string' },
     kyrieSetting: { type: 'string' },
     kyrieComposer: { type: 'string' },
+    // The Sequence's setting, on Easter, Pentecost and Corpus Christi
+    // (config/sequences.js).
+    sequenceSetting: { type: 'string' },
+    sequenceComposer: { type: 'string' },
     // Responsorial Psalm setting (the music behind the psalm refrain).
     // Optional — the refrain prints regardless from readings.psalmRefrain.
     responsorialPsalmSetting: { type: 'string' },
@@ -45,13 +58,52 @@ const inputSchema = {
     feastName: { type: 'string', minLength: 1 },
     liturgicalDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
     liturgicalSeason: { type: 'string', enum: ['ordinary', 'advent', 'christmas', 'lent', 'easter'] },
+    // The Lectionary cycles of the date (detectLectionaryCycle), stored when
+    // the draft is saved. showLectionaryYear prints "Year B" after the date
+    // on the cover.
+    lectionaryCycle: {
+      type: 'object',
+      properties: {
+        sunday: { type: 'string', enum: ['A', 'B', 'C'] },
+        weekday: { type: 'string', enum: ['I', 'II'] }
+      }
+    },
+    showLectionaryYear: { type: 'boolean' },
+    // The liturgical color the design's accents take (config/themes.js
+    // accentTheme) in place of the date's.
+    liturgicalColor: { type: 'string', enum: Object.keys(LITURGICAL_COLORS) },
 
     // Finished booklet size for preview/export (defaults to tabloid).
     bookletSize: { type: 'string', enum: ['half-letter', 'tabloid'] },
 
-    // Output design: the app's original look, or a serif emulation of the
-    // parish's in-house aid (defaults to reimagined).
-    design: { type: 'string', enum: ['reimagined', 'classic'] },
+    // Output design id: 'reimagined' (the app's original look, the
+    // default), 'classic' (a serif emulation of the parish's in-house aid)
+    // or a parish theme from the theme registry.
+    design: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,39}$' },
+
+    // Booklet length: 8 (standard), 12 or 16 pages, or 'auto' — as many as
+    // the content needs, rounded up to a multiple of 4. A leaflet runs 2 or
+    // 4 pages (see the if/then below).
+    pageCount: { enum: [...LEAFLET_PAGE_COUNTS, 8, 12, 16, 'auto'] },
+
+    // Format (config/leaflets.js): the Sunday 'booklet' (default), or a
+    // 'leaflet' for a holy day or weekday Mass — no cover, one Mass, the
+    // structure reduced for the day's rank.
+    format: { type: 'string', enum: ['booklet', 'leaflet'] },
+    leaflet: {
+      type: 'object',
+      properties: {
+        massTime: { type: 'string' },
+        rank: { type: 'string', enum: Object.keys(RANK_RULES) },
+        creed: { type: 'boolean' }
+      }
+    },
+
+    // Language of the labels and the people's parts: 'english' (default),
+    // 'spanish' or 'bilingual'. A bilingual booklet sets the people's parts
+    // in parallel columns (default) or alternating English/Spanish blocks.
+    language: { type: 'string', enum: ['english', 'spanish', 'bilingual'] },
+    bilingualLayout: { type: 'string', enum: ['parallel', 'alternating'] },
 
     // Workflow: who last edited, assigned to
     lastEditedBy: { type: 'string' },
@@ -72,7 +124,40 @@ const inputSchema = {
         gospelAcclamationVerse: { type: 'string' },
         gospelAcclamationReference: { type: 'string' },
         gospelCitation: { type: 'string' },
-        gospelText: { type: 'string' }
+        gospelText: { type: 'string' },
+        // Palm Sunday: the Gospel of the procession with branches
+        processionGospelCitation: { type: 'string' },
+        processionGospelText: { type: 'string' },
+        // Easter Vigil: the Old Testament readings, each with its psalm
+        vigilReadings: {
+          type: 'array',
+          maxItems: 7,
+          items: {
+            type: 'object',
+            properties: {
+              citation: { type: 'string' },
+              text: { type: 'string' },
+              psalmCitation: { type: 'string' },
+              psalmRefrain: { type: 'string' },
+              psalmVerses: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+
+    // Prayers — printed under their headings when entered; a heading with
+    // no text prints alone, as before. The Universal Prayer's intentions
+    // each end with the people's response cue (R.); response defaults to
+    // "Lord, hear our prayer." in the booklet's language.
+    prayers: {
+      type: 'object',
+      properties: {
+        collect: { type: 'string' },
+        intentions: { type: 'array', items: { type: 'string' } },
+        response: { type: 'string' },
+        prayerOverOfferings: { type: 'string' },
+        prayerAfterCommunion: { type: 'string' }
       }
     },
 
@@ -84,11 +169,24 @@ const inputSchema = {
         // Which musical setting the Gloria is sung from (e.g. "Mass of
         // Creation") — printed under the Gloria heading.
         gloriaSetting: { type: 'string' },
+        // What the Gloria prints: 'notation' (default) the uploaded image
+        // or paste box, the full text when no area is reserved; 'full' or
+        // 'incipit' that text, unless a notation image is attached.
+        gloriaText: { type: 'string', enum: ['notation', 'full', 'incipit'] },
         creedType: { type: 'string', enum: ['nicene', 'apostles', 'baptismal_vows'] },
         entranceType: { type: 'string', enum: ['processional', 'antiphon'] },
         holyHolySetting: { type: 'string' },
-        // 'english' or 'latin' — defaults to english
+        // Ordinary parts in 'english' or 'latin'. Unset falls back to the
+        // parish default (defaultKyrieLanguage, …, defaultSanctusLanguage),
+        // then English. latinTranslation prints the translation beside
+        // each Latin text.
+        kyrieLanguage: { type: 'string', enum: ['english', 'latin'] },
+        gloriaLanguage: { type: 'string', enum: ['english', 'latin'] },
+        creedLanguage: { type: 'string', enum: ['english', 'latin'] },
         holyHolyLanguage: { type: 'string', enum: ['english', 'latin'] },
+        lordsPrayerLanguage: { type: 'string', enum: ['english', 'latin'] },
+        lambOfGodLanguage: { type: 'string', enum: ['english', 'latin'] },
+        latinTranslation: { type: 'boolean' },
         mysteryOfFaithSetting: { type: 'string' },
         lambOfGodSetting: { type: 'string' },
         penitentialAct: { type: 'string', enum: ['confiteor', 'kyrie_only'] },
@@ -100,10 +198,23 @@ const inputSchema = {
       }
     },
 
-    // Three per-mass-time music blocks — PRD Section 4.1, 6.1
-    musicSat5pm: musicBlockSchema,
-    musicSun9am: musicBlockSchema,
-    musicSun11am: musicBlockSchema,
+    // The Masses this aid was prepared for, snapshotted from the parish's
+    // massTimes setting when the draft is saved (see parseMassSchedule in
+    // music-formatter.js). Each Mass's music lives in a per-Mass block named
+    // after its key: sat5pm → musicSat5pm. Drafts saved before the schedule
+    // was configurable are migrated on load to the original three Masses.
+    masses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['key', 'label'],
+        properties: {
+          key: { type: 'string', pattern: MASS_KEY_PATTERN },
+          label: { type: 'string' },
+          note: { type: 'string' }
+        }
+      }
+    },
 
     // Anthem list (UAT June 2026): one Offertory list + one Choral list,
     // each anthem tagged with the Masses where it is sung. This is the
@@ -120,7 +231,7 @@ const inputSchema = {
             properties: {
               title: { type: 'string' },
               composer: { type: 'string' },
-              masses: { type: 'array', items: { type: 'string', enum: ['sat5pm', 'sun9am', 'sun11am'] } }
+              masses: { type: 'array', items: { type: 'string', pattern: MASS_KEY_PATTERN } }
             }
           }
         },
@@ -131,13 +242,99 @@ const inputSchema = {
             properties: {
               title: { type: 'string' },
               composer: { type: 'string' },
-              masses: { type: 'array', items: { type: 'string', enum: ['sat5pm', 'sun9am', 'sun11am'] } }
+              masses: { type: 'array', items: { type: 'string', pattern: MASS_KEY_PATTERN } }
+            }
+          }
+        }
+      }
+    },
+
+    // Rite inserts (config/rite-inserts.js), in the order they print at
+    // their anchors, with the music for each insert's slots:
+    // [{ id: 'sprinkling', music: { sprinkling: { title, composer } } }]
+    riteInserts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', enum: Object.keys(RITE_INSERTS) },
+          music: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: { title: { type: 'string' }, composer: { type: 'string' } }
             }
           }
         }
       }
     },
 
+    // Holy Week (config/holy-week.js): the liturgy, when not the one the
+    // calendar gives the date ('none' for the Sunday Mass), and the music
+    // for its slots.
+    holyWeek: {
+      type: 'object',
+      properties: {
+        liturgy: { type: 'string', enum: [...Object.keys(HOLY_WEEK), 'none'] },
+        music: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { title: { type: 'string' }, composer: { type: 'string' } }
+          }
+        }
+      }
+    },
+
+    // The Sequence (config/sequences.js): include true prints an optional
+    // one (the Easter octave), false leaves out the day's Sequence.
+    sequence: {
+      type: 'object',
+      properties: { include: { type: 'boolean' } }
+    },
+
+    // Weddings and funerals (config/celebrations.js): the celebration the
+    // booklet is for ('sunday', the default, for the Sunday Mass) and the
+    // family's answers to its questionnaire.
+    celebrationType: { type: 'string', enum: ['sunday', ...Object.keys(CELEBRATIONS)] },
+    celebration: {
+      type: 'object',
+      properties: {
+        names: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+        born: { type: 'string' },
+        died: { type: 'string' },
+        time: { type: 'string' },
+        ministers: {
+          type: 'object',
+          properties: {
+            celebrant: { type: 'string' },
+            firstReader: { type: 'string' },
+            secondReader: { type: 'string' },
+            intentionsReader: { type: 'string' },
+            witnesses: { type: 'string' },
+            pallbearers: { type: 'string' }
+          }
+        },
+        readings: {
+          type: 'object',
+          properties: {
+            first: { type: 'string' },
+            psalm: { type: 'string' },
+            second: { type: 'string' },
+            gospel: { type: 'string' }
+          }
+        },
+        music: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { title: { type: 'string' }, composer: { type: 'string' } }
+          }
+        }
+      }
+    },
+
     // Children's Liturgy — PRD Section 4.1
     childrenLiturgyEnabled: { type: 'boolean' },
     // Multiple-mass-time list. Children's Liturgy can run at any subset
@@ -182,6 +379,17 @@ const inputSchema = {
       type: 'object',
       additionalProperties: { type: 'string' }
     },
+    // Per-Mass notation overrides for per-Mass editions, keyed by Mass key
+    // then slot: { sun1pm: { communion: '/uploads/notation/...' } }. Only the
+    // named Mass's booklet uses them; an empty URL drops that slot's image
+    // from that Mass's booklet.
+    massNotationImages: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: { type: 'string' }
+      }
+    },
 
     // Attachments referenced by id (for preludes, postludes, anthems, etc.).
     // The actual file metadata + binaries live in the attachments store.
@@ -189,7 +397,16 @@ const inputSchema = {
       type: 'array',
       items: { type: 'string' }
     }
-  }
+  },
+  // Per-mass-time music blocks — PRD Section 4.1, 6.1: musicSat5pm,
+  // musicSun9am, musicSun11am for the original schedule, and one per Mass in
+  // the draft's `masses` list (musicSun1pm, ...).
+  patternProperties: {
+    '^music[A-Z0-9][A-Za-z0-9_]*$': musicBlockSchema
+  },
+  if: { properties: { format: { const: 'leaflet' } }, required: ['format'] },
+  then: { properties: { pageCount: { enum: LEAFLET_PAGE_COUNTS } } },
+  else: { properties: { pageCount: { enum: [8, 12, 16, 'auto'] } } }
 };
 
 module.exports = { inputSchema, musicBlockSchema };
@@ -7,17 +7,29 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const { validateInput, detectOverflows } = require('./validator');
-const { generatePdf, buildFilename } = require('./pdf-generator');
+const { generatePdf, generateImposedPdf, generateMassEditions, layoutBooklet, buildFilename } = require('./pdf-generator');
+const { createZip } = require('./zip-writer');
 const { renderBookletHtml } = require('./template-renderer');
 const { getSeasonDefaults, SEASONS, LENTEN_ACCLAMATION_OPTIONS } = require('./config/seasons');
+const { RITE_INSERTS, RITE_MUSIC_SLOTS } = require('./config/rite-inserts');
+const { HOLY_WEEK, HOLY_WEEK_MUSIC_SLOTS } = require('./config/holy-week');
+const { SEQUENCES } = require('./config/sequences');
+const { CELEBRATIONS, CELEBRATION_MUSIC_SLOTS, MINISTER_ROLES, RITUAL_READINGS, PHOTO_SLOT } = require('./config/celebrations');
+const { RANK_RULES, resolveLeaflet } = require('./config/leaflets');
+const { LITURGICAL_COLORS } = require('./config/themes');
+const { normalizeProperCalendar, checkCalendarProfile, calendarOptions } = require('./config/proper-calendar');
+const { CALENDAR_PROFILES } = require('./config/calendar-profiles');
 const store = require('./store/file-store');
 const userStore = require('./store/user-store');
 const { fetchReadings, TRANSLATIONS } = require('./readings-fetcher');
 const { normalizeNotationImage, CONVERTIBLE_EXTS, EMBEDDABLE_EXTS } = require('./image-utils');
-const { resolveNotationImages, findMissingNotationSlots } = require('./notation-resolver');
+const { resolveNotationImages, resolveMassNotationImages, findMissingNotationSlots } = require('./notation-resolver');
 const hymnLibrary = require('./store/hymn-library');
 const attachmentsStore = require('./store/attachments');
-const { getLiturgicalInfo } = require('./liturgical-calendar');
+const themeRegistry = require('./store/theme-registry');
+const fontLibrary = require('./store/font-library');
+const { getLiturgicalInfo, parseDate, detectLectionaryCycle } = require('./liturgical-calendar');
+const { parseMassSchedule, resolveMasses, musicBlockKey, DEFAULT_MASSES } = require('./music-formatter');
 
 const https = require('https');
 
@@ -64,6 +76,8 @@ const coverUpload = makeUploadConfig(['.png', '.jpg', '.jpeg'], 10 * 1024 * 1024
 
 const logoUpload = makeUploadConfig(['.png', '.jpg', '.jpeg'], 5 * 1024 * 1024);
 
+const fontUpload = makeUploadConfig(['.ttf', '.otf'], 5 * 1024 * 1024);
+
 // Attachments: notation images first and foremost (PNG/JPG/TIFF), plus
 // audio / PDF / score files the parish wants reused.
 // Keep the size cap generous so MP3 anthems and full PDF scores still fit.
@@ -94,24 +108,26 @@ if (!kv.IS_NETLIFY) {
   app.use('/uploads', express.static(UPLOADS_DIR));
 }
 
-// Vendored "classic" design fonts, served so the local HTML preview renders
-// in the exact same typefaces as the classic PDF. (On Netlify the build
-// publishes these under public/assets/fonts/classic — see
-// scripts/extract-html.js — because only /api/* reaches this function.)
-// The deploy layout never changes at runtime: resolve each filename once.
-const _classicFontPathCache = new Map();
-app.get('/assets/fonts/classic/:file', (req, res) => {
+// Vendored fonts — Liberation Sans and the "classic" design faces — served
+// so the local HTML preview renders in the exact same typefaces (and line
+// metrics) as the PDF. (On Netlify the build publishes these under
+// public/assets/fonts — see scripts/extract-html.js — because only /api/*
+// reaches this function.) The deploy layout never changes at runtime:
+// resolve each filename once.
+const _fontPathCache = new Map();
+app.get(['/assets/fonts/:file', '/assets/fonts/classic/:file'], (req, res) => {
   const safe = path.basename(req.params.file || '');
   if (!/^[A-Za-z0-9._-]+\.(otf|ttf)$/.test(safe)) return res.status(404).end();
-  let file = _classicFontPathCache.get(safe);
+  const rel = req.path.startsWith('/assets/fonts/classic/') ? path.join('classic', safe) : safe;
+  let file = _fontPathCache.get(rel);
   if (file === undefined) {
     const candidates = [
-      path.join(__dirname, 'assets', 'fonts', 'classic', safe),
-      path.join(process.cwd(), 'src', 'assets', 'fonts', 'classic', safe),
-      path.join(__dirname, '..', 'src', 'assets', 'fonts', 'classic', safe)
+      path.join(__dirname, 'assets', 'fonts', rel),
+      path.join(process.cwd(), 'src', 'assets', 'fonts', rel),
+      path.join(__dirname, '..', 'src', 'assets', 'fonts', rel)
     ];
     file = candidates.find(p => { try { return fs.existsSync(p); } catch (e) { return false; } }) || null;
-    _classicFontPathCache.set(safe, file);
+    _fontPathCache.set(rel, file);
   }
   if (!file) return res.status(404).end();
   res.set('Content-Type', safe.endsWith('.ttf') ? 'font/ttf' : 'font/otf');
@@ -355,11 +371,25 @@ app.delete('/api/users/:id', requireAuth, requirePermission('manage_users'), asy
 // --- API ROUTES ---
 
 // Season defaults
+// ?holyWeek=<liturgy> layers that Holy Week liturgy's rules over the season's,
+// and ?celebration=<type> a wedding's or funeral's over both.
 app.get('/api/season-defaults/:season', (req, res) => {
   if (!SEASONS.includes(req.params.season)) {
     return res.status(400).json({ error: 'Unknown season: ' + req.params.season + '. Must be one of: ' + SEASONS.join(', ') });
   }
-  res.json(getSeasonDefaults(req.params.season));
+  const holyWeek = req.query.holyWeek ? String(req.query.holyWeek) : undefined;
+  if (holyWeek && !HOLY_WEEK[holyWeek]) {
+    return res.status(400).json({ error: 'Unknown Holy Week liturgy: ' + holyWeek + '. Must be one of: ' + Object.keys(HOLY_WEEK).join(', ') });
+  }
+  const celebration = req.query.celebration ? String(req.query.celebration) : undefined;
+  if (celebration && celebration !== 'sunday' && !CELEBRATIONS[celebration]) {
+    return res.status(400).json({ error: 'Unknown celebration: ' + celebration + '. Must be one of: sunday, ' + Object.keys(CELEBRATIONS).join(', ') });
+  }
+  const rank = req.query.rank ? String(req.query.rank) : undefined;
+  if (rank && !RANK_RULES[rank]) {
+    return res.status(400).json({ error: 'Unknown rank: ' + rank + '. Must be one of: ' + Object.keys(RANK_RULES).join(', ') });
+  }
+  res.json(getSeasonDefaults(req.params.season, holyWeek, celebration, rank));
 });
 
 // Lenten acclamation options
@@ -373,10 +403,11 @@ app.get('/api/bible-translations', (req, res) => {
 });
 
 // Auto-derive feast/Sunday name + liturgical season from a date.
-// Drives the "Feast / Sunday Name" auto-fill in the editor.
-app.get('/api/liturgical-info', (req, res) => {
+// Drives the "Feast / Sunday Name" auto-fill in the editor. The parish's
+// proper calendar is kept with the rest.
+app.get('/api/liturgical-info', async (req, res) => {
   const date = String(req.query.date || '');
-  const info = getLiturgicalInfo(date);
+  const info = getLiturgicalInfo(date, calendarOptions(await store.loadSettings()));
   if (!info) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
   res.json(info);
 });
@@ -526,6 +557,90 @@ app.delete('/api/attachments/:id', requireAuth, requirePermission('manage_attach
   res.json({ success: true });
 });
 
+// --- DESIGN THEMES ---
+// The built-in reimagined and classic themes plus parish themes cloned from
+// them (store/theme-registry.js). Anyone can list them — the editor's
+// design switcher does; admins clone, edit and delete parish themes.
+app.get('/api/themes', async (req, res) => {
+  res.json({ themes: await themeRegistry.listThemes() });
+});
+
+app.get('/api/themes/:id', async (req, res) => {
+  const theme = await themeRegistry.getTheme(req.params.id);
+  if (!theme) return res.status(404).json({ error: 'Not found' });
+  res.json(theme);
+});
+
+// Clone: body { from: <theme id>, name?, ...fields to change }.
+app.post('/api/themes', requireAuth, requirePermission('manage_settings'), async (req, res) => {
+  const { from, ...patch } = req.body || {};
+  try {
+    const theme = await themeRegistry.cloneTheme(String(from || 'reimagined'), patch, req.user);
+    if (!theme) return res.status(404).json({ error: `No theme "${from}" to clone` });
+    res.json(theme);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.put('/api/themes/:id', requireAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const theme = await themeRegistry.updateTheme(req.params.id, req.body || {}, req.user);
+    if (!theme) return res.status(404).json({ error: 'Not found' });
+    res.json(theme);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/themes/:id', requireAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    if (!await themeRegistry.deleteTheme(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// --- UPLOADED FONTS ---
+// Licensed faces (store/font-library.js) that a parish theme can set any
+// font role in. Uploads are checked for the glyphs the booklet prints —
+// curly quotes, dashes, accented Latin — and rejected with the missing
+// characters listed. The file route serves the preview's @font-face rules.
+app.get('/api/fonts', async (req, res) => {
+  res.json({ fonts: await fontLibrary.listFonts(), requiredGlyphs: fontLibrary.REQUIRED_GLYPHS });
+});
+
+app.post('/api/fonts', requireAuth, requirePermission('manage_settings'), fontUpload.single('font'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+  try {
+    res.json(await fontLibrary.saveFont(req.file.buffer, req.file.originalname, req.user));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get('/api/fonts/:filename', async (req, res) => {
+  const filename = safeFilenameParam(req, res);
+  if (!filename) return;
+  const file = await fontLibrary.readFontFile(filename);
+  if (!file) return res.status(404).json({ error: 'Not found' });
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  setUploadHeaders(res, file.mime);
+  res.send(file.buffer);
+});
+
+// A font a parish theme still uses can't be deleted — the theme would
+// silently fall back to its base fonts.
+app.delete('/api/fonts/:id', requireAuth, requirePermission('manage_settings'), async (req, res) => {
+  const users = await themeRegistry.themesUsingFont(req.params.id);
+  if (users.length) {
+    return res.status(400).json({ error: `That font is used by the ${users.map(n => `"${n}"`).join(', ')} theme${users.length === 1 ? '' : 's'}. Change those themes' fonts first.` });
+  }
+  if (!await fontLibrary.deleteFont(req.params.id)) return res.status(404).json({ error: 'Not found' });
+  res.json({ success: true });
+});
+
 // Express decodes %2f in path params, so :filename can contain slashes /
 // '..' segments — reject anything that isn't a plain filename before it
 // touches the filesystem or KV layer.
@@ -663,18 +778,61 @@ app.get('/api/readings', async (req, res) => {
   }
 });
 
+// Auto-fit (see generatePdf): body `autoFit: true` or `?autoFit=1`.
+function wantsAutoFit(req) {
+  const v = req.body.autoFit !== undefined ? req.body.autoFit : req.query.autoFit;
+  return v === true || v === '1' || v === 'true';
+}
+
+// The draft as the renderers read it: with the parish's calendar options
+// (config/proper-calendar.js) for the rank and color of its date. A copy —
+// the request body is what gets saved.
+function withCalendar(data, settings) {
+  return { ...data, calendar: calendarOptions(settings) };
+}
+
+// Dry-run the PDF paginator for this request's design and booklet size so
+// overflow warnings reflect where blocks really land. Falls back to the
+// line-count estimate (and the error) if the layout can't run (e.g.
+// malformed input).
+async function layoutForRequest(req, data, settings) {
+  try {
+    const design = req.body.design || req.query.design || 'reimagined';
+    const resolved = await themeRegistry.resolveDesign(design);
+    if (!resolved) throw new Error(`Unknown design "${design}"`);
+    const notation = await resolveNotationImages(data);
+    const layout = layoutBooklet(data, {
+      parishSettings: settings,
+      bookletSize: req.body.bookletSize || req.query.bookletSize || 'tabloid',
+      design,
+      theme: resolved.theme,
+      customFonts: resolved.customFonts,
+      notationImages: notation.images,
+      autoFit: wantsAutoFit(req)
+    });
+    return { layout, overflows: layout.overflows };
+  } catch (e) {
+    console.error('[layout] dry run failed:', e.message);
+    return { layout: null, overflows: detectOverflows(data), error: e.message };
+  }
+}
+
 // Validate
-app.post('/api/validate', (req, res) => {
+app.post('/api/validate', async (req, res) => {
   const result = validateInput(req.body);
-  const overflows = detectOverflows(req.body);
-  res.json({ ...result, overflows });
+  if (!result.valid) {
+    return res.json({ ...result, overflows: detectOverflows(req.body), layout: null });
+  }
+  const settings = await store.loadSettings();
+  const { layout, overflows } = await layoutForRequest(req, withCalendar(req.body, settings), settings);
+  res.json({ ...result, overflows, layout });
 });
 
 // Preview HTML
 app.post('/api/preview', async (req, res) => {
   const settings = await store.loadSettings();
   const bookletSize = req.body.bookletSize || req.query.bookletSize || 'tabloid';
-  const data = { ...req.body };
+  const data = withCalendar(req.body, settings);
   // A slot pointing at a deleted/never-persisted notation file would emit a
   // dead <img> — which the sandboxed preview iframe renders as an invisible
   // blank gap. Strip those references so the renderer falls back to the
@@ -684,16 +842,19 @@ app.post('/api/preview', async (req, res) => {
     data.notationImages = { ...data.notationImages };
     missingSlots.forEach(slot => delete data.notationImages[slot]);
   }
-  const design = req.body.design || req.query.design || 'reimagined';
+  // The preview draws the PDF's own page map, so it needs the dry run.
+  const { layout, overflows, error } = await layoutForRequest(req, data, settings);
+  if (!layout) {
+    return res.status(422).json({ error: 'Preview failed: ' + error, overflows });
+  }
   const { html, warnings, pageWidth, pageHeight } = renderBookletHtml(data, {
     parishSettings: settings,
-    bookletSize,
-    design
+    layout,
+    overflows
   });
   missingSlots.forEach(slot => warnings.push(
     `The notation image attached to "${slot}" no longer exists on the server — showing the blank paste area instead. Re-upload and re-attach it.`));
-  const overflows = detectOverflows(data);
-  res.json({ html, warnings, overflows, bookletSize, pageWidth, pageHeight });
+  res.json({ html, warnings, overflows, layout, bookletSize, pageWidth, pageHeight });
 });
 
 // Generate PDF
@@ -705,6 +866,8 @@ app.post('/api/generate-pdf', requireAuth, requirePermission('export_pdf'), asyn
     // id) can't have been approved, so it can't be exported either —
     // otherwise the gate could be bypassed by simply not saving.
     const design = (req.body.design || req.query.design || 'reimagined');
+    const resolved = await themeRegistry.resolveDesign(design);
+    if (!resolved) return res.status(400).json({ error: `Unknown design "${design}".` });
     if (settings.requirePastorApproval) {
       if (!req.body.id) {
         return res.status(403).json({ error: 'Pastor approval required before export. Save the draft and submit it for approval first.' });
@@ -720,19 +883,60 @@ app.post('/api/generate-pdf', requireAuth, requirePermission('export_pdf'), asyn
       }
     }
 
-    const filename = buildFilename(req.body);
+    // Page order: 'reader' (one booklet page per PDF page, the default) or
+    // 'saddle-stitch' printer spreads for the print shop.
+    // Edition: 'single' (one booklet listing every Mass's music, the
+    // default), 'per-mass' — one booklet per Mass with only that Mass's
+    // music and notation, bundled into a zip — or 'large-print': letter
+    // pages, one column, 16–18pt text, as many pages as it takes.
+    const edition = (req.body.edition || req.query.edition || 'single');
+    const perMass = edition === 'per-mass';
+    const largePrint = edition === 'large-print';
+    // Large print is never imposed — it isn't a folded booklet — and
+    // neither is a 2-page leaflet, one sheet printed front and back.
+    const data = withCalendar(req.body, settings);
+    const leaflet = resolveLeaflet(data);
+    const flat = largePrint || (leaflet && leaflet.pageCount === 2);
+    const imposition = flat ? 'reader' : (req.body.imposition || req.query.imposition || 'reader');
+    const imposed = imposition === 'saddle-stitch';
+    const creepIn = parseFloat(req.body.creepIn !== undefined ? req.body.creepIn : req.query.creepIn) || 0;
+    const baseName = buildFilename(req.body).replace(/\.pdf$/, '') + (imposed ? '__spreads' : '') + (largePrint ? '__large-print' : '');
+    const filename = baseName + (perMass ? '__editions.zip' : '.pdf');
     const outputDir = kv.IS_NETLIFY ? '/tmp' : store.getExportsDir();
     const outputPath = path.join(outputDir, filename);
     const bookletSize = (req.body.bookletSize || req.query.bookletSize || 'tabloid');
     // Load any per-slot notation images so the PDF embeds them in the
     // reserved music areas (uploaded TIFFs were converted to PNG at upload).
     const notation = await resolveNotationImages(req.body);
-    const result = await generatePdf(req.body, outputPath, {
+    const pdfOptions = {
       parishSettings: settings,
       bookletSize,
       design,
-      notationImages: notation.images
-    });
+      theme: resolved.theme,
+      customFonts: resolved.customFonts,
+      notationImages: notation.images,
+      creepIn,
+      autoFit: wantsAutoFit(req),
+      largePrint
+    };
+    let result;
+    let editions;
+    if (perMass) {
+      const massNotation = await resolveMassNotationImages(req.body);
+      const out = await generateMassEditions(data, outputDir, {
+        ...pdfOptions,
+        massNotationImages: massNotation.images,
+        imposition
+      });
+      // Zip the booklets and drop the loose PDFs — the zip is the download.
+      fs.writeFileSync(outputPath, createZip(out.editions.map(e => ({ name: e.filename, data: fs.readFileSync(e.outputPath) }))));
+      out.editions.forEach(e => fs.unlinkSync(e.outputPath));
+      editions = out.editions.map(e => ({ mass: e.mass, filename: e.filename }));
+      result = { outputPath, warnings: out.warnings };
+      notation.missing.push(...massNotation.missing);
+    } else {
+      result = await (imposed ? generateImposedPdf : generatePdf)(data, outputPath, pdfOptions);
+    }
     if (notation.missing.length) {
       result.warnings.push('Notation images missing for: ' + notation.missing.join(', '));
     }
@@ -741,6 +945,7 @@ app.post('/api/generate-pdf', requireAuth, requirePermission('export_pdf'), asyn
     // draft exported, or auto-save an unsaved one so the printed version
     // is never missing from the record.
     let exportedDraftId = req.body.id || null;
+    const masses = resolveMasses(req.body, settings);
     if (req.body.id) {
       const draft = await store.loadDraft(req.body.id);
       if (draft) {
@@ -753,7 +958,7 @@ app.post('/api/generate-pdf', requireAuth, requirePermission('export_pdf'), asyn
       }
     } else {
       try {
-        const saved = await store.saveDraft({ ...req.body, design, status: 'exported', exportedAt: new Date().toISOString() });
+        const saved = await store.saveDraft({ ...req.body, masses, design, status: 'exported', exportedAt: new Date().toISOString() });
         exportedDraftId = saved.id;
       } catch (e) {
         console.warn('[export] could not auto-save exported aid:', e.message);
@@ -773,9 +978,7 @@ app.post('/api/generate-pdf', requireAuth, requirePermission('export_pdf'), asyn
           exportedAt: new Date().toISOString(),
           exportedBy: req.user.displayName,
           draftId: exportedDraftId,
-          musicSat5pm: req.body.musicSat5pm || {},
-          musicSun9am: req.body.musicSun9am || {},
-          musicSun11am: req.body.musicSun11am || {}
+          ...musicBlocksOf({ ...req.body, masses })
         });
       } catch (e) {
         console.warn('[export-log] could not record export:', e.message);
@@ -786,7 +989,7 @@ app.post('/api/generate-pdf', requireAuth, requirePermission('export_pdf'), asyn
     if (kv.IS_NETLIFY) {
       const pdfBuffer = fs.readFileSync(outputPath);
       fs.unlinkSync(outputPath);
-      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Type', perMass ? 'application/zip' : 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
       // The PDF body leaves no room for a JSON warnings list — carry the
       // generator's warnings in a header so the editor can still show them.
@@ -799,6 +1002,10 @@ app.post('/api/generate-pdf', requireAuth, requirePermission('export_pdf'), asyn
         success: true,
         filename,
         downloadUrl: `/exports/${filename}`,
+        imposition: imposed ? 'saddle-stitch' : 'reader',
+        edition: perMass || largePrint ? edition : 'single',
+        ...(editions ? { editions } : {}),
+        ...(result.autoFit ? { autoFit: result.autoFit } : {}),
         warnings: result.warnings
       });
     }
@@ -1012,7 +1219,13 @@ app.get('/api/uploads/covers/:filename', async (req, res) => {
 // the delete route is destructive.
 app.post('/api/drafts', requireAuth, async (req, res) => {
   try {
-    const draft = await store.saveDraft(req.body);
+    // Snapshot the Mass list the music blocks were entered against, so a
+    // later change to the parish schedule never orphans this draft's music,
+    // and the Lectionary cycles of its date.
+    const masses = resolveMasses(req.body, await store.loadSettings());
+    const date = parseDate(req.body.liturgicalDate);
+    const lectionaryCycle = date ? detectLectionaryCycle(date) : req.body.lectionaryCycle;
+    const draft = await store.saveDraft({ ...req.body, masses, ...(lectionaryCycle ? { lectionaryCycle } : {}) });
     res.json(draft);
   } catch (e) {
     res.status(e.statusCode || 500).json({ error: e.message });
@@ -1104,9 +1317,7 @@ app.post('/api/drafts/:id/mark-final', requireAuth, async (req, res) => {
     exportedBy: req.user.displayName,
     manual: true,
     draftId: draft.id,
-    musicSat5pm: draft.musicSat5pm || {},
-    musicSun9am: draft.musicSun9am || {},
-    musicSun11am: draft.musicSun11am || {}
+    ...musicBlocksOf(draft)
   });
   res.json({ success: true, draftId: draft.id, liturgicalDate: draft.liturgicalDate });
 });
@@ -1117,7 +1328,16 @@ const HYMN_FIELDS = [
   'organPrelude', 'processionalOrEntrance', 'kyrieSetting', 'offertoryAnthem',
   'communionHymn', 'hymnOfThanksgiving', 'organPostlude', 'choralAnthemConcluding'
 ];
-const MUSIC_BLOCKS = ['musicSat5pm', 'musicSun9am', 'musicSun11am'];
+
+// The Mass list plus one music block per Mass, as recorded in the export log.
+// Records written before the schedule was configurable have no `masses` and
+// resolve to the original three Masses.
+function musicBlocksOf(record) {
+  const masses = resolveMasses(record);
+  const out = { masses };
+  for (const m of masses) out[musicBlockKey(m.key)] = record[musicBlockKey(m.key)] || {};
+  return out;
+}
 
 function _normalizeTitle(s) {
   return String(s || '').trim();
@@ -1135,8 +1355,8 @@ app.get('/api/stats/hymns', async (req, res) => {
       const month = date.slice(0, 7); // YYYY-MM
       const season = d.liturgicalSeason || 'unknown';
       const titles = new Set();
-      for (const block of MUSIC_BLOCKS) {
-        const m = d[block] || {};
+      for (const mass of resolveMasses(d)) {
+        const m = d[musicBlockKey(mass.key)] || {};
         for (const f of HYMN_FIELDS) {
           const t = _normalizeTitle(m[f]);
           if (t) titles.add(t);
@@ -1163,10 +1383,31 @@ app.get('/api/settings', async (req, res) => {
 });
 
 app.put('/api/settings', requireAuth, requirePermission('manage_settings'), async (req, res) => {
-  const settings = await store.saveSettings(req.body);
+  const body = { ...req.body };
+  try {
+    if (body.properCalendar !== undefined) body.properCalendar = normalizeProperCalendar(body.properCalendar);
+    if (body.calendarProfile !== undefined) checkCalendarProfile(body.calendarProfile);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const settings = await store.saveSettings(body);
   res.json(settings);
 });
 
+// The parish's Masses as parsed from the massTimes setting — one music block
+// per Mass in the editor. Falls back to the original three when nothing in
+// massTimes parses as a Mass time. ?massTimes= parses the given lines instead
+// (a leaflet's one Mass time), with no fallback.
+app.get('/api/mass-schedule', async (req, res) => {
+  if (req.query.massTimes !== undefined) {
+    const masses = parseMassSchedule(String(req.query.massTimes));
+    return res.json({ masses, parsed: masses.length > 0 });
+  }
+  const settings = await store.loadSettings();
+  const parsed = parseMassSchedule(settings.massTimes);
+  res.json({ masses: resolveMasses({}, settings), parsed: parsed.length > 0 });
+});
+
 // --- PER-USER PREFERENCES ---
 // These persist across drafts for the same user — preferred booklet size,
 // default Sanctus language override, last-used hymnal, etc.  Distinct from
@@ -1501,6 +1742,19 @@ nav .btn-outline:hover { color: var(--white); border-color: var(--gold-light); b
     <option value="tabloid" selected>8.5×11 booklet (11×17)</option>
     <option value="half-letter">5.5×8.5 booklet</option>
   </select>
+  <select id="exportImposition" class="btn-sm" style="margin-right:6px;padding:4px 6px;font-size:11px;background:rgba(255,255,255,0.1);color:#fff;border:1px solid rgba(255,255,255,0.3);border-radius:3px;" title="PDF page order — reader order, or printer spreads imposed for saddle-stitch">
+    <option value="reader" selected>Reader order</option>
+    <option value="saddle-stitch">Printer spreads</option>
+  </select>
+  <select id="exportEdition" class="btn-sm" style="margin-right:6px;padding:4px 6px;font-size:11px;background:rgba(255,255,255,0.1);color:#fff;border:1px solid rgba(255,255,255,0.3);border-radius:3px;" title="One booklet for every Mass, a separate booklet per Mass with only that Mass's music (zip), or a large-print edition (letter pages, 16–18pt, one column)">
+    <option value="single" selected>All Masses</option>
+    <option value="per-mass">One per Mass (zip)</option>
+    <option value="large-print">Large print</option>
+  </select>
+  <select id="exportFit" class="btn-sm" style="margin-right:6px;padding:4px 6px;font-size:11px;background:rgba(255,255,255,0.1);color:#fff;border:1px solid rgba(255,255,255,0.3);border-radius:3px;" title="When the content runs long: shrink the text only, or also narrow music, drop the hymn paste boxes and set the psalm/Creed in two columns (text never below the parish minimum font size unless nothing else fits)">
+    <option value="shrink" selected>Shrink to fit</option>
+    <option value="auto">Auto-fit</option>
+  </select>
   <button class="btn btn-gold btn-sm" onclick="generatePreview()">Preview</button>
   <button class="btn btn-navy btn-sm" id="btn-export" onclick="generatePdfExport()">Export PDF</button>
   <button class="btn btn-outline btn-sm" onclick="doLogout()">Logout</button>
@@ -1528,6 +1782,7 @@ nav .btn-outline:hover { color: var(--white); border-color: var(--gold-light); b
             <span class="design-opt-name">Classic Design</span>
             <span class="design-opt-desc">The parish&rsquo;s in-house Garamond aid</span>
           </button>
+          <!-- Parish themes (GET /api/themes) are appended here. -->
         </div>
       </div>
     </div>
@@ -1549,6 +1804,83 @@ nav .btn-outline:hover { color: var(--white); border-color: var(--gold-light); b
             </select>
           </div>
         </div>
+        <div class="fg"><label>Liturgical Color <span style="font-weight:400;text-transform:none;color:var(--gray);">(accents of the design)</span></label>
+          <select id="liturgicalColor">
+            <option value="">From the date</option>
+            ${Object.keys(LITURGICAL_COLORS).map(c => `<option value="${c}">${c[0].toUpperCase() + c.slice(1)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="fg-check">
+          <input type="checkbox" id="showLectionaryYear">
+          <label for="showLectionaryYear">Print the Lectionary year on the cover <span id="lectionaryCycleNote" style="color:var(--gray);"></span></label>
+        </div>
+        <div class="fg"><label>Format</label>
+          <select id="format" onchange="onFormatChange()">
+            <option value="booklet" selected>Booklet (Sunday Mass)</option>
+            <option value="leaflet">Leaflet (weekday or holy day Mass)</option>
+          </select>
+        </div>
+        <div id="leafletFields" style="display:none;">
+          <div class="fg-row">
+            <div class="fg"><label>Mass Time</label>
+              <input type="text" id="leafletMassTime" placeholder="e.g., Wed 8:15 AM School Mass" onchange="updateLeafletMass()">
+            </div>
+            <div class="fg"><label>Rank of the Day</label>
+              <select id="leafletRank" onchange="onSeasonChange()">
+                <option value="">From the date</option>
+                ${Object.entries(RANK_RULES).map(([id, r]) => `<option value="${id}">${r.label}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+          <div class="fg"><label>Creed</label>
+            <select id="leafletCreed">
+              <option value="">As the rank says</option>
+              <option value="true">Print the Creed</option>
+              <option value="false">Leave out the Creed</option>
+            </select>
+          </div>
+        </div>
+        <div class="fg"><label>Booklet Length <span style="font-weight:400;text-transform:none;color:var(--gray);">(solemnities, Holy Week, sacraments)</span></label>
+          <select id="pageCount">
+            <option value="2" class="leaflet-length">2 pages (one sheet)</option>
+            <option value="4" class="leaflet-length">4 pages (folded sheet)</option>
+            <option value="8" selected class="booklet-length">8 pages (standard)</option>
+            <option value="12" class="booklet-length">12 pages</option>
+            <option value="16" class="booklet-length">16 pages</option>
+            <option value="auto" class="booklet-length">As many as needed (multiple of 4)</option>
+          </select>
+        </div>
+        <div class="fg-row">
+          <div class="fg"><label>Language</label>
+            <select id="language">
+              <option value="english" selected>English</option>
+              <option value="spanish">Spanish</option>
+              <option value="bilingual">Bilingual (English &amp; Spanish)</option>
+            </select>
+          </div>
+          <div class="fg"><label>Bilingual Layout <span style="font-weight:400;text-transform:none;color:var(--gray);">(people's parts)</span></label>
+            <select id="bilingualLayout">
+              <option value="parallel" selected>Parallel columns</option>
+              <option value="alternating">Alternating blocks</option>
+            </select>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- WEDDING OR FUNERAL -->
+    <div class="form-section" id="section-celebration">
+      <div class="form-section-hdr" onclick="toggle(this)">Wedding or Funeral <span>&#9660;</span></div>
+      <div class="form-section-body">
+        <p class="section-lock">A wedding or funeral booklet has its own cover and Order of Worship. Fill these in from the family's answers; the prelude, hymns and anthems go under Shared Music as on a Sunday.</p>
+        <div class="fg">
+          <label>Celebration</label>
+          <select id="celebrationType" onchange="updateCelebrationUI(); onSeasonChange()">
+            <option value="sunday">Sunday Mass</option>
+            ${Object.entries(CELEBRATIONS).map(([id, c]) => `<option value="${id}">${c.name}</option>`).join('')}
+          </select>
+        </div>
+        ${celebrationFields()}
       </div>
     </div>
 
@@ -1584,10 +1916,46 @@ nav .btn-outline:hover { color: var(--white); border-color: var(--gold-light); b
           ${notationCtl('mysteryOfFaith', 'Mystery of Faith notation')}
           <div class="fg"><label>Lamb of God Setting</label><input type="text" id="lambOfGodSetting"></div>
           ${notationCtl('lambOfGod', 'Lamb of God notation')}
+          <div class="fg-row">
+            <div class="fg"><label>Kyrie Language</label>
+              <select id="kyrieLanguage" onchange="this.dataset.userSet='1'">
+                <option value="english">English (Lord, Have Mercy)</option>
+                <option value="latin">Latin (Kyrie)</option>
+              </select>
+            </div>
+            <div class="fg"><label>Gloria Language</label>
+              <select id="gloriaLanguage" onchange="this.dataset.userSet='1'">
+                <option value="english">English (Glory to God)</option>
+                <option value="latin">Latin (Gloria in excelsis)</option>
+              </select>
+            </div>
+            <div class="fg"><label>Creed Language</label>
+              <select id="creedLanguage" onchange="this.dataset.userSet='1'">
+                <option value="english">English</option>
+                <option value="latin">Latin (Credo)</option>
+              </select>
+            </div>
+          </div>
+          <div class="fg-row">
+            <div class="fg"><label>Lord's Prayer Language</label>
+              <select id="lordsPrayerLanguage" onchange="this.dataset.userSet='1'">
+                <option value="english">English (heading only)</option>
+                <option value="latin">Latin (Pater Noster, text printed)</option>
+              </select>
+            </div>
+            <div class="fg"><label>Lamb of God Language</label>
+              <select id="lambOfGodLanguage" onchange="this.dataset.userSet='1'">
+                <option value="english">English (Lamb of God)</option>
+                <option value="latin">Latin (Agnus Dei)</option>
+              </select>
+            </div>
+          </div>
+          <div class="fg-check"><input type="checkbox" id="latinTranslation"><label for="latinTranslation">Print the translation beside Latin texts</label></div>
           <div class="fg"><label>Gospel Acclamation Music <span style="font-weight:400;text-transform:none;color:var(--gray);">(the sung Alleluia setting)</span></label></div>
           ${notationCtl('gospelAcclamation', 'Gospel Acclamation notation')}
         </div>
         <div class="fg-check"><input type="checkbox" id="gloria"><label for="gloria">Include Gloria</label></div>
+        <div class="fg"><label>Gloria Prints</label><select id="gloriaText"><option value="notation">Music area (full text when no area is reserved)</option><option value="full">Full text</option><option value="incipit">First line only</option></select></div>
         <div class="fg-row">
           <div class="fg"><label>Creed</label><select id="creedType"><option value="nicene">Nicene Creed</option><option value="apostles">Apostles' Creed</option><option value="baptismal_vows">Renewal of Baptismal Vows</option></select></div>
           <div class="fg"><label>Entrance Type</label><select id="entranceType"><option value="processional">Processional Hymn</option><option value="antiphon">Entrance Antiphon</option></select></div>
@@ -1642,6 +2010,46 @@ nav .btn-outline:hover { color: var(--white); border-color: var(--gold-light); b
         <div class="fg"><label>Gospel Acclamation — Verse</label><input type="text" id="gospelAcclamationVerse"></div>
         <div class="fg"><label>Gospel — Citation</label><input type="text" id="gospelCitation" placeholder="e.g., Luke 9:28b-36"></div>
         <div class="fg"><label>Gospel — Text</label><textarea id="gospelText" rows="6"></textarea></div>
+        ${holyWeekReadingFields()}
+      </div>
+    </div>
+
+    <!-- PRAYERS -->
+    <div class="form-section" id="section-prayers">
+      <div class="form-section-hdr" onclick="toggle(this)">Prayers <span>&#9660;</span></div>
+      <div class="form-section-body">
+        <p class="section-lock">Optional. A prayer left blank prints as its heading alone.</p>
+        <div class="fg"><label>Collect</label><textarea id="collectText" rows="3"></textarea></div>
+        <div class="fg"><label>Prayer of the Faithful — Intentions (separate intentions with blank lines)</label><textarea id="intentions" rows="5"></textarea></div>
+        <div class="fg"><label>People's Response</label><input type="text" id="intentionResponse" placeholder="Lord, hear our prayer."></div>
+        <div class="fg"><label>Prayer over the Offerings</label><textarea id="prayerOverOfferings" rows="3"></textarea></div>
+        <div class="fg"><label>Prayer after Communion</label><textarea id="prayerAfterCommunion" rows="3"></textarea></div>
+      </div>
+    </div>
+
+    <!-- RITE INSERTS -->
+    <div class="form-section" id="section-rites">
+      <div class="form-section-hdr" onclick="toggle(this)">Rite Inserts <span>&#9660;</span></div>
+      <div class="form-section-body">
+        <p class="section-lock">Sacraments and blessings celebrated within this Mass. Each prints at its place in the Order of Mass, with its own music.</p>
+        ${riteInsertFields()}
+      </div>
+    </div>
+
+    <!-- HOLY WEEK -->
+    <div class="form-section" id="section-holy-week">
+      <div class="form-section-hdr" onclick="toggle(this)">Holy Week <span>&#9660;</span></div>
+      <div class="form-section-body">
+        <p class="section-lock">Palm Sunday, Holy Thursday, Good Friday and the Easter Vigil print their own liturgy, picked from the date. <span id="holyWeekDetected"></span></p>
+        <div class="fg">
+          <label>Liturgy</label>
+          <select id="holyWeekLiturgy" onchange="updateHolyWeekUI(); onSeasonChange()">
+            <option value="">Automatic — from the date</option>
+            <option value="none">Sunday Mass</option>
+            ${Object.entries(HOLY_WEEK).map(([id, hw]) => `<option value="${id}">${hw.name}</option>`).join('')}
+          </select>
+        </div>
+        ${holyWeekMusicFields()}
       </div>
     </div>
 
@@ -1904,7 +2312,7 @@ nav .btn-outline:hover { color: var(--white); border-color: var(--gold-light); b
           <div class="fg"><label>Phone</label><input type="text" id="s_parishPhone"></div>
           <div class="fg"><label>Website URL</label><input type="text" id="s_parishUrl"></div>
         </div>
-        <div class="fg"><label>Mass Times (one per line — appears on cover)</label>
+        <div class="fg"><label>Mass Times (one per line — appears on cover; each Mass gets its own music in the editor)</label>
           <textarea id="s_massTimes" rows="3" placeholder="Sat Vigil — 5:00 PM
 Sunday — 9:00 AM
 Sunday — 11:00 AM"></textarea>
@@ -1946,6 +2354,25 @@ Sunday — 11:00 AM"></textarea>
             <option value="latin">Latin (Sanctus)</option>
           </select>
         </div>
+        <div class="fg-row">
+          <div class="fg"><label>Default Kyrie Language</label>
+            <select id="s_defaultKyrieLanguage"><option value="english">English</option><option value="latin">Latin</option></select>
+          </div>
+          <div class="fg"><label>Default Gloria Language</label>
+            <select id="s_defaultGloriaLanguage"><option value="english">English</option><option value="latin">Latin</option></select>
+          </div>
+          <div class="fg"><label>Default Creed Language</label>
+            <select id="s_defaultCreedLanguage"><option value="english">English</option><option value="latin">Latin</option></select>
+          </div>
+        </div>
+        <div class="fg-row">
+          <div class="fg"><label>Default Lord's Prayer Language</label>
+            <select id="s_defaultLordsPrayerLanguage"><option value="english">English</option><option value="latin">Latin</option></select>
+          </div>
+          <div class="fg"><label>Default Lamb of God Language</label>
+            <select id="s_defaultLambOfGodLanguage"><option value="english">English</option><option value="latin">Latin</option></select>
+          </div>
+        </div>
       </div>
     </div>
     <div class="form-section"><div class="form-section-hdr">Cover Page — Persistent Branding</div>
@@ -1983,6 +2410,20 @@ Sunday — 11:00 AM"></textarea>
         <p style="font-size:11px;color:var(--gray);margin-top:4px;">When enabled, drafts must be submitted for review and approved by the pastor before they can be exported as PDF.</p>
       </div>
     </div>
+    <div class="form-section"><div class="form-section-hdr">Calendar</div>
+      <div class="form-section-body">
+        <div class="fg"><label>Bishops' Conference Calendar</label>
+          <select id="s_calendarProfile">
+            ${Object.entries(CALENDAR_PROFILES).map(([id, p]) => `<option value="${id}">${p.label}</option>`).join('')}
+          </select>
+        </div>
+        <p style="font-size:11px;color:var(--gray);margin-bottom:6px;">Sets the national feasts, when the Epiphany, the Ascension and All Souls are kept, and the holy days of obligation.</p>
+        <p style="font-size:11px;color:var(--gray);margin-bottom:6px;">The parish's own celebrations — its patronal feast, the dedication of its church — kept with the General Roman Calendar when the editor names a date. Edit as JSON; one object per celebration with fields: name, date ("MM-DD") or rule ({ "month": 10, "weekday": 0, "week": "last" }), rank (solemnity, feast, memorial, optionalMemorial), color (violet, rose, white, red, green) and displacesSunday (true or false).</p>
+        <div class="fg"><label>Celebrations (JSON)</label>
+          <textarea id="s_properCalendar" rows="8" style="font-family: monospace; font-size: 11px;"></textarea>
+        </div>
+      </div>
+    </div>
     <div class="form-section"><div class="form-section-hdr">Hymn Library (English only)</div>
       <div class="form-section-body">
         <p style="font-size:11px;color:var(--gray);margin-bottom:6px;">Music staff can search this catalog when filling in title fields. Edit as JSON; one object per hymn with fields: title, tune, composer, key, meter, source, notes.</p>
@@ -2070,6 +2511,10 @@ async function showApp() {
     const sr = await fetch('/api/settings');
     window._parishSettings = await sr.json();
   } catch(e) { window._parishSettings = {}; }
+  await loadMassSchedule();
+  renderMassControls();
+
+  await loadDesignThemes();
 
   // Load per-user preferences (booklet size, default Sanctus, etc.)
   // Persists for the user across sessions, drafts, and devices.
@@ -2131,17 +2576,17 @@ function handle401(res) {
   return true;
 }
 
-// Output design ('reimagined' | 'classic'). Tracked in a global so the
-// preview/export request bodies and buildData() all agree.
+// Output design id: 'reimagined', 'classic' or a parish theme. Tracked in
+// a global so the preview/export request bodies and buildData() all agree.
 window._currentDesign = 'reimagined';
+window._designIds = ['reimagined', 'classic'];
 function getSelectedDesign() { return window._currentDesign || 'reimagined'; }
 function setDesign(design, opts) {
   opts = opts || {};
-  design = (design === 'classic') ? 'classic' : 'reimagined';
+  if (window._designIds.indexOf(design) === -1) design = 'reimagined';
   window._currentDesign = design;
-  ['reimagined', 'classic'].forEach(function(d) {
-    const el = document.getElementById('design-opt-' + d);
-    if (el) el.classList.toggle('active', d === design);
+  document.querySelectorAll('.design-opt').forEach(function(el) {
+    el.classList.toggle('active', el.id === 'design-opt-' + design);
   });
   if (!opts.skipSave) saveUserPrefs({ design: design });
   // Re-render the preview if one is already showing so the switch is instant.
@@ -2151,6 +2596,31 @@ function setDesign(design, opts) {
   }
 }
 
+// Add the parish themes to the design switcher (the built-ins are in the
+// markup). A theme deleted since a draft or pref picked it falls back to
+// reimagined in setDesign().
+async function loadDesignThemes() {
+  try {
+    const res = await fetch('/api/themes');
+    if (!res.ok) return;
+    const themes = (await res.json()).themes || [];
+    const sw = document.querySelector('.design-switch');
+    sw.querySelectorAll('.design-opt.custom').forEach(function(el) { el.remove(); });
+    window._designIds = ['reimagined', 'classic'];
+    themes.filter(function(t) { return !t.builtIn; }).forEach(function(t) {
+      window._designIds.push(t.id);
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.id = 'design-opt-' + t.id;
+      btn.className = 'design-opt custom' + (t.id === getSelectedDesign() ? ' active' : '');
+      btn.setAttribute('onclick', "setDesign('" + jsq(t.id) + "')");
+      btn.innerHTML = '<span class="design-opt-name">' + esc(t.name) + '</span>' +
+        '<span class="design-opt-desc">Parish theme based on ' + (t.base === 'classic' ? 'Classic' : 'Reimagined') + '</span>';
+      sw.appendChild(btn);
+    });
+  } catch (e) { /* the built-in designs still work */ }
+}
+
 // Save the user's per-user prefs in the background.  Fire-and-forget; no UI
 // signal needed because the field already shows what was selected.
 async function saveUserPrefs(patch) {
@@ -2226,6 +2696,14 @@ function applyRolePermissions() {
   // Readings: only pastor, admin, staff
   const readingsSection = document.getElementById('section-readings');
   if (readingsSection) readingsSection.classList.toggle('disabled', !hasRole('edit_readings'));
+  const prayersSection = document.getElementById('section-prayers');
+  if (prayersSection) prayersSection.classList.toggle('disabled', !hasRole('edit_readings'));
+  const ritesSection = document.getElementById('section-rites');
+  if (ritesSection) ritesSection.classList.toggle('disabled', !hasRole('edit_seasonal'));
+  const holyWeekSection = document.getElementById('section-holy-week');
+  if (holyWeekSection) holyWeekSection.classList.toggle('disabled', !hasRole('edit_seasonal'));
+  const celebrationSection = document.getElementById('section-celebration');
+  if (celebrationSection) celebrationSection.classList.toggle('disabled', !hasRole('edit_seasonal'));
 
   // Seasonal: music_director, admin, staff
   const seasonalSection = document.getElementById('section-seasonal');
@@ -2281,17 +2759,326 @@ function esc(s) { const d = document.createElement('div'); d.textContent = s ||
 function jsq(s) { return String(s || '').replace(/\\\\/g, '\\\\\\\\').replace(/'/g, "\\\\'"); }
 function v(id) { const el = document.getElementById(id); return el ? el.value.trim() : ''; }
 function ch(id) { const el = document.getElementById(id); return el ? el.checked : false; }
+// Ordinary-part language selects and the parish default each falls back to.
+const ORDINARY_LANGUAGE_FIELDS = [
+  ['kyrieLanguage', 'defaultKyrieLanguage'],
+  ['gloriaLanguage', 'defaultGloriaLanguage'],
+  ['creedLanguage', 'defaultCreedLanguage'],
+  ['holyHolyLanguage', 'defaultSanctusLanguage'],
+  ['lordsPrayerLanguage', 'defaultLordsPrayerLanguage'],
+  ['lambOfGodLanguage', 'defaultLambOfGodLanguage']
+];
+function ordinaryLanguagesFromForm() {
+  const out = {};
+  ORDINARY_LANGUAGE_FIELDS.forEach(([id]) => { out[id] = v(id) || 'english'; });
+  return out;
+}
 function sv(id, val) { const el = document.getElementById(id); if (el) el.value = val || ''; }
 function sc(id, val) { const el = document.getElementById(id); if (el) el.checked = !!val; }
 
+// Rite inserts: id -> its music slots (config/rite-inserts.js). Each checked
+// insert is saved with the title + composer typed for its slots.
+const RITE_INSERT_SLOTS = ${JSON.stringify(Object.fromEntries(Object.entries(RITE_INSERTS).map(([id, rite]) => [id, rite.parts.flat().filter(i => i.music).map(i => i.music)])))};
+function riteInsertsFromForm() {
+  return Object.keys(RITE_INSERT_SLOTS).filter(id => ch('rite_' + id)).map(id => {
+    const music = {};
+    RITE_INSERT_SLOTS[id].forEach(slot => {
+      if (v('riteMusic_' + slot)) music[slot] = { title: v('riteMusic_' + slot), composer: v('riteMusic_' + slot + 'Composer') };
+    });
+    return { id, music };
+  });
+}
+function riteInsertsToForm(list) {
+  const byId = {};
+  (list || []).forEach(entry => { byId[entry.id] = entry; });
+  Object.keys(RITE_INSERT_SLOTS).forEach(id => {
+    const entry = byId[id];
+    sc('rite_' + id, !!entry);
+    RITE_INSERT_SLOTS[id].forEach(slot => {
+      const m = (entry && entry.music && entry.music[slot]) || {};
+      sv('riteMusic_' + slot, m.title);
+      sv('riteMusic_' + slot + 'Composer', m.composer);
+    });
+  });
+}
+
+// Holy Week: the liturgy the calendar gives the date (set from
+// /api/liturgical-info), the one chosen in the form, and the music for
+// each liturgy's slots (config/holy-week.js). Only the effective liturgy's
+// readings and music fields show.
+const HOLY_WEEK_SLOTS = ${JSON.stringify(Object.fromEntries(Object.entries(HOLY_WEEK).map(([id, hw]) => [id, hw.inserts.flatMap(i => i.parts.flat()).filter(i => i.music).map(i => i.music)])))};
+const HOLY_WEEK_NAMES = ${JSON.stringify(Object.fromEntries(Object.entries(HOLY_WEEK).map(([id, hw]) => [id, hw.name])))};
+window._detectedHolyWeek = null;
+function effectiveHolyWeek() {
+  const chosen = v('holyWeekLiturgy');
+  if (chosen === 'none') return null;
+  return chosen || window._detectedHolyWeek || null;
+}
+// Records the date's Holy Week liturgy; true when it changed.
+function setDetectedHolyWeek(id) {
+  const changed = (id || null) !== window._detectedHolyWeek;
+  window._detectedHolyWeek = id || null;
+  updateHolyWeekUI();
+  return changed;
+}
+function updateHolyWeekUI() {
+  const hw = effectiveHolyWeek();
+  Object.keys(HOLY_WEEK_SLOTS).forEach(id => {
+    const el = document.getElementById('hwGroup_' + id);
+    if (el) el.style.display = id === hw ? '' : 'none';
+  });
+  const palm = document.getElementById('hwReadings_palmSunday');
+  if (palm) palm.style.display = hw === 'palmSunday' ? '' : 'none';
+  const vigil = document.getElementById('hwReadings_easterVigil');
+  if (vigil) vigil.style.display = hw === 'easterVigil' ? '' : 'none';
+  const note = document.getElementById('holyWeekDetected');
+  if (note) note.textContent = window._detectedHolyWeek ? 'This date: ' + HOLY_WEEK_NAMES[window._detectedHolyWeek] + '.' : '';
+}
+function holyWeekFromForm() {
+  const music = {};
+  Object.values(HOLY_WEEK_SLOTS).flat().forEach(slot => {
+    if (v('hwMusic_' + slot)) music[slot] = { title: v('hwMusic_' + slot), composer: v('hwMusic_' + slot + 'Composer') };
+  });
+  return { ...(v('holyWeekLiturgy') ? { liturgy: v('holyWeekLiturgy') } : {}), music };
+}
+function holyWeekToForm(hw) {
+  hw = hw || {};
+  sv('holyWeekLiturgy', hw.liturgy || '');
+  Object.values(HOLY_WEEK_SLOTS).flat().forEach(slot => {
+    const m = (hw.music || {})[slot] || {};
+    sv('hwMusic_' + slot, m.title);
+    sv('hwMusic_' + slot + 'Composer', m.composer);
+  });
+  updateHolyWeekUI();
+}
+// Weddings and funerals: the chosen celebration's questionnaire
+// (config/celebrations.js). The feast name follows the names until the
+// user types one, and the photo is the cover's notation slot.
+const CELEBRATION_RITES = ${JSON.stringify(Object.fromEntries(Object.entries(CELEBRATIONS).map(([id, c]) => [id, c.rite])))};
+const CELEBRATION_MINISTERS = ${JSON.stringify(MINISTER_ROLES)};
+const CELEBRATION_MUSIC = ${JSON.stringify(Object.keys(CELEBRATION_MUSIC_SLOTS))};
+const CELEBRATION_PSALMS = ${JSON.stringify(Object.fromEntries(Object.values(RITUAL_READINGS).flatMap(r => r.psalm).map(p => [p.citation, p.refrain])))};
+const CELEBRATION_READING_FIELDS = { first: 'firstReadingCitation', psalm: 'psalmCitation', second: 'secondReadingCitation', gospel: 'gospelCitation' };
+function celebrationRite() {
+  return CELEBRATION_RITES[v('celebrationType')] || null;
+}
+// Leaflets (config/leaflets.js): 2 or 4 pages in place of the booklet
+// lengths, the leaflet's own options, and its rank's season defaults — the
+// date's rank (from /api/liturgical-info) unless the user picks one.
+let _detectedRank = null;
+function leafletRank() {
+  return v('format') === 'leaflet' ? (v('leafletRank') || _detectedRank || 'weekday') : '';
+}
+function updateFormatUI() {
+  const leaflet = v('format') === 'leaflet';
+  const fields = document.getElementById('leafletFields');
+  if (fields) fields.style.display = leaflet ? '' : 'none';
+  document.querySelectorAll('#pageCount .leaflet-length').forEach(o => { o.hidden = !leaflet; });
+  document.querySelectorAll('#pageCount .booklet-length').forEach(o => { o.hidden = leaflet; });
+}
+async function onFormatChange() {
+  const leaflet = v('format') === 'leaflet';
+  sv('pageCount', leaflet ? (leafletRank() === 'weekday' ? '2' : '4') : '8');
+  // A leaflet has no room for paste-in music areas unless asked for.
+  sc('reserveHymnSpace', !leaflet);
+  updateFormatUI();
+  await updateLeafletMass();
+  await onSeasonChange();
+}
+function leafletFromForm() {
+  const creed = v('leafletCreed');
+  return {
+    massTime: v('leafletMassTime'),
+    ...(v('leafletRank') ? { rank: v('leafletRank') } : {}),
+    ...(creed ? { creed: creed === 'true' } : {})
+  };
+}
+function updateCelebrationUI() {
+  const rite = celebrationRite();
+  const fields = document.getElementById('celFields');
+  if (fields) fields.style.display = rite ? '' : 'none';
+  ['wedding', 'funeral'].forEach(id => {
+    const el = document.getElementById('celGroup_' + id);
+    if (el) el.style.display = id === rite ? '' : 'none';
+  });
+  const label = document.getElementById('celName1Label');
+  if (label) label.textContent = rite === 'funeral' ? 'Name of the deceased' : 'Bride';
+  const name2 = document.getElementById('celName2Row');
+  if (name2) name2.style.display = rite === 'funeral' ? 'none' : '';
+  const lifeDates = document.getElementById('celLifeDates');
+  if (lifeDates) lifeDates.style.display = rite === 'funeral' ? '' : 'none';
+  const roles = Object.assign({}, ...Object.values(CELEBRATION_MINISTERS));
+  Object.keys(roles).forEach(field => {
+    const row = document.getElementById('celMinisterRow_' + field);
+    if (row) row.style.display = rite && CELEBRATION_MINISTERS[rite][field] ? '' : 'none';
+  });
+  fillCelebrationFeastName();
+}
+function celebrationNames() {
+  const names = [v('celName1')];
+  if (celebrationRite() !== 'funeral') names.push(v('celName2'));
+  return names.map(n => n.trim()).filter(Boolean);
+}
+// A name the user typed (dataset.userSet) is kept, as with the date.
+function fillCelebrationFeastName() {
+  const feastEl = document.getElementById('feastName');
+  const rite = celebrationRite();
+  const names = celebrationNames();
+  if (!rite || !names.length || !feastEl || feastEl.dataset.userSet === '1') return;
+  feastEl.value = rite === 'funeral' ? 'Funeral Mass for ' + names[0] : 'Wedding of ' + names.join(' & ');
+}
+// A reading picked from the rite's options fills its citation (and the
+// psalm's refrain); the texts are pasted under Readings.
+function applyCelebrationReading(part, citation) {
+  if (!citation) return;
+  sv(CELEBRATION_READING_FIELDS[part], citation);
+  if (part === 'psalm') sv('psalmRefrain', CELEBRATION_PSALMS[citation] || '');
+}
+function celebrationFromForm() {
+  const rite = celebrationRite();
+  if (!rite) return undefined;
+  const ministers = {};
+  Object.keys(CELEBRATION_MINISTERS[rite]).forEach(field => {
+    if (v('celMinister_' + field)) ministers[field] = v('celMinister_' + field);
+  });
+  const readings = {};
+  Object.keys(CELEBRATION_READING_FIELDS).forEach(part => {
+    if (v('celReading_' + rite + '_' + part)) readings[part] = v('celReading_' + rite + '_' + part);
+  });
+  const music = {};
+  CELEBRATION_MUSIC.forEach(slot => {
+    if (v('celMusic_' + slot)) music[slot] = { title: v('celMusic_' + slot), composer: v('celMusic_' + slot + 'Composer') };
+  });
+  return {
+    names: celebrationNames(),
+    ...(rite === 'funeral' && v('celBorn') ? { born: v('celBorn') } : {}),
+    ...(rite === 'funeral' && v('celDied') ? { died: v('celDied') } : {}),
+    ...(v('celTime') ? { time: v('celTime') } : {}),
+    ministers, readings, music
+  };
+}
+function celebrationToForm(type, c) {
+  c = c || {};
+  sv('celebrationType', CELEBRATION_RITES[type] ? type : 'sunday');
+  const names = c.names || [];
+  sv('celName1', names[0]);
+  sv('celName2', names[1]);
+  sv('celBorn', c.born);
+  sv('celDied', c.died);
+  sv('celTime', c.time);
+  Object.keys(Object.assign({}, ...Object.values(CELEBRATION_MINISTERS))).forEach(field => sv('celMinister_' + field, (c.ministers || {})[field]));
+  ['wedding', 'funeral'].forEach(rite => Object.keys(CELEBRATION_READING_FIELDS).forEach(part => {
+    sv('celReading_' + rite + '_' + part, rite === CELEBRATION_RITES[type] ? (c.readings || {})[part] : '');
+  }));
+  CELEBRATION_MUSIC.forEach(slot => {
+    const m = (c.music || {})[slot] || {};
+    sv('celMusic_' + slot, m.title);
+    sv('celMusic_' + slot + 'Composer', m.composer);
+  });
+  updateCelebrationUI();
+}
+async function uploadCelebrationPhoto(input) {
+  if (!input.files || !input.files[0]) return;
+  if (!_sessionToken) {
+    toast('You are signed out — please log in to upload a photo.', 'error');
+    showLogin(); input.value = ''; return;
+  }
+  if (uploadTooLarge(input.files[0])) { input.value = ''; return; }
+  const formData = new FormData();
+  formData.append('image', input.files[0]);
+  try {
+    const res = await fetch('/api/upload/cover', { method: 'POST', headers: { 'x-session-token': _sessionToken }, body: formData });
+    if (handle401(res)) return;
+    const data = await res.json();
+    if (!res.ok) { toast(data.error || 'Upload failed', 'error'); return; }
+    attachNotation('${PHOTO_SLOT}', data.url);
+    toast('Photo uploaded', 'success');
+  } catch (e) {
+    toast('Upload error: ' + e.message, 'error');
+  } finally {
+    input.value = '';
+  }
+}
+const VIGIL_READING_FIELDS = ['citation', 'text', 'psalmCitation', 'psalmRefrain', 'psalmVerses'];
+function vigilReadingsFromForm() {
+  const list = [];
+  for (let i = 1; i <= 7; i++) {
+    const entry = {};
+    VIGIL_READING_FIELDS.forEach(f => { if (v('vigil' + i + '_' + f)) entry[f] = v('vigil' + i + '_' + f); });
+    if (Object.keys(entry).length) list.push(entry);
+  }
+  return list;
+}
+function vigilReadingsToForm(list) {
+  for (let i = 1; i <= 7; i++) {
+    const entry = (list || [])[i - 1] || {};
+    VIGIL_READING_FIELDS.forEach(f => sv('vigil' + i + '_' + f, entry[f]));
+  }
+}
+
+// --- Masses: the parish schedule comes from /api/mass-schedule (parsed from
+// the massTimes setting); a loaded draft keeps the Mass list it was saved
+// with so a later schedule change never orphans its music. The default
+// schedule and the block key come from music-formatter.js.
+const DEFAULT_MASSES = ${JSON.stringify(DEFAULT_MASSES)};
+let _draftMasses = null;
+// A leaflet prints for one Mass: its time, parsed by the server like a line
+// of the schedule, stands in for the Mass list (null when none is typed or
+// it doesn't parse — the leaflet then prints for the first Mass).
+let _leafletMass = null;
+
+function currentMasses() {
+  if (_leafletMass) return [_leafletMass];
+  return _draftMasses || window._massSchedule || DEFAULT_MASSES;
+}
+
+function massesOf(data) {
+  return (data && Array.isArray(data.masses) && data.masses.length) ? data.masses : currentMasses();
+}
+
+// Per-Mass music block field for a Mass key: 'sat5pm' → 'musicSat5pm'.
+const massBlockKey = ${musicBlockKey};
+
+async function loadMassSchedule() {
+  try {
+    const res = await fetch('/api/mass-schedule');
+    if (res.ok) window._massSchedule = (await res.json()).masses;
+  } catch (e) { /* keep the previous (or default) schedule */ }
+}
+
+async function updateLeafletMass() {
+  const time = v('format') === 'leaflet' ? v('leafletMassTime').trim() : '';
+  _leafletMass = null;
+  if (time) {
+    try {
+      const res = await fetch('/api/mass-schedule?massTimes=' + encodeURIComponent(time));
+      if (res.ok) _leafletMass = (await res.json()).masses[0] || null;
+    } catch (e) { /* print for the first Mass */ }
+  }
+  renderMassControls();
+}
+
+// Rebuild every per-Mass control (anthem Mass checkboxes, Children's Liturgy
+// times) for the current Mass list, keeping what's already entered.
+function renderMassControls() {
+  renderAnthemRows('offertory', collectAnthems('offertory'), 2);
+  renderAnthemRows('choral', collectAnthems('choral'), 1);
+  const clTimes = collectChildrenLiturgyTimes();
+  renderChildrenLiturgyTimeBoxes();
+  applyChildrenLiturgyTimes(clTimes);
+}
+
+function renderChildrenLiturgyTimeBoxes() {
+  const box = document.querySelector('.children-liturgy-times');
+  if (!box) return;
+  box.innerHTML = currentMasses().map(m =>
+    '<label class="fg-check"><input type="checkbox" class="cl-time" value="' + esc(m.label) + '"> ' + esc(m.label) + '</label>'
+  ).join('');
+}
+
 // --- Anthems: one Offertory list + one Choral list, each anthem tagged with
 // the Masses where it's sung (UAT June 2026 — no more retyping the same
-// anthem into three per-Mass dropdowns).
-const ANTHEM_MASSES = [
-  ['sat5pm',  'Sat 5:00 PM'],
-  ['sun9am',  'Sun 9:00 AM'],
-  ['sun11am', 'Sun 11:00 AM']
-];
+// anthem into every per-Mass dropdown).
 
 function addAnthemRow(slot, data) {
   const container = document.getElementById(slot === 'offertory' ? 'offertoryAnthemRows' : 'choralAnthemRows');
@@ -2306,8 +3093,8 @@ function addAnthemRow(slot, data) {
       '<input type="text" class="anthem-composer" placeholder="Composer">' +
     '</div>' +
     '<div class="anthem-masses">' +
-      ANTHEM_MASSES.map(([key, label]) =>
-        '<label><input type="checkbox" class="anthem-mass" value="' + key + '"' + (masses.has(key) ? ' checked' : '') + '> ' + label + '</label>'
+      currentMasses().map(m =>
+        '<label><input type="checkbox" class="anthem-mass" value="' + m.key + '"' + (masses.has(m.key) ? ' checked' : '') + '> ' + esc(m.label) + '</label>'
       ).join('') +
       '<button type="button" class="anthem-remove" title="Remove this anthem" onclick="this.closest(\\'.anthem-row\\').remove()">&times;</button>' +
     '</div>';
@@ -2350,10 +3137,9 @@ function anthemFieldsForMass(rows, massKey) {
 // Reconstruct anthem rows from a draft's per-Mass blocks (legacy drafts and
 // any draft saved before the anthems field existed).
 function anthemRowsFromBlocks(data, titleField, composerField) {
-  const blockKeys = [['sat5pm', 'musicSat5pm'], ['sun9am', 'musicSun9am'], ['sun11am', 'musicSun11am']];
   const map = new Map();
-  blockKeys.forEach(([massKey, blockKey]) => {
-    const block = (data && data[blockKey]) || {};
+  massesOf(data).forEach(({ key: massKey }) => {
+    const block = (data && data[massBlockKey(massKey)]) || {};
     const title = (block[titleField] || '').trim();
     if (!title) return;
     const composer = (block[composerField] || '').trim();
@@ -2367,7 +3153,7 @@ function anthemRowsFromBlocks(data, titleField, composerField) {
 function buildMusicBlock(prefix, offertoryRows, choralRows) {
   // All shared values come from the Shared Music + Service Music sections
   // and are copied into every per-Mass block here so the saved-draft schema
-  // (musicSat5pm / musicSun9am / musicSun11am) stays the same — this keeps
+  // (one musicSat5pm / musicSun9am / ... block per Mass) stays the same — this keeps
   // the renderer's consolidation logic happy and means legacy drafts open
   // cleanly. Anthems come from the anthem rows filtered to this Mass.
   const off = anthemFieldsForMass(offertoryRows, prefix);
@@ -2381,6 +3167,8 @@ function buildMusicBlock(prefix, offertoryRows, choralRows) {
     processionalOrEntranceHymnNumber: v('shared_processional_hymnNumber'),
     kyrieSetting: v('shared_kyrie'),
     kyrieComposer: v('shared_kyrieComposer'),
+    sequenceSetting: v('shared_sequence'),
+    sequenceComposer: v('shared_sequenceComposer'),
     responsorialPsalmSetting: v('shared_responsorialPsalm'),
     responsorialPsalmSettingComposer: v('shared_responsorialPsalmComposer'),
     offertoryAnthem: off.title,
@@ -2405,8 +3193,8 @@ function buildMusicBlock(prefix, offertoryRows, choralRows) {
 // value across blocks for shared slots; new drafts will have it on Sat).
 function populateSharedMusic(data) {
   function pickFromBlocks(field) {
-    for (const key of ['musicSat5pm', 'musicSun9am', 'musicSun11am']) {
-      const value = data && data[key] && data[key][field];
+    for (const mass of massesOf(data)) {
+      const value = data && data[massBlockKey(mass.key)] && data[massBlockKey(mass.key)][field];
       if (value) return value;
     }
     return '';
@@ -2419,6 +3207,8 @@ function populateSharedMusic(data) {
   sv('shared_processional_hymnNumber', pickFromBlocks('processionalOrEntranceHymnNumber'));
   sv('shared_kyrie',                pickFromBlocks('kyrieSetting'));
   sv('shared_kyrieComposer',        pickFromBlocks('kyrieComposer'));
+  sv('shared_sequence',             pickFromBlocks('sequenceSetting'));
+  sv('shared_sequenceComposer',     pickFromBlocks('sequenceComposer'));
   sv('shared_responsorialPsalm',         pickFromBlocks('responsorialPsalmSetting'));
   sv('shared_responsorialPsalmComposer', pickFromBlocks('responsorialPsalmSettingComposer'));
   sv('shared_communion',            pickFromBlocks('communionHymn'));
@@ -2436,20 +3226,33 @@ function populateSharedMusic(data) {
 function buildData() {
   const offertoryRows = collectAnthems('offertory');
   const choralRows = collectAnthems('choral');
+  const masses = currentMasses();
+  const musicBlocks = {};
+  masses.forEach(m => { musicBlocks[massBlockKey(m.key)] = buildMusicBlock(m.key, offertoryRows, choralRows); });
   return {
     id: window._currentDraftId || undefined,
     feastName: v('feastName'),
     liturgicalDate: v('liturgicalDate'),
     liturgicalSeason: v('liturgicalSeason'),
+    lectionaryCycle: window._lectionaryCycle || undefined,
+    showLectionaryYear: ch('showLectionaryYear'),
+    liturgicalColor: v('liturgicalColor') || undefined,
     design: getSelectedDesign(),
+    format: v('format') || 'booklet',
+    leaflet: leafletFromForm(),
+    pageCount: v('pageCount') === 'auto' ? 'auto' : (Number(v('pageCount')) || 8),
+    language: v('language') || 'english',
+    bilingualLayout: v('bilingualLayout') || 'parallel',
     lastEditedBy: _currentUser ? _currentUser.displayName : undefined,
     seasonalSettings: {
       gloria: ch('gloria'),
       gloriaSetting: v('gloriaSetting'),
+      gloriaText: v('gloriaText') || 'notation',
       creedType: v('creedType'),
       entranceType: v('entranceType'),
       holyHolySetting: v('holyHolySetting'),
-      holyHolyLanguage: v('holyHolyLanguage') || 'english',
+      ...ordinaryLanguagesFromForm(),
+      latinTranslation: ch('latinTranslation'),
       mysteryOfFaithSetting: v('mysteryOfFaithSetting'),
       lambOfGodSetting: v('lambOfGodSetting'),
       penitentialAct: v('penitentialAct'),
@@ -2471,11 +3274,25 @@ function buildData() {
       gospelAcclamationReference: v('gospelAcclamationReference'),
       gospelAcclamationVerse: v('gospelAcclamationVerse'),
       gospelCitation: v('gospelCitation'),
-      gospelText: v('gospelText')
+      gospelText: v('gospelText'),
+      processionGospelCitation: v('processionGospelCitation'),
+      processionGospelText: v('processionGospelText'),
+      vigilReadings: vigilReadingsFromForm()
+    },
+    prayers: {
+      collect: v('collectText'),
+      intentions: v('intentions').split(/\\n\\s*\\n/).map(t => t.trim()).filter(Boolean),
+      response: v('intentionResponse'),
+      prayerOverOfferings: v('prayerOverOfferings'),
+      prayerAfterCommunion: v('prayerAfterCommunion')
     },
-    musicSat5pm: buildMusicBlock('sat5pm', offertoryRows, choralRows),
-    musicSun9am: buildMusicBlock('sun9am', offertoryRows, choralRows),
-    musicSun11am: buildMusicBlock('sun11am', offertoryRows, choralRows),
+    riteInserts: riteInsertsFromForm(),
+    holyWeek: holyWeekFromForm(),
+    celebrationType: v('celebrationType') || 'sunday',
+    celebration: celebrationFromForm(),
+    sequence: sequenceFromForm(),
+    masses: masses.map(m => ({ ...m })),
+    ...musicBlocks,
     anthems: { offertory: offertoryRows, choral: choralRows },
     reserveHymnSpace: ch('reserveHymnSpace'),
     serviceMusicCarryover: ch('serviceMusicCarryover'),
@@ -2498,6 +3315,20 @@ function populateForm(data) {
   // editing — reset the dirty flag so a fresh load won't be re-snapshotted.
   _editorDirty = false;
   window._currentDraftId = data.id || undefined;
+  // The draft's own Mass list (saved drafts are migrated server-side); data
+  // without one — the sample, a pasted JSON — follows the parish schedule.
+  _draftMasses = (Array.isArray(data.masses) && data.masses.length) ? data.masses : null;
+  // A leaflet's list is its one Mass; keep it for the leaflet only, so
+  // switching to a booklet brings back the parish schedule.
+  const leaflet = data.leaflet || {};
+  _leafletMass = data.format === 'leaflet' && _draftMasses ? _draftMasses[0] : null;
+  if (_leafletMass) _draftMasses = null;
+  sv('format', data.format === 'leaflet' ? 'leaflet' : 'booklet');
+  sv('leafletMassTime', leaflet.massTime);
+  sv('leafletRank', leaflet.rank || '');
+  sv('leafletCreed', typeof leaflet.creed === 'boolean' ? String(leaflet.creed) : '');
+  updateFormatUI();
+  renderChildrenLiturgyTimeBoxes();
   // A saved aid may carry its own design; otherwise keep the user's current
   // choice. Don't re-preview here — the caller drives that.
   if (data.design) setDesign(data.design, { skipSave: true, skipPreview: true });
@@ -2509,13 +3340,23 @@ function populateForm(data) {
   if (_feastEl) _feastEl.dataset.userSet = '';
   sv('liturgicalDate', data.liturgicalDate);
   sv('liturgicalSeason', data.liturgicalSeason);
+  setLectionaryCycle(data.lectionaryCycle);
+  sc('showLectionaryYear', data.showLectionaryYear === true);
+  sv('liturgicalColor', data.liturgicalColor || '');
+  sv('pageCount', String(data.pageCount || (data.format === 'leaflet' ? 4 : 8)));
+  sv('language', data.language || 'english');
+  sv('bilingualLayout', data.bilingualLayout || 'parallel');
   const ss = data.seasonalSettings || {};
   sc('gloria', ss.gloria);
   sv('gloriaSetting', ss.gloriaSetting);
+  sv('gloriaText', ss.gloriaText || 'notation');
   sv('creedType', ss.creedType);
   sv('entranceType', ss.entranceType);
   sv('holyHolySetting', ss.holyHolySetting);
-  sv('holyHolyLanguage', ss.holyHolyLanguage || (window._parishSettings && window._parishSettings.defaultSanctusLanguage) || 'english');
+  ORDINARY_LANGUAGE_FIELDS.forEach(([id, parishDefault]) => {
+    sv(id, ss[id] || (window._parishSettings && window._parishSettings[parishDefault]) || 'english');
+  });
+  sc('latinTranslation', !!ss.latinTranslation);
   sv('mysteryOfFaithSetting', ss.mysteryOfFaithSetting);
   sv('lambOfGodSetting', ss.lambOfGodSetting);
   sv('penitentialAct', ss.penitentialAct);
@@ -2539,6 +3380,19 @@ function populateForm(data) {
   sv('gospelAcclamationVerse', r.gospelAcclamationVerse);
   sv('gospelCitation', r.gospelCitation);
   sv('gospelText', r.gospelText);
+  sv('processionGospelCitation', r.processionGospelCitation);
+  sv('processionGospelText', r.processionGospelText);
+  vigilReadingsToForm(r.vigilReadings);
+  const pr = data.prayers || {};
+  sv('collectText', pr.collect);
+  sv('intentions', (pr.intentions || []).join('\\n\\n'));
+  sv('intentionResponse', pr.response);
+  sv('prayerOverOfferings', pr.prayerOverOfferings);
+  sv('prayerAfterCommunion', pr.prayerAfterCommunion);
+  riteInsertsToForm(data.riteInserts);
+  holyWeekToForm(data.holyWeek);
+  celebrationToForm(data.celebrationType, data.celebration);
+  sequenceToForm(data.sequence);
   // Anthems: prefer the structured anthem lists; reconstruct from the
   // per-Mass blocks for drafts saved before the anthems field existed.
   const anthems = data.anthems || {};
@@ -2561,7 +3415,7 @@ function populateForm(data) {
   sc('serviceMusicCarryover', !!data.serviceMusicCarryover);
   updateServiceMusicVisibility();
   // Default ON for drafts saved before the field existed.
-  sc('reserveHymnSpace', data.reserveHymnSpace !== false);
+  sc('reserveHymnSpace', data.format === 'leaflet' ? data.reserveHymnSpace === true : data.reserveHymnSpace !== false);
   sc('childrenLiturgyEnabled', data.childrenLiturgyEnabled);
   // If the saved doc carries an explicit value, respect it; otherwise the
   // load is a no-op and auto-defaults will run on date/season change.
@@ -2599,6 +3453,44 @@ function populateForm(data) {
   }
 }
 
+// The Sequence the calendar gives the date ({ id, optional } from
+// /api/liturgical-info, or null). Its row in Shared Music shows only on
+// those days; the choice is Automatic (printed unless optional), print or
+// leave out.
+const SEQUENCE_NAMES = ${JSON.stringify(Object.fromEntries(Object.entries(SEQUENCES).map(([id, seq]) => [id, seq.name])))};
+window._detectedSequence = null;
+// The Lectionary cycles of the date, from /api/liturgical-info: saved
+// with the draft and shown beside the cover checkbox.
+function setLectionaryCycle(cycle) {
+  window._lectionaryCycle = cycle || null;
+  const note = document.getElementById('lectionaryCycleNote');
+  if (note) note.textContent = cycle ? '(Year ' + cycle.sunday + ' · weekday Year ' + cycle.weekday + ')' : '';
+}
+// The date's liturgical color, named in the color selector's first option.
+function setDetectedColor(color) {
+  const opt = document.querySelector('#liturgicalColor option[value=""]');
+  if (opt) opt.textContent = color ? 'From the date (' + color + ')' : 'From the date';
+}
+function setDetectedSequence(seq) {
+  window._detectedSequence = seq || null;
+  updateSequenceUI();
+}
+function updateSequenceUI() {
+  const seq = window._detectedSequence;
+  const row = document.getElementById('sequenceRow');
+  if (row) row.style.display = seq ? '' : 'none';
+  const note = document.getElementById('sequenceDetected');
+  if (note) note.textContent = seq ? SEQUENCE_NAMES[seq.id] + (seq.optional ? ' — optional during the Easter octave' : ' — printed on this day') : '';
+}
+function sequenceFromForm() {
+  const include = v('sequenceInclude');
+  return include ? { include: include === 'yes' } : {};
+}
+function sequenceToForm(seq) {
+  const include = (seq || {}).include;
+  sv('sequenceInclude', include === undefined ? '' : include ? 'yes' : 'no');
+}
+
 // Re-derive the liturgical season + feast name from the current date and
 // apply them.  Used both when the user changes the date and when loading
 // a saved draft.  By default the feast name is filled only when empty,
@@ -2612,6 +3504,10 @@ async function reconcileSeasonAndFeastFromDate(opts) {
     if (r.ok) info = await r.json();
   } catch (e) { /* network blip — leave fields alone */ }
   if (!info) return;
+  setDetectedHolyWeek(info.holyWeek);
+  setDetectedSequence(info.sequence);
+  setLectionaryCycle(info.lectionaryCycle);
+  setDetectedColor(info.color);
   const seasonSel = document.getElementById('liturgicalSeason');
   if (info.liturgicalSeason && seasonSel && seasonSel.value !== info.liturgicalSeason) {
     seasonSel.value = info.liturgicalSeason;
@@ -2632,7 +3528,9 @@ async function reconcileSeasonAndFeastFromDate(opts) {
 async function onSeasonChange() {
   const season = v('liturgicalSeason');
   try {
-    const res = await fetch('/api/season-defaults/' + season);
+    const hw = effectiveHolyWeek();
+    const params = [hw ? 'holyWeek=' + hw : '', celebrationRite() ? 'celebration=' + v('celebrationType') : '', leafletRank() ? 'rank=' + leafletRank() : ''].filter(Boolean);
+    const res = await fetch('/api/season-defaults/' + season + (params.length ? '?' + params.join('&') : ''));
     const defaults = await res.json();
     sc('gloria', defaults.gloria);
     sv('creedType', defaults.creedType);
@@ -2643,11 +3541,12 @@ async function onSeasonChange() {
     sv('penitentialAct', defaults.penitentialAct);
     sc('includePostlude', defaults.includePostlude !== false);
     sc('adventWreath', !!defaults.adventWreath);
-    // Sanctus language: respect user override; otherwise fall back to parish default.
-    const sanctusEl = document.getElementById('holyHolyLanguage');
-    if (sanctusEl && !sanctusEl.dataset.userSet) {
-      sanctusEl.value = (window._parishSettings && window._parishSettings.defaultSanctusLanguage) || 'english';
-    }
+    // Ordinary languages: respect user overrides; otherwise fall back to the
+    // parish defaults.
+    ORDINARY_LANGUAGE_FIELDS.forEach(([id, parishDefault]) => {
+      const el = document.getElementById(id);
+      if (el && !el.dataset.userSet) el.value = (window._parishSettings && window._parishSettings[parishDefault]) || 'english';
+    });
     updateSeasonUI();
     applyChildrenLiturgyAutoDefault();
     toast('Season defaults applied: ' + season, 'success');
@@ -2856,12 +3755,22 @@ async function onLiturgicalDateChange() {
   } catch (e) { /* fall back to local season detection */ }
   const detected = (info && info.liturgicalSeason) || detectLiturgicalSeason(date);
   const seasonSel = document.getElementById('liturgicalSeason');
+  // A Holy Week day brings its own defaults (the Gloria on Holy Thursday)
+  // even within the same season.
+  const holyWeekChanged = setDetectedHolyWeek(info && info.holyWeek);
+  setDetectedSequence(info && info.sequence);
+  setLectionaryCycle(info && info.lectionaryCycle);
+  setDetectedColor(info && info.color);
+  // A leaflet's defaults follow the day's rank, so a new rank re-applies
+  // them as a new season does.
+  const rankChanged = v('format') === 'leaflet' && !v('leafletRank') && (info && info.rank) !== _detectedRank;
+  _detectedRank = (info && info.rank) || null;
   // Liturgical season ALWAYS tracks the date — even if the field already
   // has a value.  We still only run onSeasonChange (which resets seasonal
   // defaults) when the season actually changes, so manual seasonal
   // overrides aren't clobbered on every date tweak.
   if (detected && seasonSel) {
-    if (seasonSel.value !== detected) {
+    if (seasonSel.value !== detected || holyWeekChanged || rankChanged) {
       seasonSel.value = detected;
       await onSeasonChange(); // applies seasonal defaults + cascades to children's liturgy
     } else {
@@ -2877,7 +3786,7 @@ async function onLiturgicalDateChange() {
   // name. A name the user actually typed (dataset.userSet, set by the
   // field's oninput) is preserved until they clear the field.
   const feastEl = document.getElementById('feastName');
-  if (info && info.feastName && feastEl && feastEl.dataset.userSet !== '1') {
+  if (info && info.feastName && feastEl && feastEl.dataset.userSet !== '1' && !celebrationRite()) {
     feastEl.value = info.feastName;
   }
   autoFetchReadingsIfEmpty();
@@ -2893,6 +3802,8 @@ function autoFetchReadingsIfEmpty() {
   const anyFilled = fields.some(id => v(id));
   if (anyFilled) return;
   if (!v('liturgicalDate')) return;
+  // A wedding's or funeral's readings are the family's, not the day's.
+  if (celebrationRite()) return;
   fetchReadingsFromUsccb({ silent: true });
 }
 
@@ -3224,7 +4135,12 @@ const NOTATION_SLOT_LABELS = {
   mysteryOfFaith: 'Mystery of Faith',
   lambOfGod: 'Lamb of God',
   psalmRefrain: 'Psalm Refrain',
-  gospelAcclamation: 'Gospel Acclamation'
+  gospelAcclamation: 'Gospel Acclamation',
+  sequence: 'Sequence',
+  ...${JSON.stringify(RITE_MUSIC_SLOTS)},
+  ...${JSON.stringify(HOLY_WEEK_MUSIC_SLOTS)},
+  ...${JSON.stringify(CELEBRATION_MUSIC_SLOTS)},
+  ${PHOTO_SLOT}: 'Cover Photo'
 };
 
 // Library attachment kind -> notation slot (for ordering library files
@@ -3439,13 +4355,15 @@ async function applyServiceMusicCarryover(opts) {
     const d = await dres.json();
     const ss = d.seasonalSettings || {};
     sv('gloriaSetting', ss.gloriaSetting);
+    if (ss.gloriaText) sv('gloriaText', ss.gloriaText);
     sv('holyHolySetting', ss.holyHolySetting);
-    sv('holyHolyLanguage', ss.holyHolyLanguage || 'english');
+    ORDINARY_LANGUAGE_FIELDS.forEach(([id]) => sv(id, ss[id] || 'english'));
+    sc('latinTranslation', !!ss.latinTranslation);
     sv('mysteryOfFaithSetting', ss.mysteryOfFaithSetting);
     sv('lambOfGodSetting', ss.lambOfGodSetting);
     if (ss.penitentialAct) sv('penitentialAct', ss.penitentialAct);
     // Kyrie lives in the per-Mass blocks (same at every Mass).
-    const blocks = [d.musicSat5pm, d.musicSun9am, d.musicSun11am].filter(Boolean);
+    const blocks = massesOf(d).map(m => d[massBlockKey(m.key)]).filter(Boolean);
     const kyrieBlock = blocks.find(b => b.kyrieSetting) || {};
     sv('shared_kyrie', kyrieBlock.kyrieSetting);
     sv('shared_kyrieComposer', kyrieBlock.kyrieComposer);
@@ -3754,14 +4672,18 @@ async function generatePreview() {
     const sizeSel = document.getElementById('bookletSize');
     if (sizeSel) data.bookletSize = sizeSel.value;
     data.design = getSelectedDesign();
-    const res = await fetch('/api/preview', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(data) });
+    const fitSel = document.getElementById('exportFit');
+    const query = fitSel && fitSel.value === 'auto' ? '?autoFit=1' : '';
+    const res = await fetch('/api/preview' + query, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(data) });
     const result = await res.json();
+    if (!res.ok) { toast(result.error || ('Preview failed: ' + res.status), 'error'); setStatus('Preview failed'); return; }
     document.getElementById('preview-placeholder').style.display = 'none';
     document.getElementById('preview-content').style.display = 'block';
     // Size the preview frame to match the booklet trim so the preview is
     // a true-scale rendering of what'll print.  We respond to the server-
     // reported pageWidth (e.g., "5.5in" or "8.5in") and let the iframe
-    // grow to fit each page's height x 8 pages.
+    // grow to fit every page. Content the PDF can't fit on a page comes
+    // back as a layout overflow (banner on the page + warning below).
     const frame = document.querySelector('.preview-frame');
     if (frame && result.pageWidth) frame.style.width = result.pageWidth;
     const iframe = document.getElementById('preview-iframe');
@@ -3770,21 +4692,6 @@ async function generatePreview() {
       // Body scrollHeight gives the rendered total; pad slightly so the
       // last page's content isn't clipped by the iframe.
       iframe.style.height = (iframe.contentDocument.body.scrollHeight + 16) + 'px';
-      // The HTML preview clips overfull pages (fixed page boxes) — never
-      // silently. Flag them so nobody discovers a cut-off Gloria in print:
-      // the exported PDF shrinks content to fit the page (music blocks
-      // stay whole) and reports anything it can't fit as a warning.
-      try {
-        const clipped = [];
-        iframe.contentDocument.querySelectorAll('.page').forEach((p, i) => {
-          if (p.scrollHeight > p.clientHeight + 4) clipped.push(i + 1);
-        });
-        if (clipped.length) {
-          const warnEl = document.getElementById('overflow-warnings');
-          warnEl.innerHTML += '<div class="overflow-indicator">Preview page' + (clipped.length > 1 ? 's' : '') + ' ' +
-            clipped.join(', ') + ' hold more than fits the page box — the preview clips it, but the EXPORTED PDF shrinks the content to fit the page (music blocks stay whole). Export to see the real layout; any content the PDF cannot fit is reported as an export warning.</div>';
-        }
-      } catch (e) { /* same-origin only; never block the preview */ }
     };
 
     // Show overflow warnings AND renderer warnings (e.g. a notation image
@@ -3808,7 +4715,15 @@ async function generatePdfExport() {
     const sel = document.getElementById('bookletSize');
     if (sel) data.bookletSize = sel.value;
     data.design = getSelectedDesign();
-    const res = await fetch('/api/generate-pdf', { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-session-token': _sessionToken }, body: JSON.stringify(data) });
+    const impSel = document.getElementById('exportImposition');
+    const edSel = document.getElementById('exportEdition');
+    const params = [];
+    if (impSel && impSel.value !== 'reader') params.push('imposition=' + encodeURIComponent(impSel.value));
+    if (edSel && edSel.value !== 'single') params.push('edition=' + encodeURIComponent(edSel.value));
+    const fitSel = document.getElementById('exportFit');
+    if (fitSel && fitSel.value === 'auto') params.push('autoFit=1');
+    const query = params.length ? '?' + params.join('&') : '';
+    const res = await fetch('/api/generate-pdf' + query, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-session-token': _sessionToken }, body: JSON.stringify(data) });
     if (handle401(res)) { setStatus('Export blocked — signed out'); return; }
     if (!res.ok) {
       const result = await res.json();
@@ -3816,8 +4731,8 @@ async function generatePdfExport() {
     }
     const contentType = res.headers.get('content-type') || '';
     let exportWarnings = [];
-    if (contentType.includes('application/pdf')) {
-      // Direct PDF download (Netlify) — warnings ride in a header.
+    if (contentType.includes('application/pdf') || contentType.includes('application/zip')) {
+      // Direct PDF/zip download (Netlify) — warnings ride in a header.
       try {
         const wh = res.headers.get('x-export-warnings');
         if (wh) exportWarnings = JSON.parse(decodeURIComponent(wh));
@@ -4012,8 +4927,9 @@ const settingsFields = [
   'parishName','parishAddress','parishPhone','parishUrl','coverTagline','logoPath',
   'massTimes','pastor','pastorTitle','associates','deacons','musicDirector',
   'welcomeMessage','closingMessage','defaultSanctusLanguage',
+  'defaultKyrieLanguage','defaultGloriaLanguage','defaultCreedLanguage','defaultLordsPrayerLanguage','defaultLambOfGodLanguage',
   'connectBlurb','nurseryBlurb','restroomsBlurb','prayerBlurb',
-  'onelicenseNumber','copyrightShort','copyrightFull'
+  'onelicenseNumber','copyrightShort','copyrightFull','calendarProfile'
 ];
 const settingsCheckboxes = ['requirePastorApproval'];
 async function loadAdminSettings() {
@@ -4025,6 +4941,7 @@ async function loadAdminSettings() {
     const lp = document.getElementById('logo-preview');
     if (lp) lp.innerHTML = '<img src="' + s.logoPath + '" class="image-preview" style="max-height:80px;background:#fff;padding:4px;border:1px solid var(--border);" alt="logo">';
   }
+  sv('s_properCalendar', JSON.stringify(s.properCalendar || [], null, 2));
   window._parishSettings = s;
   try {
     const hr = await fetch('/api/hymns');
@@ -4065,6 +4982,12 @@ async function saveAdminSettings() {
   const s = {};
   settingsFields.forEach(f => s[f] = v('s_' + f));
   settingsCheckboxes.forEach(f => s[f] = ch('s_' + f));
+  try {
+    s.properCalendar = JSON.parse(v('s_properCalendar') || '[]');
+  } catch (e) {
+    toast('Settings NOT saved: the proper calendar is not valid JSON (' + e.message + ')', 'error');
+    return;
+  }
   try {
     const res = await fetch('/api/settings', { method: 'PUT', headers: { 'Content-Type': 'application/json', 'x-session-token': _sessionToken }, body: JSON.stringify(s) });
     if (handle401(res)) return;
@@ -4073,6 +4996,9 @@ async function saveAdminSettings() {
     // Keep the in-memory copy in sync with what the server actually stored
     // (merged over existing settings) so previews immediately reflect it.
     window._parishSettings = saved;
+    // A new or edited Mass list re-shapes the editor's per-Mass controls.
+    await loadMassSchedule();
+    renderMassControls();
     toast('Settings saved', 'success');
   } catch (e) {
     toast('Settings NOT saved: ' + e.message, 'error');
@@ -4591,6 +5517,123 @@ function notationCtl(slot, label) {
         </div>`;
 }
 
+// Helper: the Rite Inserts section — a checkbox per insert in the library
+// (config/rite-inserts.js) naming where it prints, and a title + composer
+// and notation control for each of its music slots.
+const RITE_ANCHOR_LABELS = {
+  penitentialAct: 'in place of the Penitential Act',
+  afterHomily: 'after the Homily',
+  beforeDismissal: 'before the Dismissal'
+};
+function riteInsertFields() {
+  return Object.entries(RITE_INSERTS).map(([id, rite]) => {
+    const where = [RITE_ANCHOR_LABELS[rite.anchor], rite.note].filter(Boolean).join(' — ');
+    const slots = rite.parts.flat().filter(i => i.music).map(i => `
+          <div class="fg-row">
+            <div class="fg"><label>${i.label}</label><input type="text" id="riteMusic_${i.music}" placeholder="Title"></div>
+            <div class="fg"><label>&nbsp;</label><input type="text" id="riteMusic_${i.music}Composer" placeholder="Composer"></div>
+          </div>
+          ${notationCtl(i.music, i.label + ' notation')}`).join('');
+    return `
+        <div class="fg-check"><input type="checkbox" id="rite_${id}"><label for="rite_${id}">${rite.name} <span style="font-weight:400;color:var(--gray);">(${where})</span></label></div>${slots}`;
+  }).join('');
+}
+
+// Helper: the Holy Week section's music — per liturgy, a title + composer
+// and notation control for each of its slots (config/holy-week.js); only
+// the liturgy in effect shows (updateHolyWeekUI).
+function holyWeekMusicFields() {
+  return Object.entries(HOLY_WEEK).map(([id, hw]) => {
+    const slots = hw.inserts.flatMap(i => i.parts.flat()).filter(i => i.music).map(i => `
+          <div class="fg-row">
+            <div class="fg"><label>${i.label}</label><input type="text" id="hwMusic_${i.music}" placeholder="Title"></div>
+            <div class="fg"><label>&nbsp;</label><input type="text" id="hwMusic_${i.music}Composer" placeholder="Composer"></div>
+          </div>
+          ${notationCtl(i.music, i.label + ' notation')}`).join('');
+    return `
+        <div id="hwGroup_${id}" style="display:none">${slots}</div>`;
+  }).join('');
+}
+
+// Helper: the Wedding or Funeral questionnaire (config/celebrations.js) —
+// the names and dates for the cover, the photo, the ministers, the
+// readings chosen from the rite's options and a title + composer and
+// notation control for each of its music slots. Only the chosen rite's
+// fields show (updateCelebrationUI).
+const CELEBRATION_MINISTER_LABELS = {
+  firstReader: 'First Reading — reader',
+  secondReader: 'Second Reading — reader',
+  intentionsReader: 'Universal Prayer — reader'
+};
+function celebrationFields() {
+  const roles = Object.assign({}, ...Object.values(MINISTER_ROLES));
+  const ministers = Object.entries(roles).map(([field, label]) => `
+          <div class="fg" id="celMinisterRow_${field}"><label>${CELEBRATION_MINISTER_LABELS[field] || label}</label><input type="text" id="celMinister_${field}"></div>`).join('');
+  const readings = Object.entries(RITUAL_READINGS).map(([rite, r]) => {
+    const select = (part, label, list) => `
+          <div class="fg"><label>${label}</label>
+            <select id="celReading_${rite}_${part}" onchange="applyCelebrationReading('${part}', this.value)">
+              <option value="">— choose —</option>
+              ${list.map(c => `<option value="${c}">${c}</option>`).join('')}
+            </select>
+          </div>`;
+    const music = Object.values(CELEBRATIONS).filter(c => c.rite === rite).flatMap(c => c.inserts.flatMap(i => i.parts.flat()))
+      .filter(i => i.music).filter((i, k, all) => all.findIndex(j => j.music === i.music) === k).map(i => `
+          <div class="fg-row">
+            <div class="fg"><label>${i.label}</label><input type="text" id="celMusic_${i.music}" placeholder="Title"></div>
+            <div class="fg"><label>&nbsp;</label><input type="text" id="celMusic_${i.music}Composer" placeholder="Composer"></div>
+          </div>
+          ${notationCtl(i.music, i.label + ' notation')}`).join('');
+    return `
+        <div id="celGroup_${rite}" style="display:none">${select('first', 'First Reading', r.first)}${select('psalm', 'Responsorial Psalm', r.psalm.map(p => p.citation))}${select('second', 'Second Reading', r.second)}${select('gospel', 'Gospel', r.gospel)}${music}
+        </div>`;
+  }).join('');
+  return `
+        <div id="celFields" style="display:none">
+          <div class="fg-row">
+            <div class="fg"><label id="celName1Label">Name</label><input type="text" id="celName1" oninput="fillCelebrationFeastName()"></div>
+            <div class="fg" id="celName2Row"><label>Bridegroom</label><input type="text" id="celName2" oninput="fillCelebrationFeastName()"></div>
+          </div>
+          <div class="fg-row" id="celLifeDates">
+            <div class="fg"><label>Born</label><input type="date" id="celBorn"></div>
+            <div class="fg"><label>Died</label><input type="date" id="celDied"></div>
+          </div>
+          <div class="fg"><label>Time <span style="font-weight:400;text-transform:none;color:var(--gray);">(on the cover)</span></label><input type="text" id="celTime" placeholder="e.g., 11:00 AM"></div>
+          <div class="fg"><label>Photo <span style="font-weight:400;text-transform:none;color:var(--gray);">(on the cover)</span></label>
+            <input type="file" id="celPhotoFile" accept="image/*" style="display:none" onchange="uploadCelebrationPhoto(this)">
+            <button type="button" class="btn btn-outline btn-sm" onclick="document.getElementById('celPhotoFile').click()">Upload photo</button>
+            <span class="notation-thumb" data-slot="${PHOTO_SLOT}"></span>
+          </div>${ministers}
+          <p class="section-lock">Readings chosen here fill the citations under Readings; paste the texts there.</p>${readings}
+        </div>`;
+}
+
+// Helper: the readings only Holy Week uses, shown for their liturgy — the
+// Palm Sunday procession Gospel, and the Easter Vigil's seven readings,
+// each with its psalm. On Palm Sunday and Good Friday the Gospel above is
+// the Passion, with each speaker's line starting N., ✠, C. or S.
+function holyWeekReadingFields() {
+  const vigil = Array.from({ length: 7 }, (_, k) => {
+    const i = k + 1;
+    return `
+          <div class="fg"><label>Vigil Reading ${i} — Citation</label><input type="text" id="vigil${i}_citation"></div>
+          <div class="fg"><label>Vigil Reading ${i} — Text</label><textarea id="vigil${i}_text" rows="4"></textarea></div>
+          <div class="fg-row">
+            <div class="fg"><label>Psalm ${i} — Citation</label><input type="text" id="vigil${i}_psalmCitation"></div>
+            <div class="fg"><label>Psalm ${i} — Refrain</label><input type="text" id="vigil${i}_psalmRefrain"></div>
+          </div>
+          <div class="fg"><label>Psalm ${i} — Verses</label><textarea id="vigil${i}_psalmVerses" rows="3"></textarea></div>`;
+  }).join('');
+  return `
+        <div id="hwReadings_palmSunday" style="display:none">
+          <div class="fg"><label>Procession Gospel — Citation</label><input type="text" id="processionGospelCitation" placeholder="e.g., Mark 11:1-10"></div>
+          <div class="fg"><label>Procession Gospel — Text</label><textarea id="processionGospelText" rows="4"></textarea></div>
+        </div>
+        <div id="hwReadings_easterVigil" style="display:none">
+          <p class="section-lock">The Old Testament readings come before the Gloria. The Second Reading above prints as the Epistle.</p>${vigil}
+        </div>`;
+}
+
 // Helper: the Shared Music section — every slot that's the same at every
 // Mass. Organ prelude/postlude are typed in directly (title + composer —
 // no library hookup, per UAT). Hymns get the hymn-library typeahead,
@@ -4598,7 +5641,8 @@ function notationCtl(slot, label) {
 // The Kyrie and the other sung Mass parts live in Service Music & Seasonal
 // Settings; anthems have their own per-Mass section.
 function sharedMusicFields() {
-  // [titleId, composerId, label, source]   source: 'hymn', 'psalm', or 'plain'
+  // [titleId, composerId, label, source]   source: 'hymn', 'psalm',
+  // 'sequence' or 'plain'
   const fields = [
     ['organPrelude',         'organPreludeComposer',  'Organ Prelude',                    'plain'],
     ['processional',         'processionalComposer',  'Processional / Entrance Hymn',     'hymn'],
@@ -4606,6 +5650,9 @@ function sharedMusicFields() {
     // and the refrain text feeds the OneLicense search so the music
     // director can find a published setting that matches.
     ['responsorialPsalm',    'responsorialPsalmComposer', 'Responsorial Psalm Setting',   'psalm'],
+    // Sequence setting — only on Easter (and its octave), Pentecost and
+    // Corpus Christi; the row hides on other days (updateSequenceUI).
+    ['sequence',             'sequenceComposer',      'Sequence Setting',                 'sequence'],
     ['communion',            'communionComposer',     'Communion Hymn',                   'hymn'],
     ['thanksgiving',         'thanksgivingComposer',  'Hymn of Thanksgiving',             'hymn'],
     ['postlude',             'postludeComposer',      'Organ Postlude',                   'plain']
@@ -4642,12 +5689,21 @@ function sharedMusicFields() {
         </div>
         <button type="button" class="btn btn-outline btn-sm" style="padding:4px 8px;font-size:10px;margin-top:2px;" onclick="openOneLicenseForPsalm()">Search OneLicense by refrain</button>
         ${notationCtl(NOTATION_SLOT[titleId], 'Psalm refrain notation')}`;
+    } else if (source === 'sequence') {
+      helper = `
+        <span style="font-size:9px;color:var(--gray);" id="sequenceDetected"></span>
+        <select id="sequenceInclude" style="font-size:11px;padding:4px 6px;margin-top:2px;">
+          <option value="">Automatic</option>
+          <option value="yes">Print the Sequence</option>
+          <option value="no">Leave out the Sequence</option>
+        </select>
+        ${notationCtl('sequence', 'Sequence notation')}`;
     } else {
       // Organ prelude / postlude: plain title + composer, typed in directly.
       helper = '';
     }
     return `
-      <div class="fg-row">
+      <div class="fg-row"${source === 'sequence' ? ' id="sequenceRow" style="display:none;"' : ''}>
         <div class="fg" style="position:relative;">
           <label>${label}</label>
           <input type="text" id="shared_${titleId}" placeholder="Title" autocomplete="off" ${titleAttrs}>
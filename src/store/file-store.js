@@ -43,7 +43,17 @@ async function saveDraft(data) {
 
 async function loadDraft(id) {
   if (!kv.isSafeKey(id)) return null;
-  return kv.get('drafts', id);
+  return migrateDraft(await kv.get('drafts', id));
+}
+
+// Drafts saved before the Mass schedule was configurable carry no `masses`
+// list — their music lives in the three original per-Mass blocks, so stamp
+// that schedule on load rather than letting the parish's current massTimes
+// (which may have grown a Mass since) reinterpret them.
+function migrateDraft(draft) {
+  if (!draft || (Array.isArray(draft.masses) && draft.masses.length)) return draft;
+  const { DEFAULT_MASSES } = require('../music-formatter');
+  return { ...draft, masses: DEFAULT_MASSES.map(m => ({ ...m })) };
 }
 
 async function listDrafts() {
@@ -119,6 +129,7 @@ module.exports = {
   listDrafts,
   deleteDraft,
   duplicateDraft,
+  migrateDraft,
   loadSettings,
   saveSettings,
   getExportsDir,
@@ -0,0 +1,173 @@
+// Uploaded fonts — faces the parish licenses (a diocesan style-guide serif,
+// say) that a design theme can use for any font role alongside the vendored
+// Liberation Sans and classic faces.
+//
+// We store two pieces of state:
+//   * the font file in `uploads-fonts` as { data: base64, mime } — in KV on
+//     every deploy, because both the PDF export and the preview font route
+//     need the bytes, not just a URL
+//   * a metadata record per font in `fonts`
+//
+// Data shape per metadata entry:
+//   {
+//     id: 'custom-diocesan-serif-bold',  // the PDF font name themes use
+//     filename: 'custom-diocesan-serif-bold.otf',
+//     originalName: 'DioceseSerif-Bold.otf',
+//     family: 'Diocesan Serif',
+//     subfamily: 'Bold',
+//     weight: 700,
+//     style: 'normal' | 'italic',
+//     format: 'truetype' | 'opentype',
+//     size: 123456,
+//     url: '/api/fonts/custom-diocesan-serif-bold.otf',
+//     uploadedAt: ISO,
+//     uploadedBy: 'displayName'
+//   }
+'use strict';
+
+const fontkit = require('fontkit');
+const kv = require('./kv');
+
+const META_NS = 'fonts';
+const BLOB_NS = 'uploads-fonts';
+const ID_PREFIX = 'custom-';
+
+// Characters every booklet font must carry: printable ASCII, the curly
+// quotes and dashes the texts and smart-quote normalization produce, the
+// ellipsis and copyright sign, and accented Latin — the acute accents of
+// chant Latin and the æ of the Latin Sanctus ("pleni sunt cæli").
+const REQUIRED_GLYPHS =
+  Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('') +
+  '‘’“”–—…©' +
+  'æÆœŒáéíóúýÁÉÍÓÚàèìòùâêîôûäëïöüçñÑ';
+
+// Required characters the font has no glyph for, as a string.
+function missingGlyphs(font) {
+  return [...REQUIRED_GLYPHS].filter(ch => !font.hasGlyphForCodePoint(ch.codePointAt(0))).join('');
+}
+
+// Parse an uploaded TTF/OTF. Throws with a message the uploader can act on
+// when the file isn't a single font or lacks required glyphs.
+function inspectFont(buffer) {
+  let font;
+  try {
+    font = fontkit.create(buffer);
+  } catch (e) {
+    throw new Error('That file is not a TrueType or OpenType font.');
+  }
+  if (!font || typeof font.hasGlyphForCodePoint !== 'function') {
+    throw new Error('Font collections aren\'t supported — upload one .ttf or .otf per face.');
+  }
+  let missing;
+  try {
+    missing = missingGlyphs(font);
+  } catch (e) {
+    throw new Error('That font has no character map, so no text can be set in it.');
+  }
+  if (missing) {
+    throw new Error(`The font is missing glyphs the booklet needs: ${missing.replace(/ /g, '(space)')}`);
+  }
+  const os2 = font['OS/2'] || {};
+  const italic = !!(os2.fsSelection && os2.fsSelection.italic) || (font.italicAngle || 0) !== 0;
+  return {
+    family: String(font.familyName || '').trim() || 'Custom font',
+    subfamily: String(font.subfamilyName || '').trim(),
+    weight: os2.usWeightClass || 400,
+    style: italic ? 'italic' : 'normal',
+    // CFF outlines are an .otf; glyf outlines a .ttf.
+    format: font.directory && font.directory.tables['CFF '] ? 'opentype' : 'truetype'
+  };
+}
+
+// Font id from its full name: `custom-` + lowercase slug, de-duplicated.
+async function uniqueId(name) {
+  const slug = String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '').slice(0, 40) || 'font';
+  const taken = new Set(await kv.listKeys(META_NS));
+  let id = ID_PREFIX + slug;
+  for (let n = 2; taken.has(id); n++) id = `${ID_PREFIX}${slug}-${n}`;
+  return id;
+}
+
+async function listFonts() {
+  const all = await kv.list(META_NS);
+  return all.sort((a, b) => `${a.family} ${a.weight}`.localeCompare(`${b.family} ${b.weight}`));
+}
+
+async function getFont(id) {
+  if (!kv.isSafeKey(String(id || ''))) return null;
+  return kv.get(META_NS, id);
+}
+
+async function listFontIds() {
+  return kv.listKeys(META_NS);
+}
+
+// Validate and store an uploaded font. Throws (see inspectFont) on a file
+// the booklet can't use.
+async function saveFont(buffer, originalName, user) {
+  const info = inspectFont(buffer);
+  const ext = info.format === 'opentype' ? '.otf' : '.ttf';
+  const id = await uniqueId(`${info.family} ${info.subfamily}`);
+  const filename = id + ext;
+  const record = {
+    id,
+    filename,
+    originalName: originalName || filename,
+    ...info,
+    size: buffer.length,
+    url: `/api/fonts/${filename}`,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: user ? user.displayName : ''
+  };
+  await kv.set(BLOB_NS, filename, { data: buffer.toString('base64'), mime: ext === '.otf' ? 'font/otf' : 'font/ttf' });
+  await kv.set(META_NS, id, record);
+  return record;
+}
+
+// The stored file for a filename from a font URL: { buffer, mime } or null.
+async function readFontFile(filename) {
+  if (!kv.isSafeKey(String(filename || ''))) return null;
+  const item = await kv.get(BLOB_NS, filename);
+  return item ? { buffer: Buffer.from(item.data, 'base64'), mime: item.mime } : null;
+}
+
+async function deleteFont(id) {
+  const existing = await getFont(id);
+  if (!existing) return false;
+  await kv.del(BLOB_NS, existing.filename);
+  await kv.del(META_NS, id);
+  return true;
+}
+
+// The uploaded faces a theme's font roles name, ready for the PDF
+// generator's options.customFonts: { [id]: { buffer, family, weight, style,
+// url } }. A face deleted since the theme picked it is simply absent — the
+// generator falls back to the base theme's font for that role.
+async function loadThemeFonts(theme) {
+  const out = {};
+  const ids = new Set(Object.values(theme.fonts).filter(name => name.startsWith(ID_PREFIX)));
+  for (const id of ids) {
+    const meta = await getFont(id);
+    const file = meta && await readFontFile(meta.filename);
+    if (!file) continue;
+    out[id] = { buffer: file.buffer, family: meta.family, weight: meta.weight, style: meta.style, url: meta.url };
+  }
+  return out;
+}
+
+module.exports = {
+  META_NS,
+  BLOB_NS,
+  ID_PREFIX,
+  REQUIRED_GLYPHS,
+  missingGlyphs,
+  inspectFont,
+  listFonts,
+  listFontIds,
+  getFont,
+  saveFont,
+  readFontFile,
+  deleteFont,
+  loadThemeFonts
+};
@@ -0,0 +1,123 @@
+// Design theme registry. The two built-in themes (config/themes.js) are
+// read-only; parish themes are clones of another theme, stored one record
+// per theme in the `themes` namespace and edited field by field.
+//
+// Data shape per stored theme:
+//   {
+//     id: 'lenten-violet',          // design id drafts and exports carry
+//     name: 'Lenten Violet',
+//     base: 'reimagined' | 'classic',
+//     clonedFrom: 'reimagined',
+//     fonts, colors, smallCaps, sectionRule, sectionSize, subUpper,
+//     subDash, subSize, rubricSize, twoColumn, citation, wreathBox,
+//     liturgicalAccent,
+//     createdAt, updatedAt: ISO, updatedBy: 'displayName'
+//   }
+'use strict';
+
+const kv = require('./kv');
+const fontLibrary = require('./font-library');
+const { THEMES, applyThemePatch } = require('../config/themes');
+
+const KEY_NS = 'themes';
+
+function builtIn(id) {
+  return { id, ...THEMES[id], builtIn: true };
+}
+
+// Design id from a theme name: lowercase slug, de-duplicated against the
+// built-ins and every stored theme.
+async function uniqueId(name) {
+  const slug = String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '').slice(0, 32) || 'theme';
+  const taken = new Set([...Object.keys(THEMES), ...await kv.listKeys(KEY_NS)]);
+  let id = slug;
+  for (let n = 2; taken.has(id); n++) id = `${slug}-${n}`;
+  return id;
+}
+
+// Built-ins first, then parish themes by name.
+async function listThemes() {
+  const stored = await kv.list(KEY_NS);
+  stored.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  return [...Object.keys(THEMES).map(builtIn), ...stored];
+}
+
+// A theme by design id, or null when no theme has that id.
+async function getTheme(id) {
+  if (Object.prototype.hasOwnProperty.call(THEMES, id)) return builtIn(id);
+  if (!kv.isSafeKey(String(id || ''))) return null;
+  return kv.get(KEY_NS, id);
+}
+
+// New parish theme copied from fromId, with patch applied on top.
+// Returns null when fromId doesn't exist; throws on an invalid patch.
+async function cloneTheme(fromId, patch = {}, user) {
+  const source = await getTheme(fromId);
+  if (!source) return null;
+  const { id: _id, builtIn: _b, createdAt: _c, updatedAt: _u, updatedBy: _ub, ...copy } = source;
+  const name = patch.name !== undefined ? patch.name : `${source.name} (copy)`;
+  const { theme, errors } = applyThemePatch(copy, { ...patch, name }, await fontLibrary.listFontIds());
+  if (errors.length) throw new Error('Invalid theme: ' + errors.join('; '));
+  const now = new Date().toISOString();
+  const record = {
+    ...theme,
+    id: await uniqueId(theme.name),
+    clonedFrom: source.id,
+    createdAt: now,
+    updatedAt: now,
+    updatedBy: user ? user.displayName : ''
+  };
+  await kv.set(KEY_NS, record.id, record);
+  return record;
+}
+
+// Edit a parish theme. Returns null when there is no such parish theme;
+// throws on a built-in or an invalid patch. The id and base never change.
+async function updateTheme(id, patch, user) {
+  if (Object.prototype.hasOwnProperty.call(THEMES, id)) {
+    throw new Error(`The built-in "${id}" theme can't be edited — clone it instead.`);
+  }
+  const existing = await getTheme(id);
+  if (!existing) return null;
+  const { theme, errors } = applyThemePatch(existing, patch, await fontLibrary.listFontIds());
+  if (errors.length) throw new Error('Invalid theme: ' + errors.join('; '));
+  const record = { ...theme, id: existing.id, base: existing.base, updatedAt: new Date().toISOString(), updatedBy: user ? user.displayName : '' };
+  await kv.set(KEY_NS, id, record);
+  return record;
+}
+
+async function deleteTheme(id) {
+  if (Object.prototype.hasOwnProperty.call(THEMES, id)) {
+    throw new Error(`The built-in "${id}" theme can't be deleted.`);
+  }
+  const existing = await getTheme(id);
+  if (!existing) return false;
+  await kv.del(KEY_NS, id);
+  return true;
+}
+
+// Names of the parish themes that set a font role in this uploaded font.
+async function themesUsingFont(fontId) {
+  const stored = await kv.list(KEY_NS);
+  return stored.filter(t => Object.values(t.fonts || {}).includes(fontId)).map(t => t.name);
+}
+
+// A design id resolved for rendering: the theme plus the uploaded fonts its
+// roles use (see fontLibrary.loadThemeFonts), or null for an unknown id.
+async function resolveDesign(id) {
+  const theme = await getTheme(id);
+  if (!theme) return null;
+  return { theme, customFonts: await fontLibrary.loadThemeFonts(theme) };
+}
+
+module.exports = {
+  KEY_NS,
+  listThemes,
+  getTheme,
+  cloneTheme,
+  updateTheme,
+  deleteTheme,
+  themesUsingFont,
+  resolveDesign
+};
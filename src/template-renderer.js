@@ -1,18 +1,20 @@
-// Renders worship aid data into an 8-page HTML booklet
-// PRD: 5.5" x 8.5" half-letter booklet pages
-// Updated with worksheet workflow: Advent wreath, Lenten postlude suppression,
-// alternate Lenten acclamation, Apostles' Creed for Advent/Easter
+// Renders worship aid data into an HTML booklet that paginates exactly like
+// the PDF. The pages after the cover are not laid out here: the PDF engine's
+// dry-run layout (layoutBooklet) says which blocks of the shared Mass
+// outline (mass-outline.js) land on which page, at what height, with what
+// notation sizes — and this module draws those same blocks in the PDF's
+// fonts, sizes and page geometry.
 'use strict';
 
 const path = require('path');
 const fs = require('fs');
-const { APOSTLES_CREED, NICENE_CREED, RENEWAL_OF_BAPTISMAL_VOWS } = require('./assets/text/creeds');
-const { CONFITEOR, INVITATION_TO_PRAYER, RUBRICS, RUBRICS_CLASSIC, GOSPEL_ACCLAMATION_LENTEN, GOSPEL_ACCLAMATION_LENTEN_ALT, GOSPEL_ACCLAMATION_STANDARD, getHolyHolyHolyText } = require('./assets/text/mass-texts');
-const { getQRCode, SMALLCAPS_CONNECTORS, classicGreeting, classicCoverBlocks, resolveChildrenLiturgyTimes } = require('./render-shared');
-const { formatMusicSlot, renderMusicLineHtml } = require('./music-formatter');
+const { getQRCode, SMALLCAPS_CONNECTORS, classicGreeting, classicCoverBlocks, coverMassTimes, lectionaryYear, celebrationCover, titleLines } = require('./render-shared');
+const { PHOTO_SLOT } = require('./config/celebrations');
+const { renderMusicLineHtml, resolveMasses } = require('./music-formatter');
 const { applySeasonDefaults } = require('./config/seasons');
-const { detectOverflows } = require('./validator');
 const { getDefaultCopyrightFull } = require('./assets/text/copyright');
+const { layoutBooklet, COLORS } = require('./pdf-generator');
+const { resolveTheme } = require('./config/themes');
 
 function escapeHtml(str) {
   if (!str) return '';
@@ -30,6 +32,12 @@ function formatDate(dateStr) {
   return d.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
 }
 
+// The cover's date line, with "Year B" after it when the draft prints the
+// Lectionary year.
+function coverDate(data) {
+  return [formatDate(data.liturgicalDate), lectionaryYear(data)].filter(Boolean).join(' · ');
+}
+
 function getLogoSvg() {
   const logoPath = path.join(__dirname, 'assets', 'logo', 'jerusalem-cross.svg');
   if (fs.existsSync(logoPath)) return fs.readFileSync(logoPath, 'utf8');
@@ -62,9 +70,9 @@ function subHeadingHtml(label, opts = {}) {
 
 // Sub-heading for a music slot: title + composer inline, redundant slot label
 // dropped (director). Different pieces per Mass time fall back to a bare
-// heading with each piece listed below.
-function musicSubHeadingHtml(data, label, titleField, composerField, opts = {}) {
-  const items = formatMusicSlot(data, titleField, composerField);
+// heading with each piece listed below. items: the slot's formatMusicSlot()
+// pieces.
+function musicSubHeadingHtml(label, items, opts = {}) {
   if (items.length <= 1) {
     const inlineHtml = items[0] ? renderMusicLineHtml(items[0]) : '';
     return subHeadingHtml(label, { inlineHtml, right: opts.right });
@@ -119,53 +127,171 @@ function resolvePageGeometry(bookletSize) {
   return PAGE_GEOMETRY[bookletSize] || PAGE_GEOMETRY['half-letter'];
 }
 
-// CSS for the classic design — emitted only when the classic body is
-// selected, so reimagined previews carry no dead rules or font requests.
-// Monochrome Book-Antiqua/Garamond serif mirroring the classic PDF: the
-// exact vendored typefaces (served from /assets/fonts/classic), small-caps
-// section headers, em-dash sub-labels, two-column psalm & creed, QR footer.
-function classicCssFor(geom) {
+
+// Registered PDF font name -> the @font-face that serves the same file, so
+// the preview sets text in the exact typefaces (and metrics) of the export.
+// Liberation Sans is served from /assets/fonts, the classic faces from
+// /assets/fonts/classic (see the server's font route).
+const FONT_FACES = {
+  'Sans':             { family: 'Liberation Sans', weight: 400, style: 'normal', file: 'LiberationSans-Regular.ttf' },
+  'Sans-Bold':        { family: 'Liberation Sans', weight: 700, style: 'normal', file: 'LiberationSans-Bold.ttf' },
+  'Sans-Italic':      { family: 'Liberation Sans', weight: 400, style: 'italic', file: 'LiberationSans-Italic.ttf' },
+  'Sans-BoldItalic':  { family: 'Liberation Sans', weight: 700, style: 'italic', file: 'LiberationSans-BoldItalic.ttf' },
+  'Serif':            { family: 'ClassicSerif', weight: 400, style: 'normal', file: 'classic/Classic-Serif-Regular.otf' },
+  'Serif-Bold':       { family: 'ClassicSerif', weight: 700, style: 'normal', file: 'classic/Classic-Serif-Bold.otf' },
+  'Serif-Italic':     { family: 'ClassicSerif', weight: 400, style: 'italic', file: 'classic/Classic-Serif-Italic.otf' },
+  'Serif-BoldItalic': { family: 'ClassicSerif', weight: 700, style: 'italic', file: 'classic/Classic-Serif-BoldItalic.otf' },
+  'Display':          { family: 'ClassicDisplay', weight: 400, style: 'normal', file: 'classic/Classic-Display-Regular.ttf' },
+  'Display-SemiBold': { family: 'ClassicDisplay', weight: 600, style: 'normal', file: 'classic/Classic-Display-SemiBold.ttf' },
+  'Display-Italic':   { family: 'ClassicDisplay', weight: 400, style: 'italic', file: 'classic/Classic-Display-Italic.ttf' },
+  'Script-Italic':    { family: 'ClassicScript', weight: 400, style: 'italic', file: 'classic/Classic-Script-Italic.otf' }
+};
+const FONT_FALLBACKS = {
+  'Liberation Sans': "Arial, Helvetica, sans-serif",
+  ClassicSerif: "'Palatino Linotype', 'Book Antiqua', Palatino, Georgia, serif",
+  ClassicDisplay: "'EB Garamond', Garamond, Georgia, serif",
+  ClassicScript: "'Book Antiqua', cursive, serif"
+};
+
+// CSS declarations selecting a registered PDF font. Uploaded fonts come
+// from the layout's fontFaces ({ id: { weight, style, url } }); each is its
+// own CSS family, named by its id.
+function fontCss(name, customFaces = {}) {
+  const custom = customFaces[name];
+  if (custom) return `font-family:'${name}',Georgia,serif;font-weight:${custom.weight};font-style:${custom.style};`;
+  const f = FONT_FACES[name] || FONT_FACES.Sans;
+  return `font-family:'${f.family}',${FONT_FALLBACKS[f.family]};font-weight:${f.weight};font-style:${f.style};`;
+}
+
+// @font-face rules for every face of the families the theme uses, plus the
+// uploaded fonts it uses (served by the server's /api/fonts route).
+function fontFaceCss(theme, customFaces = {}) {
+  const face = (family, url, weight, style) =>
+    `@font-face { font-family:'${family}'; src:url('${url}') format('${url.endsWith('.otf') ? 'opentype' : 'truetype'}'); font-weight:${weight}; font-style:${style}; font-display:swap; }`;
+  const families = new Set(Object.values(theme.fonts).filter(name => !customFaces[name])
+    .map(name => (FONT_FACES[name] || FONT_FACES.Sans).family));
+  return [
+    ...Object.values(FONT_FACES).filter(f => families.has(f.family))
+      .map(f => face(f.family, `/assets/fonts/${f.file}`, f.weight, f.style)),
+    ...Object.entries(customFaces).map(([name, f]) => face(name, f.url, f.weight, f.style))
+  ].join('\n  ');
+}
+
+// Points, rounded for the stylesheet.
+function pt(n) {
+  return `${Math.round(n * 100) / 100}pt`;
+}
+
+// Typography of the flow pages, computed from the PDF theme and the
+// layout's scale (page size) and textScale (shrink-to-fit) so every size
+// and gap is the one the PDF primitives use. PDFKit sets lines at 1.15x the
+// font size for these faces; bodyText adds its lineGap on top.
+function flowCss(layout, theme) {
+  const s = n => n * layout.scale;
+  const ts = layout.textScale;
+  const c = theme.colors;
+  const font = name => fontCss(name, layout.fontFaces);
+  const subSize = s(theme.subSize);
+  const subGap = theme.subDash ? s(1.5) : s(6);
   return `
-  @font-face { font-family:'ClassicSerif'; src:url('/assets/fonts/classic/Classic-Serif-Regular.otf') format('opentype'); font-weight:400; font-style:normal; font-display:swap; }
-  @font-face { font-family:'ClassicSerif'; src:url('/assets/fonts/classic/Classic-Serif-Bold.otf') format('opentype'); font-weight:700; font-style:normal; font-display:swap; }
-  @font-face { font-family:'ClassicSerif'; src:url('/assets/fonts/classic/Classic-Serif-Italic.otf') format('opentype'); font-weight:400; font-style:italic; font-display:swap; }
-  @font-face { font-family:'ClassicSerif'; src:url('/assets/fonts/classic/Classic-Serif-BoldItalic.otf') format('opentype'); font-weight:700; font-style:italic; font-display:swap; }
-  @font-face { font-family:'ClassicDisplay'; src:url('/assets/fonts/classic/Classic-Display-SemiBold.ttf') format('truetype'); font-weight:600; font-style:normal; font-display:swap; }
-  @font-face { font-family:'ClassicDisplay'; src:url('/assets/fonts/classic/Classic-Display-Regular.ttf') format('truetype'); font-weight:400; font-style:normal; font-display:swap; }
-  @font-face { font-family:'ClassicDisplay'; src:url('/assets/fonts/classic/Classic-Display-Italic.ttf') format('truetype'); font-weight:400; font-style:italic; font-display:swap; }
-  @font-face { font-family:'ClassicScript'; src:url('/assets/fonts/classic/Classic-Script-Italic.otf') format('opentype'); font-weight:400; font-style:italic; font-display:swap; }
+  .flow-page { padding: 0; }
+  .flow-block {
+    position: absolute;
+    left: ${pt(layout.margin)};
+    width: ${pt(layout.pageWidth - 2 * layout.margin)};
+    ${font(theme.fonts.body)}
+    color: ${c.body};
+    line-height: 1.15;
+  }
+  .flow-block p, .flow-block .flow-text { line-height: calc(1.15em + ${pt(s(1) * ts)}); overflow: visible; }
+  .flow-block .t-bold { ${font(theme.fonts.bold)} }
+  .flow-block .t-italic { ${font(theme.fonts.italic)} }
+  ${theme.smallCaps ? `
+  .c-section {
+    ${font(theme.fonts.section)}
+    color: ${c.section}; text-align: center;
+    font-variant: small-caps; text-transform: lowercase; letter-spacing: ${pt(s(0.5))};
+    font-size: ${pt(s(theme.sectionSize))}; line-height: 1.18;
+    padding-top: ${pt(s(2))}; margin-bottom: ${pt(s(6))};
+  }
+  .c-section .c-conn { ${font(theme.fonts.sectionAside)} font-variant: normal; font-size: 0.72em; letter-spacing: 0; }` : `
+  .section-header {
+    ${font(theme.fonts.section)}
+    font-size: ${pt(s(theme.sectionSize))};
+    color: ${c.section}; text-align: center; text-transform: uppercase; letter-spacing: 1.5pt;
+    margin-bottom: ${pt(s(8))}; position: relative;
+  }
+  ${theme.sectionRule ? `.section-header::after {
+    content: ''; position: absolute; left: ${pt(s(40))}; right: ${pt(s(40))}; bottom: ${pt(-s(2))};
+    border-top: 0.5pt solid ${c.rule};
+  }` : ''}`}
+  .sub-heading-row {
+    display: flex; justify-content: space-between; align-items: flex-start;
+    font-size: ${pt(subSize)}; margin-bottom: ${pt(s(2))};
+  }
+  .sub-heading-left { display: flex; align-items: flex-start; min-width: 0; flex: 1; }
+  .sub-heading {
+    ${font(theme.fonts.bold)}
+    color: ${c.subLabel}; white-space: nowrap; flex: none;
+    ${theme.subUpper ? 'text-transform: uppercase; letter-spacing: 0.8pt;' : ''}
+  }
+  .sub-inline { ${font(theme.fonts.italic)} color: ${c.subInline}; margin-left: ${pt(subGap)}; }
+  ${theme.subDash ? `.sub-heading-left .sub-inline::before { content: '\\2014'; ${font(theme.fonts.bold)} color: ${c.subLabel}; margin-left: ${pt(-subGap)}; padding-right: ${pt(subGap)}; }` : ''}
+  ${theme.citation ? `.sub-inline.cite { ${font(theme.fonts[theme.citation.font])} color: ${theme.citation.color}; }` : ''}
+  .sub-inline em { font-style: inherit; }
+  .sub-inline .hymnal-cite, .sub-inline .mass-time-label { font-size: inherit; color: inherit; }
+  .rubric-inline { ${font(theme.fonts.italic)} color: ${c.rubric}; white-space: nowrap; flex: none; padding-left: ${pt(subGap)}; }
+  .rubric { ${font(theme.fonts.italic)} color: ${c.rubric}; font-size: ${pt(s(theme.rubricSize))}; margin-bottom: ${pt(s(2))}; }
+  .music-entry { ${font(theme.fonts.italic)} font-size: ${pt(s(8.5) * ts)}; margin-bottom: ${pt(s(1))}; }
+  .flow-columns { display: flex; }
+  .flow-columns > div { flex: 1; min-width: 0; white-space: pre-line; line-height: calc(1.15em + ${pt(s(0.8) * ts)}); }
+  .parallel-text > p { flex: 1; min-width: 0; }
+  .c-verse-label { ${font(theme.fonts.bold)} color: ${c.subLabel}; flex: none; }
+  .hymn-music-space, .ordinary-music-space {
+    display: flex; align-items: center; justify-content: center; ${font(theme.fonts.italic)}
+  }
+  .hymn-music-space { border: 0.5pt dashed #C9C9C9; color: #B5B5B5; font-size: ${pt(s(6.5))}; }
+  .ordinary-music-space { border: 0.4pt dashed #DEDEDE; color: #C8C8C8; font-size: ${pt(s(6))}; }
+  .advent-wreath {
+    background: ${theme.wreathTint || '#f0eaf5'}; color: ${theme.accent || COLORS.purple}; text-align: center;
+    ${font(theme.fonts.bold)} font-size: ${pt(s(9))}; padding-top: ${pt(s(4))};
+  }
+  .children-liturgy { background: #f5f0e6; padding: ${pt(s(4))}; color: ${c.body}; }
+  .divider-rule { border: none; border-top: 0.5pt solid ${COLORS.gold}; }
+  .copyright-full {
+    font-size: ${pt(s(6.5) * ts)}; color: ${COLORS.light}; text-align: center;
+    line-height: calc(1.15em + ${pt(s(1.5) * ts)}); padding: ${pt(s(8))} ${pt(s(10))} 0;
+  }
+  .notes-lines {
+    background-image: repeating-linear-gradient(to bottom, transparent 0, transparent ${pt(s(22) - 0.4)}, #C9C9C9 ${pt(s(22) - 0.4)}, #C9C9C9 ${pt(s(22))});
+  }
+  .c-footer { text-align: center; }
+  .c-qr-row { display: flex; justify-content: center; align-items: flex-start; gap: ${pt(s(28))}; padding-top: ${pt(s(16))}; }
+  .c-qr { text-align: center; width: ${pt(s(64))}; }
+  .c-qr svg { width: ${pt(s(64))}; height: ${pt(s(64))}; display: block; margin: 0 auto ${pt(s(3))}; }
+  .c-qr-label { ${font('Display')} font-size: ${pt(s(8))}; letter-spacing: 0.5pt; text-transform: uppercase; white-space: nowrap; }
+  .c-social { text-align: left; font-size: ${pt(s(9))}; line-height: calc(1.15em + ${pt(s(3))}); margin-top: ${pt(s(64) * 0.2)}; }
+  .c-copyright {
+    ${font(theme.fonts.italic)} font-size: ${pt(s(6) * ts)}; color: ${c.muted}; text-align: justify;
+    line-height: calc(1.15em + ${pt(s(1) * ts)}); margin-top: ${pt(s(6))};
+  }
+  .page-number {
+    position: absolute; left: 0; right: 0;
+    top: ${pt(layout.pageHeight - layout.margin * 0.6)};
+    text-align: center; ${font(theme.fonts.body)} font-size: ${pt(s(7))}; color: ${COLORS.light};
+  }
+  .overflow-banner { position: absolute; top: ${pt(layout.margin * 0.25)}; left: ${pt(layout.margin)}; right: ${pt(layout.margin)}; z-index: 1; }
+`;
+}
 
+// CSS for the classic cover — emitted only when the classic design is
+// selected, so reimagined previews carry no dead rules.
+function classicCssFor(geom) {
+  return `
   body.design-classic {
     font-family: 'ClassicSerif', 'Palatino Linotype', 'Book Antiqua', Palatino, Georgia, serif;
     color: #1a1a1a;
   }
-  .c-section {
-    font-family: 'ClassicDisplay', 'EB Garamond', Garamond, Georgia, serif;
-    font-weight: 600; color: #111; text-align: center;
-    font-variant: small-caps; text-transform: lowercase;
-    letter-spacing: 0.5pt;
-    font-size: calc(${geom.headerSize} * 1.55);
-    margin: 7pt 0 5pt; line-height: 1.1;
-  }
-  .c-section .c-conn { font-variant: normal; font-style: italic; font-size: 0.72em; }
-  body.design-classic .sub-heading {
-    font-family: 'ClassicSerif', 'Book Antiqua', Palatino, Georgia, serif;
-    color: #111; text-transform: none; letter-spacing: 0; font-weight: 700;
-    font-size: 10pt;
-  }
-  body.design-classic .sub-inline { color: #222; margin-left: 2pt; font-style: italic; }
-  body.design-classic .sub-heading-left .sub-inline::before {
-    content: '\\2014'; font-style: normal; font-weight: 700; color: #111; margin: 0 2pt 0 0;
-  }
-  body.design-classic .sub-inline.cite { font-style: italic; font-weight: 400; color: #222; }
-  body.design-classic .rubric, body.design-classic .rubric-inline { color: #222; font-style: italic; }
-  body.design-classic .reading-text, body.design-classic .prayer-text { text-align: justify; }
-  body.design-classic .reading-text { margin-left: 10pt; }
-  /* Two-column psalm strophes & creed */
-  .c-twocol { column-count: 2; column-gap: 18pt; margin: 3pt 0; font-size: 0.94em; }
-  .c-twocol .c-strophe { break-inside: avoid; margin-bottom: 5pt; white-space: pre-line; }
-  .c-verse-label { font-weight: 700; }
-  /* Classic cover */
   .c-cover { text-align: center; padding-top: 6pt; }
   .c-cover-title {
     font-family: 'ClassicDisplay', 'EB Garamond', Garamond, Georgia, serif;
@@ -186,102 +312,206 @@ function classicCssFor(geom) {
   .c-info-label { font-family:'ClassicSerif',Georgia,serif; font-weight: 700; font-variant: small-caps; letter-spacing: 0.5pt; font-size: 0.95em; }
   .c-info-body { margin-left: 14pt; text-align: justify; }
   .c-welcome { font-style: italic; text-align: center; margin-top: 6pt; font-size: 0.95em; }
-  /* QR footer */
-  .c-footer { text-align: center; margin-top: 14pt; }
-  .c-qr-row { display: flex; justify-content: center; align-items: flex-start; gap: 26pt; margin-bottom: 8pt; }
-  .c-qr { text-align: center; }
-  .c-qr svg { width: 74px; height: 74px; display: block; margin: 0 auto 3pt; }
-  .c-qr-label { font-family:'ClassicDisplay',Georgia,serif; font-variant: small-caps; letter-spacing: 0.5pt; font-size: 9pt; }
-  .c-social { text-align: left; font-size: 9pt; line-height: 1.5; align-self: center; }
-  .c-copyright { font-style: italic; font-size: 6.5pt; color:#333; text-align: justify; line-height: 1.35; margin-top: 8pt; }
 `;
 }
 
+// CSS for the wedding and funeral cover, in the design's cover type.
+function celebrationCssFor(design, theme) {
+  const classic = design === 'classic';
+  return `
+  .cel-cover { display: flex; flex-direction: column; align-items: center; height: 100%; text-align: center; padding-top: 6pt; }
+  .cel-parish { font-size: 8pt; font-weight: 700; letter-spacing: 1.5pt; text-transform: uppercase; color: ${theme.colors.coverName}; margin-bottom: 8pt; }
+  .cel-title {
+    font-family: ${classic ? "'ClassicDisplay', 'EB Garamond', Garamond, Georgia, serif" : "'Cinzel', serif"};
+    ${classic ? 'font-variant: small-caps; text-transform: lowercase;' : 'font-weight: 700;'}
+    font-size: 20pt; line-height: 1.1; color: ${theme.colors.feast}; margin-bottom: 12pt;
+  }
+  .cel-title .c-conn { font-variant: normal; font-style: italic; font-size: 0.7em; }
+  .cel-photo { display: block; max-width: 100%; height: 50%; object-fit: contain; margin: 0 auto 12pt; }
+  .cel-logo { margin: 6pt auto 16pt; }
+  .cel-logo svg { width: 72px; height: 72px; }
+  .cel-eyebrow { font-style: italic; font-size: 10pt; color: #555; margin-bottom: 3pt; }
+  .cel-names {
+    font-family: ${classic ? "'ClassicScript', 'Book Antiqua', cursive, serif" : "'EB Garamond', Georgia, serif"};
+    font-style: italic; font-size: 20pt; color: ${theme.colors.feast}; margin-bottom: 3pt;
+  }
+  .cel-dates { font-size: 9pt; color: #555; margin-bottom: 3pt; }
+  .cel-when { font-size: 10pt; margin-top: 5pt; }
+`;
+}
+
+// Body text classes by outline role — the hooks the preview's own styling
+// (and tests) select on.
+const TEXT_CLASSES = {
+  reading: 'reading-text',
+  prayer: 'prayer-text',
+  refrain: 'psalm-refrain',
+  verse: 'psalm-verse',
+  acclamationVerse: 'acclamation-verse',
+  creed: 'creed-text',
+  announcements: 'announcement-block',
+  notes: 'special-notes',
+  closing: 'closing-message'
+};
+
+// lang="…" for a parallel column in another language than the page's.
+function langAttr(lang) {
+  return lang ? ` lang="${escapeHtml(lang)}"` : '';
+}
+
+// One outline item as HTML, sized from the layout. item.height is the height
+// the PDF gave it; item.drawn the notation image or paste box it drew.
+function itemHtml(item, ctx) {
+  const { theme, layout, d, settings } = ctx;
+  const s = n => n * layout.scale;
+  const ts = layout.textScale;
+  const h = item.height !== undefined ? `height:${pt(item.height)};` : '';
+  switch (item.type) {
+    case 'title': {
+      // A leaflet's title in place of the cover (titleLines), as the PDF
+      // draws it.
+      const title = titleLines(d, settings);
+      const line = (font, size, color, text) =>
+        `<div style="${fontCss(theme.fonts[font], layout.fontFaces)}font-size:${pt(s(size))};color:${color};text-align:center">${escapeHtml(text)}</div>`;
+      return `<div style="${h}">` +
+        (title.parish ? line('bold', 9, theme.colors.coverName, title.parish.toUpperCase()) : '') +
+        line('bold', 14, theme.colors.feast, title.feast) +
+        (title.when ? line('body', 9, theme.colors.muted, title.when) : '') +
+        '</div>';
+    }
+    case 'section':
+      return theme.smallCaps ? classicSectionHtml(item.text) : `<div class="section-header">${escapeHtml(item.text)}</div>`;
+    case 'heading':
+      return subHeadingHtml(item.text, { inline: item.inline || '', citation: item.cite, right: item.right });
+    case 'music':
+      return musicSubHeadingHtml(item.text, item.pieces, { right: item.right });
+    case 'rubric':
+      return `<p class="rubric" style="text-align:${escapeHtml(item.align || 'center')}">${escapeHtml(item.text)}</p>`;
+    case 'text': {
+      const weight = item.bold ? ' t-bold' : item.italic ? ' t-italic' : '';
+      const style = `font-size:${pt(s(item.size || 9) * ts)};${h}` +
+        (item.align && item.align !== 'left' ? `text-align:${item.align};` : '') +
+        (item.indent ? `margin-left:${pt(s(item.indent))};` : '') +
+        (item.muted ? `color:${theme.colors.muted};` : '');
+      return `<p class="${TEXT_CLASSES[item.role] || 'flow-text'}${weight}" style="${style}">${nl2br(item.text)}</p>`;
+    }
+    case 'columns': {
+      const lines = String(item.text).split('\n');
+      const half = Math.ceil(lines.length / 2);
+      const cls = theme.twoColumn ? 'c-twocol' : (item.role === 'creed' ? 'creed-text two-column' : 'psalm-verses two-column');
+      return `<div class="${cls}" style="font-size:${pt(s(item.size || 9) * ts)};${h}"><div class="flow-columns" style="gap:${pt(s(item.gap !== undefined ? item.gap : 14))}">` +
+        `<div>${escapeHtml(lines.slice(0, half).join('\n'))}</div><div>${escapeHtml(lines.slice(half).join('\n'))}</div></div></div>`;
+    }
+    case 'parallel': {
+      const weight = item.bold ? ' t-bold' : '';
+      const cls = TEXT_CLASSES[item.role] || 'flow-text';
+      return `<div class="flow-columns parallel-text" style="font-size:${pt(s(item.size || 9) * ts)};gap:${pt(s(10))};${h}">` +
+        `<p class="${cls}${weight}"${langAttr(item.lang)}>${nl2br(item.text)}</p>` +
+        `<p class="${cls}${item.bold ? weight : ' t-italic'}"${langAttr(item.altLang)}>${nl2br(item.alt)}</p></div>`;
+    }
+    case 'hanging':
+      return `<div class="flow-columns" style="font-size:${pt(s(item.size || 9) * ts)};${h}">` +
+        `<span class="c-verse-label">${escapeHtml(item.label)}</span>` +
+        `<p class="reading-text" style="margin-left:${pt(s(8))};min-width:0;flex:1">${nl2br(item.text)}</p></div>`;
+    case 'hymnSpace':
+    case 'notation':
+      return musicAreaHtml(item, ctx);
+    case 'adventWreath':
+      if (!theme.wreathBox) {
+        return `<p class="advent-wreath-line t-bold" style="font-size:${pt(s(9.5) * ts)};text-align:center;${h}">Lighting of the Advent Wreath</p>`;
+      }
+      return `<div style="${h}padding-top:${pt(s(3))}"><div class="advent-wreath" style="height:${pt(s(18))}">Lighting of the Advent Wreath</div></div>`;
+    case 'childrenLiturgy':
+      return `<div style="${h}padding-top:${pt(s(4))}"><div class="children-liturgy" style="height:${pt(Math.max(0, (item.height || 0) - s(8)))}">` +
+        item.lines.map(line => `<div style="${fontCss(theme.fonts[line.font], layout.fontFaces)}font-size:${pt(s(line.size) * ts)}">${nl2br(line.text)}</div>`).join('') +
+        '</div></div>';
+    case 'rule':
+      return `<div style="${h}padding-top:${pt(s(4))}"><hr class="divider-rule"></div>`;
+    case 'copyright':
+      return `<div class="copyright-full" style="${h}">${nl2br(settings.copyrightFull || getDefaultCopyrightFull(settings.onelicenseNumber))}</div>`;
+    case 'parishFooter':
+      return parishFooterHtml(item, ctx);
+    case 'ruledLines':
+      return `<div class="notes-lines" style="${h}"></div>`;
+    case 'space':
+      return `<div style="${h || `height:${pt(s(item.pt))};`}"></div>`;
+    default:
+      return '';
+  }
+}
+
+// A hymn or ordinary music area: the uploaded notation image at the size the
+// PDF drew it, else the dashed paste box. A layout computed without the
+// image bytes drew a paste box; an attached image then fills that box.
+function musicAreaHtml(item, ctx) {
+  const url = (ctx.d.notationImages || {})[item.slot];
+  const drawn = item.drawn;
+  const hymn = item.type === 'hymnSpace';
+  if (!drawn) return item.height ? `<div style="height:${pt(item.height)}"></div>` : '';
+  const after = pt(Math.max(0, (item.height || drawn.height) - drawn.height));
+  if (url) {
+    const size = drawn.kind === 'image'
+      ? `width:${pt(drawn.width)};height:${pt(drawn.height)};`
+      : `max-width:100%;max-height:${pt(drawn.height)};`;
+    return `<img class="notation-image ${hymn ? 'hymn' : 'ordinary'}" src="${escapeHtml(url)}" alt="${escapeHtml(item.slot)} notation" style="${size}margin:0 auto ${after}">`;
+  }
+  const label = hymn ? 'Reserved for hymn music &mdash; paste licensed notation here' : escapeHtml(item.label);
+  return `<div class="${hymn ? 'hymn' : 'ordinary'}-music-space" style="height:${pt(drawn.height)};margin-bottom:${after}">${label}</div>`;
+}
+
+// Classic closing footer: Give / Join / Bulletin QR row, social handles,
+// and the licensing block.
+function parishFooterHtml(item, ctx) {
+  const settings = ctx.settings;
+  const qrCells = [['Give', settings.giveUrl], ['Join', settings.joinUrl], ['Bulletin', settings.bulletinUrl]]
+    .map(([label, u]) => ({ label, svg: qrSvgHtml(u) }))
+    .filter(c => c.svg);
+  const socials = String(settings.socialHandles || '').split('\n').map(s => s.trim()).filter(Boolean);
+  const copyrightFull = settings.copyrightFull || getDefaultCopyrightFull(settings.onelicenseNumber);
+  return `<div class="c-footer" style="height:${pt(item.height || 0)}">
+    ${qrCells.length ? `<div class="c-qr-row">
+      ${qrCells.map(c => `<div class="c-qr">${c.svg}<div class="c-qr-label">${escapeHtml(c.label)}</div></div>`).join('')}
+      ${socials.length ? `<div class="c-social">${socials.map(escapeHtml).join('<br>')}</div>` : ''}
+    </div>` : ''}
+    <div class="c-copyright">${nl2br(copyrightFull)}</div>
+  </div>`;
+}
+
 function renderBookletHtml(data, options = {}) {
   const warnings = [];
 
-  // Apply season defaults
-  const d = applySeasonDefaults(data);
-  const ss = d.seasonalSettings || {};
-  const r = d.readings || {};
   const settings = options.parishSettings || {};
-  // Honor the caller-selected booklet size so the preview matches the
-  // exported PDF.  Default is tabloid (matches the editor's default).
-  const bookletSize = options.bookletSize || data.bookletSize || 'tabloid';
+  // Apply season defaults, and pin the Mass list the music blocks are keyed
+  // by (draft snapshot > parish schedule) — the same data the PDF renders.
+  const d = { ...applySeasonDefaults(data), masses: resolveMasses(data, settings) };
+  // The PDF engine's page map: the caller's (the server already ran it for
+  // the overflow check) or a fresh dry run. options.notationImages carries
+  // the image bytes so notation is measured at its real size. Booklet size
+  // defaults to tabloid (the editor's default); design to 'reimagined' (the
+  // app's original look) over 'classic' (a serif, monochrome emulation of
+  // the parish's in-house aid).
+  const layout = options.layout || layoutBooklet(data, {
+    parishSettings: settings,
+    theme: options.theme,
+    bookletSize: options.bookletSize || data.bookletSize || 'tabloid',
+    design: options.design || data.design || 'reimagined',
+    pageCount: options.pageCount,
+    notationImages: options.notationImages,
+    autoFit: options.autoFit
+  });
+  const bookletSize = layout.bookletSize;
   const geom = resolvePageGeometry(bookletSize);
-  // Output design: 'reimagined' (the app's original look) or 'classic' (a
-  // serif, monochrome emulation of the parish's in-house aid). The classic
-  // preview mirrors the classic PDF — the same vendored typefaces, small-caps
-  // section headers, em-dash sub-labels, two-column psalm & creed, "Verse:"
-  // line, and QR footer — modulo the fixed-page-vs-flow pagination the HTML
-  // preview has always used.
-  const design = options.design || data.design || 'reimagined';
-
-  const isLenten = d.liturgicalSeason === 'lent';
-  const isAdvent = d.liturgicalSeason === 'advent';
-  const showGloria = ss.gloria !== undefined ? ss.gloria : (d.liturgicalSeason !== 'lent' && d.liturgicalSeason !== 'advent');
-  const creedType = ss.creedType || 'nicene';
-  const creedText = {
-    apostles:       APOSTLES_CREED,
-    baptismal_vows: RENEWAL_OF_BAPTISMAL_VOWS,
-    nicene:         NICENE_CREED
-  }[creedType] || NICENE_CREED;
-  const creedTitle = {
-    apostles:       "The Apostles' Creed",
-    baptismal_vows: 'Renewal of Baptismal Vows',
-    nicene:         'The Nicene Creed'
-  }[creedType] || 'The Nicene Creed';
-  const entranceType = ss.entranceType || 'processional';
-  const penitentialAct = ss.penitentialAct || 'confiteor';
-
-  // Lenten acclamation: support alternate choice from worksheet
-  let acclamationText;
-  if (isLenten) {
-    acclamationText = (ss.lentenAcclamation === 'alternate') ? GOSPEL_ACCLAMATION_LENTEN_ALT : GOSPEL_ACCLAMATION_LENTEN;
-  } else {
-    acclamationText = GOSPEL_ACCLAMATION_STANDARD;
-  }
-
-  // Postlude: suppressed during Lent per worksheet
-  const includePostlude = ss.includePostlude !== undefined ? ss.includePostlude : !isLenten;
-
-  // Advent Wreath: shown during Advent per worksheet
-  const showAdventWreath = ss.adventWreath !== undefined ? ss.adventWreath : isAdvent;
-
-  // Per-slot uploaded notation images. When a slot has an image it renders
-  // INSIDE the reserved music area (no more "paste licensed notation here"
-  // with no way to do it digitally — UAT June 2026). Precedence everywhere:
-  // uploaded image > reserved paste box > plain text.
-  const ni = d.notationImages || {};
-  const notationImg = (slot, cls) => ni[slot]
-    ? `<img class="notation-image${cls ? ' ' + cls : ''}" src="${escapeHtml(ni[slot])}" alt="${escapeHtml(slot)} notation">`
-    : '';
-
-  // Hymn-sized music area for a slot: uploaded image first, then the dashed
-  // paste box when reserveHymnSpace is on.
-  const hymnSpace = (slot) => {
-    if (ni[slot]) return notationImg(slot, 'hymn');
-    return d.reserveHymnSpace !== false
-      ? '<div class="hymn-music-space">Reserved for hymn music &mdash; paste licensed notation here</div>'
-      : '';
-  };
-  // Processional hymn area — only when a processional hymn is sung,
-  // not when the antiphon is chanted (antiphon has no separate music sheet).
-  const processionalHymnSpaceHtml = entranceType === 'processional' ? hymnSpace('processional') : '';
-
-  // Smaller music area for Mass ordinary parts / sung responses.
-  const ordSpace = (slot, label) => {
-    if (ni[slot]) return notationImg(slot, slot === 'psalmRefrain' ? 'ordinary w5' : 'ordinary');
-    return d.reserveHymnSpace !== false
-      ? `<div class="ordinary-music-space">${escapeHtml(label)}</div>` : '';
-  };
-  // Does this slot show music (image or paste box) instead of spoken text?
-  const slotHasMusic = (slot) => !!ni[slot] || d.reserveHymnSpace !== false;
+  // The theme the PDF drew with; a parish theme keeps its base's cover.
+  const theme = layout.theme || resolveTheme(layout.design);
+  const design = theme.base;
+  const ctx = { theme, layout, d, settings };
 
-  // Overflow detection
-  const overflows = detectOverflows(d);
+  const overflows = options.overflows || layout.overflows;
   overflows.forEach(o => warnings.push(o.message));
-  const overflowPages = new Set(overflows.map(o => o.page));
+  const overflowPages = new Map();
+  for (const o of overflows) {
+    overflowPages.set(o.page, [...(overflowPages.get(o.page) || []), o.message]);
+  }
 
   // Parish info — only print a parish name when one is actually configured.
   const parishName = settings.parishName || '';
@@ -289,43 +519,29 @@ function renderBookletHtml(data, options = {}) {
   const connectBlurb = settings.connectBlurb || 'New to the parish? Visit the Welcome Desk after Mass.';
   const restroomsBlurb = settings.restroomsBlurb || 'Restrooms are located in the narthex and lower level.';
   const prayerBlurb = settings.prayerBlurb || 'For prayer requests, contact the parish office.';
-  // Default copyright wording is shared with the PDF generator (single
-  // source: DEFAULT_PARISH_SETTINGS in config/defaults.js). The text is
-  // plain — nl2br/escapeHtml escape it exactly once at render time. The
-  // OneLicense permission now appears ONLY in this end-of-document block
-  // (director: it should not repeat on every page with notation).
-  const copyrightFull = settings.copyrightFull || getDefaultCopyrightFull(settings.onelicenseNumber);
 
   // Mass schedule, clergy, and standing messages (cover page).  Each section
   // is optional — a parish that doesn't fill these in still renders cleanly.
-  const massTimesLines = String(settings.massTimes || 'Sat 5:00 PM\nSun 9:00 AM\nSun 11:00 AM').split('\n').map(s => s.trim()).filter(Boolean);
+  const massTimesLines = coverMassTimes(d, settings);
   const clergyLines = [];
   if (settings.pastor)        clergyLines.push(`${settings.pastor}, ${settings.pastorTitle || 'Pastor'}`);
   if (settings.associates)    String(settings.associates).split('\n').forEach(l => { if (l.trim()) clergyLines.push(l.trim()); });
   if (settings.deacons)       String(settings.deacons).split('\n').forEach(l => { if (l.trim()) clergyLines.push(l.trim()); });
   if (settings.musicDirector) clergyLines.push(settings.musicDirector + ', Music Director');
   const welcomeMessage = settings.welcomeMessage || '';
-  const closingMessage = settings.closingMessage || '';
   const coverTagline = settings.coverTagline || '';
-
-  // Rubric alignment — inline style applied to all Please sit/stand/kneel lines.
-  // Centered by default per the director of liturgy; a parish setting wins.
-  const rubricAlign = ss.rubricAlignment || 'center';
-  const RP = `<p class="rubric" style="text-align:${escapeHtml(rubricAlign)}">`;
-
-  // Sanctus language: per-aid override > parish default > 'english'
-  const holyHolyLanguage = ss.holyHolyLanguage || settings.defaultSanctusLanguage || 'english';
-  const holyHolyText = getHolyHolyHolyText(holyHolyLanguage);
-  const holyHolyHeading = holyHolyLanguage === 'latin' ? 'Sanctus' : 'Holy, Holy, Holy';
+  // A wedding or funeral has a cover of its own (celebrationCover).
+  const celebration = celebrationCover(d);
 
   const docHead = `<!DOCTYPE html>
-<html lang="en">
+<html lang="${d.language === 'spanish' ? 'es' : 'en'}">
 <head>
 <meta charset="UTF-8">
 <meta name="viewport" content="width=device-width, initial-scale=1.0">
 <title>Worship Aid — ${escapeHtml(d.feastName)} — ${escapeHtml(d.liturgicalDate)}</title>
 <link href="https://fonts.googleapis.com/css2?family=EB+Garamond:ital,wght@0,400;0,500;0,600;0,700;1,400;1,500&family=Cinzel:wght@400;600;700&display=swap" rel="stylesheet">
 <style>
+  ${fontFaceCss(theme, layout.fontFaces)}
   @page { size: ${geom.width} ${geom.height}; margin: 0; }
   * { margin: 0; padding: 0; box-sizing: border-box; }
   body {
@@ -350,130 +566,9 @@ function renderBookletHtml(data, options = {}) {
   .page:last-child { page-break-after: auto; }
   .page.overflow-warning { outline: 3px solid #c0392b; }
 
-  /* --- Typography --- */
-  .section-header {
-    font-family: 'Cinzel', serif;
-    font-size: ${geom.headerSize};
-    font-weight: 600;
-    text-align: center;
-    color: #1A2E4A;
-    letter-spacing: 1.5pt;
-    text-transform: uppercase;
-    margin: 0 0 6pt;
-    padding-bottom: 4pt;
-    border-bottom: 0.75pt solid #B8922A;
-  }
-  /* Hymnal/number citation, e.g. "[Worship IV #612]" */
-  .hymnal-cite { font-style: normal; font-size: 0.85em; color: #6B1A1A; }
-  .sub-heading {
-    font-family: 'Cinzel', serif;
-    font-size: 8.5pt;
-    font-weight: 600;
-    color: #6B1A1A;
-    text-transform: uppercase;
-    letter-spacing: 1pt;
-  }
-  /* Heading line: heading + inline title/citation on the left, posture
-     direction right-justified. */
-  .sub-heading-row {
-    display: flex;
-    justify-content: space-between;
-    align-items: baseline;
-    gap: 8pt;
-    margin: 7pt 0 2pt;
-  }
-  .sub-heading-left { display: inline; }
-  .sub-inline {
-    font-style: italic;
-    font-size: 9pt;
-    margin-left: 5pt;
-  }
-  .sub-inline.cite { font-style: normal; font-weight: 600; font-size: 9pt; color: #333; }
-  .sub-inline em { font-style: italic; }
-  .rubric-inline {
-    color: #8B0000;
-    font-style: italic;
-    font-size: 8pt;
-    white-space: nowrap;
-    flex: none;
-  }
-  .rubric {
-    color: #8B0000;
-    font-style: italic;
-    font-size: 8pt;
-    margin: 3pt 0;
-  }
-  .citation {
-    font-weight: 600;
-    font-size: 9pt;
-    color: #333;
-    margin: 1pt 0;
-  }
-  .reading-text {
-    text-align: left;
-    text-indent: 0;
-    margin: 2pt 0 5pt;
-    font-size: 9.5pt;
-    line-height: 1.3;
-  }
-  .psalm-refrain {
-    font-weight: 700;
-    font-style: italic;
-    margin: 3pt 0;
-  }
-  .psalm-verse {
-    margin: 2pt 0 7pt 12pt;
-    font-size: 9pt;
-  }
-  .prayer-text {
-    margin: 2pt 0;
-    line-height: 1.3;
-    white-space: pre-line;
-  }
-  .creed-text {
-    white-space: pre-line;
-    font-size: 8.5pt;
-    line-height: 1.25;
-    margin: 2pt 0;
-  }
-
-  /* --- Music entries (multi-Mass fallback list under a heading) --- */
-  .music-entry {
-    margin: 2pt 0;
-    font-size: 9pt;
-  }
-  .music-entry em { font-style: italic; }
-  .mass-time-label { font-size: 8pt; color: #666; }
-
-  /* Reserved paste area for licensed hymn notation. */
-  .hymn-music-space {
-    height: ${geom.hymnSpace};
-    border: 0.75pt dashed #c9c9c9;
-    border-radius: 2pt;
-    margin: 4pt 0;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    color: #b5b5b5;
-    font-size: 7pt;
-    font-style: italic;
-  }
-  /* Smaller paste area for Mass ordinary music (Kyrie, Sanctus, Agnus Dei). */
-  .ordinary-music-space {
-    height: 0.6in;
-    border: 0.5pt dashed #dedede;
-    border-radius: 2pt;
-    margin: 3pt 0;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    color: #c8c8c8;
-    font-size: 6.5pt;
-    font-style: italic;
-  }
-  /* Uploaded notation images — director of liturgy spec: ALL music notation
-     prints 5–5.5in wide, centered, at its natural height. (Inches are exact
-     on the 8.5in tabloid trim; smaller trims clamp to the content width.) */
+  /* Uploaded notation images — drawn at the size the PDF gives them (inline
+     width/height from the layout); these are the fallbacks for a box the
+     layout sized without the image bytes. */
   .notation-image {
     display: block;
     max-width: 100%;
@@ -483,13 +578,6 @@ function renderBookletHtml(data, options = {}) {
   }
   .notation-image.hymn     { width: 5.5in; max-height: ${geom.hymnSpace}; }
   .notation-image.ordinary { width: 5.5in; max-height: ${geom.hymnSpace}; }
-  .notation-image.w5       { width: 5.5in; }
-  /* Two-column layout for the Creed */
-  .creed-text.two-column {
-    columns: 2;
-    column-gap: 14pt;
-    column-rule: 0.5pt solid #e8e8e8;
-  }
 
   /* --- Cover (Page 1) --- */
   .cover-page {
@@ -503,7 +591,7 @@ function renderBookletHtml(data, options = {}) {
     flex-direction: column;
     align-items: center;
     justify-content: center;
-    border-bottom: 0.75pt solid #B8922A;
+    border-bottom: 0.75pt solid ${theme.accent || '#B8922A'};
     padding-bottom: 10pt;
   }
   .cover-logo svg { width: 60px; height: 60px; }
@@ -511,7 +599,7 @@ function renderBookletHtml(data, options = {}) {
     font-family: 'Cinzel', serif;
     font-size: 16pt;
     font-weight: 700;
-    color: #1A2E4A;
+    color: ${theme.colors.feast};
     text-align: center;
     margin: 8pt 0 3pt;
     letter-spacing: 0.5pt;
@@ -543,80 +631,34 @@ function renderBookletHtml(data, options = {}) {
     font-family: 'Cinzel', serif;
     font-size: 6.5pt;
     font-weight: 600;
-    color: #B8922A;
+    color: ${theme.accent || '#B8922A'};
     text-transform: uppercase;
     letter-spacing: 1pt;
     margin-bottom: 1pt;
   }
   .info-block p { margin: 0; }
 
-  .copyright-full {
-    font-size: 6.5pt;
-    color: #888;
-    line-height: 1.35;
-    max-width: 4in;
-    text-align: center;
-    margin-top: auto;
-    padding-top: 12pt;
-  }
-
   /* --- Overflow error banner --- */
   .overflow-banner {
     background: #fdeaea;
     border: 1.5pt solid #c0392b;
     color: #c0392b;
+    font-family: Arial, Helvetica, sans-serif;
     font-size: 7.5pt;
     padding: 3pt 6pt;
-    margin-bottom: 4pt;
     text-align: center;
     font-weight: 600;
   }
 
-  /* --- Advent Wreath --- */
-  .advent-wreath {
-    background: #f0eaf5;
-    border: 0.5pt solid #7b5ea7;
-    padding: 4pt 6pt;
-    margin: 4pt 0;
-    font-size: 8pt;
-    text-align: center;
-  }
-  .advent-wreath strong { color: #5b3d8f; }
-
-  /* --- Misc --- */
-  .page-number {
-    position: absolute;
-    bottom: 0.25in;
-    left: 0; right: 0;
-    text-align: center;
-    font-size: 7pt;
-    color: #aaa;
-  }
-  .divider-rule {
-    border: none;
-    border-top: 0.5pt solid #B8922A;
-    margin: 5pt 0;
-  }
-  .children-liturgy {
-    background: #f5f0e6;
-    border: 0.5pt solid #d4c9a8;
-    padding: 4pt 6pt;
-    margin: 4pt 0;
-    font-size: 8pt;
-  }
-  .announcement-block {
-    background: #f7f5f0;
-    border-left: 2pt solid #B8922A;
-    padding: 4pt 6pt;
-    margin: 4pt 0;
-    font-size: 8pt;
-  }
+  /* --- Content pages: drawn from the PDF engine's layout --- */
+  ${flowCss(layout, theme)}
 
   ${design === 'classic' ? classicCssFor(geom) : ''}
+  ${celebration ? celebrationCssFor(design, theme) : ''}
 </style>
 </head>`;
 
-  const reimaginedBody = () => `
+  const reimaginedCover = () => `
 <!-- PAGE 1: COVER -->
 <div class="page" id="page-1">
   <div class="cover-page">
@@ -625,7 +667,7 @@ function renderBookletHtml(data, options = {}) {
       ${parishName ? `<div style="font-family:'Cinzel',serif;font-size:11pt;color:#6B1A1A;text-align:center;margin-top:6pt;letter-spacing:1pt;">${escapeHtml(parishName)}</div>` : ''}
       ${coverTagline ? `<div style="font-size:8pt;color:#777;text-align:center;font-style:italic;margin-top:1pt;">${escapeHtml(coverTagline)}</div>` : ''}
       <div class="cover-feast">${escapeHtml(d.feastName)}</div>
-      <div class="cover-date">${escapeHtml(formatDate(d.liturgicalDate))}</div>
+      <div class="cover-date">${escapeHtml(coverDate(d))}</div>
       <div class="cover-times">${massTimesLines.map(escapeHtml).join(' &bull; ')}</div>
       ${clergyLines.length ? `<div style="font-size:8pt;color:#666;text-align:center;margin-top:6pt;line-height:1.4;">${clergyLines.map(escapeHtml).join('<br>')}</div>` : ''}
     </div>
@@ -650,227 +692,15 @@ function renderBookletHtml(data, options = {}) {
     ${welcomeMessage ? `<div style="margin-top:6pt;padding:5pt 8pt;border:0.5pt solid #B8922A;border-radius:2pt;font-size:8pt;font-style:italic;text-align:center;">${nl2br(welcomeMessage)}</div>` : ''}
   </div>
 </div>
-
-<!-- PAGE 2: INTRODUCTORY RITES -->
-<div class="page${overflowPages.has(2) ? ' overflow-warning' : ''}" id="page-2">
-  ${overflowPages.has(2) ? '<div class="overflow-banner">Page 2 content may overflow</div>' : ''}
-  <div class="section-header">The Introductory Rites</div>
-
-  ${musicSubHeadingHtml(d, 'Organ Prelude', 'organPrelude', 'organPreludeComposer')}
-
-  ${musicSubHeadingHtml(d, entranceType === 'processional' ? 'Processional Hymn' : 'Entrance Antiphon', 'processionalOrEntrance', 'processionalOrEntranceComposer', { right: RUBRICS.stand })}
-  ${processionalHymnSpaceHtml}
-
-  ${showAdventWreath ? `
-  <div class="advent-wreath">
-    <strong>Lighting of the Advent Wreath</strong>
-  </div>
-  ` : ''}
-
-  ${penitentialAct === 'confiteor' ? `
-  <div class="sub-heading">Penitential Act</div>
-  <div class="prayer-text" style="font-size:8.5pt;">${nl2br(CONFITEOR)}</div>
-  ` : ''}
-
-  ${musicSubHeadingHtml(d, 'Lord, Have Mercy', 'kyrieSetting', 'kyrieComposer')}
-  ${ordSpace('kyrie', 'Kyrie — music notation')}
-
-  ${showGloria ? `
-  ${subHeadingHtml('Gloria', { inline: ss.gloriaSetting || '' })}
-  ${slotHasMusic('gloria')
-    ? ordSpace('gloria', 'Gloria — music notation')
-    : '<p class="prayer-text">Glory to God in the highest, and on earth peace to people of good will.</p>'}
-  ` : ''}
-
-  ${subHeadingHtml('Collect')}
-
-  ${d.childrenLiturgyEnabled ? (() => {
-    const times = Array.isArray(d.childrenLiturgyMassTimes) && d.childrenLiturgyMassTimes.length
-      ? d.childrenLiturgyMassTimes
-      : (d.childrenLiturgyMassTime ? [d.childrenLiturgyMassTime] : ['Sun 9:00 AM']);
-    const notes = d.childrenLiturgyNotes ||
-      'Children are dismissed after the Opening Prayer and will rejoin during the Offertory.';
-    return `
-  <div class="children-liturgy">
-    <strong>Children's Liturgy of the Word</strong> — ${times.map(escapeHtml).join(' &amp; ')}
-    ${d.childrenLiturgyLeader ? `<br>Led by ${escapeHtml(d.childrenLiturgyLeader)}` : ''}
-    ${d.childrenLiturgyMusic ? `<br><em>${escapeHtml(d.childrenLiturgyMusic)}</em>${d.childrenLiturgyMusicComposer ? ', ' + escapeHtml(d.childrenLiturgyMusicComposer) : ''}` : ''}
-    <br><span style="font-size:7.5pt;font-style:italic;">${nl2br(notes)}</span>
-  </div>
-  `;
-  })() : ''}
-
-  <div class="page-number">2</div>
-</div>
-
-<!-- PAGE 3: LITURGY OF THE WORD -->
-<div class="page${overflowPages.has(3) ? ' overflow-warning' : ''}" id="page-3">
-  ${overflowPages.has(3) ? `<div class="overflow-banner">${escapeHtml(overflows.find(o => o.page === 3)?.message || 'Page 3 overflow')}</div>` : ''}
-  ${RP + RUBRICS.sit + "</p>"}
-  <div class="section-header">The Liturgy of the Word</div>
-
-  ${subHeadingHtml('First Reading', { inline: r.firstReadingCitation || '', citation: true })}
-  <div class="reading-text">${nl2br(r.firstReadingText)}</div>
-
-  ${subHeadingHtml('Responsorial Psalm', { inline: r.psalmCitation || '', citation: true })}
-  ${slotHasMusic('psalmRefrain')
-    ? ordSpace('psalmRefrain', 'Responsorial Psalm refrain — music notation')
-    : (r.psalmRefrain ? `<p class="psalm-refrain">R. ${escapeHtml(r.psalmRefrain)}</p>` : '')}
-  ${r.psalmVerses ? r.psalmVerses.split('\n\n').map(v => `<p class="psalm-verse">${nl2br(v)}${/(?:^|\s)R\.?\s*$/.test(v.trim()) ? '' : ' R.'}</p>`).join('') : ''}
-
-  ${!r.noSecondReading && r.secondReadingCitation ? `
-  ${subHeadingHtml('Second Reading', { inline: r.secondReadingCitation || '', citation: true })}
-  <div class="reading-text">${nl2br(r.secondReadingText)}</div>
-  ` : ''}
-
-  ${subHeadingHtml('Gospel Acclamation', { inline: r.gospelAcclamationReference || '', citation: true, right: RUBRICS.stand })}
-  ${slotHasMusic('gospelAcclamation')
-    ? ordSpace('gospelAcclamation', 'Gospel Acclamation — music notation')
-    : `<p class="psalm-refrain">${escapeHtml(acclamationText)}</p>`}
-  ${r.gospelAcclamationVerse ? `<p style="font-size:9pt;font-style:italic;margin:2pt 0;">${nl2br(r.gospelAcclamationVerse)}</p>` : ''}
-
-  <div class="page-number">3</div>
-</div>
-
-<!-- PAGE 4: GOSPEL + CREED -->
-<div class="page${overflowPages.has(4) ? ' overflow-warning' : ''}" id="page-4">
-  ${overflowPages.has(4) ? `<div class="overflow-banner">${escapeHtml(overflows.find(o => o.page === 4)?.message || 'Page 4 overflow')}</div>` : ''}
-
-  ${subHeadingHtml('Gospel', { inline: r.gospelCitation || '', citation: true })}
-  <div class="reading-text">${nl2br(r.gospelText)}</div>
-
-  ${subHeadingHtml('Homily', { right: RUBRICS.sit })}
-
-  ${subHeadingHtml(creedTitle, { right: RUBRICS.stand })}
-  <div class="creed-text${ss.twoColumnCreed && creedType !== 'baptismal_vows' ? ' two-column' : ''}">${nl2br(creedText)}</div>
-
-  ${subHeadingHtml('Prayer of the Faithful')}
-
-  <div class="page-number">4</div>
-</div>
-
-<!-- PAGE 5: LITURGY OF THE EUCHARIST -->
-<div class="page" id="page-5">
-  ${RP + RUBRICS.sit + "</p>"}
-  <div class="section-header">The Liturgy of the Eucharist</div>
-
-  ${musicSubHeadingHtml(d, 'Offertory', 'offertoryAnthem', 'offertoryAnthemComposer')}
-
-  ${d.childrenLiturgyEnabled ? (() => {
-    const times = Array.isArray(d.childrenLiturgyMassTimes) && d.childrenLiturgyMassTimes.length
-      ? d.childrenLiturgyMassTimes
-      : (d.childrenLiturgyMassTime ? [d.childrenLiturgyMassTime] : ['Sun 9:00 AM']);
-    return `${RP}Children return from Children&rsquo;s Liturgy of the Word (${times.map(escapeHtml).join(' &amp; ')})</p>`;
-  })() : ''}
-
-  ${subHeadingHtml('Invitation to Prayer', { right: RUBRICS.stand })}
-  <p class="prayer-text" style="font-size:8.5pt;"><strong>Priest:</strong> ${escapeHtml(INVITATION_TO_PRAYER.priest)}</p>
-  <p class="prayer-text" style="font-size:8.5pt;"><strong>All:</strong> ${escapeHtml(INVITATION_TO_PRAYER.all)}</p>
-
-  ${subHeadingHtml(holyHolyHeading, { inline: ss.holyHolySetting || 'Mass of St. Theresa' })}
-  ${slotHasMusic('sanctus')
-    ? ordSpace('sanctus', 'Holy, Holy, Holy — music notation')
-    : `<div class="prayer-text">${nl2br(holyHolyText)}</div>`}
-
-  ${RP + RUBRICS.kneel + "</p>"}
-
-  ${subHeadingHtml('Mystery of Faith', { inline: ss.mysteryOfFaithSetting || 'Mass of St. Theresa' })}
-  ${ordSpace('mysteryOfFaith', 'Mystery of Faith — music notation')}
-
-  <div class="sub-heading">Great Amen</div>
-
-  <div class="page-number">5</div>
-</div>
-
-<!-- PAGE 6: COMMUNION RITE -->
-<div class="page" id="page-6">
-  ${RP + RUBRICS.stand + "</p>"}
-  <div class="section-header">The Communion Rite</div>
-
-  ${subHeadingHtml("The Lord's Prayer")}
-
-  <div class="sub-heading">Sign of Peace</div>
-
-  ${subHeadingHtml('Lamb of God', { inline: ss.lambOfGodSetting || 'Mass of St. Theresa' })}
-  ${ordSpace('lambOfGod', 'Lamb of God — music notation')}
-
-  ${RP + RUBRICS.kneel + "</p>"}
-
-  ${musicSubHeadingHtml(d, 'Communion Hymn', 'communionHymn', 'communionHymnComposer')}
-  ${hymnSpace('communion')}
-
-  ${musicSubHeadingHtml(d, 'Choral Anthem', 'choralAnthemConcluding', 'choralAnthemConcludingComposer')}
-
-  ${RP + RUBRICS.stand + "</p>"}
-  ${subHeadingHtml('Prayer after Communion')}
-
-  <div class="page-number">6</div>
-</div>
-
-<!-- PAGE 7: CONCLUDING RITES — HYMN OF THANKSGIVING -->
-<div class="page" id="page-7">
-  <div class="section-header">The Concluding Rites</div>
-
-  ${musicSubHeadingHtml(d, 'Hymn of Thanksgiving', 'hymnOfThanksgiving', 'hymnOfThanksgivingComposer')}
-  ${hymnSpace('thanksgiving')}
-
-  <div class="page-number">7</div>
-</div>
-
-<!-- PAGE 8: CONCLUDING RITES CONTINUED — BLESSING, DISMISSAL, POSTLUDE -->
-<div class="page" id="page-8">
-  <div class="sub-heading">Blessing &amp; Dismissal</div>
-
-  ${includePostlude ? `
-  ${musicSubHeadingHtml(d, 'Organ Postlude', 'organPostlude', 'organPostludeComposer')}
-  ` : ''}
-
-  ${d.announcements ? `
-  <hr class="divider-rule">
-  <div class="sub-heading">Announcements</div>
-  <div class="announcement-block">${nl2br(d.announcements)}</div>
-  ` : ''}
-
-  ${d.specialNotes ? `<div style="margin:8pt auto 0;font-size:8pt;font-style:italic;text-align:center;max-width:4in;">${nl2br(d.specialNotes)}</div>` : ''}
-  ${closingMessage ? `<div style="margin:8pt auto 0;font-size:8pt;text-align:center;max-width:4in;">${nl2br(closingMessage)}</div>` : ''}
-
-  <div class="copyright-full" style="margin:10pt auto 0;">${nl2br(copyrightFull)}</div>
-
-  <div class="page-number">8</div>
-</div>
 `;
 
-  // ===== Classic body — mirrors the classic PDF's structure and typography =====
-  // Built lazily: classic-only work (QR encoding, strophe splitting) never
-  // runs for a reimagined preview, and vice versa.
-  const classicBody = () => {
-  const CRUB = RUBRICS_CLASSIC;
-  const cRub = (text) => `<p class="rubric" style="text-align:${escapeHtml(rubricAlign)}">${escapeHtml(text)}</p>`;
   const titleCase = (s) => String(s).toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
-  const psalmStrophes = r.psalmVerses
-    ? r.psalmVerses.split(/\n\s*\n/).map(v => v.trim()).filter(Boolean)
-        .map(v => `<div class="c-strophe">${nl2br(v)}${/(?:^|\s)R\.?\s*$/.test(v) ? '' : ' R.'}</div>`).join('')
-    : '';
-  // Encode each QR exactly once; an unavailable dep / empty URL drops out.
-  const qrCells = [['Give', settings.giveUrl], ['Join', settings.joinUrl], ['Bulletin', settings.bulletinUrl]]
-    .map(([label, u]) => ({ label, svg: qrSvgHtml(u) }))
-    .filter(c => c.svg);
-  const socials = String(settings.socialHandles || '').split('\n').map(s => s.trim()).filter(Boolean);
-  const hasChoral = formatMusicSlot(d, 'choralAnthemConcluding', 'choralAnthemConcludingComposer').length;
-  const clTimes = resolveChildrenLiturgyTimes(d);
-  const clNotes = d.childrenLiturgyNotes ||
-    'Children are dismissed after the Opening Prayer and will rejoin during the Offertory.';
-  // The classic Gospel Alleluia is season-aware: the word "Alleluia" is
-  // suppressed throughout Lent, and the sung text prints when no notation
-  // slot carries the response.
-  const acclHeading = isLenten ? 'Gospel Acclamation' : 'Gospel Alleluia';
-
-  return `
+  const classicCover = () => `
 <!-- PAGE 1: COVER -->
 <div class="page" id="page-1">
   <div class="c-cover">
     <div class="c-cover-title">${classicTitleInner(d.feastName)}</div>
-    <div class="c-cover-date">${escapeHtml(formatDate(d.liturgicalDate))}</div>
+    <div class="c-cover-date">${escapeHtml(coverDate(d))}</div>
     <div class="c-cover-cross">${getLogoHtml(settings)}</div>
     <div class="c-greeting">${escapeHtml(classicGreeting(settings))}</div>
     <div class="c-info">
@@ -880,135 +710,64 @@ function renderBookletHtml(data, options = {}) {
     ${welcomeMessage ? `<div class="c-welcome">${nl2br(welcomeMessage)}</div>` : ''}
   </div>
 </div>
+`;
 
-<!-- PAGE 2: INTRODUCTORY RITES -->
-<div class="page${overflowPages.has(2) ? ' overflow-warning' : ''}" id="page-2">
-  ${overflowPages.has(2) ? `<div class="overflow-banner">${escapeHtml(overflows.find(o => o.page === 2)?.message || 'Page 2 overflow')}</div>` : ''}
-  ${musicSubHeadingHtml(d, 'Organ Prelude', 'organPrelude', 'organPreludeComposer')}
-  ${classicSectionHtml('The Introductory Rites')}
-  ${musicSubHeadingHtml(d, entranceType === 'processional' ? 'Processional Hymn' : 'Entrance Antiphon', 'processionalOrEntrance', 'processionalOrEntranceComposer', { right: CRUB.stand })}
-  ${processionalHymnSpaceHtml}
-  ${showAdventWreath ? '<p class="prayer-text" style="text-align:center;font-weight:700;">Lighting of the Advent Wreath</p>' : ''}
-  ${subHeadingHtml('Invocation')}
-  ${penitentialAct === 'confiteor' ? `${subHeadingHtml('Penitential Act')}<div class="prayer-text">${nl2br(CONFITEOR)}</div>` : ''}
-  ${musicSubHeadingHtml(d, 'Lord Have Mercy', 'kyrieSetting', 'kyrieComposer')}
-  ${ordSpace('kyrie', 'Kyrie — music notation')}
-  ${showGloria ? `${subHeadingHtml('Glory to God', { inline: ss.gloriaSetting || '' })}
-  ${slotHasMusic('gloria') ? ordSpace('gloria', 'Gloria — music notation') : '<p class="prayer-text">Glory to God in the highest, and on earth peace to people of good will.</p>'}` : ''}
-  ${subHeadingHtml('Collect')}
-  ${d.childrenLiturgyEnabled ? `
-  <div class="children-liturgy">
-    <strong>Children's Liturgy of the Word</strong> — ${clTimes.map(escapeHtml).join(' &amp; ')}
-    ${d.childrenLiturgyLeader ? `<br>Led by ${escapeHtml(d.childrenLiturgyLeader)}` : ''}
-    ${d.childrenLiturgyMusic ? `<br><em>${escapeHtml(d.childrenLiturgyMusic)}</em>${d.childrenLiturgyMusicComposer ? ', ' + escapeHtml(d.childrenLiturgyMusicComposer) : ''}` : ''}
-    <br><span style="font-size:7.5pt;font-style:italic;">${nl2br(clNotes)}</span>
-  </div>` : ''}
-  ${cRub(CRUB.sit)}
-  <div class="page-number">2</div>
-</div>
-
-<!-- PAGE 3: LITURGY OF THE WORD -->
-<div class="page${overflowPages.has(3) ? ' overflow-warning' : ''}" id="page-3">
-  ${overflowPages.has(3) ? `<div class="overflow-banner">${escapeHtml(overflows.find(o => o.page === 3)?.message || 'Page 3 overflow')}</div>` : ''}
-  ${classicSectionHtml('The Liturgy of the Word')}
-  ${subHeadingHtml('First Reading', { inline: r.firstReadingCitation || '', citation: true })}
-  <div class="reading-text">${nl2br(r.firstReadingText)}</div>
-  ${subHeadingHtml('Responsorial Psalm', { inline: r.psalmCitation || '', citation: true })}
-  ${slotHasMusic('psalmRefrain') ? ordSpace('psalmRefrain', 'Responsorial Psalm refrain — music notation')
-    : (r.psalmRefrain ? `<p class="psalm-refrain">R. ${escapeHtml(r.psalmRefrain)}</p>` : '')}
-  ${psalmStrophes ? `<div class="c-twocol">${psalmStrophes}</div>` : ''}
-  ${!r.noSecondReading && r.secondReadingCitation ? `${subHeadingHtml('Second Reading', { inline: r.secondReadingCitation || '', citation: true })}
-  <div class="reading-text">${nl2br(r.secondReadingText)}</div>` : ''}
-  ${subHeadingHtml(acclHeading, { inline: r.gospelAcclamationReference || '', citation: true, right: CRUB.stand })}
-  ${slotHasMusic('gospelAcclamation')
-    ? ordSpace('gospelAcclamation', 'Gospel Acclamation — music notation')
-    : `<p class="psalm-refrain">${escapeHtml(acclamationText)}</p>`}
-  ${r.gospelAcclamationVerse ? `<p class="reading-text"><span class="c-verse-label">Verse:</span> <em>${nl2br(r.gospelAcclamationVerse)}</em></p>` : ''}
-  <div class="page-number">3</div>
-</div>
-
-<!-- PAGE 4: GOSPEL + CREED -->
-<div class="page${overflowPages.has(4) ? ' overflow-warning' : ''}" id="page-4">
-  ${overflowPages.has(4) ? `<div class="overflow-banner">${escapeHtml(overflows.find(o => o.page === 4)?.message || 'Page 4 overflow')}</div>` : ''}
-  ${subHeadingHtml('Gospel', { inline: r.gospelCitation || '', citation: true })}
-  <div class="reading-text">${nl2br(r.gospelText)}</div>
-  ${subHeadingHtml('Homily', { right: CRUB.sit })}
-  ${subHeadingHtml(creedTitle, { right: CRUB.stand })}
-  ${creedType !== 'baptismal_vows'
-    ? `<div class="c-twocol" style="white-space:pre-line">${escapeHtml(creedText)}</div>`
-    : `<div class="creed-text">${nl2br(creedText)}</div>`}
-  ${subHeadingHtml('Prayer of the Faithful')}
-  ${d.announcements ? `${subHeadingHtml('Announcements', { right: CRUB.sit })}<div class="prayer-text">${nl2br(d.announcements)}</div>` : ''}
-  <div class="page-number">4</div>
-</div>
-
-<!-- PAGE 5: LITURGY OF THE EUCHARIST -->
-<div class="page" id="page-5">
-  ${cRub(CRUB.sit)}
-  ${classicSectionHtml('The Liturgy of the Eucharist')}
-  ${musicSubHeadingHtml(d, 'Offertory Hymn', 'offertoryAnthem', 'offertoryAnthemComposer')}
-  ${d.childrenLiturgyEnabled ? `${cRub(`Children return from Children's Liturgy of the Word (${clTimes.join(' & ')})`)}` : ''}
-  ${subHeadingHtml('Invitation to Prayer', { right: CRUB.stand })}
-  ${subHeadingHtml('Prayer over the Offerings')}
-  ${subHeadingHtml(holyHolyHeading, { inline: ss.holyHolySetting || 'Mass of St. Theresa' })}
-  ${slotHasMusic('sanctus') ? ordSpace('sanctus', 'Holy, Holy, Holy — music notation') : `<div class="prayer-text">${nl2br(holyHolyText)}</div>`}
-  ${cRub(CRUB.kneelOrSit)}
-  ${subHeadingHtml('Mystery of Faith', { inline: ss.mysteryOfFaithSetting || 'Mass of St. Theresa' })}
-  ${ordSpace('mysteryOfFaith', 'Mystery of Faith — music notation')}
-  ${subHeadingHtml('Great Amen', { inline: 'chant' })}
-  ${cRub(CRUB.stand)}
-  <div class="page-number">5</div>
-</div>
-
-<!-- PAGE 6: COMMUNION RITE -->
-<div class="page" id="page-6">
-  ${classicSectionHtml('The Communion Rite')}
-  ${subHeadingHtml("The Lord's Prayer")}
-  ${subHeadingHtml('Sign of Peace')}
-  ${subHeadingHtml('Lamb of God', { inline: ss.lambOfGodSetting || 'Mass of St. Theresa' })}
-  ${ordSpace('lambOfGod', 'Lamb of God — music notation')}
-  ${cRub(CRUB.kneel)}
-  ${musicSubHeadingHtml(d, 'Communion Hymn', 'communionHymn', 'communionHymnComposer')}
-  ${hymnSpace('communion')}
-  ${hasChoral ? musicSubHeadingHtml(d, 'Choral Anthem', 'choralAnthemConcluding', 'choralAnthemConcludingComposer') : ''}
-  ${cRub(CRUB.stand)}
-  ${subHeadingHtml('Prayer after Communion')}
-  <div class="page-number">6</div>
-</div>
-
-<!-- PAGE 7: CONCLUDING RITES -->
-<div class="page" id="page-7">
-  ${classicSectionHtml('The Concluding Rites')}
-  ${musicSubHeadingHtml(d, 'Hymn of Thanksgiving', 'hymnOfThanksgiving', 'hymnOfThanksgivingComposer')}
-  ${hymnSpace('thanksgiving')}
-  ${subHeadingHtml('Blessing and Dismissal')}
-  ${includePostlude ? musicSubHeadingHtml(d, 'Organ Postlude', 'organPostlude', 'organPostludeComposer') : ''}
-  ${d.specialNotes ? `<p class="prayer-text" style="text-align:center;font-style:italic;">${nl2br(d.specialNotes)}</p>` : ''}
-  ${closingMessage ? `<p class="prayer-text" style="text-align:center;">${nl2br(closingMessage)}</p>` : ''}
-  <div class="page-number">7</div>
-</div>
-
-<!-- PAGE 8: QR + LICENSING -->
-<div class="page" id="page-8">
-  <div class="c-footer">
-    ${qrCells.length ? `<div class="c-qr-row">
-      ${qrCells.map(c => `<div class="c-qr">${c.svg}<div class="c-qr-label">${escapeHtml(c.label)}</div></div>`).join('')}
-      ${socials.length ? `<div class="c-social">${socials.map(escapeHtml).join('<br>')}</div>` : ''}
-    </div>` : ''}
-    <div class="c-copyright">${nl2br(copyrightFull)}</div>
+  // Wedding and funeral cover, the PDF's renderCelebrationCover: the photo
+  // when one is attached, else the parish logo or cross.
+  const photo = (d.notationImages || {})[PHOTO_SLOT];
+  const celebrationCoverHtml = () => `
+<!-- PAGE 1: COVER -->
+<div class="page" id="page-1">
+  <div class="cel-cover">
+    ${parishName ? `<div class="cel-parish">${escapeHtml(parishName)}</div>` : ''}
+    <div class="cel-title">${design === 'classic' ? classicTitleInner(celebration.title) : escapeHtml(celebration.title)}</div>
+    ${photo
+      ? `<img class="cel-photo" src="${escapeHtml(photo)}" alt="${escapeHtml(celebration.names || 'Photo')}">`
+      : `<div class="cel-logo">${getLogoHtml(settings)}</div>`}
+    ${celebration.eyebrow ? `<div class="cel-eyebrow">${escapeHtml(celebration.eyebrow)}</div>` : ''}
+    ${celebration.names ? `<div class="cel-names">${escapeHtml(celebration.names)}</div>` : ''}
+    ${celebration.lifeDates ? `<div class="cel-dates">${escapeHtml(celebration.lifeDates)}</div>` : ''}
+    <div class="cel-when">${escapeHtml(celebration.when)}</div>
   </div>
-  <div class="page-number">8</div>
 </div>
 `;
+
+  // Content pages 2..N, straight from the page map: every block absolutely
+  // placed at the top the PDF gave it, so page breaks, keep-with-next chains
+  // and notation sizes are the export's own.
+  const blocksByPage = new Map();
+  for (const block of layout.blocks) {
+    if (!blocksByPage.has(block.startPage)) blocksByPage.set(block.startPage, []);
+    blocksByPage.get(block.startPage).push(block);
+  }
+  const itemsHtml = items => items.map(item => itemHtml(item, ctx)).join('\n    ');
+  const contentPage = (p) => {
+    const messages = overflowPages.get(p.page) || [];
+    const blocks = p.filler
+      ? `<div class="flow-block filler-${escapeHtml(p.filler)}" style="top:${pt(layout.margin)}">
+    ${itemsHtml(p.items || [])}
+  </div>`
+      : (blocksByPage.get(p.page) || []).map(block =>
+        `<div class="flow-block${block.clipped ? ' clipped' : ''}" data-block="${escapeHtml(block.id)}" style="top:${pt(block.top)}">
+    ${itemsHtml(block.items || [])}
+  </div>`).join('\n  ');
+    return `
+<!-- PAGE ${p.page}${p.filler ? ` (${escapeHtml(p.filler)})` : ''} -->
+<div class="page flow-page${messages.length ? ' overflow-warning' : ''}" id="page-${p.page}">
+  ${messages.map(m => `<div class="overflow-banner">${escapeHtml(m)}</div>`).join('')}
+  ${blocks}
+  <div class="page-number">${p.page}</div>
+</div>`;
   };
 
   const html = `${docHead}
 <body class="design-${escapeHtml(design)}">
-${design === 'classic' ? classicBody() : reimaginedBody()}
+${!layout.pages.some(p => p.cover) ? '' : celebration ? celebrationCoverHtml() : design === 'classic' ? classicCover() : reimaginedCover()}
+${layout.pages.filter(p => !p.cover).map(contentPage).join('\n')}
 </body>
 </html>`;
 
-  return { html, warnings, bookletSize, pageWidth: geom.width, pageHeight: geom.height };
+  return { html, warnings, bookletSize, pageWidth: geom.width, pageHeight: geom.height, pageCount: layout.pageCount };
 }
 
 module.exports = { renderBookletHtml, escapeHtml, nl2br, formatDate, PAGE_GEOMETRY, resolvePageGeometry };
@@ -0,0 +1,53 @@
+// Helpers shared by the test suites: the items a layout draws, the headings
+// among them, a draft for a date, a 1x1 PNG for notation slots and the
+// output/<name>-tests directory a suite writes into.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { before, after } = require('node:test');
+const { layoutBooklet } = require('../pdf-generator');
+const { getLiturgicalInfo } = require('../liturgical-calendar');
+
+// Every item a layout draws, block by block.
+function layoutItems(layout) {
+  return layout.blocks.flatMap(b => b.items);
+}
+
+// The items of data's layout; opts as for layoutBooklet.
+function items(data, opts) {
+  return layoutItems(layoutBooklet(data, opts));
+}
+
+// The text of the section titles, headings and music lines among items, in
+// order; types narrows the item types read.
+function headings(all, types = ['section', 'heading', 'music']) {
+  return all.filter(i => types.includes(i.type)).map(i => i.text);
+}
+
+// A draft for liturgicalDate, named and in the season the calendar gives
+// it, with a Gospel to print; extra's fields go over it.
+function draft(liturgicalDate, extra) {
+  const day = getLiturgicalInfo(liturgicalDate);
+  return {
+    feastName: day.feastName,
+    liturgicalDate,
+    liturgicalSeason: day.liturgicalSeason,
+    readings: { gospelCitation: 'Mk 10:35-45', gospelText: 'James and John, the sons of Zebedee, came to Jesus...' },
+    ...extra
+  };
+}
+
+// A 1x1 PNG, for a notation slot's uploaded image.
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+// output/<name>-tests, made before the calling suite runs and removed with
+// everything in it after — as pdf-layout.test.js and the other suites do.
+function testOutputDir(name) {
+  const dir = path.join(__dirname, '..', '..', 'output', `${name}-tests`);
+  before(() => { fs.mkdirSync(dir, { recursive: true }); });
+  after(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+  return dir;
+}
+
+module.exports = { items, layoutItems, headings, draft, PNG, testOutputDir };
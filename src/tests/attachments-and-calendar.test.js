@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const app = require('../server');
 const { renderBookletHtml } = require('../template-renderer');
+const { layoutBooklet } = require('../pdf-generator');
 
 let server;
 let baseUrl;
@@ -107,6 +108,15 @@ describe('GET /api/liturgical-info', () => {
     assert.equal(data.liturgicalSeason, 'ordinary');
     assert.ok(/Sunday in Ordinary Time/.test(data.feastName));
   });
+
+  it('returns the Lectionary cycles of the date', async () => {
+    const data = (await fetch('/api/liturgical-info?date=2026-11-29')).json();
+    assert.deepEqual(data.lectionaryCycle, { sunday: 'B', weekday: 'I' });
+  });
+
+  it('returns the liturgical color of the date', async () => {
+    assert.equal((await fetch('/api/liturgical-info?date=2026-12-13')).json().color, 'rose');
+  });
 });
 
 describe('Attachments CRUD', () => {
@@ -406,7 +416,7 @@ describe('Music section restructure: shared everything except anthems', () => {
     assert.equal(perMassWithHymn, null);
   });
 
-  it('Choral Anthem renders on page 6 (Communion Rite), not page 7', () => {
+  it('Choral Anthem renders on the Communion Rite page, not the Concluding Rites page', () => {
     const data = {
       feastName: 'Test', liturgicalDate: '2026-04-05', liturgicalSeason: 'easter',
       seasonalSettings: {},
@@ -415,15 +425,16 @@ describe('Music section restructure: shared everything except anthems', () => {
       musicSun9am:  { choralAnthemConcluding: 'O Sacrum Convivium', choralAnthemConcludingComposer: 'Thomas Tallis' },
       musicSun11am: { choralAnthemConcluding: 'O Sacrum Convivium', choralAnthemConcludingComposer: 'Thomas Tallis' }
     };
-    const { html } = renderBookletHtml(data);
-    // Find the page-6 block; it should contain "Choral Anthem".
-    const page6 = html.match(/id="page-6"[\s\S]*?<\/div>\s*<!-- PAGE 7/);
-    assert.ok(page6, 'page-6 region should be present');
-    assert.ok(/Choral Anthem/.test(page6[0]), 'Choral Anthem should be on page 6');
-    // Page 7 (Concluding Rites) should NOT mention "Choral Anthem".
-    const page7 = html.match(/id="page-7"[\s\S]*?<\/div>\s*<!-- PAGE 8/);
-    assert.ok(page7);
-    assert.ok(!/Choral Anthem/.test(page7[0]), 'Choral Anthem should NOT be on page 7');
+    // The pages come from the PDF's page map, which the preview draws.
+    const layout = layoutBooklet(data);
+    const pageOf = label => layout.blocks.find(b => b.label === label).startPage;
+    const anthemPage = pageOf('Choral Anthem');
+    assert.equal(anthemPage, pageOf('Communion Hymn'), 'Choral Anthem should share the Communion Rite page');
+    assert.ok(anthemPage < pageOf('The Concluding Rites'), 'Choral Anthem should NOT be on the Concluding Rites page');
+    const { html } = renderBookletHtml(data, { layout });
+    const page = n => (html.match(new RegExp(`id="page-${n}"[\\s\\S]*?(?=<!-- PAGE |</body>)`)) || [''])[0];
+    assert.ok(/Choral Anthem/.test(page(anthemPage)), `Choral Anthem should be on page ${anthemPage}`);
+    assert.ok(!/Choral Anthem/.test(page(pageOf('The Concluding Rites'))), 'Choral Anthem should NOT be on the Concluding Rites page');
   });
 });
 
@@ -529,7 +540,7 @@ describe("Children's Liturgy: multi-Mass-time support", () => {
     const { html } = renderBookletHtml({ ...baseData, childrenLiturgyMassTimes: ['Sun 9:00 AM'] });
     assert.ok(html.includes("Children's Liturgy of the Word"));
     // Inspect just the Children's Liturgy block (the cover lists "Sat" too).
-    const m = html.match(/Children's Liturgy of the Word<\/strong> — ([^<]+)/);
+    const m = html.match(/Children's Liturgy of the Word — ([^<]+)/);
     assert.ok(m, 'Children Liturgy block should render');
     assert.equal(m[1].trim(), 'Sun 9:00 AM');
   });
@@ -543,7 +554,7 @@ describe("Children's Liturgy: multi-Mass-time support", () => {
     assert.ok(html.includes('Sun 9:00 AM'));
     assert.ok(html.includes('Sun 11:00 AM'));
     // The list should appear in one block on one line, joined by " & "
-    const m = html.match(/Children's Liturgy of the Word<\/strong> — ([^<]+)/);
+    const m = html.match(/Children's Liturgy of the Word — ([^<]+)/);
     assert.ok(m, 'Children Liturgy line should render');
     assert.ok(m[1].includes('Sat 5:00 PM'));
     assert.ok(m[1].includes('Sun 11:00 AM'));
@@ -0,0 +1,122 @@
+// Spanish and bilingual booklets: translated labels and rubrics, the
+// people's parts in Spanish, and the bilingual parallel / alternating
+// layouts in both renderers.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { generatePdf, layoutBooklet } = require('../pdf-generator');
+const { renderBookletHtml } = require('../template-renderer');
+const { localizeLabel } = require('../assets/text/labels');
+const { CONFITEOR, CONFITEOR_ES, INVITATION_TO_PRAYER_ES, HOLY_HOLY_HOLY_LATIN, getHolyHolyHolyText } = require('../assets/text/mass-texts');
+const { APOSTLES_CREED, APOSTLES_CREED_ES } = require('../assets/text/creeds');
+const { validateInput } = require('../validator');
+const { layoutItems, testOutputDir } = require('./_layout-helpers');
+
+const outputDir = testOutputDir('bilingual');
+
+const aid = {
+  feastName: 'Third Sunday of Lent',
+  liturgicalDate: '2026-03-08',
+  liturgicalSeason: 'lent',
+  readings: {
+    firstReadingCitation: 'Ex 17:3-7', firstReadingText: 'In those days, in their thirst for water...',
+    psalmCitation: 'Ps 95', psalmRefrain: 'If today you hear his voice, harden not your hearts.',
+    psalmVerses: 'Come, let us sing joyfully to the Lord.',
+    gospelCitation: 'Jn 4:5-42', gospelText: 'Jesus came to a town of Samaria called Sychar...'
+  }
+};
+
+describe('Label localization', () => {
+  it('prints English, Spanish, or both for a bilingual booklet', () => {
+    assert.equal(localizeLabel('Gospel', 'english'), 'Gospel');
+    assert.equal(localizeLabel('Gospel', 'spanish'), 'Evangelio');
+    assert.equal(localizeLabel('Gospel', 'bilingual'), 'Gospel / Evangelio');
+    assert.equal(localizeLabel('Gloria', 'bilingual'), 'Gloria', 'identical pairs print once');
+    assert.equal(localizeLabel('Mass of St. Theresa', 'spanish'), 'Mass of St. Theresa', 'unknown labels stay as written');
+  });
+
+  it('adds Spanish to the Sanctus text lookup', () => {
+    assert.match(getHolyHolyHolyText('spanish'), /^Santo, Santo, Santo/);
+    assert.equal(getHolyHolyHolyText('latin'), HOLY_HOLY_HOLY_LATIN);
+  });
+});
+
+describe('Spanish booklet', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`translates sections, headings and rubrics (${design})`, () => {
+      const all = layoutItems(layoutBooklet({ ...aid, language: 'spanish' }, { design }));
+      const texts = all.map(i => i.text);
+      assert.ok(texts.includes('Liturgia de la Palabra'));
+      assert.ok(texts.includes('Evangelio'));
+      assert.ok(texts.includes('Acto Penitencial'));
+      assert.ok(!texts.includes('The Liturgy of the Word'));
+      assert.ok(all.filter(i => i.type === 'rubric').every(i => /^(De pie|Sentados|De rodillas)/.test(i.text)));
+    });
+  }
+
+  it("sets the people's parts in Spanish", () => {
+    const all = layoutItems(layoutBooklet({ ...aid, language: 'spanish', reserveHymnSpace: false }));
+    const texts = all.map(i => i.text);
+    assert.ok(texts.includes(CONFITEOR_ES));
+    assert.ok(texts.includes(APOSTLES_CREED_ES));
+    assert.ok(texts.includes(`Todos: ${INVITATION_TO_PRAYER_ES.all}`));
+    assert.ok(texts.includes('¡Alabanza a ti, oh Cristo, rey de eterna gloria!'));
+    assert.ok(texts.some(t => /^Cordero de Dios/.test(t)), 'the Lamb of God prints when no music carries it');
+    assert.ok(!texts.includes(CONFITEOR));
+  });
+
+  it('keeps a Latin Sanctus in Latin', () => {
+    const data = { ...aid, language: 'spanish', reserveHymnSpace: false, seasonalSettings: { holyHolyLanguage: 'latin' } };
+    const all = layoutItems(layoutBooklet(data));
+    assert.ok(all.some(i => i.type === 'heading' && i.text === 'Sanctus'));
+    assert.ok(all.some(i => i.text === HOLY_HOLY_HOLY_LATIN));
+  });
+
+  it('marks the PDF and the preview as Spanish', async () => {
+    const out = path.join(outputDir, 'es.pdf');
+    await generatePdf({ ...aid, language: 'spanish' }, out, { bookletSize: 'half-letter' });
+    assert.match(fs.readFileSync(out, 'latin1'), /\/Lang \(es-US\)/);
+    assert.match(renderBookletHtml({ ...aid, language: 'spanish' }).html, /<html lang="es">/);
+  });
+});
+
+describe('Bilingual booklet', () => {
+  it("sets the people's parts in parallel columns by default", () => {
+    const all = layoutItems(layoutBooklet({ ...aid, language: 'bilingual' }));
+    const confiteor = all.find(i => i.type === 'parallel' && i.text === CONFITEOR);
+    assert.ok(confiteor);
+    assert.equal(confiteor.alt, CONFITEOR_ES);
+    assert.ok(all.some(i => i.type === 'parallel' && i.text === APOSTLES_CREED && i.alt === APOSTLES_CREED_ES));
+    assert.ok(all.some(i => i.type === 'section' && i.text === 'The Liturgy of the Word / Liturgia de la Palabra'));
+    assert.ok(all.some(i => i.type === 'rubric' && i.text === 'Please be seated / Sentados'));
+  });
+
+  it('alternates English and Spanish blocks when asked', () => {
+    const all = layoutItems(layoutBooklet({ ...aid, language: 'bilingual', bilingualLayout: 'alternating' }, { design: 'classic' }));
+    assert.ok(!all.some(i => i.type === 'parallel' || (i.type === 'columns' && i.role === 'creed')));
+    const at = all.findIndex(i => i.text === APOSTLES_CREED);
+    assert.equal(all[at + 1].text, APOSTLES_CREED_ES);
+    assert.equal(all[at + 1].italic, true);
+  });
+
+  it('draws the parallel columns in the preview', () => {
+    const { html } = renderBookletHtml({ ...aid, language: 'bilingual' });
+    assert.match(html, /class="flow-columns parallel-text"/);
+    assert.match(html, /<p class="creed-text t-italic" lang="es">Creo en Dios/);
+  });
+
+  it('alternates in large print', () => {
+    const all = layoutItems(layoutBooklet({ ...aid, language: 'bilingual' }, { largePrint: true }));
+    assert.ok(!all.some(i => i.type === 'parallel'));
+    const at = all.findIndex(i => i.text === CONFITEOR);
+    assert.equal(all[at + 1].text, CONFITEOR_ES);
+  });
+
+  it('validates the language settings', () => {
+    assert.equal(validateInput({ ...aid, language: 'bilingual', bilingualLayout: 'alternating' }).valid, true);
+    assert.equal(validateInput({ ...aid, language: 'french' }).valid, false);
+  });
+});
@@ -0,0 +1,169 @@
+// Calendar profiles: each bishops' conference's national feasts, its
+// transfers — the Epiphany and the Ascension, solemnities moved to the
+// Sunday, All Souls off a Sunday — and its holy days of obligation, chosen
+// in settings and used by the liturgical info and the renderers.
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { getLiturgicalInfo, detectSeason, parseDate } = require('../liturgical-calendar');
+const { CALENDAR_PROFILES } = require('../config/calendar-profiles');
+const { calendarOptions, checkCalendarProfile } = require('../config/proper-calendar');
+const { resolveLeaflet } = require('../config/leaflets');
+
+const info = (date, profile) => getLiturgicalInfo(date, profile ? { profile } : {});
+
+describe('National calendars', () => {
+  it('keeps each conference\'s own feasts', () => {
+    assert.equal(info('2026-08-08', 'australia').feastName, 'St. Mary of the Cross MacKillop, Virgin');
+    assert.equal(info('2026-08-08', 'australia').rank, 'solemnity');
+    assert.equal(info('2026-08-08').feastName, 'St. Dominic, Priest');
+    assert.match(info('2026-09-26', 'canada').feastName, /Secondary Patrons of Canada/);
+    assert.equal(info('2026-09-26', 'canada').rank, 'feast');
+    assert.equal(info('2026-03-17', 'englandWales').feastName, 'St. Patrick, Bishop, Patron of Ireland');
+    assert.equal(info('2026-01-06', 'canada').feastName, 'Tuesday, January 6', 'St. André Bessette is the 7th in Canada');
+    assert.equal(info('2026-01-06').feastName, 'St. André Bessette, Religious');
+  });
+
+  it('refuses an unknown profile, and stored settings fall back to the United States', () => {
+    assert.throws(() => info('2026-12-12', 'england-wales'), /Unknown calendar profile "england-wales"/);
+    assert.equal(info('2026-12-12').feastName, 'Our Lady of Guadalupe');
+    assert.equal(calendarOptions({ calendarProfile: 'narnia' }).profile, 'us');
+    assert.equal(calendarOptions({ calendarProfile: 'canada' }).profile, 'canada');
+    assert.throws(() => checkCalendarProfile('narnia'), /Unknown calendar profile "narnia"/);
+  });
+});
+
+describe('Transfer rules', () => {
+  it('moves Sts. Peter and Paul, the Assumption and All Saints to the Sunday in England and Wales', () => {
+    assert.equal(info('2026-08-15', 'englandWales').rank, 'weekday');
+    const assumption = info('2026-08-16', 'englandWales');
+    assert.equal(assumption.feastName, 'The Assumption of the Blessed Virgin Mary');
+    assert.equal(assumption.transferredFrom, '2026-08-15');
+    assert.equal(info('2026-06-28', 'englandWales').feastName, 'Sts. Peter and Paul, Apostles');
+    assert.equal(info('2026-08-15').feastName, 'The Assumption of the Blessed Virgin Mary', 'kept on the Saturday elsewhere');
+  });
+
+  it('moves All Souls off the Sunday in England and Wales only', () => {
+    assert.equal(info('2025-11-02', 'englandWales').feastName, 'All Saints');
+    assert.equal(info('2025-11-03', 'englandWales').rank, 'commemoration');
+    assert.equal(info('2025-11-02').rank, 'commemoration');
+    assert.equal(info('2025-11-02', 'australia').rank, 'commemoration');
+  });
+
+  it('keeps the Epiphany on Jan 6 in England and Wales, on the Sunday from a Saturday or a Monday', () => {
+    assert.equal(info('2026-01-06', 'englandWales').feastName, 'The Epiphany of the Lord', 'a Tuesday');
+    assert.equal(info('2026-01-04', 'englandWales').feastName, 'Second Sunday after Christmas');
+    assert.equal(info('2026-01-06', 'englandWales').holyDayOfObligation, true);
+    assert.equal(info('2026-01-11', 'englandWales').feastName, 'The Baptism of the Lord');
+    assert.equal(info('2029-01-07', 'englandWales').feastName, 'The Epiphany of the Lord', 'from Saturday, Jan 6');
+    assert.equal(info('2029-01-06', 'englandWales').rank, 'weekday');
+    assert.equal(info('2029-01-08', 'englandWales').feastName, 'The Baptism of the Lord');
+    assert.equal(info('2025-01-05', 'englandWales').feastName, 'The Epiphany of the Lord', 'from Monday, Jan 6');
+    assert.equal(info('2025-01-06', 'englandWales').rank, 'weekday');
+    assert.equal(info('2025-01-12', 'englandWales').feastName, 'The Baptism of the Lord');
+  });
+
+  it('keeps the Ascension on Thursday in England and Wales', () => {
+    const ascension = info('2026-05-14', 'englandWales');
+    assert.equal(ascension.feastName, 'The Ascension of the Lord');
+    assert.equal(ascension.holyDayOfObligation, true);
+    assert.equal(info('2026-05-17', 'englandWales').feastName, 'Seventh Sunday of Easter');
+    assert.equal(info('2026-05-17', 'englandWales').holyDayOfObligation, false);
+  });
+
+  it('places the Epiphany and the Ascension as the profile says', () => {
+    assert.equal(info('2026-01-04', 'canada').feastName, 'The Epiphany of the Lord');
+    assert.equal(info('2026-05-17', 'australia').feastName, 'The Ascension of the Lord');
+    const roman = { ...CALENDAR_PROFILES.us, epiphany: 'january6', ascension: 'thursday' };
+    assert.equal(info('2026-01-04', roman).feastName, 'Second Sunday after Christmas');
+    assert.equal(info('2026-01-06', roman).feastName, 'The Epiphany of the Lord');
+    assert.equal(info('2026-01-11', roman).feastName, 'The Baptism of the Lord');
+    assert.equal(detectSeason(parseDate('2026-01-12'), { profile: roman }), 'ordinary');
+    assert.equal(info('2026-05-14', roman).feastName, 'The Ascension of the Lord');
+    assert.equal(info('2026-05-17', roman).feastName, 'Seventh Sunday of Easter');
+  });
+});
+
+describe('Holy days of obligation', () => {
+  it('follows each conference\'s list', () => {
+    assert.equal(info('2026-12-08').holyDayOfObligation, true);
+    assert.equal(info('2026-12-08', 'canada').holyDayOfObligation, false);
+    assert.equal(info('2026-08-15', 'australia').holyDayOfObligation, true);
+    assert.equal(info('2026-11-01', 'australia').holyDayOfObligation, false);
+    assert.equal(info('2026-05-17').holyDayOfObligation, true, 'the Ascension');
+    assert.equal(info('2026-10-21').holyDayOfObligation, false);
+  });
+
+  it('lets the obligation lapse on a Saturday or a Monday in the United States', () => {
+    assert.equal(info('2026-08-15').holyDayOfObligation, false, 'a Saturday');
+    assert.equal(info('2027-01-01').holyDayOfObligation, true, 'a Friday');
+    assert.equal(info('2027-11-01').holyDayOfObligation, false, 'a Monday');
+    assert.equal(info('2026-08-16', 'englandWales').holyDayOfObligation, true, 'moved to the Sunday');
+  });
+
+  it('ranks a leaflet by the draft\'s calendar', () => {
+    const leaflet = calendar => resolveLeaflet({ liturgicalDate: '2026-08-15', format: 'leaflet', calendar });
+    assert.equal(leaflet(calendarOptions({ calendarProfile: 'englandWales' })).rank, 'weekday');
+    assert.equal(leaflet(calendarOptions({})).rank, 'solemnity');
+  });
+});
+
+describe('The calendar profile in settings', () => {
+  const app = require('../server');
+  let server;
+  let baseUrl;
+  let token;
+  let saved;
+  let releaseLock;
+
+  function fetch(urlPath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(new URL(urlPath, baseUrl), {
+        method: options.method || 'GET',
+        headers: { 'Content-Type': 'application/json', ...(token ? { 'x-session-token': token } : {}) }
+      }, res => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve({ status: res.statusCode, json: () => JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      if (options.body) req.write(JSON.stringify(options.body));
+      req.end();
+    });
+  }
+
+  before(async () => {
+    releaseLock = await require('./_shared-state-lock').acquireSharedStateLock();
+    await app.seedReady;
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    });
+    const login = await fetch('/api/auth/login', { method: 'POST', body: { username: 'jd', password: 'worship2026' } });
+    token = login.json().token;
+    saved = (await fetch('/api/settings')).json().calendarProfile;
+  });
+
+  after(async () => {
+    await fetch('/api/settings', { method: 'PUT', body: { calendarProfile: saved } });
+    await new Promise(resolve => server.close(resolve));
+    releaseLock();
+  });
+
+  it('refuses a profile it doesn\'t know', async () => {
+    const res = await fetch('/api/settings', { method: 'PUT', body: { calendarProfile: 'narnia' } });
+    assert.equal(res.status, 400);
+    assert.match(res.json().error, /Unknown calendar profile/);
+  });
+
+  it('names the day by the parish\'s profile', async () => {
+    assert.equal((await fetch('/api/settings', { method: 'PUT', body: { calendarProfile: 'englandWales' } })).status, 200);
+    const day = (await fetch('/api/liturgical-info?date=2026-08-16')).json();
+    assert.equal(day.feastName, 'The Assumption of the Blessed Virgin Mary');
+    assert.equal(day.holyDayOfObligation, true);
+  });
+});
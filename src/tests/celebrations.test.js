@@ -0,0 +1,207 @@
+// Weddings and funerals: the celebration types and their season overrides,
+// the readings chosen from the ritual options, each rite's Order of Worship
+// in both designs, the cover with the family's photo, Spanish labels and
+// the overflow check.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { generatePdf } = require('../pdf-generator');
+const { renderBookletHtml } = require('../template-renderer');
+const { CELEBRATIONS, CELEBRATION_MUSIC_SLOTS, RITUAL_READINGS, resolveCelebration, celebrationReadings } = require('../config/celebrations');
+const { getSeasonDefaults, applySeasonDefaults } = require('../config/seasons');
+const { resolveHolyWeek } = require('../config/holy-week');
+const { celebrationCover } = require('../render-shared');
+const { LABELS_ES } = require('../assets/text/labels');
+const { IN_PARADISUM, RECEPTION_OF_CONSENT } = require('../assets/text/celebration-texts');
+const { validateInput, detectOverflows } = require('../validator');
+const { items, headings, draft, PNG, testOutputDir } = require('./_layout-helpers');
+
+const outputDir = testOutputDir('celebrations');
+
+const wedding = (celebrationType, extra) => draft('2026-06-06', {
+  feastName: 'Wedding of Anna & John',
+  celebrationType,
+  readings: { gospelText: 'As the Father loves me, so I also love you.' },
+  celebration: {
+    names: ['Anna Smith ', 'John Doe'],
+    time: '2:00 PM',
+    ministers: { celebrant: 'Fr. Joseph Kim', firstReader: 'Mary Smith', witnesses: 'Paul Doe and Ruth Lee', pallbearers: 'not a wedding role' },
+    readings: { first: 'Tb 8:4b-8', psalm: 'Ps 128:1-2, 3, 4-5ab', gospel: 'Jn 15:9-12' },
+    music: { songOfPraise: { title: 'Ubi Caritas', composer: 'Durufle' } }
+  },
+  ...extra
+});
+
+const funeral = extra => draft('2026-12-12', {
+  feastName: 'Funeral Mass for Margaret Brown',
+  celebrationType: 'funeral',
+  readings: { gospelText: 'Do not let your hearts be troubled.' },
+  celebration: {
+    names: ['Margaret Brown'],
+    born: '1931-03-02',
+    died: '2026-12-05',
+    ministers: { celebrant: 'Fr. Joseph Kim', pallbearers: 'Her grandsons' },
+    readings: { first: 'Wis 3:1-9', psalm: 'Ps 23:1-3, 4, 5, 6', gospel: 'Jn 14:1-6' },
+    music: { inParadisum: { title: 'In Paradisum', composer: 'Chant' } }
+  },
+  ...extra
+});
+
+describe('Celebration types', () => {
+  it('resolves the celebration, and none for the Sunday Mass', () => {
+    const c = resolveCelebration(wedding('weddingMass'));
+    assert.equal(c.rite, 'wedding');
+    assert.deepEqual(c.names, ['Anna Smith', 'John Doe']);
+    assert.ok(c.inserts.every(i => i.music.songOfPraise.title === 'Ubi Caritas'));
+    assert.equal(resolveCelebration(wedding('sunday')), null);
+    assert.equal(resolveCelebration({ liturgicalDate: '2026-06-06' }), null);
+  });
+
+  it('overrides the season: no Gloria at a funeral, no Advent wreath', () => {
+    assert.equal(getSeasonDefaults('ordinary', undefined, 'funeral').gloria, false);
+    assert.equal(getSeasonDefaults('advent', undefined, 'weddingMass').adventWreath, false);
+    const ss = applySeasonDefaults(funeral()).seasonalSettings;
+    assert.equal(ss.gloria, false);
+    assert.equal(ss.adventWreath, false);
+    assert.equal(ss.includePostlude, false);
+  });
+
+  it('takes precedence over a Holy Week date', () => {
+    assert.equal(resolveHolyWeek(wedding('weddingMass', { liturgicalDate: '2026-04-02' })), null);
+    assert.equal(resolveHolyWeek(wedding('sunday', { liturgicalDate: '2026-04-02' })).id, 'holyThursday');
+  });
+
+  it('fills empty citations from the chosen ritual readings', () => {
+    const r = celebrationReadings(wedding('weddingMass'));
+    assert.equal(r.firstReadingCitation, 'Tb 8:4b-8');
+    assert.equal(r.psalmRefrain, 'Blessed are those who fear the Lord.');
+    assert.equal(r.gospelCitation, 'Jn 15:9-12');
+    assert.equal(r.secondReadingCitation, undefined);
+    const typed = wedding('weddingMass', { readings: { gospelCitation: 'Jn 2:1-11', psalmRefrain: 'Sung refrain' } });
+    assert.equal(celebrationReadings(typed).gospelCitation, 'Jn 2:1-11', 'a typed citation wins');
+    assert.equal(celebrationReadings(typed).psalmRefrain, 'Sung refrain');
+    assert.ok(RITUAL_READINGS.funeral.psalm.every(p => p.citation && p.refrain));
+  });
+
+  it('validates the type and the questionnaire', () => {
+    assert.equal(validateInput(wedding('wedding')).valid, true);
+    assert.equal(validateInput(funeral()).valid, true);
+    assert.equal(validateInput(wedding('baptism')).valid, false);
+    assert.equal(validateInput(wedding('weddingMass', { celebration: { names: ['A', 'B', 'C'] } })).valid, false);
+  });
+
+  it('labels every heading, rubric and music slot in Spanish', () => {
+    for (const [id, c] of Object.entries(CELEBRATIONS)) {
+      assert.ok(LABELS_ES[c.title], c.title);
+      for (const item of c.inserts.flatMap(i => i.parts.flat())) {
+        for (const label of [item.section, item.heading, item.rubric, item.label].filter(Boolean)) assert.ok(LABELS_ES[label], `${id}: ${label}`);
+      }
+    }
+    assert.equal(CELEBRATION_MUSIC_SLOTS.songOfFarewell, 'Song of Farewell');
+  });
+});
+
+describe('Celebrations in the outline', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`celebrates Matrimony after the Homily of a wedding Mass (${design})`, () => {
+      const all = items(wedding('weddingMass'), { design });
+      const h = headings(all);
+      assert.ok(h.indexOf('The Celebration of Matrimony') > h.indexOf('Homily'));
+      assert.ok(h.indexOf('Nuptial Blessing') > h.indexOf("The Lord's Prayer"));
+      assert.ok(h.indexOf('Nuptial Blessing') < h.indexOf('Sign of Peace'));
+      assert.ok(!h.some(t => /Creed|Profession of Faith/.test(t)));
+      assert.equal(all.find(i => i.type === 'music' && i.text === 'Hymn or Canticle of Praise').pieces[0].title, 'Ubi Caritas');
+      assert.ok(all.some(i => i.text === RECEPTION_OF_CONSENT));
+    });
+
+    it(`gives a wedding outside Mass its own outline (${design})`, () => {
+      const h = headings(items(wedding('wedding'), { design }));
+      assert.ok(h.includes('The Celebration of Matrimony'));
+      assert.ok(h.indexOf('Nuptial Blessing') > h.indexOf("The Lord's Prayer"));
+      assert.ok(!h.includes('The Liturgy of the Eucharist'));
+      assert.ok(!h.includes('Gloria') && !h.includes('Glory to God'));
+      assert.ok(h.includes('The Concluding Rites'));
+    });
+
+    it(`receives the body and ends with the Final Commendation at a funeral (${design})`, () => {
+      const all = items(funeral(), { design });
+      const h = headings(all);
+      assert.ok(h.indexOf('Reception of the Body') < h.indexOf('Processional Hymn'));
+      assert.ok(!h.includes('Penitential Act'));
+      assert.ok(!h.includes('Gloria') && !h.includes('Glory to God'));
+      assert.ok(h.indexOf('The Final Commendation') > h.indexOf('Prayer after Communion'));
+      assert.ok(!h.includes('Organ Postlude'));
+      assert.equal(h[h.length - 1], 'In Paradisum');
+      assert.ok(all.some(i => i.text === IN_PARADISUM));
+    });
+  }
+
+  it('lists the participants the rite names', () => {
+    const all = items(wedding('weddingMass'));
+    const h = headings(all);
+    assert.equal(h[0], 'Participants');
+    assert.equal(all.find(i => i.text === 'Celebrant').inline, 'Fr. Joseph Kim');
+    assert.equal(all.find(i => i.text === 'Witnesses').inline, 'Paul Doe and Ruth Lee');
+    assert.ok(!h.includes('Pallbearers'), 'not a wedding minister');
+    assert.ok(headings(items(funeral())).includes('Pallbearers'));
+    assert.ok(!headings(items(wedding('weddingMass', { celebration: { names: ['A', 'B'] } }))).includes('Participants'));
+  });
+
+  it('prints the chosen readings', () => {
+    const all = items(funeral({ reserveHymnSpace: false }));
+    assert.equal(all.find(i => i.text === 'First Reading' && i.inline).inline, 'Wis 3:1-9');
+    assert.ok(all.some(i => i.text === 'R. The Lord is my shepherd; there is nothing I shall want.'));
+  });
+
+  it('translates the rite in a Spanish booklet', () => {
+    const h = headings(items(funeral({ language: 'spanish' })));
+    assert.ok(h.includes(LABELS_ES['The Final Commendation']));
+    assert.ok(h.includes(LABELS_ES['Reception of the Body']));
+  });
+});
+
+describe('Celebration covers', () => {
+  it('names the couple, or the deceased with their dates', () => {
+    const w = celebrationCover(wedding('weddingMass'));
+    assert.equal(w.title, 'The Celebration of Marriage');
+    assert.equal(w.names, 'Anna Smith & John Doe');
+    assert.equal(w.eyebrow, '');
+    assert.match(w.when, /June 6, 2026 · 2:00 PM/);
+    const f = celebrationCover(funeral());
+    assert.equal(f.eyebrow, 'In Loving Memory of');
+    assert.equal(f.lifeDates, 'March 2, 1931 – December 5, 2026');
+    assert.equal(celebrationCover(wedding('sunday')), null);
+  });
+
+  it('draws the cover and the photo in the preview', () => {
+    const data = funeral({ notationImages: { celebrationPhoto: '/uploads/covers/cover-1.jpg' } });
+    for (const design of ['reimagined', 'classic']) {
+      const { html } = renderBookletHtml(data, { design });
+      assert.match(html, /class="cel-names">Margaret Brown</);
+      assert.match(html, /Mass (<span class="c-conn">)?of(<\/span>)? Christian Burial/);
+      assert.match(html, /class="cel-photo" src="\/uploads\/covers\/cover-1\.jpg"/);
+    }
+    assert.doesNotMatch(renderBookletHtml(wedding('sunday')).html, /cel-cover/);
+  });
+
+  it('embeds the photo on the PDF cover', async () => {
+    const out = path.join(outputDir, 'funeral.pdf');
+    const res = await generatePdf(funeral(), out, { bookletSize: 'half-letter', notationImages: { celebrationPhoto: PNG } });
+    assert.equal(res.pageCount, 8);
+    assert.match(fs.readFileSync(out, 'latin1'), /\/Subtype\s*\/Image/);
+  });
+});
+
+describe('Celebrations in the overflow check', () => {
+  const long = n => 'As the Father loves me, so I also love you. Remain in my love. '.repeat(n);
+
+  it('counts the Celebration of Matrimony in place of the Creed', () => {
+    const data = wedding('weddingMass', { readings: { gospelText: long(50) } });
+    assert.equal(detectOverflows(data).length, 0, 'the rite is shorter than the Creed it replaces');
+    assert.deepEqual(detectOverflows({ ...data, celebrationType: 'sunday' }).map(w => w.page), [4]);
+    assert.deepEqual(detectOverflows(wedding('weddingMass', { readings: { gospelText: long(60) } })).map(w => w.page), [4]);
+  });
+});
@@ -188,8 +188,8 @@ describe('Classic design — review fixes', () => {
   it('emits the classic CSS only for the classic design', () => {
     const cl = renderBookletHtml(baseData, { design: 'classic', parishSettings });
     const re = renderBookletHtml(baseData, { design: 'reimagined', parishSettings });
-    assert.match(cl.html, /@font-face/);
-    assert.ok(!/@font-face/.test(re.html), 'reimagined carries no classic font rules');
+    assert.match(cl.html, /@font-face \{ font-family:'ClassicSerif'/);
+    assert.ok(!/ClassicSerif|\.c-cover/.test(re.html), 'reimagined carries no classic font or cover rules');
   });
 });
 
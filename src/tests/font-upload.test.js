@@ -0,0 +1,189 @@
+// Uploaded fonts: glyph validation at upload, use in a parish theme, and
+// the PDF and preview both setting text in the uploaded face.
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const app = require('../server');
+const fontLibrary = require('../store/font-library');
+const themeRegistry = require('../store/theme-registry');
+const { generatePdf, layoutBooklet } = require('../pdf-generator');
+const { testOutputDir } = require('./_layout-helpers');
+
+const FONT_PATH = path.join(__dirname, '..', 'assets', 'fonts', 'classic', 'Classic-Serif-Bold.otf');
+const outputDir = testOutputDir('font-upload');
+
+let server;
+let baseUrl;
+let adminToken;
+let pastorToken;
+let font;
+let themeId;
+
+function fetch(urlPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(new URL(urlPath, baseUrl), {
+      method: options.method || 'GET',
+      headers: options.headers || {}
+    }, (res) => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          buffer: () => body,
+          json: () => JSON.parse(body.toString('utf8'))
+        });
+      });
+    });
+    req.on('error', reject);
+    if (options.body) req.write(options.body);
+    req.end();
+  });
+}
+
+function send(method, urlPath, body, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers['x-session-token'] = token;
+  return fetch(urlPath, { method, headers, body: body ? JSON.stringify(body) : undefined });
+}
+
+function uploadFont(filename, data, token) {
+  const boundary = '----fontup' + Math.random().toString(36).slice(2);
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="font"; filename="${filename}"\r\nContent-Type: application/octet-stream\r\n\r\n`),
+    data,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  const headers = { 'Content-Type': 'multipart/form-data; boundary=' + boundary };
+  if (token) headers['x-session-token'] = token;
+  return fetch('/api/fonts', { method: 'POST', headers, body });
+}
+
+async function login(username, password) {
+  return (await send('POST', '/api/auth/login', { username, password })).json().token;
+}
+
+const aid = {
+  feastName: 'Test Sunday',
+  liturgicalDate: '2026-03-01',
+  liturgicalSeason: 'ordinary',
+  readings: {
+    firstReadingCitation: 'Gen 1:1', firstReadingText: 'In the beginning...',
+    gospelCitation: 'Jn 1:1', gospelText: 'In the beginning was the Word...'
+  }
+};
+
+let releaseLock;
+before(async () => {
+  releaseLock = await require('./_shared-state-lock').acquireSharedStateLock();
+  await app.seedReady;
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      resolve();
+    });
+  });
+  adminToken = await login('jd', 'worship2026');
+  pastorToken = await login('frlarry', 'pastor2026');
+});
+
+after(async () => {
+  if (themeId) await themeRegistry.deleteTheme(themeId);
+  if (font) await fontLibrary.deleteFont(font.id);
+  await new Promise(resolve => server.close(resolve));
+  if (releaseLock) releaseLock();
+});
+
+describe('Font glyph validation', () => {
+  it('lists the required characters a font lacks', () => {
+    const asciiOnly = { hasGlyphForCodePoint: cp => cp < 128 };
+    const missing = fontLibrary.missingGlyphs(asciiOnly);
+    for (const ch of ['’', '”', '–', '—', 'æ', 'é']) assert.ok(missing.includes(ch), ch);
+    assert.ok(!missing.includes('A'));
+  });
+
+  it('accepts a font with every required glyph', () => {
+    const info = fontLibrary.inspectFont(fs.readFileSync(FONT_PATH));
+    assert.equal(info.weight, 700);
+    assert.equal(info.style, 'normal');
+    assert.equal(info.format, 'opentype');
+  });
+});
+
+describe('/api/fonts', () => {
+  it('only lets admins upload', async () => {
+    const data = fs.readFileSync(FONT_PATH);
+    assert.equal((await uploadFont('Serif-Bold.otf', data)).status, 401);
+    assert.equal((await uploadFont('Serif-Bold.otf', data, pastorToken)).status, 403);
+  });
+
+  it('rejects files that are not fonts', async () => {
+    const res = await uploadFont('Fake.ttf', Buffer.from('not a font at all'), adminToken);
+    assert.equal(res.status, 400);
+    assert.match(res.json().error, /not a TrueType or OpenType font/);
+    assert.equal((await uploadFont('Web.woff2', Buffer.from('x'), adminToken)).status, 400);
+  });
+
+  it('stores an uploaded font and serves the file', async () => {
+    const res = await uploadFont('DioceseSerif-Bold.otf', fs.readFileSync(FONT_PATH), adminToken);
+    assert.equal(res.status, 200);
+    font = res.json();
+    assert.match(font.id, /^custom-p052-bold/);
+    assert.equal(font.url, `/api/fonts/${font.filename}`);
+    assert.ok((await fetch('/api/fonts')).json().fonts.some(f => f.id === font.id));
+    const file = await fetch(font.url);
+    assert.equal(file.status, 200);
+    assert.equal(file.headers['content-type'], 'font/otf');
+    assert.equal(file.buffer().length, fs.statSync(FONT_PATH).size);
+  });
+
+  it('lets a theme set a role in the uploaded font, but not in an unknown one', async () => {
+    const bad = await send('POST', '/api/themes', { from: 'reimagined', fonts: { section: 'custom-nope' } }, adminToken);
+    assert.equal(bad.status, 400);
+    const res = await send('POST', '/api/themes', {
+      from: 'reimagined', name: 'Diocesan Font Test', fonts: { section: font.id, bold: font.id }
+    }, adminToken);
+    assert.equal(res.status, 200);
+    themeId = res.json().id;
+  });
+
+  it('sets the preview in the uploaded face', async () => {
+    const res = await send('POST', '/api/preview', { ...aid, design: themeId });
+    assert.equal(res.status, 200);
+    const { html } = res.json();
+    assert.ok(html.includes(`@font-face { font-family:'${font.id}'; src:url('${font.url}') format('opentype'); font-weight:700`));
+    assert.ok(html.includes(`font-family:'${font.id}',Georgia,serif`));
+  });
+
+  it('embeds the uploaded face in the PDF', async () => {
+    const { theme, customFonts } = await themeRegistry.resolveDesign(themeId);
+    const out = path.join(outputDir, 'uploaded-face.pdf');
+    const result = await generatePdf(aid, out, { theme, customFonts });
+    assert.deepEqual(result.warnings.filter(w => /font/i.test(w)), []);
+    assert.ok(fs.readFileSync(out).includes('P052-Bold'));
+  });
+
+  it('falls back to the base fonts when an uploaded font is gone', async () => {
+    const { theme } = await themeRegistry.resolveDesign(themeId);
+    const layout = layoutBooklet(aid, { theme });
+    assert.equal(layout.theme.fonts.section, 'Sans-Bold');
+    assert.ok(layout.warnings.some(w => w.includes(`"${font.id}" not found`)));
+  });
+
+  it('refuses to delete a font a theme still uses', async () => {
+    const res = await send('DELETE', '/api/fonts/' + font.id, null, adminToken);
+    assert.equal(res.status, 400);
+    assert.match(res.json().error, /Diocesan Font Test/);
+    await themeRegistry.deleteTheme(themeId);
+    themeId = null;
+    assert.equal((await send('DELETE', '/api/fonts/' + font.id, null, adminToken)).status, 200);
+    assert.equal((await fetch(font.url)).status, 404);
+    font = null;
+  });
+});
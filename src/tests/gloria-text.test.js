@@ -0,0 +1,86 @@
+// The Gloria's text: the full ICEL text when no music carries it, the
+// per-draft choice of full text / incipit / notation, and the overflow
+// estimate counting its lines.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { layoutBooklet } = require('../pdf-generator');
+const { renderBookletHtml } = require('../template-renderer');
+const { GLORIA, GLORIA_ES, GLORIA_LATIN, GLORIA_INCIPIT } = require('../assets/text/mass-texts');
+const { validateInput, detectOverflows, estimateLines } = require('../validator');
+const { items, draft, PNG } = require('./_layout-helpers');
+
+const aid = draft('2026-10-18');
+
+const gloriaItem = all => all[all.findIndex(i => i.type === 'heading' && /^(Gloria|Glory to God)$/.test(i.text)) + 1];
+
+describe('Gloria text', () => {
+  it('prints the full text when no area is reserved', () => {
+    for (const design of ['reimagined', 'classic']) {
+      const item = gloriaItem(items({ ...aid, reserveHymnSpace: false }, { design }));
+      assert.equal(item.text, GLORIA, design);
+    }
+  });
+
+  it('keeps the music area by default', () => {
+    const item = gloriaItem(items(aid));
+    assert.equal(item.type, 'notation');
+    assert.equal(item.slot, 'gloria');
+  });
+
+  it('prints the chosen text in place of the paste box', () => {
+    assert.equal(gloriaItem(items({ ...aid, seasonalSettings: { gloriaText: 'full' } })).text, GLORIA);
+    assert.equal(gloriaItem(items({ ...aid, seasonalSettings: { gloriaText: 'incipit' } })).text, GLORIA_INCIPIT);
+  });
+
+  it('prints an attached notation image whatever the choice', () => {
+    const item = gloriaItem(items({ ...aid, seasonalSettings: { gloriaText: 'full' } }, { notationImages: { gloria: PNG } }));
+    assert.equal(item.type, 'notation');
+  });
+
+  it('sets the full text in Latin and Spanish', () => {
+    assert.equal(gloriaItem(items({ ...aid, seasonalSettings: { gloriaText: 'full', gloriaLanguage: 'latin' } })).text, GLORIA_LATIN);
+    assert.equal(gloriaItem(items({ ...aid, language: 'spanish', seasonalSettings: { gloriaText: 'full' } })).text, GLORIA_ES);
+  });
+
+  it('prints the full text in the preview', () => {
+    const { html } = renderBookletHtml({ ...aid, seasonalSettings: { gloriaText: 'full' } });
+    assert.match(html, /in the glory of God the Father\./);
+    assert.doesNotMatch(html, /Gloria — music notation/);
+  });
+
+  it('validates the choice', () => {
+    assert.equal(validateInput({ ...aid, seasonalSettings: { gloriaText: 'incipit' } }).valid, true);
+    assert.equal(validateInput({ ...aid, seasonalSettings: { gloriaText: 'sung' } }).valid, false);
+  });
+});
+
+describe('Gloria length in pagination and the overflow check', () => {
+  it('gives the full text more room than the incipit', () => {
+    const measure = mode => {
+      const { blocks } = layoutBooklet({ ...aid, seasonalSettings: { gloriaText: mode } }, { pageCount: 'auto' });
+      const gloria = blocks.find(b => b.items.some(i => i.type === 'heading' && i.text === 'Gloria'));
+      const last = blocks[blocks.length - 1];
+      return { height: gloria.height, end: last.startPage * 10000 + last.bottom };
+    };
+    const full = measure('full');
+    const incipit = measure('incipit');
+    assert.ok(full.height > incipit.height);
+    assert.ok(full.end > incipit.end, 'the full text pushes later blocks down');
+  });
+
+  it('counts the printed Gloria toward page 3', () => {
+    const long = 'The word of the Lord came to me thus. '.repeat(120);
+    // Sized so the readings fit on their own but not with the full Gloria.
+    const readings = { firstReadingText: long.slice(0, (85 - 3 - estimateLines(GLORIA) + 5) * 65 - 40) };
+    const data = { ...aid, readings, seasonalSettings: { gloriaText: 'incipit' } };
+    assert.equal(detectOverflows(data).length, 0);
+    const full = detectOverflows({ ...data, seasonalSettings: { gloriaText: 'full' } });
+    assert.equal(full.length, 1);
+    assert.equal(full[0].page, 3);
+    assert.equal(detectOverflows({ ...data, seasonalSettings: { gloriaText: 'full', gloria: false } }).length, 0,
+      'an omitted Gloria takes no room');
+    assert.equal(detectOverflows({ ...data, seasonalSettings: {} }).length, 0, 'the music area is already in the fixed pages');
+  });
+});
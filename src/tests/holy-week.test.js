@@ -0,0 +1,189 @@
+// Holy Week: the liturgy picked from the date, the season rules it
+// overrides, each day's structure in both designs, the Passion read in
+// parts, Spanish labels and the overflow check.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBookletHtml } = require('../template-renderer');
+const { getLiturgicalInfo } = require('../liturgical-calendar');
+const { HOLY_WEEK, HOLY_WEEK_MUSIC_SLOTS, resolveHolyWeek } = require('../config/holy-week');
+const { getSeasonDefaults, applySeasonDefaults } = require('../config/seasons');
+const { LABELS_ES } = require('../assets/text/labels');
+const { LIGHT_OF_CHRIST, EASTER_DISMISSAL, SOLEMN_INTERCESSIONS_ES } = require('../assets/text/holy-week-texts');
+const { validateInput, detectOverflows } = require('../validator');
+const { items, headings } = require('./_layout-helpers');
+
+const DATES = { palmSunday: '2026-03-29', holyThursday: '2026-04-02', goodFriday: '2026-04-03', easterVigil: '2026-04-04' };
+
+const PASSION = 'N. The chief priests and the scribes were seeking a way to arrest him.\n' +
+  'C. Not during the festival, for fear that there may be a riot among the people.\n' +
+  '✠ Take it; this is my body.\n' +
+  'N. Then, after singing a hymn,\nthey went out to the Mount of Olives.';
+
+const aid = (day, extra) => ({
+  feastName: day,
+  liturgicalDate: DATES[day],
+  liturgicalSeason: 'lent',
+  readings: {
+    firstReadingCitation: 'Is 50:4-7', firstReadingText: 'The Lord GOD has given me a well-trained tongue.',
+    psalmCitation: 'Ps 22', psalmRefrain: 'My God, my God, why have you abandoned me?', psalmVerses: 'All who see me scoff at me.',
+    secondReadingCitation: 'Rom 6:3-11', secondReadingText: 'Are you unaware that we who were baptized...',
+    gospelCitation: 'Mk 14:1—15:47', gospelText: PASSION,
+    processionGospelCitation: 'Mk 11:1-10', processionGospelText: 'When Jesus and his disciples drew near to Jerusalem...'
+  },
+  ...extra
+});
+
+const at = (all, text) => headings(all).indexOf(text);
+
+describe('Holy Week from the date', () => {
+  it('names the liturgy of each Holy Week day', () => {
+    for (const [id, date] of Object.entries(DATES)) assert.equal(getLiturgicalInfo(date).holyWeek, id);
+    assert.equal(getLiturgicalInfo('2026-04-05').holyWeek, null, 'Easter Sunday is a Sunday Mass');
+    assert.equal(getLiturgicalInfo('2026-04-01').holyWeek, null);
+    assert.equal(getLiturgicalInfo('2027-03-26').holyWeek, 'goodFriday');
+  });
+
+  it('resolves the draft liturgy, with an override and a way back to the Mass', () => {
+    assert.equal(resolveHolyWeek(aid('goodFriday')).id, 'goodFriday');
+    assert.equal(resolveHolyWeek({ liturgicalDate: '2026-10-18', holyWeek: { liturgy: 'easterVigil' } }).id, 'easterVigil');
+    assert.equal(resolveHolyWeek(aid('palmSunday', { holyWeek: { liturgy: 'none' } })), null);
+    assert.equal(resolveHolyWeek({ liturgicalDate: '2026-10-18' }), null);
+  });
+
+  it('layers the day over the Lenten rules', () => {
+    assert.equal(getSeasonDefaults('lent', 'holyThursday').gloria, true);
+    assert.equal(getSeasonDefaults('lent', 'holyThursday').creedType, 'apostles');
+    assert.equal(getSeasonDefaults('lent', 'palmSunday').gloria, false);
+    assert.equal(applySeasonDefaults(aid('easterVigil')).seasonalSettings.gloria, true);
+    assert.equal(applySeasonDefaults(aid('holyThursday', { seasonalSettings: { gloria: false } })).seasonalSettings.gloria, false,
+      'a draft that set the Gloria keeps it');
+  });
+
+  it('validates the liturgy and the Holy Week readings', () => {
+    assert.equal(validateInput(aid('easterVigil', { holyWeek: { liturgy: 'none', music: { exsultet: { title: 'Exsultet', composer: 'Chant' } } } })).valid, true);
+    assert.equal(validateInput(aid('easterVigil', { holyWeek: { liturgy: 'ashWednesday' } })).valid, false);
+    assert.equal(validateInput(aid('easterVigil', { readings: { vigilReadings: Array(8).fill({ citation: 'Gn 1' }) } })).valid, false);
+  });
+
+  it('labels every Holy Week heading, rubric and music slot in Spanish', () => {
+    for (const [id, hw] of Object.entries(HOLY_WEEK)) {
+      for (const item of hw.inserts.flatMap(i => i.parts.flat())) {
+        for (const label of [item.section, item.heading, item.rubric, item.label].filter(Boolean)) assert.ok(LABELS_ES[label], `${id}: ${label}`);
+      }
+    }
+    assert.equal(HOLY_WEEK_MUSIC_SLOTS.exsultet, 'The Easter Proclamation (Exsultet)');
+  });
+});
+
+describe('Holy Week liturgies in the outline', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`opens Palm Sunday with the procession and reads the Passion in parts (${design})`, () => {
+      const all = items(aid('palmSunday'), { design });
+      const h = headings(all);
+      assert.equal(h[0], 'The Commemoration of the Lord’s Entrance into Jerusalem');
+      assert.ok(at(all, 'Hymn for the Procession') < at(all, 'Collect'));
+      assert.ok(!h.includes('Penitential Act') && !h.includes('The Introductory Rites'));
+      assert.ok(all.some(i => i.type === 'text' && /drew near to Jerusalem/.test(i.text)), 'the procession Gospel');
+      assert.ok(at(all, 'The Passion of the Lord') > at(all, 'Gospel Acclamation'));
+      const crowd = all.find(i => i.type === 'text' && i.text.startsWith('C. '));
+      assert.equal(crowd.bold, true);
+      assert.ok(!all.find(i => i.type === 'text' && i.text.startsWith('✠ ')).bold);
+      assert.ok(all.some(i => i.text === 'N. Then, after singing a hymn,\nthey went out to the Mount of Olives.'));
+      assert.ok(h.includes('The Liturgy of the Eucharist'));
+    });
+
+    it(`washes feet after the Homily and ends Holy Thursday with the Transfer (${design})`, () => {
+      const all = items(aid('holyThursday'), { design });
+      const h = headings(all);
+      assert.ok(h.includes(design === 'classic' ? 'Glory to God' : 'Gloria'));
+      assert.equal(at(all, 'The Washing of Feet'), at(all, 'Homily') + 1);
+      assert.ok(!h.some(t => /Creed$/.test(t)));
+      assert.ok(at(all, 'The Transfer of the Most Holy Eucharist') > at(all, 'Prayer after Communion'));
+      assert.ok(!h.includes('The Concluding Rites') && !h.some(t => /^Blessing (&|and) Dismissal$/.test(t)));
+      assert.ok(!h.includes('Organ Postlude'));
+      assert.equal(h[h.length - 1], 'Tantum Ergo');
+    });
+
+    it(`celebrates Good Friday without a Mass (${design})`, () => {
+      const all = items(aid('goodFriday'), { design });
+      const h = headings(all);
+      const order = ['The Celebration of the Passion of the Lord', 'The Liturgy of the Word', 'The Passion of the Lord',
+        'The Solemn Intercessions', 'The Adoration of the Holy Cross', 'Holy Communion', 'Prayer over the People'];
+      const positions = order.map(t => h.indexOf(t));
+      assert.ok(positions.every(p => p > -1), positions.join());
+      assert.deepEqual([...positions].sort((a, b) => a - b), positions);
+      for (const absent of ['The Liturgy of the Eucharist', 'Holy, Holy, Holy', 'Gloria', 'Prayer of the Faithful']) {
+        assert.ok(!h.includes(absent), absent);
+      }
+      assert.ok(all.some(i => i.type === 'notation' && i.slot === 'adorationOfTheCross'));
+      assert.ok(all.some(i => i.type === (design === 'classic' ? 'parishFooter' : 'copyright')));
+    });
+
+    it(`keeps the Easter Vigil's shape (${design})`, () => {
+      const vigilReadings = ['Gn 1:1—2:2', 'Gn 22:1-18', 'Ex 14:15—15:1', 'Is 54:5-14', 'Is 55:1-11', 'Bar 3:9-15', 'Ez 36:16-28']
+        .map((citation, i) => ({ citation, text: `Reading ${i + 1}.`, psalmCitation: `Ps ${i + 1}`, psalmRefrain: 'Alleluia.', psalmVerses: 'A verse.' }));
+      const data = aid('easterVigil', { readings: { ...aid('easterVigil').readings, gospelCitation: 'Mk 16:1-7', gospelText: 'When the sabbath was over...', vigilReadings } });
+      const all = items(data, { design });
+      const h = headings(all);
+      assert.equal(h[0], 'The Solemn Beginning of the Vigil or Lucernarium');
+      assert.ok(all.some(i => i.text === LIGHT_OF_CHRIST));
+      assert.ok(at(all, 'The Easter Proclamation (Exsultet)') < at(all, 'The Liturgy of the Word'));
+      assert.equal(h.filter(t => t === 'Responsorial Psalm').length, 7);
+      const gloria = at(all, design === 'classic' ? 'Glory to God' : 'Gloria');
+      assert.ok(at(all, 'Seventh Reading') < gloria && gloria < at(all, 'Collect') && at(all, 'Collect') < at(all, 'Epistle'));
+      assert.equal(h.filter(t => t === 'The Liturgy of the Word').length, 1);
+      assert.ok(!h.includes('Second Reading') || h.indexOf('Second Reading') < gloria, 'the Epistle is not repeated');
+      const texts = items({ ...data, reserveHymnSpace: false }, { design });
+      assert.ok(texts.some(i => i.type === 'text' && i.text === 'Alleluia, alleluia!'), 'the Alleluia returns');
+      assert.ok(at(all, 'Baptismal Liturgy') > at(all, 'Homily'));
+      assert.ok(!h.some(t => /Creed$/.test(t)));
+      assert.ok(all.some(i => i.text === EASTER_DISMISSAL));
+      assert.ok(h.includes('Organ Postlude'));
+    });
+  }
+
+  it('prints the Sunday Mass when the liturgy is set to none', () => {
+    const h = headings(items(aid('palmSunday', { holyWeek: { liturgy: 'none' } })));
+    assert.equal(h[0], 'The Introductory Rites');
+    assert.ok(h.includes('Gospel') && !h.includes('The Passion of the Lord'));
+  });
+
+  it('prints the titles and notation for the music chosen', () => {
+    const all = items(aid('holyThursday', { holyWeek: { music: { pangeLingua: { title: 'Pange Lingua Gloriosi', composer: 'Chant' } } } }));
+    const slot = all.find(i => i.type === 'music' && i.text === 'Pange Lingua');
+    assert.equal(slot.pieces[0].title, 'Pange Lingua Gloriosi');
+    assert.ok(all.some(i => i.type === 'notation' && i.slot === 'pangeLingua'));
+  });
+
+  it('translates Good Friday in a Spanish booklet', () => {
+    const all = items(aid('goodFriday', { language: 'spanish' }));
+    assert.ok(headings(all).includes('Adoración de la Santa Cruz'));
+    assert.ok(all.some(i => i.text === SOLEMN_INTERCESSIONS_ES));
+  });
+
+  it('draws the Passion in the preview', () => {
+    const { html } = renderBookletHtml(aid('goodFriday'));
+    assert.match(html, /The Passion of the Lord/);
+    assert.match(html, /C\. Not during the festival/);
+    assert.match(html, /The Adoration of the Holy Cross/i);
+  });
+});
+
+describe('Holy Week in the overflow check', () => {
+  const long = n => 'God said, Let there be light, and there was light. '.repeat(n);
+
+  it('counts the Vigil readings toward page 3', () => {
+    const data = aid('easterVigil', { readings: { vigilReadings: [{ citation: 'Gn 1', text: long(20) }] } });
+    assert.equal(detectOverflows(data).filter(w => w.page === 3).length, 0);
+    const over = detectOverflows(aid('easterVigil', { readings: { vigilReadings: Array(7).fill({ citation: 'Gn 1', text: long(20) }) } }));
+    assert.deepEqual(over.map(w => w.page), [3]);
+  });
+
+  it('counts the Holy Thursday rites in place of the Creed', () => {
+    const data = { ...aid('holyThursday'), readings: { gospelText: long(80) } };
+    assert.equal(detectOverflows(data).length, 0, 'the Washing of Feet is shorter than the Creed it replaces');
+    assert.equal(detectOverflows({ ...data, holyWeek: { liturgy: 'none' } }).length, 1);
+  });
+});
@@ -10,7 +10,7 @@ const assert = require('node:assert/strict');
 const fs = require('fs');
 const path = require('path');
 const { renderBookletHtml } = require('../template-renderer');
-const { generatePdf, LAYOUTS } = require('../pdf-generator');
+const { generatePdf, layoutBooklet, LAYOUTS } = require('../pdf-generator');
 
 const outputDir = path.join(__dirname, '..', '..', 'output', 'hymn-space-tests');
 const sample = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'sample', 'second-sunday-lent.json'), 'utf8'));
@@ -82,11 +82,16 @@ describe('HTML renderer — hymn music paste areas', () => {
     assert.doesNotMatch(html, /class="ordinary-music-space"/);
   });
 
-  it('sizes the hymn paste area per booklet geometry', () => {
-    const half = renderBookletHtml(sample, { bookletSize: 'half-letter' }).html;
-    const tab = renderBookletHtml(sample, { bookletSize: 'tabloid' }).html;
-    assert.match(half, /\.hymn-music-space\s*{[^}]*height:\s*2\.2in/);
-    assert.match(tab, /\.hymn-music-space\s*{[^}]*height:\s*2\.9in/);
+  it('sizes the hymn paste area to the box the PDF draws', () => {
+    for (const bookletSize of ['half-letter', 'tabloid']) {
+      const layout = layoutBooklet(sample, { bookletSize });
+      const drawn = layout.blocks.flatMap(b => b.items).find(i => i.type === 'hymnSpace').drawn;
+      assert.equal(drawn.kind, 'space');
+      const { html } = renderBookletHtml(sample, { bookletSize });
+      const box = html.match(/class="hymn-music-space" style="height:([\d.]+)pt/);
+      assert.ok(box, bookletSize);
+      assert.ok(Math.abs(Number(box[1]) - drawn.height) < 0.01, `${bookletSize}: ${box[1]} vs ${drawn.height}`);
+    }
   });
 
   it('two-column creed adds two-column class when twoColumnCreed is set', () => {
@@ -0,0 +1,85 @@
+// Large-print edition: letter pages, one column, body text at 16pt and up,
+// music at full content width, no cover art, and as many pages as it takes.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { generatePdf, layoutBooklet, WorshipAidPdfGenerator, LARGE_PRINT_LAYOUT } = require('../pdf-generator');
+const { layoutItems, testOutputDir } = require('./_layout-helpers');
+
+const outputDir = testOutputDir('large-print');
+
+const aid = {
+  feastName: 'Third Sunday of Lent',
+  liturgicalDate: '2026-03-08',
+  liturgicalSeason: 'lent',
+  readings: {
+    firstReadingCitation: 'Ex 17:3-7', firstReadingText: 'In those days, in their thirst for water...',
+    psalmCitation: 'Ps 95', psalmRefrain: 'If today you hear his voice, harden not your hearts.',
+    psalmVerses: 'Come, let us sing joyfully to the Lord;\nlet us acclaim the Rock of our salvation.\n\nCome, let us bow down in worship;\nlet us kneel before the Lord who made us.',
+    gospelCitation: 'Jn 4:5-42', gospelText: 'Jesus came to a town of Samaria called Sychar...'
+  }
+};
+
+describe('Large-print layout', () => {
+  it('sets body text at 16pt or larger on letter paper', () => {
+    const g = new WorshipAidPdfGenerator(aid, { largePrint: true });
+    assert.equal(g.PAGE_WIDTH, 612);
+    assert.equal(g.PAGE_HEIGHT, 792);
+    assert.equal(g.scale, LARGE_PRINT_LAYOUT.scale);
+    assert.equal(g.s(9), 18, 'the standard body size');
+    const withAnnouncements = { ...aid, announcements: 'Lenten soup supper Friday at 6 PM.' };
+    const bodySizes = layoutItems(layoutBooklet(withAnnouncements, { largePrint: true }))
+      .filter(i => i.type === 'text').map(i => g.s(i.size || 9));
+    assert.ok(bodySizes.length > 0);
+    bodySizes.forEach(pt => assert.ok(pt >= 16, `${pt}pt`));
+  });
+
+  it('opens with a title instead of the cover and never shrinks or pads', () => {
+    const layout = layoutBooklet(aid, { largePrint: true, pageCount: 8 });
+    assert.equal(layout.bookletSize, 'large-print');
+    assert.equal(layout.pages[0].page, 1);
+    assert.ok(!layout.pages.some(p => p.cover || p.filler));
+    assert.equal(layout.blocks[0].id, 'title');
+    assert.equal(layout.blocks[0].startPage, 1);
+    assert.equal(layout.textScale, 1);
+    assert.equal(layout.targetPages, layout.pagesNeeded);
+    assert.equal(layout.pages.length, layout.pagesNeeded);
+    assert.deepEqual(layout.blocks.filter(b => b.clipped), []);
+  });
+
+  it('flows long content onto as many pages as it needs', () => {
+    const long = { ...aid, readings: { ...aid.readings, gospelText: Array(12).fill('Jesus came to a town of Samaria called Sychar, near the plot of land that Jacob had given to his son Joseph. '.repeat(4)).join('\n\n') } };
+    const short = layoutBooklet(aid, { largePrint: true });
+    const layout = layoutBooklet(long, { largePrint: true });
+    assert.ok(layout.pagesNeeded > short.pagesNeeded);
+    assert.equal(layout.textScale, 1);
+    assert.deepEqual(layout.overflows.filter(o => o.severity === 'error'), []);
+  });
+
+  it('sets the psalm verses and Creed in one column in both designs', () => {
+    for (const design of ['reimagined', 'classic']) {
+      const withColumns = { ...aid, design, seasonalSettings: { twoColumnCreed: true } };
+      assert.ok(layoutItems(layoutBooklet(withColumns, { design })).some(i => i.type === 'columns'), design);
+      assert.ok(!layoutItems(layoutBooklet(withColumns, { design, largePrint: true })).some(i => i.type === 'columns'), design);
+    }
+  });
+
+  it('draws notation at the full content width', async () => {
+    const png = await sharp({ create: { width: 600, height: 200, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    const layout = layoutBooklet(aid, { largePrint: true, notationImages: { psalmRefrain: png } });
+    const music = layoutItems(layout).find(i => i.drawn && i.drawn.kind === 'image');
+    assert.equal(music.drawn.width, Math.round((612 - 2 * LARGE_PRINT_LAYOUT.margin) * 10) / 10);
+  });
+
+  it('writes a reader-order PDF even when imposition is requested', async () => {
+    const out = path.join(outputDir, 'large.pdf');
+    const result = await generatePdf(aid, out, { largePrint: true, imposition: { pageCount: 8 } });
+    assert.ok(!result.imposed);
+    assert.equal(result.pageWidth, 612);
+    assert.equal(result.pageCount, layoutBooklet(aid, { largePrint: true }).pagesNeeded);
+  });
+});
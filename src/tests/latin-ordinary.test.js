@@ -0,0 +1,111 @@
+// Latin for every Ordinary part: per-aid language > parish default >
+// English, the Latin texts when no music carries a part, and the optional
+// translation in a parallel column.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBookletHtml } = require('../template-renderer');
+const { ordinaryLanguage } = require('../mass-outline');
+const { KYRIE, KYRIE_LATIN, PATER_NOSTER, LORDS_PRAYER, AGNUS_DEI_LATIN, HOLY_HOLY_HOLY_LATIN } = require('../assets/text/mass-texts');
+const { NICENE_CREED, NICENE_CREED_LATIN, APOSTLES_CREED_LATIN, RENEWAL_OF_BAPTISMAL_VOWS } = require('../assets/text/creeds');
+const { validateInput } = require('../validator');
+const { items, headings } = require('./_layout-helpers');
+
+const aid = {
+  feastName: 'Third Sunday of Lent',
+  liturgicalDate: '2026-03-08',
+  liturgicalSeason: 'lent',
+  reserveHymnSpace: false,
+  readings: { gospelCitation: 'Jn 4:5-42', gospelText: 'Jesus came to a town of Samaria called Sychar...' }
+};
+
+const ALL_LATIN = {
+  kyrieLanguage: 'latin', gloriaLanguage: 'latin', creedLanguage: 'latin',
+  holyHolyLanguage: 'latin', lordsPrayerLanguage: 'latin', lambOfGodLanguage: 'latin'
+};
+
+describe('Ordinary language resolution', () => {
+  it('prefers the aid, then the parish default, then English', () => {
+    assert.equal(ordinaryLanguage('kyrie', {}, {}), 'english');
+    assert.equal(ordinaryLanguage('kyrie', {}, { defaultKyrieLanguage: 'latin' }), 'latin');
+    assert.equal(ordinaryLanguage('kyrie', { kyrieLanguage: 'english' }, { defaultKyrieLanguage: 'latin' }), 'english');
+    assert.equal(ordinaryLanguage('sanctus', {}, { defaultSanctusLanguage: 'latin' }), 'latin', 'the Sanctus keeps its fields');
+    assert.equal(ordinaryLanguage('mysteryOfFaith', { mysteryOfFaithLanguage: 'latin' }, {}), 'english');
+  });
+
+  it('validates the per-part fields', () => {
+    assert.equal(validateInput({ ...aid, seasonalSettings: { ...ALL_LATIN, latinTranslation: true } }).valid, true);
+    assert.equal(validateInput({ ...aid, seasonalSettings: { kyrieLanguage: 'greek' } }).valid, false);
+  });
+});
+
+describe('Latin Ordinary in the outline', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`prints every part in Latin (${design})`, () => {
+      const data = { ...aid, design, seasonalSettings: { ...ALL_LATIN, gloria: true, creedType: 'nicene' } };
+      const all = items(data, { design });
+      const texts = all.map(i => i.text);
+      for (const h of ['Kyrie', 'Gloria', 'Credo', 'Sanctus', 'Pater Noster', 'Agnus Dei']) {
+        assert.ok(headings(all).includes(h), h);
+      }
+      for (const t of [KYRIE_LATIN, NICENE_CREED_LATIN, HOLY_HOLY_HOLY_LATIN, PATER_NOSTER, AGNUS_DEI_LATIN]) {
+        assert.ok(texts.includes(t) || all.some(i => i.type === 'columns' && i.text === t), t.slice(0, 20));
+      }
+      assert.ok(texts.some(t => /^Gloria in excelsis Deo/.test(t)));
+      assert.ok(!texts.includes(NICENE_CREED));
+    });
+  }
+
+  it('leaves English parts as they were', () => {
+    const all = items({ ...aid, seasonalSettings: { creedType: 'nicene' } });
+    assert.ok(headings(all).includes('Lord, Have Mercy'));
+    assert.ok(headings(all).includes("The Lord's Prayer"));
+    assert.ok(!all.some(i => i.text === KYRIE || i.text === LORDS_PRAYER), 'no English Kyrie or Our Father text');
+  });
+
+  it('takes the parish default when the aid leaves a part unset', () => {
+    const all = items(aid, { parishSettings: { defaultKyrieLanguage: 'latin', defaultLambOfGodLanguage: 'latin' } });
+    assert.ok(headings(all).includes('Kyrie'));
+    assert.ok(headings(all).includes('Agnus Dei'));
+    assert.ok(headings(all).includes('Holy, Holy, Holy'));
+  });
+
+  it("sets the Apostles' Creed in Latin and leaves the baptismal promises in English", () => {
+    const apostles = items({ ...aid, seasonalSettings: { creedLanguage: 'latin', creedType: 'apostles' } });
+    assert.ok(headings(apostles).includes('Symbolum Apostolorum'));
+    assert.ok(apostles.some(i => i.text === APOSTLES_CREED_LATIN));
+    const vows = items({ ...aid, seasonalSettings: { creedLanguage: 'latin', creedType: 'baptismal_vows' } });
+    assert.ok(headings(vows).includes('Renewal of Baptismal Vows'));
+    assert.ok(vows.some(i => i.text === RENEWAL_OF_BAPTISMAL_VOWS));
+  });
+
+  it('keeps the notation when the slot has music', () => {
+    const all = items({ ...aid, reserveHymnSpace: true, seasonalSettings: { kyrieLanguage: 'latin' } });
+    assert.ok(all.some(i => i.type === 'notation' && i.slot === 'kyrie'));
+    assert.ok(!all.some(i => i.text === KYRIE_LATIN));
+  });
+});
+
+describe('Latin with translation', () => {
+  it('sets the translation in a parallel column', () => {
+    const all = items({ ...aid, seasonalSettings: { ...ALL_LATIN, latinTranslation: true } });
+    const kyrie = all.find(i => i.type === 'parallel' && i.text === KYRIE_LATIN);
+    assert.ok(kyrie);
+    assert.equal(kyrie.alt, KYRIE);
+    assert.equal(kyrie.lang, 'la');
+    assert.ok(all.some(i => i.type === 'parallel' && i.text === PATER_NOSTER && i.alt === LORDS_PRAYER));
+  });
+
+  it('translates into Spanish in a Spanish booklet', () => {
+    const all = items({ ...aid, language: 'spanish', seasonalSettings: { kyrieLanguage: 'latin', latinTranslation: true } });
+    const kyrie = all.find(i => i.type === 'parallel' && i.text === KYRIE_LATIN);
+    assert.match(kyrie.alt, /^Señor, ten piedad/);
+    assert.equal(kyrie.altLang, 'es');
+  });
+
+  it('marks the Latin column in the preview', () => {
+    const { html } = renderBookletHtml({ ...aid, seasonalSettings: { kyrieLanguage: 'latin', latinTranslation: true } });
+    assert.match(html, /<p class="prayer-text" lang="la">Kyrie, eleison\./);
+  });
+});
@@ -0,0 +1,165 @@
+// Leaflets: the rank of the day from the calendar, the rank's reduced
+// structure and season overrides, the 2- and 4-page layouts with a title in
+// place of the cover, the one Mass's music and the leaflet overflow check.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { layoutBooklet, generatePdf } = require('../pdf-generator');
+const { renderBookletHtml } = require('../template-renderer');
+const { getLiturgicalInfo, detectRank, parseDate } = require('../liturgical-calendar');
+const { RANK_RULES, resolveLeaflet, leafletReadings } = require('../config/leaflets');
+const { getSeasonDefaults, applySeasonDefaults } = require('../config/seasons');
+const { resolveMasses } = require('../music-formatter');
+const { titleLines } = require('../render-shared');
+const { validateInput, detectOverflows } = require('../validator');
+const { items, headings, testOutputDir } = require('./_layout-helpers');
+
+const outputDir = testOutputDir('leaflets');
+
+const leaflet = (liturgicalDate, extra) => ({
+  feastName: 'School Mass',
+  liturgicalDate,
+  liturgicalSeason: 'ordinary',
+  format: 'leaflet',
+  leaflet: { massTime: 'Wed 8:15 AM School Mass' },
+  readings: {
+    firstReadingCitation: 'Eph 3:2-12',
+    firstReadingText: 'Brothers and sisters: You have heard of the stewardship of God\'s grace.',
+    gospelCitation: 'Lk 12:39-48',
+    gospelText: 'Jesus said to his disciples: Be sure of this.'
+  },
+  musicWed815am: { processionalOrEntrance: 'Be Thou My Vision', communionHymn: 'Taste and See' },
+  musicSat5pm: { processionalOrEntrance: 'Not this Mass' },
+  ...extra
+});
+
+describe('Rank of the day', () => {
+  it('ranks solemnities, feasts, Sundays and weekdays from the calendar', () => {
+    assert.equal(getLiturgicalInfo('2026-11-01').rank, 'solemnity');
+    assert.equal(getLiturgicalInfo('2026-03-19').rank, 'solemnity');
+    assert.equal(getLiturgicalInfo('2026-08-06').rank, 'feast');
+    assert.equal(getLiturgicalInfo('2026-11-02').rank, 'commemoration');
+    assert.equal(getLiturgicalInfo('2026-10-18').rank, 'sunday');
+    assert.equal(getLiturgicalInfo('2026-10-21').rank, 'weekday');
+    assert.equal(detectRank(parseDate('2026-05-24')), 'solemnity', 'Pentecost');
+  });
+
+  it('resolves the leaflet from the date, with the draft\'s overrides', () => {
+    assert.equal(resolveLeaflet({ liturgicalDate: '2026-10-21' }), null, 'a booklet');
+    const weekday = resolveLeaflet(leaflet('2026-10-21'));
+    assert.equal(weekday.rank, 'weekday');
+    assert.equal(weekday.pageCount, 2);
+    assert.equal(weekday.creed, false);
+    assert.equal(weekday.massTime, 'Wed 8:15 AM School Mass');
+    const allSaints = resolveLeaflet(leaflet('2026-11-01'));
+    assert.equal(allSaints.pageCount, 4);
+    assert.equal(allSaints.creed, true);
+    const chosen = resolveLeaflet(leaflet('2026-10-21', { pageCount: 4, leaflet: { rank: 'feast', creed: true } }));
+    assert.deepEqual([chosen.rank, chosen.pageCount, chosen.creed], ['feast', 4, true]);
+    assert.equal(resolveLeaflet(leaflet('2026-10-21', { leaflet: { rank: 'vigil' } })).rank, 'weekday');
+  });
+
+  it('layers the rank over the season: the Gloria on St Joseph in Lent', () => {
+    assert.equal(getSeasonDefaults('lent').gloria, false);
+    assert.equal(getSeasonDefaults('lent', undefined, undefined, 'solemnity').gloria, true);
+    assert.equal(getSeasonDefaults('ordinary', undefined, undefined, 'weekday').gloria, false);
+    const ss = applySeasonDefaults(leaflet('2026-03-19', { liturgicalSeason: 'lent' })).seasonalSettings;
+    assert.equal(ss.gloria, true);
+    assert.equal(ss.includePostlude, true);
+    assert.equal(applySeasonDefaults({ ...leaflet('2026-03-19'), format: 'booklet', liturgicalSeason: 'lent' }).seasonalSettings.gloria, false);
+  });
+
+  it('leaves out the second reading unless the rank or the readings have one', () => {
+    assert.equal(leafletReadings(leaflet('2026-10-21'), {}).noSecondReading, true);
+    assert.equal(leafletReadings(leaflet('2026-11-01'), {}).noSecondReading, false);
+    assert.equal(leafletReadings(leaflet('2026-10-21'), { noSecondReading: false }).noSecondReading, false);
+    assert.ok(Object.values(RANK_RULES).filter(r => r.pageCount === 2).every(r => !r.creed && !r.seasonal.gloria));
+  });
+
+  it('validates the format, the rank and the leaflet lengths', () => {
+    assert.equal(validateInput(leaflet('2026-10-21', { pageCount: 2 })).valid, true);
+    assert.equal(validateInput(leaflet('2026-10-21', { pageCount: 8 })).valid, false);
+    assert.equal(validateInput(leaflet('2026-10-21', { leaflet: { rank: 'vigil' } })).valid, false);
+    assert.equal(validateInput({ ...leaflet('2026-10-21'), format: 'booklet', pageCount: 4 }).valid, false);
+    assert.equal(validateInput({ ...leaflet('2026-10-21'), format: 'poster' }).valid, false);
+  });
+});
+
+describe('Leaflets in the outline', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`prints the weekday structure, with no Gloria, Creed or second reading (${design})`, () => {
+      const h = headings(items(leaflet('2026-10-21'), { design }));
+      assert.ok(h.includes('First Reading'));
+      assert.ok(!h.includes('Second Reading'));
+      assert.ok(!h.some(t => /Creed|Profession of Faith/.test(t)));
+      assert.ok(!h.includes('Gloria') && !h.includes('Glory to God'));
+      assert.ok(!h.includes('Organ Prelude') && !h.includes('Organ Postlude'), 'empty optional music is dropped');
+    });
+
+    it(`prints the Creed on a solemnity, or when the draft asks for it (${design})`, () => {
+      const creed = h => h.some(t => /Creed|Profession of Faith/.test(t));
+      assert.ok(creed(headings(items(leaflet('2026-11-01'), { design }))));
+      assert.ok(!creed(headings(items(leaflet('2026-08-06'), { design }))), 'a feast');
+      assert.ok(creed(headings(items(leaflet('2026-08-06', { leaflet: { creed: true } }), { design }))));
+    });
+  }
+});
+
+describe('Leaflet layout', () => {
+  it('opens page 1 with the title in place of the cover', () => {
+    const layout = layoutBooklet(leaflet('2026-10-21'));
+    assert.equal(layout.targetPages, 2);
+    assert.equal(layout.pageCount, 2);
+    assert.ok(!layout.pages.some(p => p.cover));
+    assert.equal(layout.blocks[0].items[0].type, 'title');
+    assert.equal(layout.overflows.length, 0);
+    assert.equal(layoutBooklet(leaflet('2026-11-01')).pageCount, 4);
+  });
+
+  it('dates the title and names the one Mass', () => {
+    const t = titleLines(leaflet('2026-10-21'), { parishName: 'St. Mary Parish' });
+    assert.equal(t.parish, 'St. Mary Parish');
+    assert.equal(t.feast, 'School Mass');
+    assert.equal(t.when, 'Wednesday, October 21, 2026 · 8:15 AM School Mass');
+  });
+
+  it('prints the music of the leaflet\'s Mass only', () => {
+    const data = leaflet('2026-10-21');
+    assert.deepEqual(resolveMasses(data).map(m => m.key), ['wed815am']);
+    assert.deepEqual(resolveMasses({ ...data, leaflet: {} }).map(m => m.key), ['sat5pm'], 'the first Mass when none is given');
+    const all = items(data);
+    const entrance = all.find(i => i.type === 'music' && i.pieces && i.pieces.some(p => p.title === 'Be Thou My Vision'));
+    assert.ok(entrance);
+    assert.ok(!all.some(i => i.pieces && i.pieces.some(p => p.title === 'Not this Mass')));
+  });
+
+  it('draws the title and no cover in the preview', () => {
+    for (const design of ['reimagined', 'classic']) {
+      const { html } = renderBookletHtml(leaflet('2026-10-21'), { design });
+      assert.match(html, /8:15 AM School Mass/);
+      assert.doesNotMatch(html, /class="cover/);
+    }
+  });
+
+  it('writes a 2-page PDF', async () => {
+    const out = path.join(outputDir, 'weekday.pdf');
+    const res = await generatePdf(leaflet('2026-10-21'), out, { bookletSize: 'half-letter' });
+    assert.equal(res.pageCount, 2);
+  });
+});
+
+describe('Leaflets in the overflow check', () => {
+  const long = n => 'You have heard of the stewardship of God\'s grace that was given to me for your benefit. '.repeat(n);
+
+  it('warns when the readings outgrow the leaflet', () => {
+    assert.equal(detectOverflows(leaflet('2026-10-21')).length, 0);
+    const data = leaflet('2026-10-21', { readings: { firstReadingText: long(60), gospelText: 'Jesus said.' } });
+    const w = detectOverflows(data);
+    assert.deepEqual(w.map(x => x.page), [2]);
+    assert.match(w[0].message, /Leaflet overflow/);
+    assert.equal(detectOverflows({ ...data, pageCount: 4 }).length, 0);
+  });
+});
@@ -0,0 +1,79 @@
+// The Lectionary cycles: the Sunday (A/B/C) and weekday (I/II) cycles
+// turning over on the First Sunday of Advent, their place in the
+// liturgical info, and "Year B" on the cover of both designs.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { generatePdf } = require('../pdf-generator');
+const { renderBookletHtml } = require('../template-renderer');
+const { detectLectionaryCycle, getLiturgicalInfo, parseDate } = require('../liturgical-calendar');
+const { lectionaryYear } = require('../render-shared');
+const { validateInput } = require('../validator');
+const { testOutputDir } = require('./_layout-helpers');
+
+const outputDir = testOutputDir('lectionary');
+
+const cycle = date => detectLectionaryCycle(parseDate(date));
+
+const aid = extra => ({
+  feastName: 'First Sunday of Advent',
+  liturgicalDate: '2026-11-29',
+  liturgicalSeason: 'advent',
+  showLectionaryYear: true,
+  readings: { gospelCitation: 'Mk 13:33-37', gospelText: 'Jesus said to his disciples: Be watchful! Be alert!' },
+  ...extra
+});
+
+describe('Lectionary cycles', () => {
+  it('turns the Sunday and weekday cycles over on the First Sunday of Advent', () => {
+    assert.deepEqual(cycle('2025-11-29'), { sunday: 'C', weekday: 'I' });
+    assert.deepEqual(cycle('2025-11-30'), { sunday: 'A', weekday: 'II' });
+    assert.deepEqual(cycle('2026-11-28'), { sunday: 'A', weekday: 'II' });
+    assert.deepEqual(cycle('2026-11-29'), { sunday: 'B', weekday: 'I' });
+    assert.deepEqual(cycle('2027-12-25'), { sunday: 'C', weekday: 'II' });
+  });
+
+  it('keeps the year of the Advent it began in through Christmas', () => {
+    assert.deepEqual(cycle('2027-01-01'), cycle('2026-12-25'));
+    assert.deepEqual(cycle('2027-11-21'), cycle('2026-12-25'), 'Christ the King closes the year');
+  });
+
+  it('adds the cycles to the liturgical info', () => {
+    assert.deepEqual(getLiturgicalInfo('2026-10-18').lectionaryCycle, { sunday: 'A', weekday: 'II' });
+  });
+
+  it('validates a stored cycle', () => {
+    assert.equal(validateInput(aid({ lectionaryCycle: { sunday: 'B', weekday: 'I' } })).valid, true);
+    assert.equal(validateInput(aid({ lectionaryCycle: { sunday: 'D' } })).valid, false);
+    assert.equal(validateInput(aid({ lectionaryCycle: { weekday: 'III' } })).valid, false);
+  });
+});
+
+describe('The Lectionary year on the cover', () => {
+  it('names the year only when the draft asks for it', () => {
+    assert.equal(lectionaryYear(aid()), 'Year B');
+    assert.equal(lectionaryYear(aid({ showLectionaryYear: false })), '');
+    assert.equal(lectionaryYear(aid({ liturgicalDate: '', lectionaryCycle: { sunday: 'C', weekday: 'II' } })), 'Year C', 'the stored cycle');
+  });
+
+  it('labels the year in Spanish and in both languages', () => {
+    assert.equal(lectionaryYear(aid({ language: 'spanish' })), 'Ciclo B');
+    assert.equal(lectionaryYear(aid({ language: 'bilingual' })), 'Year B / Ciclo B');
+  });
+
+  it('prints the year after the date in both designs', () => {
+    for (const design of ['reimagined', 'classic']) {
+      assert.match(renderBookletHtml(aid(), { design }).html, /November 29, 2026 · Year B</);
+      assert.doesNotMatch(renderBookletHtml(aid({ showLectionaryYear: false }), { design }).html, /Year B/);
+    }
+  });
+
+  it('writes the cover to the PDF', async () => {
+    const out = path.join(outputDir, 'advent.pdf');
+    const res = await generatePdf(aid(), out, { bookletSize: 'half-letter' });
+    assert.equal(res.pageCount, 8);
+  });
+});
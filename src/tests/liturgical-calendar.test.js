@@ -150,6 +150,93 @@ describe('Chair of St. Peter', () => {
   });
 });
 
+describe('Proper of Saints: ranks and precedence', () => {
+  it('names memorials and optional memorials on weekdays, with their rank', () => {
+    const ignatius = getLiturgicalInfo('2026-10-17');
+    assert.equal(ignatius.feastName, 'St. Ignatius of Antioch, Bishop and Martyr');
+    assert.equal(ignatius.rank, 'memorial');
+    assert.equal(getLiturgicalInfo('2026-02-11').rank, 'optionalMemorial');
+    assert.equal(getLiturgicalInfo('2026-10-21').rank, 'weekday');
+  });
+
+  it('suppresses a feast of a saint on a Sunday, but not a feast of the Lord', () => {
+    const luke = getLiturgicalInfo('2026-10-18');
+    assert.equal(luke.feastName, '29th Sunday in Ordinary Time');
+    assert.deepEqual(luke.suppressed, [{ name: 'St. Luke, Evangelist', rank: 'feast' }]);
+    const lateran = getLiturgicalInfo('2025-11-09');
+    assert.equal(lateran.feastName, 'The Dedication of the Lateran Basilica');
+    assert.deepEqual(lateran.suppressed, [{ name: '32nd Sunday in Ordinary Time', rank: 'sunday' }]);
+  });
+
+  it('makes memorials optional on the privileged weekdays', () => {
+    const patrick = getLiturgicalInfo('2026-03-17');
+    assert.equal(patrick.rank, 'weekday');
+    assert.deepEqual(patrick.alternatives, ['St. Patrick, Bishop']);
+    assert.deepEqual(getLiturgicalInfo('2026-12-29').alternatives, ['St. Thomas Becket, Bishop and Martyr']);
+    assert.equal(getLiturgicalInfo('2026-12-29').feastName, 'The Fifth Day of the Octave of Christmas');
+  });
+
+  it('lists the other optional memorials, and none on an obligatory memorial', () => {
+    const jan23 = getLiturgicalInfo('2026-01-23');
+    assert.equal(jan23.feastName, 'St. Vincent, Deacon and Martyr');
+    assert.deepEqual(jan23.alternatives, ['St. Marianne Cope, Virgin']);
+    const motherOfChurch = getLiturgicalInfo('2026-05-25');
+    assert.equal(motherOfChurch.feastName, 'The Blessed Virgin Mary, Mother of the Church');
+    assert.equal(motherOfChurch.suppressed.length, 3);
+    assert.deepEqual(motherOfChurch.alternatives, []);
+  });
+
+  it('makes two memorials on one day both optional (Immaculate Heart 2026)', () => {
+    const info = getLiturgicalInfo('2026-06-13');
+    assert.equal(info.rank, 'optionalMemorial');
+    assert.deepEqual(info.alternatives, ['The Immaculate Heart of the Blessed Virgin Mary']);
+  });
+
+  it('keeps the days of the Easter octave above everything else', () => {
+    const info = getLiturgicalInfo('2026-04-07');
+    assert.equal(info.feastName, 'Tuesday within the Octave of Easter');
+    assert.deepEqual(info.suppressed, [{ name: 'St. John Baptist de la Salle, Priest', rank: 'memorial' }]);
+  });
+
+  it('follows the calendar for the United States', () => {
+    assert.equal(getLiturgicalInfo('2026-01-04').feastName, 'The Epiphany of the Lord');
+    assert.equal(getLiturgicalInfo('2027-01-04').feastName, 'St. Elizabeth Ann Seton, Religious');
+    assert.equal(getLiturgicalInfo('2026-12-12').rank, 'feast', 'Our Lady of Guadalupe');
+    assert.equal(getLiturgicalInfo('2026-07-14').feastName, 'St. Kateri Tekakwitha, Virgin');
+  });
+});
+
+describe('Transferred solemnities', () => {
+  it('moves the Immaculate Conception from an Advent Sunday and says so', () => {
+    const sunday = getLiturgicalInfo('2024-12-08');
+    assert.deepEqual(sunday.suppressed, [{ name: 'The Immaculate Conception of the Blessed Virgin Mary', rank: 'solemnity', transferredTo: '2024-12-09' }]);
+    const monday = getLiturgicalInfo('2024-12-09');
+    assert.equal(monday.rank, 'solemnity');
+    assert.equal(monday.transferredFrom, '2024-12-08');
+    assert.deepEqual(monday.suppressed, [{ name: 'St. Juan Diego Cuauhtlatoatzin', rank: 'optionalMemorial' }]);
+  });
+
+  it('moves the Annunciation out of Holy Week to the Monday after Divine Mercy Sunday (2024)', () => {
+    assert.equal(getLiturgicalInfo('2024-03-25').feastName, 'Monday of Holy Week');
+    assert.equal(getLiturgicalInfo('2024-04-08').feastName, 'The Annunciation of the Lord');
+  });
+
+  it('moves St. Joseph in Holy Week back to the Saturday before Palm Sunday (2035)', () => {
+    assert.equal(getLiturgicalInfo('2035-03-19').suppressed[0].transferredTo, '2035-03-17');
+    assert.equal(getLiturgicalInfo('2035-03-17').feastName, 'St. Joseph, Husband of the Blessed Virgin Mary');
+  });
+
+  it('moves St. Joseph from a Sunday of Lent to the Monday (2028)', () => {
+    assert.equal(getLiturgicalInfo('2028-03-19').feastName, 'Third Sunday of Lent');
+    assert.equal(getLiturgicalInfo('2028-03-20').feastName, 'St. Joseph, Husband of the Blessed Virgin Mary');
+  });
+
+  it('yields to a solemnity of the Lord on the same day (Sacred Heart 2022)', () => {
+    assert.equal(getLiturgicalInfo('2022-06-24').feastName, 'The Most Sacred Heart of Jesus');
+    assert.equal(getLiturgicalInfo('2022-06-24').suppressed[0].name, 'The Nativity of St. John the Baptist');
+  });
+});
+
 describe('Edge cases', () => {
   it('returns null for invalid dates', () => {
     assert.equal(getLiturgicalInfo('not-a-date'), null);
@@ -0,0 +1,121 @@
+// Liturgical colors: the color of each day from the calendar, a wedding's
+// or funeral's, the draft's override, and the accents a theme draws in it —
+// the section rules, the cover and the Advent-wreath box — in the preview
+// and the PDF.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { generatePdf } = require('../pdf-generator');
+const { renderBookletHtml } = require('../template-renderer');
+const { getLiturgicalInfo } = require('../liturgical-calendar');
+const { THEMES, LITURGICAL_COLORS, accentTheme, applyThemePatch } = require('../config/themes');
+const { liturgicalColor } = require('../render-shared');
+const { validateInput } = require('../validator');
+const { testOutputDir } = require('./_layout-helpers');
+
+const outputDir = testOutputDir('liturgical-colors');
+
+const color = date => getLiturgicalInfo(date).color;
+
+const aid = extra => ({
+  feastName: 'Third Sunday of Advent',
+  liturgicalDate: '2026-12-13',
+  liturgicalSeason: 'advent',
+  seasonalSettings: { adventWreath: true },
+  readings: { gospelCitation: 'Mt 11:2-11', gospelText: 'When John the Baptist heard in prison of the works of the Christ.' },
+  ...extra
+});
+
+// The fill and stroke colors set in the PDF's content streams, as PDFKit
+// writes them ("r g b scn", each 0-1).
+function pdfColors(file) {
+  const colors = new Set();
+  const streamRe = /stream\r?\n([\s\S]*?)\r?\nendstream/g;
+  const bytes = fs.readFileSync(file).toString('latin1');
+  let m;
+  while ((m = streamRe.exec(bytes)) !== null) {
+    let txt;
+    try { txt = zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1'); } catch (e) { continue; }
+    for (const c of txt.match(/[\d.]+ [\d.]+ [\d.]+ (?=scn|SCN)/gi) || []) colors.add(c.trim());
+  }
+  return colors;
+}
+const rgb = hex => hex.slice(1).match(/../g).map(h => parseInt(h, 16) / 255).join(' ');
+
+describe('Liturgical color of the day', () => {
+  it('follows the season', () => {
+    assert.equal(color('2026-12-01'), 'violet', 'Advent');
+    assert.equal(color('2026-02-18'), 'violet', 'Ash Wednesday');
+    assert.equal(color('2026-12-29'), 'white', 'Christmas');
+    assert.equal(color('2026-04-15'), 'white', 'Easter');
+    assert.equal(color('2026-10-18'), 'green', 'Ordinary Time');
+  });
+
+  it('marks Gaudete, Laetare and the days of the Passion and the Spirit', () => {
+    assert.equal(color('2026-12-13'), 'rose');
+    assert.equal(color('2026-03-15'), 'rose');
+    assert.equal(color('2026-03-29'), 'red', 'Palm Sunday');
+    assert.equal(color('2026-04-02'), 'white', 'Holy Thursday');
+    assert.equal(color('2026-04-03'), 'red', 'Good Friday');
+    assert.equal(color('2026-05-24'), 'red', 'Pentecost');
+    assert.equal(color('2026-05-31'), 'white', 'Trinity Sunday in Ordinary Time');
+  });
+
+  it('takes the color of the saint kept on the day', () => {
+    assert.equal(color('2026-01-21'), 'red', 'St. Agnes, Virgin and Martyr');
+    assert.equal(color('2026-06-29'), 'red', 'Sts. Peter and Paul, Apostles');
+    assert.equal(color('2026-10-15'), 'white', 'St. Teresa of Jesus');
+    assert.equal(color('2026-11-02'), 'violet', 'All Souls');
+    assert.equal(color('2026-09-14'), 'red', 'The Exaltation of the Holy Cross');
+    assert.equal(color('2027-01-25'), 'white', 'The Conversion of St. Paul the Apostle');
+    assert.equal(color('2026-12-28'), 'red', 'The Holy Innocents');
+    assert.equal(color('2026-03-10'), 'violet', 'a Lenten weekday keeps its color');
+  });
+
+  it('lets a wedding, a funeral or the draft choose', () => {
+    assert.equal(liturgicalColor(aid({ celebrationType: 'weddingMass' })), 'white');
+    assert.equal(liturgicalColor(aid({ celebrationType: 'funeral' })), 'violet');
+    assert.equal(liturgicalColor(aid({ liturgicalColor: 'green' })), 'green');
+    assert.equal(liturgicalColor(aid()), 'rose');
+    assert.equal(liturgicalColor(aid({ liturgicalDate: '' })), null);
+    assert.equal(validateInput(aid({ liturgicalColor: 'red' })).valid, true);
+    assert.equal(validateInput(aid({ liturgicalColor: 'blue' })).valid, false);
+  });
+});
+
+describe('Liturgical accents', () => {
+  it('colors the rules and the cover of a theme that takes them', () => {
+    const rose = accentTheme(THEMES.reimagined, 'rose');
+    assert.equal(rose.accent, LITURGICAL_COLORS.rose);
+    assert.equal(rose.colors.rule, LITURGICAL_COLORS.rose);
+    assert.equal(rose.colors.coverName, LITURGICAL_COLORS.rose);
+    assert.match(rose.wreathTint, /^#[0-9A-F]{6}$/);
+    assert.equal(accentTheme(THEMES.classic, 'rose').accent, null);
+    assert.equal(accentTheme(THEMES.classic, 'rose').colors.rule, THEMES.classic.colors.rule);
+    assert.equal(accentTheme(THEMES.reimagined, null).accent, null);
+    assert.equal(applyThemePatch(THEMES.classic, { liturgicalAccent: true }).theme.liturgicalAccent, true);
+  });
+
+  it('draws the accents in the preview', () => {
+    const html = renderBookletHtml(aid()).html;
+    assert.match(html, new RegExp(`border-bottom: 0.75pt solid ${LITURGICAL_COLORS.rose}`), 'the cover rule');
+    assert.match(html, new RegExp(`\\.advent-wreath \\{\\s*background: #[0-9A-F]{6}; color: ${LITURGICAL_COLORS.rose}`));
+    assert.match(renderBookletHtml(aid({ liturgicalColor: 'violet' })).html, new RegExp(`border-top: 0.5pt solid ${LITURGICAL_COLORS.violet}`), 'the section rules');
+    assert.doesNotMatch(renderBookletHtml(aid(), { design: 'classic' }).html, new RegExp(LITURGICAL_COLORS.rose));
+  });
+
+  it('draws the accents in the PDF', async () => {
+    const out = path.join(outputDir, 'gaudete.pdf');
+    await generatePdf(aid(), out, { bookletSize: 'half-letter' });
+    assert.ok(pdfColors(out).has(rgb(LITURGICAL_COLORS.rose)));
+    const green = path.join(outputDir, 'green.pdf');
+    await generatePdf(aid({ liturgicalColor: 'green' }), green, { bookletSize: 'half-letter' });
+    const colors = pdfColors(green);
+    assert.ok(colors.has(rgb(LITURGICAL_COLORS.green)));
+    assert.ok(!colors.has(rgb(LITURGICAL_COLORS.rose)));
+  });
+});
@@ -0,0 +1,95 @@
+// Tagged PDF output: structure tree, document language, notation alt text
+// and the bookmark outline of the rites.
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { generatePdf, generateImposedPdf } = require('../pdf-generator');
+const { testOutputDir } = require('./_layout-helpers');
+
+const outputDir = testOutputDir('pdf-accessibility');
+
+const aid = {
+  feastName: 'Third Sunday of Lent',
+  liturgicalDate: '2026-03-08',
+  liturgicalSeason: 'lent',
+  readings: {
+    firstReadingCitation: 'Ex 17:3-7', firstReadingText: 'In those days, in their thirst for water...',
+    psalmCitation: 'Ps 95', psalmRefrain: 'If today you hear his voice, harden not your hearts.',
+    psalmVerses: 'Come, let us sing joyfully to the Lord.',
+    gospelCitation: 'Jn 4:5-42', gospelText: 'Jesus came to a town of Samaria called Sychar...'
+  },
+  musicSat5pm: { communionHymn: 'Taste and See', communionHymnComposer: 'James E. Moore' }
+};
+
+// PDF text strings: literal "(…)", UTF-16BE with a byte-order mark when
+// they aren't plain ASCII.
+function pdfStrings(pdf, key) {
+  const out = [];
+  const re = new RegExp(`/${key} \\(((?:\\\\.|[^\\\\)])*)\\)`, 'gs');
+  let m;
+  while ((m = re.exec(pdf))) {
+    const raw = m[1].replace(/\\(.)/gs, '$1');
+    out.push(raw.startsWith('\xFE\xFF')
+      ? Buffer.from(raw.slice(2), 'latin1').swap16().toString('utf16le')
+      : raw);
+  }
+  return out;
+}
+
+let plain;
+let withNotation;
+before(async () => {
+  await generatePdf(aid, path.join(outputDir, 'plain.pdf'), { bookletSize: 'half-letter' });
+  plain = fs.readFileSync(path.join(outputDir, 'plain.pdf'), 'latin1');
+  const png = await sharp({ create: { width: 600, height: 200, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  await generatePdf(aid, path.join(outputDir, 'notation.pdf'), {
+    bookletSize: 'half-letter',
+    notationImages: { communion: png }
+  });
+  withNotation = fs.readFileSync(path.join(outputDir, 'notation.pdf'), 'latin1');
+});
+
+describe('Tagged PDF', () => {
+  it('is marked as tagged, in English, showing its title', () => {
+    assert.match(plain, /\/StructTreeRoot \d+ 0 R/);
+    assert.match(plain, /\/Marked true/);
+    assert.match(plain, /\/Lang \(en-US\)/);
+    assert.match(plain, /\/DisplayDocTitle true/);
+  });
+
+  it('tags rite headings, sub-headings and paragraphs', () => {
+    assert.ok((plain.match(/\/S \/H1/g) || []).length >= 4, 'one H1 per rite');
+    assert.ok((plain.match(/\/S \/H2/g) || []).length >= 4);
+    assert.ok((plain.match(/\/S \/P\b/g) || []).length >= 4);
+  });
+
+  it('gives uploaded notation a Figure with the hymn title as alt text', () => {
+    assert.doesNotMatch(plain, /\/S \/Figure/, 'blank paste boxes are artifacts, not figures');
+    assert.equal((withNotation.match(/\/S \/Figure/g) || []).length, 1);
+    const [alt] = pdfStrings(withNotation, 'Alt');
+    assert.match(alt, /^Music notation: Communion Hymn — Taste and See/);
+  });
+});
+
+describe('Bookmark outline', () => {
+  it('lists the cover and each rite, with readings beneath their rite', () => {
+    assert.match(plain, /\/PageMode \/UseOutlines/);
+    const titles = pdfStrings(plain, 'Title');
+    for (const rite of ['Third Sunday of Lent', 'The Introductory Rites', 'The Liturgy of the Word', 'The Liturgy of the Eucharist', 'The Concluding Rites']) {
+      assert.ok(titles.some(t => t.toLowerCase() === rite.toLowerCase()), rite);
+    }
+    assert.ok(titles.some(t => /First Reading/i.test(t)));
+  });
+
+  it('is built for printer spreads too', async () => {
+    const out = path.join(outputDir, 'spreads.pdf');
+    await generateImposedPdf(aid, out, { bookletSize: 'half-letter' });
+    const pdf = fs.readFileSync(out, 'latin1');
+    assert.match(pdf, /\/StructTreeRoot/);
+    assert.ok(pdfStrings(pdf, 'Title').some(t => /Liturgy of the Word/i.test(t)));
+  });
+});
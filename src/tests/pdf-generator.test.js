@@ -5,7 +5,8 @@ const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('fs');
 const path = require('path');
-const { generatePdf, buildFilename } = require('../pdf-generator');
+const { generatePdf, generateMassEditions, massEditionData, buildFilename } = require('../pdf-generator');
+const { DEFAULT_MASSES } = require('../music-formatter');
 
 const outputDir = path.join(__dirname, '..', '..', 'output', 'test');
 
@@ -108,3 +109,45 @@ describe('generatePdf', () => {
     assert.ok(fs.existsSync(pdfPath));
   });
 });
+
+describe('Per-Mass editions', () => {
+  it('should keep only the one Mass\'s music, anthems and Children\'s Liturgy', () => {
+    const data = {
+      ...sampleData,
+      childrenLiturgyMassTimes: ['Sun 9:00 AM'],
+      anthems: { offertory: [{ title: 'Offertory B', composer: '', masses: ['sun11am'] }], choral: [] }
+    };
+    const sun11 = massEditionData(data, DEFAULT_MASSES[2], DEFAULT_MASSES);
+    assert.deepEqual(sun11.masses, [DEFAULT_MASSES[2]]);
+    assert.equal(sun11.musicSat5pm, undefined);
+    assert.equal(sun11.musicSun11am.offertoryAnthem, 'Offertory B');
+    assert.equal(sun11.anthems.offertory.length, 1);
+    assert.equal(sun11.childrenLiturgyEnabled, false);
+    const sun9 = massEditionData(data, DEFAULT_MASSES[1], DEFAULT_MASSES);
+    assert.equal(sun9.childrenLiturgyEnabled, true);
+    assert.equal(sun9.anthems.offertory.length, 0);
+  });
+
+  it('should apply per-Mass notation overrides', () => {
+    const data = {
+      ...sampleData,
+      notationImages: { communion: '/uploads/notation/a.png', kyrie: '/uploads/notation/k.png' },
+      massNotationImages: { sun11am: { communion: '/uploads/notation/b.png', kyrie: '' } }
+    };
+    const sun11 = massEditionData(data, DEFAULT_MASSES[2], DEFAULT_MASSES);
+    assert.deepEqual(sun11.notationImages, { communion: '/uploads/notation/b.png' });
+    const sat = massEditionData(data, DEFAULT_MASSES[0], DEFAULT_MASSES);
+    assert.deepEqual(sat.notationImages, data.notationImages);
+  });
+
+  it('should write one PDF per Mass', async () => {
+    const { editions, warnings } = await generateMassEditions(sampleData, outputDir);
+    assert.deepEqual(editions.map(e => e.filename), [
+      '2026_03_01__Test_Sunday__sat5pm.pdf',
+      '2026_03_01__Test_Sunday__sun9am.pdf',
+      '2026_03_01__Test_Sunday__sun11am.pdf'
+    ]);
+    editions.forEach(e => assert.ok(fs.existsSync(e.outputPath)));
+    assert.ok(Array.isArray(warnings));
+  });
+});
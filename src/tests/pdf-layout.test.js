@@ -8,7 +8,7 @@ const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('fs');
 const path = require('path');
-const { generatePdf, LAYOUTS } = require('../pdf-generator');
+const { generatePdf, generateImposedPdf, layoutBooklet, saddleStitchSides, LAYOUTS } = require('../pdf-generator');
 
 const outputDir = path.join(__dirname, '..', '..', 'output', 'layout-tests');
 const sample = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'sample', 'second-sunday-lent.json'), 'utf8'));
@@ -189,3 +189,210 @@ describe('PDF layout — both sizes share the same page count', () => {
     assert.ok(b.result.pageCount > 0);
   });
 });
+
+describe('PDF layout — saddle-stitch imposition', () => {
+  it('pairs an 8-page booklet onto two sheets in fold order', () => {
+    assert.deepEqual(saddleStitchSides(8).map(sd => [sd.left, sd.right]),
+      [[8, 1], [2, 7], [6, 3], [4, 5]]);
+  });
+
+  it('pads to a multiple of four', () => {
+    const sides = saddleStitchSides(6);
+    assert.equal(sides.length, 4);
+    assert.deepEqual(sides[0], { sheet: 0, side: 'front', left: 8, right: 1 });
+  });
+
+  it('prints tabloid booklets on 11x17 sheets', async () => {
+    const out = path.join(outputDir, 'imposed-tabloid.pdf');
+    const result = await generateImposedPdf(sample, out, { bookletSize: 'tabloid', creepIn: 0.01 });
+    assert.equal(result.imposed, true);
+    assert.equal(result.bookletPageCount, 8);
+    assert.equal(result.sheetCount, 2);
+    assert.equal(result.pageCount, 4);
+    const boxes = extractMediaBoxes(fs.readFileSync(out));
+    assert.equal(boxes.length, 4);
+    boxes.forEach(b => { assert.equal(b.width, 17 * 72); assert.equal(b.height, 11 * 72); });
+  });
+
+  it('prints half-letter booklets on 8.5x11 sheets', async () => {
+    const out = path.join(outputDir, 'imposed-half.pdf');
+    const result = await generateImposedPdf(sample, out, { bookletSize: 'half-letter' });
+    assert.equal(result.pageCount, 4);
+    const boxes = extractMediaBoxes(fs.readFileSync(out));
+    boxes.forEach(b => { assert.equal(b.width, 11 * 72); assert.equal(b.height, 8.5 * 72); });
+  });
+});
+
+describe('PDF layout — dry-run page map', () => {
+  it('maps every flow block to a page without writing a file', () => {
+    const layout = layoutBooklet(sample, { bookletSize: 'half-letter' });
+    assert.equal(layout.pageCount, 8);
+    assert.ok(layout.pagesNeeded <= 8);
+    assert.deepEqual(layout.overflows, []);
+    assert.deepEqual(layout.pages.map(p => p.page), [1, 2, 3, 4, 5, 6, 7, 8]);
+    layout.pages.filter(p => !p.cover).forEach(p => assert.ok(p.remaining >= 0));
+    assert.ok(layout.blocks.length > 10);
+    for (const bl of layout.blocks) {
+      assert.ok(bl.startPage >= 2 && bl.startPage <= 8, JSON.stringify(bl));
+      assert.equal(bl.clipped, false);
+    }
+    // Blocks are in reading order and labelled by the heading they draw.
+    const pages = layout.blocks.map(bl => bl.startPage);
+    assert.deepEqual(pages, [...pages].sort((a, b) => a - b));
+    assert.ok(layout.blocks.some(bl => bl.label === 'Gospel'));
+  });
+
+  it('follows the chosen design', () => {
+    const classic = layoutBooklet(sample, { design: 'classic' });
+    assert.equal(classic.design, 'classic');
+    assert.equal(classic.pageCount, 8);
+  });
+
+  it('reports the real overflow page and the blocks cut off there', () => {
+    const hugeText = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(300);
+    const layout = layoutBooklet(Object.assign({}, sample, {
+      readings: Object.assign({}, sample.readings, {
+        firstReadingText: hugeText,
+        secondReadingText: hugeText,
+        gospelText: hugeText
+      })
+    }), { bookletSize: 'half-letter' });
+    assert.ok(layout.pagesNeeded > 8);
+    assert.equal(layout.textScale, 0.75);
+    assert.ok(layout.overflows.some(o => /needs \d+ pages/.test(o.message)));
+    const clipped = layout.overflows.find(o => o.blockIds);
+    assert.ok(clipped, JSON.stringify(layout.overflows));
+    assert.equal(clipped.severity, 'error');
+    assert.match(clipped.message, /^Page \d overflow: .* cut off/);
+    clipped.blockIds.forEach(id => assert.ok(layout.blocks.find(bl => bl.id === id).clipped));
+  });
+});
+
+describe('PDF layout — auto-fit', () => {
+  const longText = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(70);
+  const longData = Object.assign({}, sample, {
+    readings: Object.assign({}, sample.readings, { firstReadingText: longText, gospelText: longText })
+  });
+
+  it('is off by default — plain shrink-to-fit', () => {
+    const layout = layoutBooklet(longData, { bookletSize: 'half-letter' });
+    assert.deepEqual(layout.autoFit, []);
+    assert.ok(!layout.warnings.some(w => /^Auto-fit/.test(w)));
+  });
+
+  it('shrinks text no further than the parish minimum font size when that is enough', () => {
+    const layout = layoutBooklet(longData, { bookletSize: 'tabloid', autoFit: true, parishSettings: { minFontSizePt: 9 } });
+    assert.ok(layout.pagesNeeded <= 8);
+    assert.deepEqual(layout.autoFit, ['textScale']);
+    // 9pt body x 11/8.5 layout scale x textScale stays >= 9pt.
+    assert.ok(9 * (11 / 8.5) * layout.textScale >= 9);
+    assert.ok(layout.warnings.some(w => /^Auto-fit: text scaled to \d+% \([\d.]+pt body\)\.$/.test(w)), JSON.stringify(layout.warnings));
+  });
+
+  it('drops hymn boxes and sets two columns before going below the minimum, and reports each step', async () => {
+    const out = path.join(outputDir, 'auto-fit.pdf');
+    const result = await generatePdf(longData, out, { bookletSize: 'half-letter', autoFit: true, parishSettings: { minFontSizePt: 9 } });
+    assert.equal(result.pageCount, 8);
+    assert.ok(result.autoFit.includes('dropHymnSpace'), JSON.stringify(result.autoFit));
+    assert.ok(result.warnings.includes('Auto-fit: reserved hymn music boxes dropped.'));
+    assert.ok(result.autoFit.includes('twoColumn'), JSON.stringify(result.autoFit));
+    assert.ok(result.warnings.includes('Auto-fit: psalm verses and Creed set in two columns.'));
+    assert.ok(!result.warnings.some(w => /truncated/.test(w)), JSON.stringify(result.warnings));
+  });
+
+  it('lets text stay larger than plain shrink when other adjustments free the space', () => {
+    const plain = layoutBooklet(longData, { bookletSize: 'half-letter' });
+    const fitted = layoutBooklet(longData, { bookletSize: 'half-letter', autoFit: true });
+    assert.ok(fitted.textScale >= plain.textScale, `${fitted.textScale} < ${plain.textScale}`);
+  });
+
+  it('skips adjustments that change nothing (no reserved boxes to drop)', () => {
+    const layout = layoutBooklet(Object.assign({}, longData, { reserveHymnSpace: false }), { bookletSize: 'half-letter', autoFit: true });
+    assert.ok(!layout.autoFit.includes('dropHymnSpace'));
+  });
+});
+
+describe('PDF layout — 12/16-page and auto-length booklets', () => {
+  const withNotes = Object.assign({}, sample, { announcements: 'Fish fry Friday at 6 PM.\nStations of the Cross at 7 PM.' });
+
+  for (const pageCount of [12, 16]) {
+    it(`produces exactly ${pageCount} pages and fills the spare pages with parish content`, async () => {
+      const out = path.join(outputDir, `pages-${pageCount}.pdf`);
+      const result = await generatePdf(withNotes, out, { pageCount });
+      assert.equal(result.pageCount, pageCount);
+      assert.deepEqual(result.warnings, []);
+      const layout = layoutBooklet(withNotes, { pageCount, design: 'classic' });
+      const fillers = layout.pages.filter(p => p.filler).map(p => p.filler);
+      // Announcements move to their own page when there's room, then the
+      // parish-life blurbs, then notes pages.
+      assert.equal(fillers[0], 'announcements');
+      assert.equal(fillers[1], 'parish');
+      fillers.slice(2).forEach(f => assert.equal(f, 'notes'));
+      assert.ok(!layout.blocks.some(bl => bl.label === 'Announcements'));
+      // The reimagined cover already prints the blurbs: notes follow the
+      // announcements.
+      const reimagined = layoutBooklet(withNotes, { pageCount }).pages.filter(p => p.filler).map(p => p.filler);
+      assert.equal(reimagined[0], 'announcements');
+      reimagined.slice(1).forEach(f => assert.equal(f, 'notes'));
+    });
+  }
+
+  it('reads the page count from the draft', () => {
+    const layout = layoutBooklet(Object.assign({}, sample, { pageCount: 12 }), { design: 'classic' });
+    assert.equal(layout.targetPages, 12);
+    assert.equal(layout.pageCount, 12);
+    // The classic QR/licensing footer still closes the last page.
+    assert.equal(layout.blocks[layout.blocks.length - 1].startPage, 12);
+  });
+
+  it('auto rounds the pages the content needs up to a multiple of 4', () => {
+    // Real readings come in paragraphs — each one a flow block.
+    const longText = ('Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(8) + '\n\n').repeat(15);
+    const layout = layoutBooklet(Object.assign({}, sample, {
+      pageCount: 'auto',
+      readings: Object.assign({}, sample.readings, { firstReadingText: longText, gospelText: longText })
+    }), { bookletSize: 'half-letter' });
+    assert.equal(layout.textScale, 1);
+    assert.equal(layout.pageCount % 4, 0);
+    assert.ok(layout.pageCount > 8);
+    assert.ok(layout.pagesNeeded <= layout.pageCount);
+    assert.deepEqual(layout.overflows, []);
+  });
+
+  it('an 8-page booklet with a spare page prints the parish-life page, not a blank one', () => {
+    const short = Object.assign({}, sample, {
+      readings: Object.assign({}, sample.readings, { firstReadingText: 'Short.', secondReadingText: 'Short.', gospelText: 'Short.' })
+    });
+    const layout = layoutBooklet(short, { design: 'classic' });
+    assert.ok(layout.pagesNeeded < 8, `needs ${layout.pagesNeeded} pages`);
+    // The classic back page keeps its footer; the fillers come before it.
+    const fillers = layout.pages.filter(p => p.filler).map(p => p.filler);
+    assert.equal(fillers[fillers.length - 1], 'parish');
+  });
+
+  it('prints a notes page instead in the reimagined design, whose cover has the blurbs', () => {
+    const short = Object.assign({}, sample, {
+      announcements: '',
+      readings: Object.assign({}, sample.readings, { firstReadingText: 'Short.', secondReadingText: 'Short.', gospelText: 'Short.' })
+    });
+    const layout = layoutBooklet(short, {});
+    assert.ok(layout.pagesNeeded < 8, `needs ${layout.pagesNeeded} pages`);
+    const fillers = layout.pages.filter(p => p.filler).map(p => p.filler);
+    assert.ok(fillers.length > 0);
+    assert.ok(!fillers.includes('parish'), JSON.stringify(fillers));
+    assert.equal(fillers[fillers.length - 1], 'notes');
+  });
+
+  it('overflows name the chosen page count', () => {
+    const hugeText = ('Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(8) + '\n\n').repeat(60);
+    const layout = layoutBooklet(Object.assign({}, sample, {
+      pageCount: 12,
+      readings: Object.assign({}, sample.readings, { firstReadingText: hugeText, secondReadingText: hugeText, gospelText: hugeText })
+    }), { bookletSize: 'half-letter' });
+    assert.equal(layout.pageCount, 12);
+    const total = layout.overflows.find(o => /needs \d+ pages/.test(o.message));
+    assert.ok(total);
+    assert.equal(total.page, 12);
+    assert.match(total.message, /12-page booklet/);
+  });
+});
@@ -0,0 +1,105 @@
+// The Universal Prayer intentions and the presidential prayers: printed
+// under their headings in both designs and both renderers, the people's
+// response in the booklet's language, and their length in the overflow
+// check.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBookletHtml } = require('../template-renderer');
+const { validateInput, detectOverflows } = require('../validator');
+const { items } = require('./_layout-helpers');
+
+const aid = {
+  feastName: 'Twenty-Ninth Sunday in Ordinary Time',
+  liturgicalDate: '2026-10-18',
+  liturgicalSeason: 'ordinary',
+  readings: { gospelCitation: 'Mk 10:35-45', gospelText: 'James and John, the sons of Zebedee, came to Jesus...' }
+};
+
+const prayers = {
+  collect: 'Almighty ever-living God, grant that we may always conform our will to yours.',
+  intentions: [
+    'For the Church, that she may serve as Christ served, we pray to the Lord.',
+    'For the sick and the dying, we pray to the Lord. R.'
+  ],
+  prayerOverOfferings: 'Grant us, Lord, we pray, a sincere respect for your gifts.',
+  prayerAfterCommunion: 'Grant, O Lord, we pray, that, benefiting from participation in heavenly things...'
+};
+
+const after = (all, heading) => all[all.findIndex(i => i.type === 'heading' && i.text === heading) + 1];
+
+describe('Prayers in the outline', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`prints each prayer under its heading (${design})`, () => {
+      const all = items({ ...aid, prayers }, { design });
+      assert.equal(after(all, 'Collect').text, prayers.collect);
+      assert.equal(after(all, 'Prayer over the Offerings').text, prayers.prayerOverOfferings);
+      assert.equal(after(all, 'Prayer after Communion').text, prayers.prayerAfterCommunion);
+      const response = after(all, 'Prayer of the Faithful');
+      assert.equal(response.text, 'R. Lord, hear our prayer.');
+      assert.equal(response.bold, true);
+      const texts = all.map(i => i.text);
+      assert.ok(texts.includes('For the Church, that she may serve as Christ served, we pray to the Lord. R.'));
+      assert.ok(texts.includes('For the sick and the dying, we pray to the Lord. R.'), 'an existing R. is not doubled');
+    });
+  }
+
+  it('prints bare headings when no prayers are given', () => {
+    const all = items(aid);
+    assert.equal(after(all, 'Collect').type, 'rubric');
+    assert.notEqual(after(all, 'Prayer of the Faithful').role, 'refrain');
+    assert.ok(!all.some(i => i.type === 'heading' && i.text === 'Prayer over the Offerings'),
+      'the reimagined design adds the heading only with its prayer');
+    assert.ok(items(aid, { design: 'classic' }).some(i => i.type === 'heading' && i.text === 'Prayer over the Offerings'));
+  });
+
+  it("takes the draft's response, or the Spanish default in a Spanish booklet", () => {
+    const own = items({ ...aid, prayers: { ...prayers, response: 'Lord, in your mercy, hear our prayer.' } });
+    assert.equal(after(own, 'Prayer of the Faithful').text, 'R. Lord, in your mercy, hear our prayer.');
+    const es = items({ ...aid, language: 'spanish', prayers });
+    assert.equal(after(es, 'Oración Universal').text, 'R. Te rogamos, óyenos.');
+  });
+
+  it('prints the prayers in the preview', () => {
+    const { html } = renderBookletHtml({ ...aid, prayers }, { design: 'classic' });
+    assert.match(html, /conform our will to yours/);
+    assert.match(html, /R\. Lord, hear our prayer\./);
+    assert.match(html, /a sincere respect for your gifts/);
+  });
+
+  it('validates the prayer fields', () => {
+    assert.equal(validateInput({ ...aid, prayers }).valid, true);
+    assert.equal(validateInput({ ...aid, prayers: { intentions: 'For the Church' } }).valid, false);
+  });
+});
+
+describe('Prayers in the overflow check', () => {
+  const long = n => 'Lord God, hear the prayers of your people. '.repeat(n);
+
+  it('counts the intentions toward page 4', () => {
+    const data = { ...aid, readings: { gospelText: long(60) } };
+    assert.equal(detectOverflows(data).length, 0);
+    const over = detectOverflows({ ...data, prayers: { intentions: [long(12), long(12), long(12)] } });
+    assert.deepEqual(over.map(w => w.page), [4]);
+  });
+
+  it('counts the Collect toward page 3', () => {
+    const data = { ...aid, readings: { firstReadingText: long(115) } };
+    assert.equal(detectOverflows(data).length, 0);
+    assert.deepEqual(detectOverflows({ ...data, prayers: { collect: long(20) } }).map(w => w.page), [3]);
+  });
+
+  it('flags Eucharist prayers too long for their pages', () => {
+    const over = detectOverflows({ ...aid, prayers: { prayerOverOfferings: long(40), prayerAfterCommunion: long(40) } });
+    assert.equal(over.length, 1);
+    assert.equal(over[0].page, 5);
+    assert.match(over[0].message, /Prayer over the Offerings|Prayer after Communion/);
+  });
+
+  it('counts the prayers in longer booklets', () => {
+    const data = { ...aid, pageCount: 12, readings: { firstReadingText: long(800) } };
+    assert.equal(detectOverflows(data).length, 0);
+    assert.equal(detectOverflows({ ...data, prayers: { prayerAfterCommunion: long(120) } }).length, 1);
+  });
+});
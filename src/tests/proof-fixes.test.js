@@ -219,7 +219,7 @@ describe('Proof fixes v2 — psalm strophes', () => {
 
   it('prints one paragraph per strophe, each ending with R.', () => {
     const { html } = renderBookletHtml(multi);
-    const verses = html.match(/<p class="psalm-verse">[^]*?<\/p>/g) || [];
+    const verses = html.match(/<p class="psalm-verse"[^>]*>[^]*?<\/p>/g) || [];
     assert.equal(verses.length, 3, 'three strophe paragraphs');
     for (const v of verses) assert.match(v, /R\.<\/p>$/);
   });
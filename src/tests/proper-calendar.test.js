@@ -0,0 +1,160 @@
+// The proper calendar: the parish's own celebrations in settings, checked
+// on save, ranked with the General Roman Calendar — on their date or by a
+// rule, keeping or yielding to a Sunday, transferred when impeded — and
+// honored by the liturgical info, a leaflet's rank and the day's color.
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { getLiturgicalInfo, detectFeastName, parseDate } = require('../liturgical-calendar');
+const { normalizeProperCalendar, calendarOptions } = require('../config/proper-calendar');
+const { resolveLeaflet } = require('../config/leaflets');
+const { liturgicalColor } = require('../render-shared');
+
+const patron = extra => ({ name: 'St. Raphael the Archangel, Patron of the Parish', date: '10-21', rank: 'solemnity', ...extra });
+const dedication = extra => ({
+  name: 'The Anniversary of the Dedication of the Church',
+  rule: { month: 10, weekday: 0, week: 'last' },
+  rank: 'solemnity',
+  ...extra
+});
+const info = (date, ...entries) => getLiturgicalInfo(date, { properCalendar: normalizeProperCalendar(entries) });
+
+describe('Proper calendar entries', () => {
+  it('fills in the color and whether a Sunday gives way', () => {
+    const [solemnity, memorial] = normalizeProperCalendar([patron(), { name: '  Bl. Stanley Rother ', date: '07-28', rank: 'memorial', color: 'red' }]);
+    assert.deepEqual(solemnity, { name: patron().name, rank: 'solemnity', color: 'white', displacesSunday: true, date: '10-21' });
+    assert.deepEqual(memorial, { name: 'Bl. Stanley Rother', rank: 'memorial', color: 'red', displacesSunday: false, date: '07-28' });
+    assert.deepEqual(normalizeProperCalendar(undefined), []);
+  });
+
+  it('names the entry that does not check out', () => {
+    assert.throws(() => normalizeProperCalendar({}), /must be a list/);
+    assert.throws(() => normalizeProperCalendar([{ date: '10-21', rank: 'feast' }]), /entry 1 needs a name/);
+    assert.throws(() => normalizeProperCalendar([patron({ rank: 'vigil' })]), /"St. Raphael.*rank must be/);
+    assert.throws(() => normalizeProperCalendar([patron(), patron({ date: '02-30' })]), /entry 2 .*date must be MM-DD/);
+    assert.throws(() => normalizeProperCalendar([patron({ color: 'blue' })]), /color must be/);
+    assert.throws(() => normalizeProperCalendar([patron({ displacesSunday: 'yes' })]), /displacesSunday/);
+    assert.throws(() => normalizeProperCalendar([dedication({ rule: { month: 10, weekday: 0, week: 5 } })]), /rule must be/);
+    assert.throws(() => normalizeProperCalendar([dedication({ date: '10-25' })]), /both a date and a rule/);
+    assert.throws(() => normalizeProperCalendar([{ name: 'Nowhen', rank: 'feast' }]), /needs a date/);
+    assert.deepEqual(calendarOptions({ properCalendar: [{ name: 'Nowhen' }] }), { profile: 'us', properCalendar: [] });
+  });
+});
+
+describe('Proper celebrations in the calendar', () => {
+  it('keeps a patronal solemnity on its weekday', () => {
+    const day = info('2026-10-21', patron({ color: 'red' }));
+    assert.equal(day.feastName, patron().name);
+    assert.equal(day.rank, 'solemnity');
+    assert.equal(day.color, 'red');
+    assert.equal(day.liturgicalSeason, 'ordinary');
+    assert.equal(getLiturgicalInfo('2026-10-21').rank, 'weekday', 'only for the parish that keeps it');
+  });
+
+  it('finds a date by its rule and keeps it on the Sunday', () => {
+    const day = info('2026-10-25', dedication());
+    assert.equal(day.feastName, dedication().name);
+    assert.equal(day.rank, 'solemnity');
+    assert.equal(info('2027-10-31', dedication()).feastName, dedication().name);
+    const first = { name: 'Parish Feast Day', rule: { month: 10, weekday: 3, week: 1 }, rank: 'feast' };
+    assert.equal(info('2026-10-07', first).feastName, first.name, 'the first Wednesday, over Our Lady of the Rosary');
+  });
+
+  it('moves a solemnity that yields to the Sunday to the next free day', () => {
+    const sunday = info('2026-10-25', dedication({ displacesSunday: false }));
+    assert.equal(sunday.rank, 'sunday');
+    assert.deepEqual(sunday.suppressed, [{ name: dedication().name, rank: 'solemnity', transferredTo: '2026-10-26' }]);
+    const monday = info('2026-10-26', dedication({ displacesSunday: false }));
+    assert.equal(monday.feastName, dedication().name);
+    assert.equal(monday.transferredFrom, '2026-10-25');
+  });
+
+  it('gives way to the Sundays of Advent and the general solemnities', () => {
+    const advent = { name: 'St. Nicholas, Patron of the Parish', date: '12-06', rank: 'solemnity' };
+    assert.equal(info('2026-12-06', advent).feastName, 'Second Sunday of Advent');
+    assert.equal(info('2026-12-07', advent).feastName, advent.name);
+    const assumption = { name: 'Our Lady of the Assumption, Patroness', date: '08-15', rank: 'solemnity' };
+    assert.equal(info('2026-08-15', assumption).feastName, 'The Assumption of the Blessed Virgin Mary');
+    assert.equal(info('2026-08-17', assumption).feastName, assumption.name, 'past the Sunday after');
+  });
+
+  it('keeps a proper memorial to its own day, in its color', () => {
+    const memorial = { name: 'Bl. Stanley Rother', date: '07-28', rank: 'memorial', color: 'red' };
+    const day = info('2026-07-28', memorial);
+    assert.equal(day.feastName, memorial.name);
+    assert.equal(day.color, 'red');
+    assert.equal(detectFeastName(parseDate('2026-07-29'), { properCalendar: [memorial] }), 'Sts. Martha, Mary and Lazarus');
+  });
+
+  it('ranks a leaflet and colors the booklet from data.calendar', () => {
+    const calendar = calendarOptions({ properCalendar: [patron({ color: 'red' })] });
+    const leaflet = resolveLeaflet({ liturgicalDate: '2026-10-21', format: 'leaflet', calendar });
+    assert.equal(leaflet.rank, 'solemnity');
+    assert.equal(leaflet.pageCount, 4);
+    assert.equal(resolveLeaflet({ liturgicalDate: '2026-10-21', format: 'leaflet' }).rank, 'weekday');
+    assert.equal(liturgicalColor({ liturgicalDate: '2026-10-21', calendar }), 'red');
+    assert.equal(liturgicalColor({ liturgicalDate: '2026-10-21' }), 'green');
+  });
+});
+
+describe('The proper calendar in settings', () => {
+  const app = require('../server');
+  let server;
+  let baseUrl;
+  let token;
+  let saved;
+  let releaseLock;
+
+  function fetch(urlPath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(new URL(urlPath, baseUrl), {
+        method: options.method || 'GET',
+        headers: { 'Content-Type': 'application/json', ...(token ? { 'x-session-token': token } : {}) }
+      }, res => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve({ status: res.statusCode, json: () => JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      if (options.body) req.write(JSON.stringify(options.body));
+      req.end();
+    });
+  }
+
+  before(async () => {
+    releaseLock = await require('./_shared-state-lock').acquireSharedStateLock();
+    await app.seedReady;
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    });
+    const login = await fetch('/api/auth/login', { method: 'POST', body: { username: 'jd', password: 'worship2026' } });
+    token = login.json().token;
+    saved = (await fetch('/api/settings')).json().properCalendar || [];
+  });
+
+  after(async () => {
+    await fetch('/api/settings', { method: 'PUT', body: { properCalendar: saved } });
+    await new Promise(resolve => server.close(resolve));
+    releaseLock();
+  });
+
+  it('refuses an entry that does not check out', async () => {
+    const res = await fetch('/api/settings', { method: 'PUT', body: { properCalendar: [patron({ rank: 'vigil' })] } });
+    assert.equal(res.status, 400);
+    assert.match(res.json().error, /rank must be/);
+  });
+
+  it('stores the entries and names the day by them', async () => {
+    const res = await fetch('/api/settings', { method: 'PUT', body: { properCalendar: [patron()] } });
+    assert.equal(res.status, 200);
+    assert.equal(res.json().properCalendar[0].displacesSunday, true);
+    const day = (await fetch('/api/liturgical-info?date=2026-10-21')).json();
+    assert.equal(day.feastName, patron().name);
+    assert.equal(day.rank, 'solemnity');
+  });
+});
@@ -0,0 +1,128 @@
+// Rite inserts: the library's sacraments and blessings attached at their
+// anchors in both designs, the Mass parts they replace, their music slots,
+// Spanish labels, the preview and the overflow check.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBookletHtml } = require('../template-renderer');
+const { RITE_INSERTS, RITE_ANCHORS, RITE_MUSIC_SLOTS, resolveRiteInserts } = require('../config/rite-inserts');
+const { LABELS_ES } = require('../assets/text/labels');
+const { SPRINKLING_CONCLUSION, PROFESSION_ASSENT, BLESSING_OF_THROATS_ES } = require('../assets/text/rite-texts');
+const { validateInput, detectOverflows } = require('../validator');
+const { items } = require('./_layout-helpers');
+
+const aid = {
+  feastName: 'Fifth Sunday of Easter',
+  liturgicalDate: '2026-05-03',
+  liturgicalSeason: 'easter',
+  readings: { gospelCitation: 'Jn 15:1-8', gospelText: 'Jesus said to his disciples: "I am the true vine..."' }
+};
+
+const headingAt = (all, text) => all.findIndex(i => (i.type === 'heading' || i.type === 'music') && i.text === text);
+
+describe('Rite insert library', () => {
+  it('anchors every insert and labels every slot', () => {
+    for (const [id, rite] of Object.entries(RITE_INSERTS)) {
+      assert.ok(RITE_ANCHORS.includes(rite.anchor), id);
+      assert.ok(rite.parts.length, id);
+      for (const item of rite.parts.flat()) {
+        for (const label of [item.heading, item.rubric, item.label].filter(Boolean)) assert.ok(LABELS_ES[label], `${id}: ${label}`);
+      }
+    }
+    assert.equal(RITE_MUSIC_SLOTS.sprinkling, 'Song during the Sprinkling');
+  });
+
+  it('resolves the draft inserts in order and skips unknown ids', () => {
+    const rites = resolveRiteInserts({ riteInserts: [{ id: 'blessingOfThroats' }, { id: 'nope' }, { id: 'sprinkling', music: { sprinkling: { title: 'Vidi Aquam' } } }] });
+    assert.deepEqual(rites.map(r => r.id), ['blessingOfThroats', 'sprinkling']);
+    assert.equal(rites[1].music.sprinkling.title, 'Vidi Aquam');
+  });
+
+  it('validates the insert ids', () => {
+    assert.equal(validateInput({ ...aid, riteInserts: [{ id: 'confirmation', music: { confirmationSong: { title: 'Veni Creator', composer: 'Chant' } } }] }).valid, true);
+    assert.equal(validateInput({ ...aid, riteInserts: [{ id: 'exorcism' }] }).valid, false);
+  });
+});
+
+describe('Rite inserts in the outline', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`puts the Sprinkling in place of the Penitential Act and Kyrie (${design})`, () => {
+      const music = { sprinkling: { title: 'Vidi Aquam', composer: 'Chant' } };
+      const all = items({ ...aid, riteInserts: [{ id: 'sprinkling', music }] }, { design });
+      const at = headingAt(all, 'Blessing and Sprinkling of Water');
+      assert.ok(at > headingAt(all, 'Processional Hymn'));
+      assert.ok(at < headingAt(all, design === 'classic' ? 'Glory to God' : 'Gloria'));
+      assert.equal(headingAt(all, 'Penitential Act'), -1);
+      assert.equal(headingAt(all, design === 'classic' ? 'Lord Have Mercy' : 'Lord, Have Mercy'), -1);
+      const song = all[headingAt(all, 'Song during the Sprinkling')];
+      assert.equal(song.pieces[0].title, 'Vidi Aquam');
+      assert.ok(all.some(i => i.type === 'notation' && i.slot === 'sprinkling'));
+      assert.ok(all.some(i => i.text === SPRINKLING_CONCLUSION));
+    });
+
+    it(`puts Confirmation after the Homily in place of the Creed (${design})`, () => {
+      const all = items({ ...aid, riteInserts: [{ id: 'confirmation' }] }, { design });
+      const at = headingAt(all, 'Renewal of Baptismal Promises');
+      assert.ok(at > headingAt(all, 'Homily'));
+      assert.ok(at < headingAt(all, 'Prayer of the Faithful'));
+      assert.ok(!all.some(i => i.type === 'heading' && /Creed$/.test(i.text)));
+      assert.ok(all.some(i => i.text === PROFESSION_ASSENT));
+    });
+
+    it(`puts blessings just before the Dismissal (${design})`, () => {
+      const all = items({ ...aid, riteInserts: [{ id: 'blessingOfThroats' }, { id: 'anniversaryBlessing' }] }, { design });
+      const dismissal = headingAt(all, design === 'classic' ? 'Blessing and Dismissal' : 'Blessing & Dismissal');
+      assert.equal(headingAt(all, 'Song of Blessing'), dismissal - 2, 'the anniversary paste box sits between');
+      assert.ok(headingAt(all, 'Blessing of Throats') < headingAt(all, 'Blessing of Anniversary Couples'));
+    });
+  }
+
+  it('keeps the Creed for a Scrutiny', () => {
+    const all = items({ ...aid, liturgicalSeason: 'lent', riteInserts: [{ id: 'scrutiny' }] });
+    assert.ok(headingAt(all, 'Scrutiny') < headingAt(all, "The Apostles' Creed"));
+  });
+
+  it('leaves the Order of Mass alone without inserts', () => {
+    const all = items(aid);
+    assert.ok(headingAt(all, 'Penitential Act') > -1);
+    assert.ok(all.some(i => i.type === 'heading' && /Creed$/.test(i.text)));
+  });
+
+  it('drops the music area when no space is reserved', () => {
+    const all = items({ ...aid, reserveHymnSpace: false, riteInserts: [{ id: 'firstCommunion' }] });
+    assert.ok(headingAt(all, 'Song of Thanksgiving') > -1);
+    assert.ok(!all.some(i => i.type === 'notation' && i.slot === 'firstCommunionSong'));
+  });
+
+  it('translates the insert in a Spanish booklet', () => {
+    const all = items({ ...aid, language: 'spanish', riteInserts: [{ id: 'blessingOfThroats' }] });
+    assert.ok(headingAt(all, 'Bendición de las Gargantas') > -1);
+    assert.ok(all.some(i => i.type === 'rubric' && /^El sacerdote coloca/.test(i.text)));
+    assert.ok(all.some(i => i.text === BLESSING_OF_THROATS_ES));
+  });
+
+  it('draws the insert in the preview', () => {
+    const { html } = renderBookletHtml({ ...aid, riteInserts: [{ id: 'baptism', music: { baptismAcclamation: { title: 'You Have Put On Christ' } } }] });
+    assert.match(html, /Celebration of Baptism/i);
+    assert.match(html, /You Have Put On Christ/);
+    assert.match(html, /Acclamation after the Baptism — music notation/);
+  });
+});
+
+describe('Rite inserts in the overflow check', () => {
+  const long = n => 'And the word of the Lord spread throughout the region. '.repeat(n);
+
+  it('counts a rite after the Homily toward page 4, less the Creed it replaces', () => {
+    const data = { ...aid, readings: { gospelText: long(40) } };
+    assert.equal(detectOverflows(data).length, 0);
+    assert.deepEqual(detectOverflows({ ...data, riteInserts: [{ id: 'scrutiny' }] }).map(w => w.page), [4]);
+    assert.equal(detectOverflows({ ...data, riteInserts: [{ id: 'confirmation' }] }).length, 0);
+  });
+
+  it('counts the rites in longer booklets', () => {
+    const data = { ...aid, pageCount: 12, readings: { firstReadingText: long(640) } };
+    assert.equal(detectOverflows(data).length, 0);
+    assert.equal(detectOverflows({ ...data, riteInserts: Object.keys(RITE_INSERTS).map(id => ({ id })) }).length, 1);
+  });
+});
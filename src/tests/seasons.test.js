@@ -5,7 +5,7 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const { getSeasonDefaults, applySeasonDefaults, SEASONS, LENTEN_ACCLAMATION_OPTIONS } = require('../config/seasons');
-const { formatMusicSlot, renderMusicLineText, formatTimeLabel } = require('../music-formatter');
+const { formatMusicSlot, renderMusicLineText, formatTimeLabel, parseMassSchedule, resolveMasses } = require('../music-formatter');
 
 describe('Season auto-rules', () => {
   it('should define all 5 seasons', () => {
@@ -179,4 +179,31 @@ describe('Music formatter', () => {
     const text = renderMusicLineText({ title: 'Test Hymn', composer: 'Bach', timeLabel: '' });
     assert.equal(text, 'Test Hymn, Bach');
   });
+  it('should parse the parish massTimes setting into Masses', () => {
+    const masses = parseMassSchedule('Sat Vigil — 5:00 PM\nSunday — 9:00 AM\nSunday — 11:00 AM\nSunday — 1:00 PM (Spanish)\nSunday 5pm\nConfessions by appointment');
+    assert.deepEqual(masses.map(m => m.key), ['sat5pm', 'sun9am', 'sun11am', 'sun1pm', 'sun5pm']);
+    assert.equal(masses[0].label, 'Sat 5:00 PM');
+    assert.equal(masses[3].label, 'Sun 1:00 PM Spanish');
+    assert.equal(masses[3].note, 'Spanish');
+  });
+
+  it('should prefer the draft Mass list, then the parish schedule, then the default three', () => {
+    const own = [{ key: 'sun8am', label: 'Sun 8:00 AM' }];
+    assert.deepEqual(resolveMasses({ masses: own }, { massTimes: 'Sunday 10 AM' }), own);
+    assert.deepEqual(resolveMasses({}, { massTimes: 'Sunday 10 AM' }).map(m => m.key), ['sun10am']);
+    assert.deepEqual(resolveMasses({}, { massTimes: 'TBA' }).map(m => m.key), ['sat5pm', 'sun9am', 'sun11am']);
+  });
+
+  it('should consolidate across any number of Masses', () => {
+    const masses = parseMassSchedule('Sat 5:00 PM\nSun 9:00 AM\nSun 11:00 AM\nSun 5:00 PM\nSun 1:00 PM Spanish');
+    const data = { masses };
+    for (const m of masses) data['music' + m.key.charAt(0).toUpperCase() + m.key.slice(1)] = { communionHymn: 'One Bread' };
+    assert.equal(formatMusicSlot(data, 'communionHymn', 'communionHymnComposer')[0].timeLabel, '');
+
+    data.musicSun1pm = { communionHymn: 'Pescador de Hombres' };
+    const items = formatMusicSlot(data, 'communionHymn', 'communionHymnComposer');
+    assert.equal(items.length, 2);
+    assert.equal(items[0].timeLabel, 'Sat, 5 PM & Sun, 9 AM & Sun, 11 AM & Sun, 5 PM');
+    assert.equal(items[1].timeLabel, 'Sun, 1 PM Spanish');
+  });
 });
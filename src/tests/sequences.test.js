@@ -0,0 +1,89 @@
+// Sequences: the days the calendar names, the optional Easter octave, the
+// block before the Gospel Acclamation in both designs, the setting and
+// notation, Spanish and the overflow check.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBookletHtml } = require('../template-renderer');
+const { getLiturgicalInfo } = require('../liturgical-calendar');
+const { SEQUENCES, resolveSequence } = require('../config/sequences');
+const { VICTIMAE_PASCHALI, VENI_SANCTE_SPIRITUS_ES } = require('../assets/text/sequences');
+const { validateInput, detectOverflows } = require('../validator');
+const { items, headings, draft, PNG } = require('./_layout-helpers');
+
+describe('Sequences from the date', () => {
+  it('names the Sequence of Easter, Pentecost and Corpus Christi', () => {
+    assert.deepEqual(getLiturgicalInfo('2026-04-05').sequence, { id: 'easter', optional: false });
+    assert.deepEqual(getLiturgicalInfo('2026-05-24').sequence, { id: 'pentecost', optional: false });
+    assert.deepEqual(getLiturgicalInfo('2026-06-07').sequence, { id: 'corpusChristi', optional: false });
+    assert.deepEqual(getLiturgicalInfo('2026-04-08').sequence, { id: 'easter', optional: true });
+    assert.deepEqual(getLiturgicalInfo('2026-04-12').sequence, { id: 'easter', optional: true }, 'Second Sunday of Easter');
+    assert.equal(getLiturgicalInfo('2026-04-04').sequence, null, 'not at the Vigil');
+    assert.equal(getLiturgicalInfo('2026-04-19').sequence, null);
+  });
+
+  it('prints the required Sequences unless left out, and the octave only on request', () => {
+    assert.equal(resolveSequence(draft('2026-04-05')).name, 'Victimae Paschali Laudes');
+    assert.equal(resolveSequence(draft('2026-04-05', { sequence: { include: false } })), null);
+    assert.equal(resolveSequence(draft('2026-04-08')), null);
+    assert.equal(resolveSequence(draft('2026-04-08', { sequence: { include: true } })).id, 'easter');
+    assert.equal(resolveSequence(draft('2026-10-18', { sequence: { include: true } })), null);
+  });
+
+  it('validates the choice and the setting', () => {
+    assert.equal(validateInput(draft('2026-05-24', { sequence: { include: true }, musicSun9am: { sequenceSetting: 'Veni Sancte Spiritus', sequenceComposer: 'Chant' } })).valid, true);
+    assert.equal(validateInput(draft('2026-05-24', { sequence: { include: 'yes' } })).valid, false);
+  });
+});
+
+describe('Sequences in the outline', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`prints the Sequence just before the Gospel Acclamation (${design})`, () => {
+      const all = items(draft('2026-04-05'), { design });
+      const h = headings(all);
+      const at = h.indexOf('Sequence');
+      assert.ok(at > h.indexOf('Responsorial Psalm'));
+      assert.match(h[at + 1], /^Gospel (Acclamation|Alleluia)$/);
+      assert.equal(all.find(i => i.text === 'Sequence').inline, 'Victimae Paschali Laudes');
+      assert.ok(all.some(i => i.type === 'text' && i.text === VICTIMAE_PASCHALI));
+    });
+  }
+
+  it('leaves it out on other days', () => {
+    assert.ok(!headings(items(draft('2026-04-19'))).includes('Sequence'));
+    assert.ok(!headings(items(draft('2026-06-07', { sequence: { include: false } }))).includes('Sequence'));
+  });
+
+  it('puts the setting on the heading line and the notation in place of the text', () => {
+    const data = draft('2026-06-07', { musicSun9am: { sequenceSetting: 'Lauda Sion', sequenceComposer: 'Chant' } });
+    const slot = items(data).find(i => i.type === 'music' && i.text === 'Sequence');
+    assert.equal(slot.pieces[0].title, 'Lauda Sion');
+    const withImage = items(data, { notationImages: { sequence: PNG } });
+    assert.ok(withImage.some(i => i.type === 'notation' && i.slot === 'sequence'));
+    assert.ok(!withImage.some(i => i.type === 'text' && i.text === SEQUENCES.corpusChristi.text));
+  });
+
+  it('translates the Sequence in a Spanish booklet', () => {
+    const all = items(draft('2026-05-24', { language: 'spanish' }));
+    assert.ok(headings(all).includes('Secuencia'));
+    assert.ok(all.some(i => i.text === VENI_SANCTE_SPIRITUS_ES));
+  });
+
+  it('draws the Sequence in the preview', () => {
+    const { html } = renderBookletHtml(draft('2026-05-24'));
+    assert.match(html, /Veni Sancte Spiritus/);
+    assert.match(html, /Come, Holy Spirit, come!/);
+  });
+});
+
+describe('Sequences in the overflow check', () => {
+  const long = n => 'He saw the burial cloths there, and the cloth that had covered his head. '.repeat(n);
+
+  it('counts the Sequence toward page 3', () => {
+    const data = draft('2026-05-24', { readings: { firstReadingText: long(58) } });
+    assert.equal(detectOverflows({ ...data, sequence: { include: false } }).length, 0);
+    assert.deepEqual(detectOverflows(data).map(w => w.page), [3]);
+    assert.equal(detectOverflows({ ...data, notationImages: { sequence: '/uploads/veni.png' } }).length, 0);
+  });
+});
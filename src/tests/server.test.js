@@ -97,6 +97,20 @@ describe('GET /api/season-defaults/:season', () => {
     assert.equal(data.creedType, 'nicene');
     assert.equal(data.entranceType, 'processional');
   });
+
+  it('should layer a funeral over the season', async () => {
+    const data = (await fetch('/api/season-defaults/ordinary?celebration=funeral')).json();
+    assert.equal(data.gloria, false);
+    assert.equal(data.includePostlude, false);
+    assert.equal((await fetch('/api/season-defaults/ordinary?celebration=baptism')).status, 400);
+  });
+
+  it('should layer a leaflet\'s rank over the season', async () => {
+    const data = (await fetch('/api/season-defaults/lent?rank=solemnity')).json();
+    assert.equal(data.gloria, true);
+    assert.equal(data.includePostlude, true);
+    assert.equal((await fetch('/api/season-defaults/lent?rank=vigil')).status, 400);
+  });
 });
 
 describe('POST /api/validate', () => {
@@ -111,6 +125,15 @@ describe('POST /api/validate', () => {
     const result = res.json();
     assert.equal(result.valid, false);
   });
+
+  it('should return the PDF engine page map for valid input', async () => {
+    const res = await fetch('/api/validate?design=classic', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: validBody });
+    const result = res.json();
+    assert.equal(result.layout.design, 'classic');
+    assert.equal(result.layout.pageCount, 8);
+    assert.ok(result.layout.blocks.length > 0);
+    assert.deepEqual(result.overflows, result.layout.overflows);
+  });
 });
 
 describe('POST /api/preview', () => {
@@ -122,6 +145,29 @@ describe('POST /api/preview', () => {
     assert.ok(result.html.includes('Test Sunday'));
     assert.ok(result.html.includes('page-8'));
   });
+
+  it('should apply auto-fit to the layout with ?autoFit=1', async () => {
+    const res = await fetch('/api/preview?autoFit=1', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: validBody });
+    const result = res.json();
+    assert.ok(Array.isArray(result.layout.autoFit));
+  });
+
+  it('should report overflows from the dry-run layout', async () => {
+    const res = await fetch('/api/preview', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: validBody });
+    const result = res.json();
+    assert.ok(result.layout);
+    assert.deepEqual(result.overflows, result.layout.overflows);
+  });
+
+  it('should preview a draft still being filled in, with no feast name yet', async () => {
+    const { feastName, ...partial } = JSON.parse(validBody);
+    assert.ok(feastName);
+    const res = await fetch('/api/preview', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(partial) });
+    assert.equal(res.status, 200);
+    const result = res.json();
+    assert.ok(result.layout);
+    assert.ok(result.html.includes('page-8'));
+  });
 });
 
 describe('POST /api/generate-pdf', () => {
@@ -133,6 +179,34 @@ describe('POST /api/generate-pdf', () => {
     assert.ok(result.downloadUrl);
     assert.ok(result.filename.includes('2026_03_01'));
   });
+
+  it('should generate printer spreads when imposition is saddle-stitch', async () => {
+    const body = JSON.stringify({ ...JSON.parse(validBody), imposition: 'saddle-stitch' });
+    const res = await fetch('/api/generate-pdf', { method: 'POST', headers: authed({ 'Content-Type': 'application/json' }), body });
+    assert.equal(res.status, 200);
+    const result = res.json();
+    assert.equal(result.imposition, 'saddle-stitch');
+    assert.ok(result.filename.endsWith('__spreads.pdf'));
+  });
+
+  it('should bundle one booklet per Mass into a zip when edition is per-mass', async () => {
+    const res = await fetch('/api/generate-pdf?edition=per-mass', { method: 'POST', headers: authed({ 'Content-Type': 'application/json' }), body: validBody });
+    assert.equal(res.status, 200);
+    const result = res.json();
+    assert.equal(result.edition, 'per-mass');
+    assert.ok(result.filename.endsWith('__editions.zip'));
+    assert.ok(result.editions.length >= 1);
+    assert.ok(result.editions.every(e => e.filename.endsWith('__' + e.mass.key + '.pdf')));
+  });
+
+  it('should export a large-print edition, never imposed', async () => {
+    const res = await fetch('/api/generate-pdf?edition=large-print&imposition=saddle-stitch', { method: 'POST', headers: authed({ 'Content-Type': 'application/json' }), body: validBody });
+    assert.equal(res.status, 200);
+    const result = res.json();
+    assert.equal(result.edition, 'large-print');
+    assert.equal(result.imposition, 'reader');
+    assert.ok(result.filename.endsWith('__large-print.pdf'));
+  });
 });
 
 describe('Drafts CRUD', () => {
@@ -199,6 +273,60 @@ describe('Settings', () => {
   });
 });
 
+describe('Mass schedule', () => {
+  const kv = require('../store/kv');
+  let savedMassTimes;
+
+  before(async () => {
+    savedMassTimes = (await fetch('/api/settings')).json().massTimes;
+    await fetch('/api/settings', {
+      method: 'PUT', headers: authed({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ massTimes: 'Sat Vigil — 5:00 PM\nSunday — 9:00 AM\nSunday — 11:00 AM\nSunday — 1:00 PM (Spanish)' })
+    });
+  });
+
+  after(async () => {
+    await fetch('/api/settings', {
+      method: 'PUT', headers: authed({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ massTimes: savedMassTimes })
+    });
+  });
+
+  it('should list the Masses parsed from the massTimes setting', async () => {
+    const data = (await fetch('/api/mass-schedule')).json();
+    assert.equal(data.parsed, true);
+    assert.deepEqual(data.masses.map(m => m.key), ['sat5pm', 'sun9am', 'sun11am', 'sun1pm']);
+  });
+
+  it('should parse a leaflet\'s Mass time in place of the schedule', async () => {
+    const data = (await fetch('/api/mass-schedule?massTimes=' + encodeURIComponent('Wed 8:15 AM School Mass'))).json();
+    assert.deepEqual(data.masses.map(m => m.key), ['wed815am']);
+    assert.equal((await fetch('/api/mass-schedule?massTimes=soon')).json().parsed, false);
+  });
+
+  it('should snapshot the parish schedule onto a saved draft', async () => {
+    const res = await fetch('/api/drafts', { method: 'POST', headers: authed({ 'Content-Type': 'application/json' }), body: validBody });
+    const draft = res.json();
+    assert.equal(draft.masses.length, 4);
+    await fetch('/api/drafts/' + draft.id, { method: 'DELETE', headers: authed() });
+  });
+
+  it('should snapshot the Lectionary cycles onto a saved draft', async () => {
+    const res = await fetch('/api/drafts', { method: 'POST', headers: authed({ 'Content-Type': 'application/json' }), body: validBody });
+    const draft = res.json();
+    assert.deepEqual(draft.lectionaryCycle, { sunday: 'A', weekday: 'II' });
+    await fetch('/api/drafts/' + draft.id, { method: 'DELETE', headers: authed() });
+  });
+
+  it('should migrate a draft saved before the schedule was configurable to the original three Masses', async () => {
+    const id = 'legacy-mass-schedule-test';
+    await kv.set('drafts', id, { ...JSON.parse(validBody), id, musicSun11am: { communionHymn: 'Legacy Hymn' } });
+    const draft = (await fetch('/api/drafts/' + id, { headers: authed() })).json();
+    assert.deepEqual(draft.masses.map(m => m.key), ['sat5pm', 'sun9am', 'sun11am']);
+    await fetch('/api/drafts/' + id, { method: 'DELETE', headers: authed() });
+  });
+});
+
 describe('Auth', () => {
   it('should login with valid credentials', async () => {
     const res = await fetch('/api/auth/login', {
@@ -5,6 +5,7 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const { renderBookletHtml, escapeHtml, nl2br, formatDate } = require('../template-renderer');
+const { layoutBooklet } = require('../pdf-generator');
 
 const sampleData = {
   feastName: 'Second Sunday of Lent',
@@ -297,3 +298,75 @@ describe('renderBookletHtml', () => {
     assert.ok(html.includes('Great Amen'));
   });
 });
+
+// Minimal valid 4x4 PNG built at runtime (no fixtures needed).
+function tinyPng() {
+  const zlib = require('zlib');
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type), data]);
+    const len = Buffer.alloc(4); len.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4); crc.writeUInt32BE(zlib.crc32(body));
+    return Buffer.concat([len, body, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(4, 0); ihdr.writeUInt32BE(4, 4);
+  ihdr[8] = 8; ihdr[9] = 2;
+  const raw = Buffer.concat(Array.from({ length: 4 }, () => Buffer.concat([Buffer.from([0]), Buffer.alloc(12, 0x40)])));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// The HTML of one page, from its opening div to the next page's comment.
+function pageHtml(html, n) {
+  const m = html.match(new RegExp(`id="page-${n}"[\\s\\S]*?(?=<!-- PAGE |</body>)`));
+  return m ? m[0] : '';
+}
+
+describe('HTML renderer — draws the PDF layout', () => {
+  for (const design of ['reimagined', 'classic']) {
+    it(`places every ${design} block on the page and at the top the PDF gives it`, () => {
+      const layout = layoutBooklet(sampleData, { design, bookletSize: 'half-letter' });
+      const { html } = renderBookletHtml(sampleData, { design, bookletSize: 'half-letter' });
+      assert.ok(layout.blocks.length > 10);
+      for (const block of layout.blocks) {
+        const page = pageHtml(html, block.startPage);
+        assert.ok(page.includes(`data-block="${block.id}" style="top:${Math.round(block.top * 100) / 100}pt"`),
+          `${block.label} on page ${block.startPage}`);
+      }
+    });
+  }
+
+  it('renders the filler pages of a longer booklet', () => {
+    const { html, pageCount } = renderBookletHtml({ ...sampleData, pageCount: 12 });
+    assert.equal(pageCount, 12);
+    assert.match(html, /id="page-12"/);
+    assert.match(pageHtml(html, 12), /notes-lines/);
+    // The reimagined cover prints the parish-life blurbs; the classic design
+    // gives them a filler page.
+    assert.doesNotMatch(html, /Parish Life/);
+    assert.match(renderBookletHtml({ ...sampleData, pageCount: 12 }, { design: 'classic' }).html, /Parish Life/);
+  });
+
+  it('draws notation images at the size the PDF draws them', () => {
+    const data = { ...sampleData, notationImages: { communion: '/uploads/communion.png' } };
+    const layout = layoutBooklet(data, { notationImages: { communion: tinyPng() } });
+    const drawn = layout.blocks.flatMap(b => b.items).find(i => i.slot === 'communion').drawn;
+    assert.equal(drawn.kind, 'image');
+    const { html } = renderBookletHtml(data, { layout });
+    const img = html.match(/<img class="notation-image hymn" src="\/uploads\/communion\.png"[^>]*style="width:([\d.]+)pt;height:([\d.]+)pt/);
+    assert.ok(img);
+    assert.ok(Math.abs(Number(img[1]) - drawn.width) < 0.01);
+    assert.ok(Math.abs(Number(img[2]) - drawn.height) < 0.01);
+  });
+
+  it('sets text in the PDF fonts and sizes', () => {
+    const { html } = renderBookletHtml(sampleData, { design: 'classic' });
+    assert.match(html, /@font-face \{ font-family:'ClassicSerif'; src:url\('\/assets\/fonts\/classic\/Classic-Serif-Regular\.otf'\)/);
+    const re = renderBookletHtml(sampleData, { bookletSize: 'half-letter' }).html;
+    assert.match(re, /@font-face \{ font-family:'Liberation Sans'; src:url\('\/assets\/fonts\/LiberationSans-Regular\.ttf'\)/);
+    // Half-letter reading text: 9pt at scale 1 and full text size.
+    assert.match(re, /<p class="reading-text" style="font-size:9pt;/);
+  });
+});
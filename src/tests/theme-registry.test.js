@@ -0,0 +1,170 @@
+// Design theme registry: built-in themes are read-only, parish themes are
+// clones edited through /api/themes, and both renderers draw with them.
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const app = require('../server');
+const { THEMES, applyThemePatch } = require('../config/themes');
+const { layoutBooklet } = require('../pdf-generator');
+const { renderBookletHtml } = require('../template-renderer');
+
+let server;
+let baseUrl;
+let adminToken;
+let pastorToken;
+const created = [];
+
+function fetch(urlPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(new URL(urlPath, baseUrl), {
+      method: options.method || 'GET',
+      headers: options.headers || {}
+    }, (res) => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, json: () => JSON.parse(body) });
+      });
+    });
+    req.on('error', reject);
+    if (options.body) req.write(options.body);
+    req.end();
+  });
+}
+
+function send(method, urlPath, body, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers['x-session-token'] = token;
+  return fetch(urlPath, { method, headers, body: body ? JSON.stringify(body) : undefined });
+}
+
+async function login(username, password) {
+  return (await send('POST', '/api/auth/login', { username, password })).json().token;
+}
+
+const aid = {
+  feastName: 'Test Sunday',
+  liturgicalDate: '2026-03-01',
+  liturgicalSeason: 'ordinary',
+  readings: {
+    firstReadingCitation: 'Gen 1:1', firstReadingText: 'In the beginning...',
+    psalmVerses: 'Verse one\nline two\n\nVerse two\nline two',
+    gospelCitation: 'Jn 1:1', gospelText: 'In the beginning was the Word...'
+  }
+};
+
+let releaseLock;
+before(async () => {
+  releaseLock = await require('./_shared-state-lock').acquireSharedStateLock();
+  await app.seedReady;
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      resolve();
+    });
+  });
+  adminToken = await login('jd', 'worship2026');
+  pastorToken = await login('frlarry', 'pastor2026');
+});
+
+after(async () => {
+  for (const id of created) await send('DELETE', '/api/themes/' + id, null, adminToken);
+  await new Promise(resolve => server.close(resolve));
+  if (releaseLock) releaseLock();
+});
+
+describe('applyThemePatch', () => {
+  it('merges valid fields and clamps sizes', () => {
+    const { theme, errors } = applyThemePatch(THEMES.reimagined, {
+      fonts: { body: 'Serif' }, colors: { section: '#336699' }, twoColumn: true, rubricSize: 40
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(theme.fonts.body, 'Serif');
+    assert.equal(theme.fonts.bold, 'Sans-Bold');
+    assert.equal(theme.colors.section, '#336699');
+    assert.equal(theme.twoColumn, true);
+    assert.equal(theme.rubricSize, 12);
+    assert.equal(THEMES.reimagined.fonts.body, 'Sans', 'the source theme is untouched');
+  });
+
+  it('reports unknown fonts, roles and malformed colors', () => {
+    const { errors } = applyThemePatch(THEMES.classic, {
+      fonts: { body: 'Comic Sans', headline: 'Sans' }, colors: { section: 'red' }, smallCaps: 'yes'
+    });
+    assert.equal(errors.length, 4);
+  });
+});
+
+describe('/api/themes', () => {
+  it('lists the built-in themes to anyone', async () => {
+    const res = await fetch('/api/themes');
+    assert.equal(res.status, 200);
+    const ids = res.json().themes.map(t => t.id);
+    assert.deepEqual(ids.slice(0, 2), ['reimagined', 'classic']);
+  });
+
+  it('only lets admins clone a theme', async () => {
+    assert.equal((await send('POST', '/api/themes', { from: 'classic' })).status, 401);
+    assert.equal((await send('POST', '/api/themes', { from: 'classic' }, pastorToken)).status, 403);
+  });
+
+  it('clones a theme with edits and gives it a design id', async () => {
+    const res = await send('POST', '/api/themes', {
+      from: 'classic', name: 'Parish Serif Test', twoColumn: false, colors: { section: '#5B3D8F' }
+    }, adminToken);
+    assert.equal(res.status, 200);
+    const theme = res.json();
+    created.push(theme.id);
+    assert.match(theme.id, /^parish-serif-test/);
+    assert.equal(theme.base, 'classic');
+    assert.equal(theme.clonedFrom, 'classic');
+    assert.equal(theme.twoColumn, false);
+    assert.equal(theme.fonts.body, 'Serif');
+    assert.equal((await fetch('/api/themes/' + theme.id)).json().colors.section, '#5B3D8F');
+  });
+
+  it('edits a parish theme but never a built-in', async () => {
+    const id = created[0];
+    const res = await send('PUT', '/api/themes/' + id, { rubricSize: 10, base: 'reimagined' }, adminToken);
+    assert.equal(res.status, 200);
+    assert.equal(res.json().rubricSize, 10);
+    assert.equal(res.json().base, 'classic', 'base is fixed at clone time');
+    assert.equal((await send('PUT', '/api/themes/' + id, { fonts: { body: 'Nope' } }, adminToken)).status, 400);
+    assert.equal((await send('PUT', '/api/themes/classic', { rubricSize: 10 }, adminToken)).status, 400);
+    assert.equal((await send('DELETE', '/api/themes/reimagined', null, adminToken)).status, 400);
+  });
+
+  it('previews a draft in a parish theme', async () => {
+    const res = await send('POST', '/api/preview', { ...aid, design: created[0] });
+    assert.equal(res.status, 200);
+    const { html, layout } = res.json();
+    assert.equal(layout.design, created[0]);
+    assert.match(html, /<body class="design-classic">/);
+    assert.match(html, /\.c-section \{[^}]*color: #5B3D8F/);
+    assert.doesNotMatch(html, /class="c-twocol"/, 'two columns turned off');
+  });
+
+  it('rejects a design id no theme has', async () => {
+    const res = await send('POST', '/api/preview', { ...aid, design: 'no-such-theme' });
+    assert.equal(res.status, 422);
+    assert.match(res.json().error, /Unknown design "no-such-theme"/);
+  });
+});
+
+describe('Renderers honor a theme object', () => {
+  it('draws the PDF layout with the theme fonts and sizes', () => {
+    const { theme } = applyThemePatch(THEMES.reimagined, { sectionSize: 16, fonts: { body: 'Serif' } });
+    const plain = layoutBooklet(aid, { bookletSize: 'half-letter' });
+    const themed = layoutBooklet(aid, { bookletSize: 'half-letter', design: 'big-sections', theme });
+    assert.equal(themed.design, 'big-sections');
+    assert.equal(themed.theme.sectionSize, 16);
+    const sectionHeight = l => l.blocks.flatMap(b => b.items).find(i => i.type === 'section').height;
+    assert.ok(sectionHeight(themed) > sectionHeight(plain));
+    const { html } = renderBookletHtml(aid, { layout: themed });
+    assert.match(html, /@font-face \{ font-family:'ClassicSerif'/);
+    assert.match(html, /<body class="design-reimagined">/);
+  });
+});
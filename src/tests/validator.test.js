@@ -75,6 +75,14 @@ describe('validateInput', () => {
     };
     assert.equal(validateInput(full).valid, true);
   });
+
+  it('should accept 8, 12, 16 and auto page counts only', () => {
+    for (const pageCount of [8, 12, 16, 'auto']) {
+      assert.equal(validateInput({ ...minValid, pageCount }).valid, true, String(pageCount));
+    }
+    assert.equal(validateInput({ ...minValid, pageCount: 10 }).valid, false);
+    assert.equal(validateInput({ ...minValid, pageCount: '12' }).valid, false);
+  });
 });
 
 describe('estimateLines', () => {
@@ -123,6 +131,25 @@ describe('detectOverflows', () => {
     assert.ok(overflows.some(o => o.page === 4));
   });
 
+  it('should check longer booklets against the chosen page count', () => {
+    const longText = ('text '.repeat(100) + '\n').repeat(30);
+    const readings = { firstReadingText: longText, gospelText: longText };
+    // Over the fixed page-3/page-4 capacities of an 8-page booklet...
+    assert.ok(detectOverflows({ ...minValid, readings }).length > 0);
+    // ...but comfortably inside a 16-page booklet.
+    assert.deepEqual(detectOverflows({ ...minValid, pageCount: 16, readings }), []);
+    const huge = longText.repeat(4);
+    const overflows = detectOverflows({ ...minValid, pageCount: 12, readings: { firstReadingText: huge, gospelText: huge } });
+    assert.equal(overflows.length, 1);
+    assert.equal(overflows[0].page, 12);
+    assert.match(overflows[0].message, /12-page booklet/);
+  });
+
+  it('should never flag an auto-length booklet', () => {
+    const huge = ('text '.repeat(100) + '\n').repeat(200);
+    assert.deepEqual(detectOverflows({ ...minValid, pageCount: 'auto', readings: { gospelText: huge } }), []);
+  });
+
   it('should include page number and severity', () => {
     const longText = ('text '.repeat(100) + '\n').repeat(20);
     const data = {
@@ -0,0 +1,60 @@
+// The ZIP writer behind the per-Mass edition download: CRC-32 against its
+// check value, and an archive read back through its central directory —
+// names, sizes, checksums and bytes of each stored entry.
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createZip, crc32 } = require('../zip-writer');
+
+// The entries of a .zip as its central directory lists them, each read from
+// its local header: [{ name, crc, method, data }].
+function readZip(zip) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'end of central directory');
+  const count = zip.readUInt16LE(end + 10);
+  let at = zip.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(at), 0x02014b50, 'central directory entry');
+    const crc = zip.readUInt32LE(at + 16);
+    const size = zip.readUInt32LE(at + 20);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const name = zip.toString('utf8', at + 46, at + 46 + nameLength);
+    const local = zip.readUInt32LE(at + 42);
+    assert.equal(zip.readUInt32LE(local), 0x04034b50, 'local header');
+    assert.equal(zip.readUInt32LE(local + 14), crc);
+    const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    entries.push({ name, crc, method: zip.readUInt16LE(local + 8), data: zip.subarray(start, start + size) });
+    at += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('ZIP writer', () => {
+  it('computes the standard CRC-32', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+  });
+
+  it('writes entries that read back with their names and bytes', () => {
+    const files = [
+      { name: 'Second Sunday of Lent__sat5pm.pdf', data: Buffer.from('%PDF-1.7\nfirst edition\n') },
+      { name: 'Misa en español__sun1pm.pdf', data: Buffer.from([0, 1, 2, 255, 254, 10, 13]) },
+      { name: 'empty.txt', data: Buffer.alloc(0) }
+    ];
+    const entries = readZip(createZip(files, new Date(2026, 2, 1, 9, 30, 0)));
+    assert.deepEqual(entries.map(e => e.name), files.map(f => f.name));
+    entries.forEach((e, i) => {
+      assert.equal(e.method, 0, 'stored');
+      assert.deepEqual(Buffer.from(e.data), files[i].data);
+      assert.equal(e.crc, crc32(files[i].data));
+    });
+  });
+
+  it('writes an empty archive', () => {
+    const zip = createZip([]);
+    assert.equal(zip.length, 22);
+    assert.deepEqual(readZip(zip), []);
+  });
+});
@@ -4,6 +4,12 @@
 const Ajv = require('ajv');
 const { inputSchema } = require('./schema');
 const { RENEWAL_OF_BAPTISMAL_VOWS } = require('./assets/text/creeds');
+const { GLORIA } = require('./assets/text/mass-texts');
+const { resolveRiteInserts } = require('./config/rite-inserts');
+const { resolveHolyWeek } = require('./config/holy-week');
+const { resolveSequence } = require('./config/sequences');
+const { MINISTER_ROLES, resolveCelebration } = require('./config/celebrations');
+const { resolveLeaflet, leafletReadings } = require('./config/leaflets');
 
 const ajv = new Ajv({ allErrors: true, useDefaults: true });
 const validate = ajv.compile(inputSchema);
@@ -24,7 +30,10 @@ function validateInput(data) {
 // Estimates line counts per page block and flags overflows
 const PAGE_CAPACITIES = {
   3: { maxLines: 85, name: 'Liturgy of the Word' },
-  4: { maxLines: 75, name: 'Gospel & Creed' }
+  4: { maxLines: 75, name: 'Gospel & Creed' },
+  // Room the Liturgy of the Eucharist and Communion Rite pages leave
+  // around their fixed text and music areas.
+  5: { maxLines: 40, name: 'Liturgy of the Eucharist' }
 };
 
 function estimateLines(text, charsPerLine = 65) {
@@ -34,15 +43,136 @@ function estimateLines(text, charsPerLine = 65) {
   }, 0);
 }
 
+// Longer booklets (data.pageCount 12/16) flow the readings over more pages,
+// so instead of the fixed page-3/page-4 capacities the variable text is
+// checked against the whole booklet: every page but the cover, less the
+// pages the Order of Mass, music areas and copyright take every week.
+const LINES_PER_PAGE = 80;
+const FIXED_PAGES = 4;
+
+// A leaflet (config/leaflets.js) has no cover and a shorter Order of Mass,
+// shrunk to fit before it overflows: the lines a page holds, and the lines
+// its title, headings and responses take with no music areas. Each music
+// area reserved adds MUSIC_AREA_LINES, each hymn paste area
+// HYMN_AREA_LINES.
+const LEAFLET_LINES_PER_PAGE = 37;
+const LEAFLET_FIXED_LINES = 10;
+const HYMN_AREA_LINES = 10;
+
+// True when music areas are reserved where no image is attached: the
+// draft's choice, else yes for a booklet and no for a leaflet.
+function reservesMusic(data) {
+  return data.reserveHymnSpace !== undefined ? data.reserveHymnSpace !== false : !resolveLeaflet(data);
+}
+
+// Lines the Gloria's text takes: none when it is omitted or music carries
+// it (see gloria() in mass-outline.js), two for the incipit, else the full
+// text.
+function gloriaLines(data) {
+  const ss = data.seasonalSettings || {};
+  const celebration = resolveCelebration(data);
+  const leaflet = resolveLeaflet(data);
+  const shown = ss.gloria !== undefined ? ss.gloria
+    : celebration ? celebration.seasonal.gloria
+    : leaflet && leaflet.seasonal.gloria !== undefined ? leaflet.seasonal.gloria
+    : (data.liturgicalSeason !== 'lent' && data.liturgicalSeason !== 'advent');
+  if (!shown || (data.notationImages || {}).gloria) return 0;
+  const mode = ss.gloriaText || 'notation';
+  if (mode === 'notation' && reservesMusic(data)) return 0;
+  return mode === 'incipit' ? 2 : estimateLines(GLORIA);
+}
+
+// Lines of the Prayer of the Faithful: the response plus each intention.
+function intentionLines(p) {
+  const intentions = (p.intentions || []).filter(t => String(t).trim());
+  if (!intentions.length) return 0;
+  return 1 + intentions.reduce((s, t) => s + estimateLines(String(t)), 0);
+}
+
+// Lines an ordinary music area (the 55pt paste box) takes.
+const MUSIC_AREA_LINES = 5;
+
+// The draft's rites: its wedding's or funeral's, its Holy Week liturgy's,
+// then its own inserts.
+function resolveRites(data) {
+  const celebration = resolveCelebration(data);
+  const hw = resolveHolyWeek(data);
+  return [...(celebration ? celebration.inserts : []), ...(hw ? hw.inserts : []), ...resolveRiteInserts(data)];
+}
+
+// Lines of a wedding's or funeral's participants: the title and one per
+// name given.
+function participantLines(data) {
+  const celebration = resolveCelebration(data);
+  if (!celebration) return 0;
+  const named = Object.keys(MINISTER_ROLES[celebration.rite]).filter(f => String(celebration.ministers[f] || '').trim()).length;
+  return named ? 1 + named : 0;
+}
+
+// Lines of the rites attached at anchor: one per title, heading and music
+// title, the rubrics, texts and readings, and a music area wherever one
+// prints.
+function riteLines(data, anchor) {
+  const images = data.notationImages || {};
+  const r = data.readings || {};
+  return resolveRites(data)
+    .filter(rite => !anchor || rite.anchor === anchor)
+    .flatMap(rite => rite.parts.flat())
+    .reduce((sum, item) => {
+      if (item.music) return sum + 1 + (images[item.music] || reservesMusic(data) ? MUSIC_AREA_LINES : 0);
+      if (item.reading) return sum + 1 + estimateLines(r[`${item.reading}Text`]);
+      if (item.heading || item.section) return sum + 1;
+      return sum + estimateLines(item.rubric || item.text || '');
+    }, 0);
+}
+
+// Lines of the Easter Vigil's Old Testament readings and their psalms.
+function vigilLines(data) {
+  const hw = resolveHolyWeek(data);
+  if (!hw || !hw.vigil) return 0;
+  return ((data.readings || {}).vigilReadings || []).reduce((sum, v) =>
+    sum + estimateLines(v.text) + estimateLines(v.psalmRefrain) + estimateLines(v.psalmVerses), 0);
+}
+
+// Lines of the Sequence: its heading and text, or a music area once a
+// notation image is attached.
+function sequenceLines(data) {
+  const seq = resolveSequence(data);
+  const hw = resolveHolyWeek(data);
+  if (!seq || (hw && hw.vigil)) return 0;
+  return 1 + ((data.notationImages || {}).sequence ? MUSIC_AREA_LINES : estimateLines(seq.text));
+}
+
 function detectOverflows(data) {
+  const leaflet = resolveLeaflet(data);
+  if (leaflet) return detectLeafletOverflow(data, leaflet);
+  const pageCount = data.pageCount || 8;
+  // 'auto' grows the booklet to fit — nothing can overflow.
+  if (pageCount === 'auto') return [];
+  if (pageCount !== 8) return detectBookletOverflow(data, pageCount);
+
   const warnings = [];
   const r = data.readings || {};
+  const p = data.prayers || {};
 
-  // Page 3: First Reading + Psalm + Second Reading + Gospel Acclamation
+  // Page 3: First Reading + Psalm + Second Reading + Gospel Acclamation,
+  // pushed down by a printed Gloria and Collect, and a rite in place of the
+  // Penitential Act or the whole entrance (Holy Week), or before it (a
+  // funeral), and a wedding's or funeral's participants, running over from
+  // page 2, and the Easter Vigil's readings; the Sequence before the
+  // Gospel Acclamation
   const page3Blocks = [
+    { name: 'Participants', lines: participantLines(data) },
+    { name: 'Rite in place of the Penitential Act', lines: riteLines(data, 'penitentialAct') },
+    { name: 'Holy Week entrance rites', lines: riteLines(data, 'introductory') },
+    { name: 'Rites before the Entrance', lines: riteLines(data, 'beforeEntrance') },
+    { name: 'Vigil readings', lines: vigilLines(data) },
+    { name: 'Gloria', lines: gloriaLines(data) },
+    { name: 'Collect', lines: estimateLines(p.collect) },
     { name: 'First Reading', lines: estimateLines(r.firstReadingText) },
     { name: 'Responsorial Psalm', lines: estimateLines(r.psalmVerses) + estimateLines(r.psalmRefrain) },
     { name: 'Second Reading', lines: r.noSecondReading ? 0 : estimateLines(r.secondReadingText) },
+    { name: 'Sequence', lines: sequenceLines(data) },
     { name: 'Gospel Acclamation', lines: 3 }
   ];
   const page3Total = page3Blocks.reduce((s, b) => s + b.lines, 0);
@@ -56,14 +186,18 @@ function detectOverflows(data) {
     });
   }
 
-  // Page 4: Gospel + Creed
+  // Page 4: Gospel + rites after the Homily + Creed (unless a rite takes
+  // its place) + Prayer of the Faithful
   const creedType = data.seasonalSettings?.creedType;
-  const creedLines = creedType === 'apostles' ? 18
+  const creedLines = resolveRites(data).some(rite => rite.omits.includes('creed')) ? 0
+    : creedType === 'apostles' ? 18
     : creedType === 'baptismal_vows' ? estimateLines(RENEWAL_OF_BAPTISMAL_VOWS)
     : 32; // nicene (default)
   const page4Blocks = [
     { name: 'Gospel', lines: estimateLines(r.gospelText) },
-    { name: 'Creed', lines: creedLines }
+    { name: 'Rites after the Homily', lines: riteLines(data, 'afterHomily') },
+    { name: 'Creed', lines: creedLines },
+    { name: 'Prayer of the Faithful', lines: intentionLines(p) }
   ];
   const page4Total = page4Blocks.reduce((s, b) => s + b.lines, 0);
   if (page4Total > PAGE_CAPACITIES[4].maxLines) {
@@ -76,7 +210,91 @@ function detectOverflows(data) {
     });
   }
 
+  // Pages 5+: the presidential prayers of the Liturgy of the Eucharist
+  // and the Communion Rite, a wedding's Nuptial Blessing, the blessings
+  // before the Dismissal and the rites in place of the Concluding Rites
+  // (Holy Week, a funeral's Final Commendation)
+  const page5Blocks = [
+    { name: 'Prayer over the Offerings', lines: estimateLines(p.prayerOverOfferings) },
+    { name: 'Prayer after Communion', lines: estimateLines(p.prayerAfterCommunion) },
+    { name: 'Rites after the Lord\'s Prayer', lines: riteLines(data, 'afterLordsPrayer') },
+    { name: 'Blessings before the Dismissal', lines: riteLines(data, 'beforeDismissal') },
+    { name: 'Concluding rites', lines: riteLines(data, 'concluding') }
+  ];
+  const page5Total = page5Blocks.reduce((s, b) => s + b.lines, 0);
+  if (page5Total > PAGE_CAPACITIES[5].maxLines) {
+    const over = page5Total - PAGE_CAPACITIES[5].maxLines;
+    const biggest = page5Blocks.reduce((a, b) => b.lines > a.lines ? b : a);
+    warnings.push({
+      page: 5,
+      severity: 'error',
+      message: `Page 5 overflow: ${biggest.name} is the largest block (${biggest.lines} lines). The prayers and blessings are approximately ${over} lines over the room left in the Liturgy of the Eucharist. Consider printing only the prayer headings.`
+    });
+  }
+
   return warnings;
 }
 
+// The readings, prayers, rites and notes, whatever page they land on.
+function variableBlocks(data) {
+  const r = leafletReadings(data, data.readings || {});
+  const p = data.prayers || {};
+  return [
+    { name: 'Gloria', lines: gloriaLines(data) },
+    { name: 'Collect', lines: estimateLines(p.collect) },
+    { name: 'First Reading', lines: estimateLines(r.firstReadingText) },
+    { name: 'Responsorial Psalm', lines: estimateLines(r.psalmVerses) + estimateLines(r.psalmRefrain) },
+    { name: 'Second Reading', lines: r.noSecondReading ? 0 : estimateLines(r.secondReadingText) },
+    { name: 'Sequence', lines: sequenceLines(data) },
+    { name: 'Gospel', lines: estimateLines(r.gospelText) },
+    { name: 'Prayer of the Faithful', lines: intentionLines(p) },
+    { name: 'Prayer over the Offerings', lines: estimateLines(p.prayerOverOfferings) },
+    { name: 'Prayer after Communion', lines: estimateLines(p.prayerAfterCommunion) },
+    { name: 'Rite inserts', lines: riteLines(data) },
+    { name: 'Participants', lines: participantLines(data) },
+    { name: 'Vigil readings', lines: vigilLines(data) },
+    { name: 'Announcements', lines: estimateLines(data.announcements) },
+    { name: 'Special notes', lines: estimateLines(data.specialNotes) }
+  ];
+}
+
+function detectBookletOverflow(data, pageCount) {
+  const blocks = variableBlocks(data);
+  const total = blocks.reduce((s, b) => s + b.lines, 0);
+  const capacity = (pageCount - 1 - FIXED_PAGES) * LINES_PER_PAGE;
+  if (total <= capacity) return [];
+  const biggest = blocks.reduce((a, b) => b.lines > a.lines ? b : a);
+  return [{
+    page: pageCount,
+    severity: 'error',
+    message: `Booklet overflow: the readings, prayers, rites and notes run approximately ${total - capacity} lines over what a ${pageCount}-page booklet holds (${biggest.name} is the largest block, ${biggest.lines} lines). Choose a longer booklet or shorten the text.`
+  }];
+}
+
+// A leaflet is checked as a whole, like a longer booklet: its pages less
+// its fixed lines, the music areas it reserves and the Creed its rank
+// prints (set in two columns).
+function detectLeafletOverflow(data, leaflet) {
+  const images = data.notationImages || {};
+  const reserved = reservesMusic(data);
+  const hymnAreas = ['processional', 'communion', 'thanksgiving'].filter(slot => images[slot] || reserved).length;
+  const musicAreas = ['kyrie', 'psalmRefrain', 'gospelAcclamation', 'sanctus', 'mysteryOfFaith', 'lambOfGod']
+    .filter(slot => images[slot] || reserved).length;
+  const creedType = (data.seasonalSettings || {}).creedType;
+  const creedLines = !leaflet.creed || resolveRites(data).some(rite => rite.omits.includes('creed')) ? 0
+    : creedType === 'baptismal_vows' ? estimateLines(RENEWAL_OF_BAPTISMAL_VOWS)
+    : creedType === 'apostles' ? 9 : 16;
+  const blocks = [...variableBlocks(data), { name: 'Creed', lines: creedLines }];
+  const total = blocks.reduce((s, b) => s + b.lines, 0);
+  const capacity = leaflet.pageCount * LEAFLET_LINES_PER_PAGE - LEAFLET_FIXED_LINES -
+    hymnAreas * HYMN_AREA_LINES - musicAreas * MUSIC_AREA_LINES;
+  if (total <= capacity) return [];
+  const biggest = blocks.reduce((a, b) => b.lines > a.lines ? b : a);
+  return [{
+    page: leaflet.pageCount,
+    severity: 'error',
+    message: `Leaflet overflow: the readings, prayers and notes run approximately ${total - capacity} lines over what a ${leaflet.pageCount}-page leaflet holds (${biggest.name} is the largest block, ${biggest.lines} lines). Choose the 4-page leaflet or a booklet, or shorten the text.`
+  }];
+}
+
 module.exports = { validateInput, detectOverflows, estimateLines };